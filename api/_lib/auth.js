@@ -0,0 +1,90 @@
+/**
+ * VINTAGE COOKBOOK - AUTHENTICATION
+ * Verifies Firebase ID tokens sent as "Authorization: Bearer <token>"
+ *
+ * Handlers are wrapped with withAuth, which sets req.user to the signed-in
+ * user (or null for anonymous requests). Routes that change data call
+ * requireUser before doing anything else.
+ */
+
+const { getDatabase } = require('./db');
+const { getUserRoles } = require('./roles');
+
+/**
+ * Read the bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+    const header = (req.headers && (req.headers.authorization || req.headers.Authorization)) || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * The user fields we keep from a decoded ID token
+ */
+function toUser(decodedToken) {
+    const email = decodedToken.email || '';
+    return {
+        uid: decodedToken.uid,
+        name: decodedToken.name || email.split('@')[0] || 'Home Cook',
+        email: email,
+        picture: decodedToken.picture || null
+    };
+}
+
+/**
+ * Verify the request's ID token and load the user's roles.
+ * Returns the user, or null if there is no token; throws if the token is invalid.
+ */
+async function verifyRequest(req) {
+    const token = getBearerToken(req);
+    if (!token) return null;
+
+    const decodedToken = await getDatabase().auth.verifyIdToken(token);
+    const user = toUser(decodedToken);
+    user.roles = await getUserRoles(user.uid);
+    return user;
+}
+
+/**
+ * Wrap a handler so req.user is set before it runs.
+ * An invalid token leaves req.user null and records why in req.authError,
+ * so the handler can still answer CORS preflights and public reads.
+ */
+function withAuth(handler) {
+    return async (req, res) => {
+        req.user = null;
+        req.authError = null;
+
+        if (req.method !== 'OPTIONS') {
+            try {
+                req.user = await verifyRequest(req);
+            } catch (error) {
+                console.error('Token verification failed:', error.message);
+                req.authError = 'Invalid or expired sign-in token';
+            }
+        }
+
+        return handler(req, res);
+    };
+}
+
+/**
+ * Send 401 unless the request is signed in. Returns true if the handler may continue.
+ */
+function requireUser(req, res) {
+    if (req.user) return true;
+
+    res.status(401).json({
+        error: 'Authentication required',
+        message: req.authError || 'Please sign in to continue'
+    });
+    return false;
+}
+
+module.exports = {
+    getBearerToken,
+    verifyRequest,
+    withAuth,
+    requireUser
+};
@@ -0,0 +1,142 @@
+/**
+ * VINTAGE COOKBOOK - COOKBOOK FILE FORMAT
+ * The JSON and Markdown formats written by /api/export and read by /api/import
+ *
+ * JSON exports look like:
+ *   {
+ *     "format": "vintage-cookbook",
+ *     "version": 1,
+ *     "exportedAt": "2026-01-01T00:00:00.000Z",
+ *     "recipes": [
+ *       { "id", "name", "category", "prepTime", "cookTime", "servings",
+ *         "ingredients", "instructions", "notes", "createdAt", "updatedAt",
+ *         "comments": [{ "id", "parentId", "authorId", "username", "comment", "rating", "createdAt" }] }
+ *     ]
+ *   }
+ */
+
+const COOKBOOK_FORMAT = 'vintage-cookbook';
+const COOKBOOK_VERSION = 1;
+
+/**
+ * Convert a Firestore Timestamp, Date or date string to an ISO string (or null)
+ */
+function toIsoString(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Portable form of a comment
+ */
+function serializeComment(comment) {
+    return {
+        id: comment.id || null,
+        parentId: comment.parentId || null,
+        authorId: comment.authorId || null,
+        username: comment.username || '',
+        comment: comment.comment || '',
+        rating: comment.rating || null,
+        createdAt: toIsoString(comment.createdAt)
+    };
+}
+
+/**
+ * Portable form of a recipe and its comments.
+ * Derived data (structured ingredients, search index) is rebuilt on import.
+ */
+function serializeRecipe(id, recipe, comments = []) {
+    return {
+        id: id,
+        name: recipe.name || '',
+        category: recipe.category || '',
+        prepTime: recipe.prepTime || '',
+        cookTime: recipe.cookTime || '',
+        servings: recipe.servings || null,
+        ingredients: recipe.ingredients || '',
+        instructions: recipe.instructions || '',
+        notes: recipe.notes || '',
+        createdAt: toIsoString(recipe.createdAt),
+        updatedAt: toIsoString(recipe.updatedAt),
+        comments: comments.map(serializeComment)
+    };
+}
+
+/**
+ * File-name-safe version of a recipe name
+ */
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 60) || 'recipe';
+}
+
+/**
+ * Render a serialized recipe as a Markdown document
+ */
+function recipeToMarkdown(recipe) {
+    const meta = [
+        recipe.category ? `**Category:** ${recipe.category}` : '',
+        recipe.prepTime ? `**Prep:** ${recipe.prepTime}` : '',
+        recipe.cookTime ? `**Cook:** ${recipe.cookTime}` : '',
+        recipe.servings ? `**Serves:** ${recipe.servings}` : ''
+    ].filter(part => part.length > 0);
+
+    const lines = [`# ${recipe.name}`, ''];
+
+    if (meta.length > 0) {
+        lines.push(meta.join(' · '), '');
+    }
+
+    lines.push('## Ingredients', '');
+    recipe.ingredients.split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .forEach(line => {
+            if (!/:$/.test(line)) {
+                lines.push(`- ${line}`);
+                return;
+            }
+            // Subheadings such as "For the crust:" get a blank line either side
+            if (lines[lines.length - 1] !== '') lines.push('');
+            lines.push(`**${line}**`, '');
+        });
+
+    lines.push('', '## Instructions', '', recipe.instructions.trim(), '');
+
+    if (recipe.notes) {
+        lines.push('## Notes', '', recipe.notes.trim(), '');
+    }
+
+    if (recipe.comments.length > 0) {
+        lines.push('## Comments', '');
+        recipe.comments.forEach(comment => {
+            const date = comment.createdAt ? `, ${comment.createdAt.substring(0, 10)}` : '';
+            // Replies are quoted one level deeper
+            const quote = comment.parentId ? '> >' : '>';
+            lines.push(`${quote} ${comment.comment.replace(/\n/g, `\n${quote} `)}`, quote, `${quote} — *${comment.username}*${date}`, '');
+        });
+    }
+
+    if (recipe.createdAt) {
+        lines.push('---', '', `*Added ${recipe.createdAt.substring(0, 10)}*`, '');
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    COOKBOOK_FORMAT,
+    COOKBOOK_VERSION,
+    toIsoString,
+    serializeRecipe,
+    slugify,
+    recipeToMarkdown
+};
@@ -0,0 +1,379 @@
+/**
+ * VINTAGE COOKBOOK - COOKBOOK PDF
+ * Renders a set of recipes as one printable, paginated PDF
+ *
+ * Layout (US Letter):
+ * - a title page
+ * - a table of contents grouped by category, linking to each recipe
+ * - each recipe starting on a new page
+ * - page numbers in the footer of every page after the title page
+ *
+ * Everything is drawn with pdfkit and the standard PDF fonts, so nothing is
+ * fetched or installed at render time. Recipe photos are left out because
+ * they are stored as WebP, which pdfkit cannot embed.
+ */
+
+const PDFDocument = require('pdfkit');
+const { splitSteps } = require('../../shared/cooking');
+const { parseIngredientLine } = require('../../shared/ingredients');
+
+const MARGIN = 72;
+
+const FONTS = {
+    body: 'Times-Roman',
+    bold: 'Times-Bold',
+    italic: 'Times-Italic'
+};
+
+// Matches the site's ink and brown palette
+const COLORS = {
+    ink: '#2C1810',
+    muted: '#8B6F47',
+    rule: '#C19A6B'
+};
+
+const TOC_LINE_HEIGHT = 18;
+const TOC_TOP = MARGIN + 60;
+
+// The standard fonts only cover Windows-1252, so other fractions are spelled out
+const FRACTION_TEXT = {
+    '⅓': '1/3', '⅔': '2/3', '⅕': '1/5', '⅙': '1/6',
+    '⅛': '1/8', '⅜': '3/8', '⅝': '5/8', '⅞': '7/8', '⁄': '/'
+};
+
+/**
+ * Text the standard fonts can draw. Characters outside Windows-1252
+ * (emoji, most symbols) are dropped rather than printed as garbage.
+ */
+function pdfText(text) {
+    return String(text || '')
+        .replace(/[⅓⅔⅕⅙⅛⅜⅝⅞⁄]/g, char => FRACTION_TEXT[char])
+        .replace(/\r\n?/g, '\n')
+        .replace(/[^\n\x20-\x7E\xA0-\xFF–—‘’“”•…]/g, '')
+        .trim();
+}
+
+/**
+ * Display name of a category ID, e.g. main-course -> Main Course
+ */
+function categoryLabel(category) {
+    if (!category) return 'Other Recipes';
+    return category
+        .split('-')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+/**
+ * Recipes grouped by category, both in alphabetical order with
+ * uncategorized recipes last. Returns [{ label, recipes }].
+ */
+function groupByCategory(recipes) {
+    const groups = new Map();
+    recipes.forEach(recipe => {
+        const key = recipe.category || '';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(recipe);
+    });
+
+    const byName = (a, b) => (a.name || '').localeCompare(b.name || '', 'en', { numeric: true, sensitivity: 'base' });
+
+    return [...groups.entries()]
+        .sort(([a], [b]) => (!a) - (!b) || categoryLabel(a).localeCompare(categoryLabel(b)))
+        .map(([category, list]) => ({ label: categoryLabel(category), recipes: list.sort(byName) }));
+}
+
+/**
+ * Render recipes as a PDF.
+ * Resolves with the PDF file as a Buffer.
+ */
+function renderCookbookPdf(recipes, options = {}) {
+    const title = pdfText(options.title) || 'Family Cookbook';
+
+    const doc = new PDFDocument({
+        size: 'LETTER',
+        margin: MARGIN,
+        bufferPages: true,
+        autoFirstPage: false,
+        info: { Title: title, Creator: 'Vintage Cookbook' }
+    });
+
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const sections = groupByCategory(recipes);
+
+    addTitlePage(doc, title, options.subtitle, recipes.length);
+
+    // Reserve the contents pages now and fill them in once the page numbers are known
+    const tocStart = doc.bufferedPageRange().count;
+    const tocLines = sections.reduce((total, section) => total + 1 + section.recipes.length, 0);
+    const tocPageCount = Math.max(1, Math.ceil(tocLines / tocLinesPerPage(doc)));
+    for (let page = 0; page < tocPageCount; page++) {
+        doc.addPage();
+    }
+
+    const entries = [];
+    sections.forEach(section => {
+        section.recipes.forEach(recipe => {
+            doc.addPage();
+            const anchor = `recipe-${entries.length + 1}`;
+            doc.addNamedDestination(anchor);
+            entries.push({ section: section.label, recipe, anchor, page: doc.bufferedPageRange().count });
+            addRecipe(doc, recipe, section.label);
+        });
+    });
+
+    addContents(doc, tocStart, entries);
+    addPageNumbers(doc);
+
+    doc.end();
+    return finished;
+}
+
+/**
+ * Lines of the table of contents that fit on one page
+ */
+function tocLinesPerPage(doc) {
+    return Math.floor((doc.page.height - TOC_TOP - MARGIN) / TOC_LINE_HEIGHT);
+}
+
+/**
+ * Centered title page
+ */
+function addTitlePage(doc, title, subtitle, count) {
+    doc.addPage();
+    const width = doc.page.width - MARGIN * 2;
+
+    doc.y = doc.page.height / 3;
+    doc.font(FONTS.bold).fontSize(36).fillColor(COLORS.ink)
+        .text(title, MARGIN, doc.y, { width, align: 'center' });
+
+    addRule(doc, 120);
+
+    if (subtitle) {
+        doc.font(FONTS.italic).fontSize(16).fillColor(COLORS.muted)
+            .text(pdfText(subtitle), { width, align: 'center' });
+        doc.moveDown(0.5);
+    }
+
+    doc.font(FONTS.italic).fontSize(13).fillColor(COLORS.muted)
+        .text(`${count} recipe${count !== 1 ? 's' : ''}`, { width, align: 'center' });
+
+    const printed = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    doc.font(FONTS.body).fontSize(11)
+        .text(`Printed ${printed}`, MARGIN, doc.page.height - MARGIN - 20, { width, align: 'center', lineBreak: false });
+}
+
+/**
+ * Fill the reserved contents pages: category headings, then each recipe
+ * with a dotted leader to its page number. Every line links to its recipe.
+ */
+function addContents(doc, tocStart, entries) {
+    const perPage = tocLinesPerPage(doc);
+    const left = MARGIN;
+    const right = doc.page.width - MARGIN;
+    let line = 0;
+    let lastSection = null;
+
+    const position = () => {
+        doc.switchToPage(tocStart + Math.floor(line / perPage));
+        if (line % perPage === 0) {
+            doc.font(FONTS.bold).fontSize(22).fillColor(COLORS.ink)
+                .text(line === 0 ? 'Contents' : 'Contents (continued)', left, MARGIN, {
+                    width: right - left, align: 'center', lineBreak: false
+                });
+        }
+        return TOC_TOP + (line % perPage) * TOC_LINE_HEIGHT;
+    };
+
+    entries.forEach(entry => {
+        if (entry.section !== lastSection) {
+            const y = position();
+            doc.font(FONTS.italic).fontSize(14).fillColor(COLORS.muted)
+                .text(entry.section, left, y, { lineBreak: false });
+            lastSection = entry.section;
+            line++;
+        }
+
+        const y = position();
+        const pageLabel = String(entry.page);
+        doc.font(FONTS.body).fontSize(12).fillColor(COLORS.ink);
+
+        const pageWidth = doc.widthOfString(pageLabel);
+        const name = fitText(doc, pdfText(entry.recipe.name) || 'Untitled Recipe', right - left - pageWidth - 40);
+        const nameWidth = doc.widthOfString(name);
+
+        doc.text(name, left + 12, y, { lineBreak: false });
+        doc.text(pageLabel, right - pageWidth, y, { lineBreak: false });
+        doc.goTo(left, y - 2, right - left, TOC_LINE_HEIGHT, entry.anchor);
+
+        // Dotted leader between the name and the page number
+        doc.save()
+            .moveTo(left + 12 + nameWidth + 6, y + 10)
+            .lineTo(right - pageWidth - 6, y + 10)
+            .dash(1, { space: 3 })
+            .strokeColor(COLORS.rule)
+            .stroke()
+            .restore();
+
+        line++;
+    });
+}
+
+/**
+ * Shorten text with an ellipsis until it fits the width in the current font
+ */
+function fitText(doc, text, width) {
+    if (doc.widthOfString(text) <= width) return text;
+
+    let fitted = text;
+    while (fitted.length > 1 && doc.widthOfString(`${fitted}…`) > width) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted.trimEnd()}…`;
+}
+
+/**
+ * One recipe: header, ingredients, numbered method and notes.
+ * Long recipes flow onto further pages.
+ */
+function addRecipe(doc, recipe, sectionLabel) {
+    const left = MARGIN;
+    const width = doc.page.width - MARGIN * 2;
+
+    doc.font(FONTS.italic).fontSize(11).fillColor(COLORS.muted)
+        .text(sectionLabel, left, MARGIN, { width, align: 'center' });
+    doc.moveDown(0.3);
+
+    doc.font(FONTS.bold).fontSize(24).fillColor(COLORS.ink)
+        .text(pdfText(recipe.name) || 'Untitled Recipe', { width, align: 'center' });
+
+    const meta = [
+        recipe.prepTime ? `Prep ${pdfText(recipe.prepTime)}` : '',
+        recipe.cookTime ? `Cook ${pdfText(recipe.cookTime)}` : '',
+        recipe.servings ? `Serves ${recipe.servings}` : ''
+    ].filter(part => part.length > 0);
+
+    if (meta.length > 0) {
+        doc.moveDown(0.3);
+        doc.font(FONTS.body).fontSize(11).fillColor(COLORS.muted)
+            .text(meta.join('  ·  '), { width, align: 'center' });
+    }
+
+    addRule(doc, 160);
+
+    const ingredients = pdfText(recipe.ingredients).split('\n').filter(line => line.trim().length > 0);
+    if (ingredients.length > 0) {
+        addHeading(doc, 'Ingredients');
+        ingredients.forEach(line => {
+            const ingredient = parseIngredientLine(line);
+            if (ingredient.heading) {
+                doc.moveDown(0.3);
+                doc.font(FONTS.italic).fontSize(12).fillColor(COLORS.muted)
+                    .text(ingredient.item, left, doc.y, { width });
+                return;
+            }
+
+            const text = ingredient.raw.replace(/^[-*•·]\s*/, '');
+            const y = doc.y;
+            doc.circle(left + 4, y + 6, 1.5).fillColor(COLORS.muted).fill();
+            doc.font(FONTS.body).fontSize(12).fillColor(COLORS.ink)
+                .text(text, left + 14, y, { width: width - 14 });
+            doc.moveDown(0.15);
+        });
+    }
+
+    const steps = splitSteps(pdfText(recipe.instructions));
+    if (steps.length > 0) {
+        addHeading(doc, 'Method');
+        let section = null;
+        steps.forEach(step => {
+            if (step.section && step.section !== section) {
+                doc.moveDown(0.3);
+                doc.font(FONTS.italic).fontSize(12).fillColor(COLORS.muted)
+                    .text(step.section, left, doc.y, { width });
+                doc.moveDown(0.2);
+            }
+            section = step.section;
+
+            // Start the step on a new page rather than splitting its number from its text
+            if (doc.y + 30 > doc.page.height - MARGIN) doc.addPage();
+
+            const y = doc.y;
+            doc.font(FONTS.bold).fontSize(12).fillColor(COLORS.muted)
+                .text(`${step.number}.`, left, y, { width: 20, lineBreak: false });
+            doc.font(FONTS.body).fillColor(COLORS.ink)
+                .text(step.text, left + 22, y, { width: width - 22 });
+            doc.moveDown(0.4);
+        });
+    }
+
+    const notes = pdfText(recipe.notes);
+    if (notes) {
+        addHeading(doc, 'Notes');
+        doc.font(FONTS.italic).fontSize(12).fillColor(COLORS.ink)
+            .text(notes, left, doc.y, { width });
+    }
+}
+
+/**
+ * Section heading inside a recipe, kept with at least a line of its content
+ */
+function addHeading(doc, text) {
+    doc.moveDown(0.8);
+    if (doc.y + 50 > doc.page.height - MARGIN) doc.addPage();
+
+    doc.font(FONTS.bold).fontSize(15).fillColor(COLORS.ink)
+        .text(text, MARGIN, doc.y);
+    doc.moveDown(0.3);
+}
+
+/**
+ * Short centered rule below a title
+ */
+function addRule(doc, length) {
+    doc.moveDown(0.8);
+    const x = (doc.page.width - length) / 2;
+    doc.save()
+        .moveTo(x, doc.y)
+        .lineTo(x + length, doc.y)
+        .lineWidth(1)
+        .strokeColor(COLORS.rule)
+        .stroke()
+        .restore();
+    doc.moveDown(0.8);
+}
+
+/**
+ * Page numbers in the footer, skipping the title page
+ */
+function addPageNumbers(doc) {
+    const range = doc.bufferedPageRange();
+
+    for (let index = range.start + 1; index < range.start + range.count; index++) {
+        doc.switchToPage(index);
+
+        // Writing inside the bottom margin would otherwise start a new page
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font(FONTS.body).fontSize(10).fillColor(COLORS.muted)
+            .text(String(index + 1), MARGIN, doc.page.height - MARGIN / 2 - 10, {
+                width: doc.page.width - MARGIN * 2,
+                align: 'center',
+                lineBreak: false
+            });
+        doc.page.margins.bottom = bottom;
+    }
+}
+
+module.exports = {
+    pdfText,
+    categoryLabel,
+    groupByCategory,
+    renderCookbookPdf
+};
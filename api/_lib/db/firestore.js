@@ -0,0 +1,24 @@
+/**
+ * VINTAGE COOKBOOK - FIRESTORE BACKEND
+ * Keeps data in the Firebase project's Firestore database
+ */
+
+const { getFirebaseAdmin } = require('../firebase');
+
+const admin = getFirebaseAdmin();
+const db = admin.firestore();
+
+// Optional fields left undefined are dropped rather than rejected
+db.settings({
+    ignoreUndefinedProperties: true
+});
+
+module.exports = {
+    name: 'firestore',
+    db: db,
+    FieldValue: admin.firestore.FieldValue,
+    Timestamp: admin.firestore.Timestamp,
+    auth: {
+        verifyIdToken: token => admin.auth().verifyIdToken(token)
+    }
+};
@@ -0,0 +1,63 @@
+/**
+ * VINTAGE COOKBOOK - DATABASE
+ * Picks where recipes, comments and everything else are kept
+ *
+ * Backends provide the same Firestore-style interface:
+ *   db          - collection(), getAll(), batch() and runTransaction()
+ *   FieldValue  - serverTimestamp(), increment(), arrayUnion(), arrayRemove(), delete()
+ *   Timestamp   - fromDate(), fromMillis() and now()
+ *   auth        - verifyIdToken(token) for the sign-in tokens that go with the data
+ *
+ * DB_BACKEND chooses 'firestore' (Firebase Firestore and Firebase Auth, the
+ * default) or 'local' (kept in memory, and in LOCAL_DB_FILE if set, for
+ * development and tests). The local backend accepts made-up sign-in tokens,
+ * so it must be asked for by name and is refused on Vercel or when
+ * NODE_ENV=production.
+ */
+
+const BACKENDS = {
+    firestore: () => require('./firestore'),
+    local: () => require('./local')
+};
+
+let database = null;
+
+/**
+ * Whether we are running as a deployment rather than in development
+ */
+function isDeployment() {
+    return Boolean(process.env.VERCEL) || process.env.NODE_ENV === 'production';
+}
+
+/**
+ * Name of the configured backend
+ */
+function getDatabaseName() {
+    const name = process.env.DB_BACKEND || 'firestore';
+
+    if (name === 'local' && isDeployment()) {
+        throw new Error('DB_BACKEND "local" is for development only and cannot be used in production');
+    }
+    return name;
+}
+
+/**
+ * The configured backend, created on first use
+ */
+function getDatabase() {
+    if (!database) {
+        const name = getDatabaseName();
+
+        if (!BACKENDS[name]) {
+            throw new Error(`Unknown DB_BACKEND "${name}"`);
+        }
+        database = BACKENDS[name]();
+    }
+    return database;
+}
+
+module.exports = {
+    getDatabase,
+    getDatabaseName,
+    isDeployment
+};
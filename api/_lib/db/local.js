@@ -0,0 +1,740 @@
+/**
+ * VINTAGE COOKBOOK - LOCAL DATABASE BACKEND
+ * Keeps data in memory for development and tests, shaped the way Firestore keeps it
+ *
+ * Covers the parts of the Firestore API the handlers use: documents and
+ * subcollections, where/orderBy/limit/startAfter/select queries, getAll,
+ * batches, transactions and the FieldValue sentinels. Transactions run one
+ * at a time, so they never have to be retried.
+ *
+ * With LOCAL_DB_FILE set, data is loaded from that JSON file at start and
+ * written back after every change. The file maps collection paths to
+ * documents by ID, e.g. { "recipes": { "abc": { ... } } }, with timestamps
+ * written as { _seconds, _nanoseconds } as they appear in API responses.
+ *
+ * Sign-in tokens are not checked with Firebase: "local:<uid>" (or
+ * "local:<uid>:<display name>") signs in as that user. Roles are granted by
+ * adding roles/{uid} documents to the file.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * A point in time, as Firestore returns it
+ */
+class Timestamp {
+    constructor(seconds, nanoseconds) {
+        this._seconds = seconds;
+        this._nanoseconds = nanoseconds;
+    }
+
+    static fromMillis(milliseconds) {
+        const seconds = Math.floor(milliseconds / 1000);
+        return new Timestamp(seconds, Math.round((milliseconds - seconds * 1000) * 1e6));
+    }
+
+    static fromDate(date) {
+        return Timestamp.fromMillis(date.getTime());
+    }
+
+    static now() {
+        return Timestamp.fromMillis(Date.now());
+    }
+
+    get seconds() {
+        return this._seconds;
+    }
+
+    get nanoseconds() {
+        return this._nanoseconds;
+    }
+
+    toMillis() {
+        return this._seconds * 1000 + Math.floor(this._nanoseconds / 1e6);
+    }
+
+    toDate() {
+        return new Date(this.toMillis());
+    }
+
+    isEqual(other) {
+        return other instanceof Timestamp
+            && other._seconds === this._seconds
+            && other._nanoseconds === this._nanoseconds;
+    }
+}
+
+/**
+ * A value worked out when a write is applied (server time, increments...)
+ */
+class FieldTransform {
+    constructor(type, operand) {
+        this.type = type;
+        this.operand = operand;
+    }
+}
+
+const FieldValue = {
+    serverTimestamp: () => new FieldTransform('serverTimestamp'),
+    increment: amount => new FieldTransform('increment', amount),
+    arrayUnion: (...elements) => new FieldTransform('arrayUnion', elements),
+    arrayRemove: (...elements) => new FieldTransform('arrayRemove', elements),
+    delete: () => new FieldTransform('delete')
+};
+
+// Collection path -> Map of document ID -> data
+const collections = new Map();
+
+/* ============================================
+   VALUES
+   ============================================ */
+
+/**
+ * Whether a value is a plain object (a map field), not a special value
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * A deep copy of a stored value. Dates become Timestamps and undefined
+ * fields are dropped, as Firestore does.
+ */
+function copyValue(value) {
+    if (value instanceof Timestamp) return new Timestamp(value._seconds, value._nanoseconds);
+    if (value instanceof Date) return Timestamp.fromDate(value);
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    if (Array.isArray(value)) return value.map(copyValue);
+    if (isPlainObject(value)) {
+        const copy = {};
+        Object.entries(value).forEach(([key, fieldValue]) => {
+            if (fieldValue !== undefined) copy[key] = copyValue(fieldValue);
+        });
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Whether two values are equal, comparing arrays and maps by content
+ */
+function valuesEqual(a, b) {
+    if (a instanceof Timestamp || b instanceof Timestamp) {
+        return a instanceof Timestamp && a.isEqual(b);
+    }
+    if (Array.isArray(a) || isPlainObject(a)) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+    return a === b;
+}
+
+// Sort order of value types, following Firestore
+const TYPE_ORDER = ['null', 'boolean', 'number', 'timestamp', 'string', 'array', 'map'];
+
+/**
+ * Type of a value for ordering
+ */
+function typeOf(value) {
+    if (value === null || value === undefined) return 'null';
+    if (value instanceof Timestamp) return 'timestamp';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'object') return 'map';
+    return typeof value;
+}
+
+/**
+ * Compare two values in Firestore order: negative, zero or positive
+ */
+function compareValues(a, b) {
+    const typeA = typeOf(a);
+    const typeB = typeOf(b);
+    if (typeA !== typeB) return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+
+    switch (typeA) {
+        case 'null':
+            return 0;
+        case 'timestamp':
+            return a.toMillis() - b.toMillis() || a._nanoseconds - b._nanoseconds;
+        case 'array':
+        case 'map':
+            return compareValues(JSON.stringify(a), JSON.stringify(b));
+        default:
+            return a < b ? -1 : a > b ? 1 : 0;
+    }
+}
+
+/**
+ * Read a field by path ("a.b.c"), or undefined
+ */
+function getField(data, fieldPath) {
+    return String(fieldPath).split('.').reduce(
+        (value, key) => (isPlainObject(value) ? value[key] : undefined),
+        data
+    );
+}
+
+/**
+ * The new value of a field after a write, working out any transform
+ */
+function resolveValue(value, current) {
+    if (value instanceof FieldTransform) {
+        switch (value.type) {
+            case 'serverTimestamp':
+                return commitTime;
+            case 'increment':
+                return (typeof current === 'number' ? current : 0) + value.operand;
+            case 'arrayUnion': {
+                const result = Array.isArray(current) ? copyValue(current) : [];
+                value.operand.forEach(element => {
+                    if (!result.some(existing => valuesEqual(existing, element))) {
+                        result.push(copyValue(element));
+                    }
+                });
+                return result;
+            }
+            case 'arrayRemove':
+                return (Array.isArray(current) ? copyValue(current) : [])
+                    .filter(existing => !value.operand.some(element => valuesEqual(existing, element)));
+            default:
+                return undefined;
+        }
+    }
+
+    if (isPlainObject(value)) {
+        const result = {};
+        Object.entries(value).forEach(([key, fieldValue]) => {
+            const resolved = resolveValue(fieldValue, isPlainObject(current) ? current[key] : undefined);
+            if (resolved !== undefined) result[key] = resolved;
+        });
+        return result;
+    }
+
+    return copyValue(value);
+}
+
+/**
+ * Merge fields into a document, as set(data, { merge: true }) does
+ */
+function mergeFields(existing, data) {
+    const result = { ...existing };
+    Object.entries(data).forEach(([key, value]) => {
+        if (value === undefined) return;
+        if (isPlainObject(value) && isPlainObject(existing[key])) {
+            result[key] = mergeFields(existing[key], value);
+        } else {
+            const resolved = resolveValue(value, existing[key]);
+            if (resolved === undefined) {
+                delete result[key];
+            } else {
+                result[key] = resolved;
+            }
+        }
+    });
+    return result;
+}
+
+/**
+ * Apply update(data): keys are field paths, so "a.b" changes one nested field
+ */
+function updateFields(existing, data) {
+    const result = copyValue(existing);
+    Object.entries(data).forEach(([fieldPath, value]) => {
+        if (value === undefined) return;
+
+        const keys = fieldPath.split('.');
+        const last = keys.pop();
+        let target = result;
+        keys.forEach(key => {
+            if (!isPlainObject(target[key])) target[key] = {};
+            target = target[key];
+        });
+
+        const resolved = resolveValue(value, target[last]);
+        if (resolved === undefined) {
+            delete target[last];
+        } else {
+            target[last] = resolved;
+        }
+    });
+    return result;
+}
+
+/* ============================================
+   STORAGE
+   ============================================ */
+
+/**
+ * Documents of a collection, created when first written
+ */
+function documentsOf(collectionPath, create = false) {
+    if (!collections.has(collectionPath) && create) {
+        collections.set(collectionPath, new Map());
+    }
+    return collections.get(collectionPath) || new Map();
+}
+
+/**
+ * Firestore-style error with a gRPC status code
+ */
+function firestoreError(code, status, message) {
+    const error = new Error(`${code} ${status}: ${message}`);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Apply one write: { type: 'set' | 'update' | 'delete', ref, data, options }
+ */
+function applyWrite(write) {
+    const documents = documentsOf(write.ref._collectionPath, true);
+    const existing = documents.get(write.ref.id);
+
+    if (write.type === 'delete') {
+        documents.delete(write.ref.id);
+    } else if (write.type === 'update') {
+        if (!existing) {
+            throw firestoreError(5, 'NOT_FOUND', `No document to update: ${write.ref.path}`);
+        }
+        documents.set(write.ref.id, updateFields(existing, write.data));
+    } else if (write.options && write.options.merge) {
+        documents.set(write.ref.id, mergeFields(existing || {}, write.data));
+    } else {
+        documents.set(write.ref.id, resolveValue(write.data, undefined));
+    }
+}
+
+// Time of the commit being applied. Like Firestore's, commit times have
+// microsecond precision and always move forward, so documents written in the
+// same millisecond still sort in the order they were written.
+let commitTime = null;
+let lastCommitMicros = 0;
+
+/**
+ * Apply writes together, then save the data file
+ */
+function commitWrites(writes) {
+    // Updates to missing documents fail the whole commit, as in Firestore
+    writes.forEach(write => {
+        if (write.type === 'update' && !documentsOf(write.ref._collectionPath).has(write.ref.id)
+            && !writes.some(other => other !== write && other.type === 'set' && other.ref.path === write.ref.path)) {
+            throw firestoreError(5, 'NOT_FOUND', `No document to update: ${write.ref.path}`);
+        }
+    });
+
+    lastCommitMicros = Math.max(Date.now() * 1000, lastCommitMicros + 1);
+    commitTime = new Timestamp(Math.floor(lastCommitMicros / 1e6), (lastCommitMicros % 1e6) * 1000);
+
+    writes.forEach(applyWrite);
+    saveDataFile();
+
+    const writeTime = commitTime;
+    return writes.map(() => ({ writeTime }));
+}
+
+/**
+ * Turn { _seconds, _nanoseconds } objects read from the data file back into Timestamps
+ */
+function reviveTimestamps(value) {
+    if (Array.isArray(value)) return value.map(reviveTimestamps);
+    if (isPlainObject(value)) {
+        const keys = Object.keys(value);
+        if (keys.length === 2 && typeof value._seconds === 'number' && typeof value._nanoseconds === 'number') {
+            return new Timestamp(value._seconds, value._nanoseconds);
+        }
+        const revived = {};
+        keys.forEach(key => {
+            revived[key] = reviveTimestamps(value[key]);
+        });
+        return revived;
+    }
+    return value;
+}
+
+/**
+ * Load LOCAL_DB_FILE, if there is one
+ */
+function loadDataFile() {
+    const file = process.env.LOCAL_DB_FILE;
+    if (!file || !fs.existsSync(file)) return;
+
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.entries(data).forEach(([collectionPath, documents]) => {
+        collections.set(collectionPath, new Map(
+            Object.entries(documents).map(([id, fields]) => [id, reviveTimestamps(fields)])
+        ));
+    });
+}
+
+/**
+ * Write everything to LOCAL_DB_FILE, if set
+ */
+function saveDataFile() {
+    const file = process.env.LOCAL_DB_FILE;
+    if (!file) return;
+
+    const data = {};
+    collections.forEach((documents, collectionPath) => {
+        if (documents.size > 0) data[collectionPath] = Object.fromEntries(documents);
+    });
+
+    // Written beside the file and renamed, so a crash never leaves half a file
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Remove all data, e.g. between tests
+ */
+function clear() {
+    collections.clear();
+    saveDataFile();
+}
+
+/* ============================================
+   DOCUMENTS AND QUERIES
+   ============================================ */
+
+/**
+ * A document read at one moment
+ */
+class DocumentSnapshot {
+    constructor(ref, data) {
+        this.ref = ref;
+        this.id = ref.id;
+        this.exists = data !== undefined;
+        this._data = data;
+    }
+
+    data() {
+        return this.exists ? copyValue(this._data) : undefined;
+    }
+
+    get(fieldPath) {
+        return copyValue(getField(this._data, fieldPath));
+    }
+}
+
+/**
+ * The documents matching a query
+ */
+class QuerySnapshot {
+    constructor(docs) {
+        this.docs = docs;
+        this.size = docs.length;
+        this.empty = docs.length === 0;
+    }
+
+    forEach(callback) {
+        this.docs.forEach(callback);
+    }
+}
+
+/**
+ * A document by collection path and ID
+ */
+class DocumentReference {
+    constructor(collectionPath, id) {
+        this._collectionPath = collectionPath;
+        this.id = id;
+        this.path = `${collectionPath}/${id}`;
+    }
+
+    get parent() {
+        return new CollectionReference(this._collectionPath);
+    }
+
+    collection(name) {
+        return new CollectionReference(`${this.path}/${name}`);
+    }
+
+    async get() {
+        return new DocumentSnapshot(this, documentsOf(this._collectionPath).get(this.id));
+    }
+
+    async set(data, options = {}) {
+        return commitWrites([{ type: 'set', ref: this, data, options }])[0];
+    }
+
+    async update(data) {
+        return commitWrites([{ type: 'update', ref: this, data }])[0];
+    }
+
+    async delete() {
+        return commitWrites([{ type: 'delete', ref: this }])[0];
+    }
+}
+
+/**
+ * Filters, ordering and limits over one collection
+ */
+class Query {
+    constructor(collectionPath, options = {}) {
+        this._collectionPath = collectionPath;
+        this._options = {
+            filters: [],
+            orders: [],
+            limit: null,
+            cursor: null,
+            fields: null,
+            ...options
+        };
+    }
+
+    _with(changes) {
+        return new Query(this._collectionPath, { ...this._options, ...changes });
+    }
+
+    where(fieldPath, op, value) {
+        if (!FILTERS[op]) {
+            throw new Error(`Unsupported where() operator "${op}"`);
+        }
+        return this._with({ filters: [...this._options.filters, { fieldPath, op, value }] });
+    }
+
+    orderBy(fieldPath, direction = 'asc') {
+        return this._with({ orders: [...this._options.orders, { fieldPath, direction }] });
+    }
+
+    limit(count) {
+        return this._with({ limit: count });
+    }
+
+    startAfter(...values) {
+        return this._with({ cursor: values });
+    }
+
+    select(...fields) {
+        return this._with({ fields });
+    }
+
+    async get() {
+        const { filters, orders, limit, cursor, fields } = this._options;
+
+        let entries = [...documentsOf(this._collectionPath)]
+            .filter(([, data]) => filters.every(filter => matchesFilter(data, filter)))
+            // Ordering by a field leaves out documents without it
+            .filter(([, data]) => orders.every(order => getField(data, order.fieldPath) !== undefined));
+
+        const compare = (a, b) => {
+            for (const order of orders) {
+                const result = compareValues(getField(a[1], order.fieldPath), getField(b[1], order.fieldPath));
+                if (result !== 0) return order.direction === 'desc' ? -result : result;
+            }
+            return compareValues(a[0], b[0]);
+        };
+        entries.sort(compare);
+
+        if (cursor) {
+            const after = cursorEntry(cursor, orders);
+            entries = entries.filter(entry => compare(entry, after) > 0);
+        }
+        if (limit !== null) {
+            entries = entries.slice(0, limit);
+        }
+
+        return new QuerySnapshot(entries.map(([id, data]) => {
+            const ref = new DocumentReference(this._collectionPath, id);
+            if (!fields) return new DocumentSnapshot(ref, data);
+
+            const selected = {};
+            fields.forEach(field => {
+                const value = getField(data, field);
+                if (value !== undefined) selected[field] = value;
+            });
+            return new DocumentSnapshot(ref, selected);
+        }));
+    }
+}
+
+/**
+ * A collection: a query over all its documents that can also add them
+ */
+class CollectionReference extends Query {
+    constructor(collectionPath) {
+        super(collectionPath);
+        this.path = collectionPath;
+        this.id = collectionPath.split('/').pop();
+    }
+
+    doc(id = autoId()) {
+        return new DocumentReference(this.path, id);
+    }
+
+    async add(data) {
+        const ref = this.doc();
+        await ref.set(data);
+        return ref;
+    }
+}
+
+/**
+ * Where-clause operators, as (field value, filter value) -> match
+ */
+const FILTERS = {
+    '==': (value, target) => valuesEqual(value, target),
+    '!=': (value, target) => !valuesEqual(value, target),
+    '<': (value, target) => typeOf(value) === typeOf(target) && compareValues(value, target) < 0,
+    '<=': (value, target) => typeOf(value) === typeOf(target) && compareValues(value, target) <= 0,
+    '>': (value, target) => typeOf(value) === typeOf(target) && compareValues(value, target) > 0,
+    '>=': (value, target) => typeOf(value) === typeOf(target) && compareValues(value, target) >= 0,
+    'in': (value, targets) => targets.some(target => valuesEqual(value, target)),
+    'not-in': (value, targets) => !targets.some(target => valuesEqual(value, target)),
+    'array-contains': (value, target) => Array.isArray(value) && value.some(element => valuesEqual(element, target)),
+    'array-contains-any': (value, targets) => Array.isArray(value)
+        && value.some(element => targets.some(target => valuesEqual(element, target)))
+};
+
+/**
+ * Whether a document passes a where() filter. Documents without the field never do.
+ */
+function matchesFilter(data, filter) {
+    const value = getField(data, filter.fieldPath);
+    return value !== undefined && FILTERS[filter.op](value, filter.value);
+}
+
+/**
+ * The position given to startAfter(): a document snapshot or the values of the orderBy fields
+ */
+function cursorEntry(cursor, orders) {
+    if (cursor[0] instanceof DocumentSnapshot) {
+        return [cursor[0].id, cursor[0]._data];
+    }
+
+    const data = {};
+    orders.forEach((order, index) => {
+        order.fieldPath.split('.').reduce((target, key, keyIndex, keys) => {
+            if (keyIndex === keys.length - 1) {
+                target[key] = cursor[index];
+                return target;
+            }
+            target[key] = target[key] || {};
+            return target[key];
+        }, data);
+    });
+    // Without a document ID the cursor sits after every document with these values
+    return ['\uffff', data];
+}
+
+/**
+ * A random 20-character document ID, like Firestore's
+ */
+function autoId() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    return Array.from(crypto.randomBytes(20), byte => chars[byte % chars.length]).join('');
+}
+
+/* ============================================
+   BATCHES AND TRANSACTIONS
+   ============================================ */
+
+/**
+ * Writes collected to be applied together
+ */
+class WriteBatch {
+    constructor() {
+        this._writes = [];
+    }
+
+    set(ref, data, options = {}) {
+        this._writes.push({ type: 'set', ref, data, options });
+        return this;
+    }
+
+    update(ref, data) {
+        this._writes.push({ type: 'update', ref, data });
+        return this;
+    }
+
+    delete(ref) {
+        this._writes.push({ type: 'delete', ref });
+        return this;
+    }
+
+    async commit() {
+        return commitWrites(this._writes);
+    }
+}
+
+/**
+ * Reads and buffered writes inside runTransaction()
+ */
+class Transaction extends WriteBatch {
+    async get(refOrQuery) {
+        return refOrQuery.get();
+    }
+
+    async getAll(...refs) {
+        return Promise.all(refs.map(ref => ref.get()));
+    }
+}
+
+// Transactions wait for the one before them to finish
+let transactionQueue = Promise.resolve();
+
+const db = {
+    collection(collectionPath) {
+        return new CollectionReference(collectionPath);
+    },
+
+    doc(documentPath) {
+        const parts = documentPath.split('/');
+        const id = parts.pop();
+        return new DocumentReference(parts.join('/'), id);
+    },
+
+    async getAll(...refs) {
+        // A trailing read options object (e.g. { fieldMask }) is ignored
+        return Promise.all(refs.filter(ref => ref instanceof DocumentReference).map(ref => ref.get()));
+    },
+
+    batch() {
+        return new WriteBatch();
+    },
+
+    runTransaction(updateFunction) {
+        const run = async () => {
+            const transaction = new Transaction();
+            const result = await updateFunction(transaction);
+            commitWrites(transaction._writes);
+            return result;
+        };
+
+        const result = transactionQueue.then(run, run);
+        transactionQueue = result.catch(() => {});
+        return result;
+    },
+
+    settings() {
+        // Nothing to configure; undefined fields are always dropped
+    }
+};
+
+/**
+ * Sign in with "local:<uid>" or "local:<uid>:<display name>"
+ */
+async function verifyIdToken(token) {
+    const match = String(token).match(/^local:([^:]+)(?::(.+))?$/);
+    if (!match) {
+        throw new Error('Local sign-in tokens look like "local:<uid>"');
+    }
+    return {
+        uid: match[1],
+        name: match[2] || match[1]
+    };
+}
+
+loadDataFile();
+
+module.exports = {
+    name: 'local',
+    db: db,
+    FieldValue: FieldValue,
+    Timestamp: Timestamp,
+    auth: {
+        verifyIdToken
+    },
+    clear
+};
@@ -0,0 +1,37 @@
+/**
+ * VINTAGE COOKBOOK - FIREBASE APP
+ * The firebase-admin app shared by the Firestore and Cloud Storage backends
+ *
+ * The app is set up on first use from the service account in
+ * FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL and FIREBASE_PRIVATE_KEY, so
+ * nothing connects to Firebase when the local backends are in use.
+ */
+
+const admin = require('firebase-admin');
+
+/**
+ * The initialized firebase-admin module
+ */
+function getFirebaseAdmin() {
+    if (!admin.apps.length) {
+        try {
+            admin.initializeApp({
+                credential: admin.credential.cert({
+                    projectId: process.env.FIREBASE_PROJECT_ID,
+                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                    privateKey: process.env.FIREBASE_PRIVATE_KEY
+                        ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
+                        : undefined
+                }),
+                storageBucket: process.env.FIREBASE_STORAGE_BUCKET
+            });
+        } catch (error) {
+            console.error('Firebase initialization error:', error);
+        }
+    }
+    return admin;
+}
+
+module.exports = {
+    getFirebaseAdmin
+};
@@ -0,0 +1,144 @@
+/**
+ * VINTAGE COOKBOOK - RECIPE PHOTOS
+ * Upload checks and the image references stored on recipes
+ *
+ * Each upload is stored as two WebP variants under recipe-photos/{id}/
+ * (see /api/uploads, which does the resizing):
+ * - card.webp: cropped to 3:2 for recipe cards
+ * - full.webp: up to 1600px wide for the recipe detail
+ *
+ * The `uploads` collection records who uploaded each photo (uploads/{id}
+ * with uploaderId), so a recipe can only be given a photo its editor
+ * uploaded. A photo's files are only deleted once no recipe uses it.
+ */
+
+const { getStorage } = require('./storage');
+
+// Vercel rejects request bodies over 4.5 MB
+const MAX_UPLOAD_BYTES = 4 * 1024 * 1024;
+
+const STORAGE_PREFIX = 'recipe-photos';
+const UPLOADS_COLLECTION = 'uploads';
+
+/**
+ * Accepted image types and the bytes each file starts with
+ */
+const IMAGE_SIGNATURES = {
+    'image/jpeg': buffer => buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF,
+    'image/png': buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])),
+    'image/webp': buffer => buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP'
+};
+
+/**
+ * Sizes generated for each upload
+ */
+const VARIANTS = {
+    card: { width: 600, height: 400, fit: 'cover' },
+    full: { width: 1600, height: 1600, fit: 'inside' }
+};
+
+// Upload IDs are random UUIDs
+const IMAGE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * The image type of a file from its first bytes, or null if it is not an accepted image
+ */
+function detectImageType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+    const match = Object.entries(IMAGE_SIGNATURES).find(([, matches]) => matches(buffer));
+    return match ? match[0] : null;
+}
+
+/**
+ * Why an upload cannot be accepted, or null if it is fine
+ */
+function uploadProblem(buffer) {
+    if (!buffer || buffer.length === 0) return 'Please choose a photo to upload';
+    if (buffer.length > MAX_UPLOAD_BYTES) {
+        return `Photos must be smaller than ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`;
+    }
+    if (!detectImageType(buffer)) return 'Photos must be JPEG, PNG or WebP images';
+    return null;
+}
+
+/**
+ * Storage path of one variant of an upload
+ */
+function variantPath(id, variant) {
+    return `${STORAGE_PREFIX}/${id}/${variant}.webp`;
+}
+
+/**
+ * Reference to the record of who uploaded a photo
+ */
+function uploadRef(db, id) {
+    return db.collection(UPLOADS_COLLECTION).doc(id);
+}
+
+/**
+ * Whether an image reference sent back points at the stored one. Photos
+ * saved before uploads had IDs are recognised by their URL.
+ */
+function isSameImage(image, currentImage) {
+    if (image.id || currentImage.id) return image.id === currentImage.id;
+    return Boolean(image.fullUrl) && image.fullUrl === currentImage.fullUrl;
+}
+
+/**
+ * Check an image reference sent with a recipe. The URLs are rebuilt from
+ * the upload ID so a recipe can only point at photos we stored, and a new
+ * photo must have been uploaded by the user saving the recipe.
+ * Returns the reference, null if there is no valid photo, or undefined if
+ * the recipe's current photo (`currentImage`) was sent back unchanged, so
+ * it is kept as it is even when it is not one of ours.
+ */
+async function prepareImageReference(db, image, user, currentImage = null) {
+    if (!image || typeof image !== 'object') return null;
+    if (currentImage && isSameImage(image, currentImage)) return undefined;
+    if (!IMAGE_ID_PATTERN.test(image.id)) return null;
+
+    const upload = await uploadRef(db, image.id).get();
+    if (!upload.exists || upload.data().uploaderId !== user.uid) return null;
+
+    const storage = getStorage();
+    const dimension = value => (Number.isInteger(value) && value > 0 ? value : null);
+
+    return {
+        id: image.id,
+        cardUrl: storage.urlFor(variantPath(image.id, 'card')),
+        fullUrl: storage.urlFor(variantPath(image.id, 'full')),
+        width: dimension(image.width),
+        height: dimension(image.height)
+    };
+}
+
+/**
+ * Delete the stored files of a photo taken off a recipe, unless another
+ * recipe still uses it. Failures are logged, not thrown, since a leftover
+ * file should not stop a recipe from saving.
+ */
+async function removeRecipePhoto(db, image) {
+    if (!image || !IMAGE_ID_PATTERN.test(image.id)) return;
+
+    try {
+        const stillUsed = await db.collection('recipes').where('image.id', '==', image.id).limit(1).get();
+        if (!stillUsed.empty) return;
+
+        await getStorage().remove(`${STORAGE_PREFIX}/${image.id}/`);
+        await uploadRef(db, image.id).delete();
+    } catch (error) {
+        console.error('Error removing recipe photo:', error);
+    }
+}
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    VARIANTS,
+    detectImageType,
+    uploadProblem,
+    variantPath,
+    uploadRef,
+    prepareImageReference,
+    removeRecipePhoto
+};
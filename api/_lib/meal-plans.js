@@ -0,0 +1,129 @@
+/**
+ * VINTAGE COOKBOOK - MEAL PLANS
+ * Weeks, slots and the meals stored in each user's weekly plan
+ *
+ * A plan covers one week, Monday to Sunday, and is stored as
+ * mealPlans/{uid}_{weekStart} where weekStart is the Monday (YYYY-MM-DD).
+ * Each meal puts one recipe in a slot:
+ *   { id, day, meal, recipeId, servings }
+ * where day is 0 (Monday) to 6 (Sunday) and meal is breakfast, lunch or
+ * dinner. A slot can hold several recipes (a main and a side). Servings of
+ * null means the recipe's own servings.
+ */
+
+const crypto = require('crypto');
+const { sanitizeString, isDocumentId } = require('./validation');
+
+const MEAL_PLANS_COLLECTION = 'mealPlans';
+
+/**
+ * Slots in each day, in display order
+ */
+const MEALS = ['breakfast', 'lunch', 'dinner'];
+
+const DAYS_PER_WEEK = 7;
+const MAX_MEALS_PER_PLAN = 100;
+const MAX_SERVINGS = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The Monday starting the week that contains a YYYY-MM-DD date, as
+ * YYYY-MM-DD, or null if the date is not valid
+ */
+function weekStartOf(dateString) {
+    const match = String(dateString || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    if (Number.isNaN(date.getTime()) || date.toISOString().substring(0, 10) !== match[0]) {
+        return null;
+    }
+
+    // getUTCDay() is 0 on Sunday, which belongs to the week before
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - daysSinceMonday * DAY_MS).toISOString().substring(0, 10);
+}
+
+/**
+ * The week start a number of weeks before or after another week start
+ */
+function addWeeks(weekStart, weeks) {
+    const date = new Date(`${weekStart}T00:00:00Z`);
+    return new Date(date.getTime() + weeks * DAYS_PER_WEEK * DAY_MS).toISOString().substring(0, 10);
+}
+
+/**
+ * Document ID of a user's plan for a week
+ */
+function planDocId(uid, weekStart) {
+    return `${uid}_${weekStart}`;
+}
+
+/**
+ * A servings count between 1 and MAX_SERVINGS, or null for the recipe's own
+ */
+function parseServings(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const servings = Number(value);
+    return Number.isInteger(servings) && servings >= 1 && servings <= MAX_SERVINGS ? servings : undefined;
+}
+
+/**
+ * Validate the meals sent for a plan.
+ * Returns { meals } or { error } describing the first problem found.
+ */
+function prepareMeals(meals) {
+    if (!Array.isArray(meals)) {
+        return { error: 'meals must be an array' };
+    }
+    if (meals.length > MAX_MEALS_PER_PLAN) {
+        return { error: `A week can hold at most ${MAX_MEALS_PER_PLAN} meals` };
+    }
+
+    const prepared = [];
+    for (const meal of meals) {
+        if (!meal || typeof meal !== 'object') {
+            return { error: 'Each meal must be an object' };
+        }
+        if (!Number.isInteger(meal.day) || meal.day < 0 || meal.day >= DAYS_PER_WEEK) {
+            return { error: 'day must be a number from 0 (Monday) to 6 (Sunday)' };
+        }
+        if (!MEALS.includes(meal.meal)) {
+            return { error: `meal must be one of: ${MEALS.join(', ')}` };
+        }
+        if (!meal.recipeId) {
+            return { error: 'Each meal needs a recipeId' };
+        }
+        if (!isDocumentId(meal.recipeId)) {
+            return { error: 'recipeId is not a valid recipe ID' };
+        }
+
+        const servings = parseServings(meal.servings);
+        if (servings === undefined) {
+            return { error: `servings must be a whole number from 1 to ${MAX_SERVINGS}` };
+        }
+
+        prepared.push({
+            id: sanitizeString(meal.id, 40) || crypto.randomUUID(),
+            day: meal.day,
+            meal: meal.meal,
+            recipeId: meal.recipeId,
+            servings: servings
+        });
+    }
+
+    return { meals: prepared };
+}
+
+module.exports = {
+    MEAL_PLANS_COLLECTION,
+    MEALS,
+    DAYS_PER_WEEK,
+    MAX_SERVINGS,
+    weekStartOf,
+    addWeeks,
+    planDocId,
+    prepareMeals
+};
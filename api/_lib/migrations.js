@@ -0,0 +1,97 @@
+/**
+ * VINTAGE COOKBOOK - DATA MIGRATIONS
+ * One-off updates that bring data saved by older versions up to date
+ *
+ * Run them with `npm run migrate` (scripts/migrate.js) after deploying a
+ * version that adds one. Each migration only writes the documents that
+ * still need it, so running them again is harmless.
+ */
+
+const { emptyRatingSummary } = require('./ratings');
+const { INDEX_COLLECTION, buildIndexEntry, indexRef } = require('./search-index');
+
+// Firestore allows at most 500 writes in a batch
+const MAX_BATCH_WRITES = 400;
+
+/**
+ * Apply writes in batches small enough for Firestore.
+ * Each write is a function that adds itself to the batch it is given.
+ * Returns the number of writes.
+ */
+async function commitInBatches(db, writes) {
+    for (let start = 0; start < writes.length; start += MAX_BATCH_WRITES) {
+        const batch = db.batch();
+        writes.slice(start, start + MAX_BATCH_WRITES).forEach(write => write(batch));
+        await batch.commit();
+    }
+    return writes.length;
+}
+
+/**
+ * Give recipes saved before ratings existed an empty rating summary, so
+ * the rating sort lists them
+ */
+async function backfillRatingSummaries(db) {
+    const snapshot = await db.collection('recipes').get();
+    const writes = snapshot.docs
+        .filter(doc => doc.data().ratingAverage === undefined)
+        .map(doc => batch => batch.update(doc.ref, emptyRatingSummary()));
+
+    return commitInBatches(db, writes);
+}
+
+/**
+ * Add search index entries for recipes saved before the index existed
+ */
+async function backfillSearchIndex(db) {
+    const [recipesSnapshot, indexSnapshot] = await Promise.all([
+        db.collection('recipes').get(),
+        // Only the IDs are needed to find the gaps
+        db.collection(INDEX_COLLECTION).select().get()
+    ]);
+    const indexedIds = new Set(indexSnapshot.docs.map(doc => doc.id));
+    const writes = recipesSnapshot.docs
+        .filter(doc => !indexedIds.has(doc.id))
+        .map(doc => batch => batch.set(indexRef(db, doc.id), buildIndexEntry(doc.data())));
+
+    return commitInBatches(db, writes);
+}
+
+/**
+ * Store categories the way the form saves them ("Desserts " becomes
+ * "desserts"), so category queries find recipes saved by older versions
+ */
+async function normalizeCategories(db) {
+    const snapshot = await db.collection('recipes').get();
+    const writes = snapshot.docs
+        .filter(doc => typeof doc.data().category === 'string')
+        .filter(doc => doc.data().category !== doc.data().category.toLowerCase().trim())
+        .map(doc => batch => batch.update(doc.ref, { category: doc.data().category.toLowerCase().trim() }));
+
+    return commitInBatches(db, writes);
+}
+
+/**
+ * Migrations in the order they run
+ */
+const MIGRATIONS = [
+    { name: 'rating-summaries', run: backfillRatingSummaries },
+    { name: 'category-case', run: normalizeCategories },
+    { name: 'search-index', run: backfillSearchIndex }
+];
+
+/**
+ * Run every migration, logging how many documents each one changed
+ */
+async function runMigrations(db, log = console.log) {
+    for (const migration of MIGRATIONS) {
+        const count = await migration.run(db);
+        log(`${migration.name}: updated ${count} document${count === 1 ? '' : 's'}`);
+    }
+}
+
+module.exports = {
+    MAX_BATCH_WRITES,
+    commitInBatches,
+    runMigrations
+};
@@ -0,0 +1,158 @@
+/**
+ * VINTAGE COOKBOOK - COMMENT MODERATION
+ * Decides whether a new or edited comment is published straight away or
+ * held for a moderator to review
+ *
+ * A comment is held ('pending') when it:
+ * - contains links, or looks like spam (shouting, repeated characters)
+ * - repeats something the same person posted recently, or the same text
+ *   already posted on the recipe
+ * - contains a word from the blocklist
+ *
+ * The blocklist is DEFAULT_BLOCKLIST plus any comma-separated words in the
+ * COMMENT_BLOCKLIST environment variable. Moderators' own comments are
+ * always published.
+ */
+
+const { ROLES, hasRole } = require('./roles');
+
+/**
+ * Comment states. Comments saved before moderation existed have no status
+ * and count as published.
+ */
+const COMMENT_STATUS = {
+    PUBLISHED: 'published',
+    PENDING: 'pending',
+    REJECTED: 'rejected'
+};
+
+/**
+ * Words that hold a comment for review
+ */
+const DEFAULT_BLOCKLIST = [
+    'viagra', 'cialis', 'casino', 'crypto', 'bitcoin', 'forex', 'payday',
+    'fuck', 'shit', 'bitch', 'asshole', 'bastard', 'cunt', 'dick'
+];
+
+// Links of any kind are unusual in family comments
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|info|biz|ru|cn|xyz|top|io)\b/gi;
+
+// How far back to look for the same person repeating themselves
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Short replies such as "Yum!" are often repeated honestly by different people
+const MIN_DUPLICATE_LENGTH = 20;
+
+/**
+ * Whether a comment is visible to everyone
+ */
+function isPublished(comment) {
+    return !comment.status || comment.status === COMMENT_STATUS.PUBLISHED;
+}
+
+/**
+ * The active blocklist, lowercased
+ */
+function getBlocklist() {
+    const configured = (process.env.COMMENT_BLOCKLIST || '')
+        .split(',')
+        .map(word => word.trim().toLowerCase())
+        .filter(word => word.length > 0);
+
+    return [...new Set([...DEFAULT_BLOCKLIST, ...configured])];
+}
+
+/**
+ * Text used to spot duplicates: lowercase letters and digits only
+ */
+function normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Reasons a comment's text looks like spam or contains blocked words
+ */
+function contentReasons(text) {
+    const reasons = [];
+    const links = text.match(LINK_PATTERN) || [];
+
+    if (links.length > 0) {
+        reasons.push('Contains a link');
+    }
+
+    const letters = text.replace(/[^A-Za-z]/g, '');
+    if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+        reasons.push('Mostly capital letters');
+    }
+
+    if (/(.)\1{7,}/.test(text)) {
+        reasons.push('Repeated characters');
+    }
+
+    const words = new Set(normalizeText(text).split(' '));
+    const blocked = getBlocklist().filter(word => words.has(word));
+    if (blocked.length > 0) {
+        reasons.push(`Blocked words: ${blocked.join(', ')}`);
+    }
+
+    return reasons;
+}
+
+/**
+ * Reasons a comment repeats an earlier one. `recentComments` are other
+ * comments by the same author or on the same recipe.
+ */
+function duplicateReasons(comment, authorId, recentComments, now = Date.now()) {
+    const text = normalizeText(comment.comment);
+    if (!text) return [];
+
+    const reasons = [];
+    const repeats = recentComments.filter(other => normalizeText(other.comment) === text);
+
+    const sameRecipe = repeats.filter(other => other.recipeId === comment.recipeId);
+    if (sameRecipe.some(other => other.authorId === authorId || text.length >= MIN_DUPLICATE_LENGTH)) {
+        reasons.push('Same comment already posted on this recipe');
+    } else if (repeats.some(other => other.authorId === authorId && now - toMillis(other.createdAt) < DUPLICATE_WINDOW_MS)) {
+        reasons.push('Same comment posted recently on another recipe');
+    }
+
+    return reasons;
+}
+
+/**
+ * Decide the status of a comment.
+ * Returns { status, reasons } where reasons explains why it was held.
+ */
+function reviewComment(comment, user, recentComments = []) {
+    if (hasRole(user, ROLES.MODERATOR)) {
+        return { status: COMMENT_STATUS.PUBLISHED, reasons: [] };
+    }
+
+    const reasons = [
+        ...contentReasons(comment.comment),
+        ...duplicateReasons(comment, user.uid, recentComments)
+    ];
+
+    return {
+        status: reasons.length > 0 ? COMMENT_STATUS.PENDING : COMMENT_STATUS.PUBLISHED,
+        reasons: reasons
+    };
+}
+
+/**
+ * Milliseconds since the epoch for a Firestore Timestamp, Date or date string
+ */
+function toMillis(value) {
+    if (!value) return 0;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? 0 : time;
+}
+
+module.exports = {
+    COMMENT_STATUS,
+    DEFAULT_BLOCKLIST,
+    isPublished,
+    reviewComment
+};
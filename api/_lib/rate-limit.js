@@ -0,0 +1,169 @@
+/**
+ * VINTAGE COOKBOOK - RATE LIMITING
+ * Sliding-window limits on how often one visitor can change data
+ *
+ * Every write is counted against the client's IP address and, when signed
+ * in, the user's ID. A request is refused with 429 and Retry-After once
+ * either key has used up its allowance for the window.
+ *
+ * Hits are kept in the `rateLimits` Firestore collection so the limits hold
+ * across serverless instances. Local runs (RATE_LIMIT_STORE=memory, or the
+ * local database backend) keep them in memory instead.
+ */
+
+const crypto = require('crypto');
+const { getDatabase, getDatabaseName } = require('./db');
+
+const RATE_LIMITS_COLLECTION = 'rateLimits';
+
+/**
+ * Allowance per window for each group of endpoints
+ */
+const RATE_LIMITS = {
+    recipes: { windowMs: 60 * 60 * 1000, perUser: 30, perIp: 60 },
+    comments: { windowMs: 10 * 60 * 1000, perUser: 10, perIp: 30 },
+    uploads: { windowMs: 60 * 60 * 1000, perUser: 30, perIp: 60 },
+    // The planner saves after every drag, so this allows far more writes
+    mealPlans: { windowMs: 10 * 60 * 1000, perUser: 200, perIp: 400 },
+    // Each item checked off in the store is a write
+    shoppingLists: { windowMs: 10 * 60 * 1000, perUser: 200, perIp: 400 }
+};
+
+/**
+ * Hits kept in this process, for local runs
+ */
+function createMemoryStore() {
+    const hits = new Map();
+
+    return {
+        async hit(entries, windowMs, now) {
+            const recent = entries.map(entry =>
+                (hits.get(entry.key) || []).filter(time => now - time < windowMs)
+            );
+
+            const retryAfterMs = retryAfter(entries, recent, windowMs, now);
+            entries.forEach((entry, index) => {
+                hits.set(entry.key, retryAfterMs ? recent[index] : [...recent[index], now]);
+            });
+            return retryAfterMs;
+        }
+    };
+}
+
+/**
+ * Hits kept in Firestore, one document per key, updated in a transaction
+ */
+function createFirestoreStore() {
+    return {
+        async hit(entries, windowMs, now) {
+            const { db, Timestamp } = getDatabase();
+            const refs = entries.map(entry => db.collection(RATE_LIMITS_COLLECTION).doc(entry.key));
+
+            return db.runTransaction(async transaction => {
+                const docs = await Promise.all(refs.map(ref => transaction.get(ref)));
+                const recent = docs.map(doc =>
+                    (doc.exists ? doc.data().hits || [] : []).filter(time => now - time < windowMs)
+                );
+
+                const retryAfterMs = retryAfter(entries, recent, windowMs, now);
+                if (!retryAfterMs) {
+                    refs.forEach((ref, index) => {
+                        transaction.set(ref, {
+                            hits: [...recent[index], now],
+                            // Lets a Firestore TTL policy clear out idle keys
+                            expiresAt: Timestamp.fromMillis(now + windowMs)
+                        });
+                    });
+                }
+                return retryAfterMs;
+            });
+        }
+    };
+}
+
+/**
+ * Milliseconds until every key is back under its limit, or 0 if the hit is allowed
+ */
+function retryAfter(entries, recent, windowMs, now) {
+    return entries.reduce((wait, entry, index) => {
+        const times = recent[index];
+        if (times.length < entry.limit) return wait;
+
+        // The window frees up when the oldest hit that keeps it full expires
+        const sorted = [...times].sort((a, b) => a - b);
+        const freedAt = sorted[sorted.length - entry.limit] + windowMs;
+        return Math.max(wait, freedAt - now);
+    }, 0);
+}
+
+let store = null;
+
+/**
+ * The configured store, created on first use
+ */
+function getStore() {
+    if (!store) {
+        const useMemory = process.env.RATE_LIMIT_STORE === 'memory' || getDatabaseName() === 'local';
+        store = useMemory ? createMemoryStore() : createFirestoreStore();
+    }
+    return store;
+}
+
+/**
+ * The client's IP address, as seen through the Vercel proxy
+ */
+function getClientIp(req) {
+    const forwarded = req.headers && req.headers['x-forwarded-for'];
+    if (forwarded) return String(forwarded).split(',')[0].trim();
+
+    return (req.headers && req.headers['x-real-ip'])
+        || (req.socket && req.socket.remoteAddress)
+        || 'unknown';
+}
+
+/**
+ * Document-safe key that does not store the raw IP address or user ID
+ */
+function limitKey(group, type, value) {
+    const hash = crypto.createHash('sha256').update(String(value)).digest('hex').substring(0, 32);
+    return `${group}_${type}_${hash}`;
+}
+
+/**
+ * Count a write against the client's limits for a group of endpoints.
+ * Sends 429 with Retry-After and returns false if the client must wait;
+ * returns true if the handler may continue.
+ */
+async function rateLimit(req, res, group) {
+    const config = RATE_LIMITS[group];
+    const entries = [{ key: limitKey(group, 'ip', getClientIp(req)), limit: config.perIp }];
+    if (req.user) {
+        entries.push({ key: limitKey(group, 'user', req.user.uid), limit: config.perUser });
+    }
+
+    let retryAfterMs = 0;
+    try {
+        retryAfterMs = await getStore().hit(entries, config.windowMs, Date.now());
+    } catch (error) {
+        // A broken limiter should not take the site down with it
+        console.error('Rate limit check failed:', error);
+        return true;
+    }
+
+    if (!retryAfterMs) return true;
+
+    const retryAfterSeconds = Math.ceil(retryAfterMs / 1000);
+    res.setHeader('Retry-After', String(retryAfterSeconds));
+    res.status(429).json({
+        error: 'Too many requests',
+        message: 'You are doing that too often. Please try again later.',
+        retryAfter: retryAfterSeconds
+    });
+    return false;
+}
+
+module.exports = {
+    RATE_LIMITS,
+    getClientIp,
+    rateLimit
+};
@@ -0,0 +1,160 @@
+/**
+ * VINTAGE COOKBOOK - RATINGS
+ * Star ratings from 1 to 5 and the aggregate score kept on each recipe
+ *
+ * Each user has at most one rating per recipe in the `ratings` collection,
+ * keyed by recipe and user: ratings/{recipeId}_{uid}. Rating again replaces
+ * the earlier score. The recipe document keeps ratingTotal, ratingCount and
+ * ratingAverage up to date in the same transaction, so listings can show and
+ * sort by the average without reading every rating.
+ */
+
+const { getDatabase } = require('./db');
+
+const RATINGS_COLLECTION = 'ratings';
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+/**
+ * Parse a star rating, allowing whole numbers from 1 to 5
+ */
+function parseRating(input) {
+    const rating = Number(input);
+    if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) return null;
+    return rating;
+}
+
+/**
+ * Reference to a user's rating of a recipe
+ */
+function ratingRef(db, recipeId, uid) {
+    return db.collection(RATINGS_COLLECTION).doc(`${recipeId}_${uid}`);
+}
+
+/**
+ * Aggregate fields for a recipe that has not been rated yet
+ */
+function emptyRatingSummary() {
+    return {
+        ratingTotal: 0,
+        ratingCount: 0,
+        ratingAverage: 0
+    };
+}
+
+/**
+ * Aggregate fields for a rating total and count
+ */
+function ratingSummary(ratingTotal, ratingCount) {
+    return {
+        ratingTotal: ratingTotal,
+        ratingCount: ratingCount,
+        ratingAverage: ratingCount > 0 ? Math.round((ratingTotal / ratingCount) * 100) / 100 : 0
+    };
+}
+
+/**
+ * Record a user's rating of a recipe and update the recipe's aggregate score.
+ * `extraWrites(transaction)` may add writes that must commit with the rating
+ * (such as the comment the rating came with). Returns the new aggregate, or
+ * null if the recipe does not exist.
+ */
+async function rateRecipe(db, recipeId, user, rating, extraWrites = null) {
+    const recipeRef = db.collection('recipes').doc(recipeId);
+    const userRatingRef = ratingRef(db, recipeId, user.uid);
+
+    return db.runTransaction(async transaction => {
+        const [recipeDoc, ratingDoc] = await Promise.all([
+            transaction.get(recipeRef),
+            transaction.get(userRatingRef)
+        ]);
+
+        if (!recipeDoc.exists) return null;
+
+        const recipe = recipeDoc.data();
+        const previous = ratingDoc.exists ? ratingDoc.data().rating : null;
+
+        const summary = ratingSummary(
+            (recipe.ratingTotal || 0) - (previous || 0) + rating,
+            (recipe.ratingCount || 0) + (previous ? 0 : 1)
+        );
+
+        transaction.update(recipeRef, summary);
+        transaction.set(userRatingRef, {
+            recipeId: recipeId,
+            uid: user.uid,
+            rating: rating,
+            updatedAt: getDatabase().FieldValue.serverTimestamp()
+        });
+
+        if (extraWrites) extraWrites(transaction);
+
+        return { ...summary, userRating: rating };
+    });
+}
+
+/**
+ * Remove a user's rating of a recipe and update the recipe's aggregate score.
+ * `extraWrites(transaction)` works as in rateRecipe. Returns the new
+ * aggregate, or null if the recipe does not exist.
+ */
+async function unrateRecipe(db, recipeId, user, extraWrites = null) {
+    const recipeRef = db.collection('recipes').doc(recipeId);
+    const userRatingRef = ratingRef(db, recipeId, user.uid);
+
+    return db.runTransaction(async transaction => {
+        const [recipeDoc, ratingDoc] = await Promise.all([
+            transaction.get(recipeRef),
+            transaction.get(userRatingRef)
+        ]);
+
+        if (!recipeDoc.exists) return null;
+
+        const recipe = recipeDoc.data();
+        let summary = ratingSummary(recipe.ratingTotal || 0, recipe.ratingCount || 0);
+
+        if (ratingDoc.exists) {
+            summary = ratingSummary(
+                summary.ratingTotal - ratingDoc.data().rating,
+                Math.max(summary.ratingCount - 1, 0)
+            );
+            transaction.update(recipeRef, summary);
+            transaction.delete(userRatingRef);
+        }
+
+        if (extraWrites) extraWrites(transaction);
+
+        return { ...summary, userRating: null };
+    });
+}
+
+/**
+ * The rating a user gave a recipe, or null
+ */
+async function getUserRating(db, recipeId, user) {
+    if (!user) return null;
+
+    const doc = await ratingRef(db, recipeId, user.uid).get();
+    return doc.exists ? doc.data().rating : null;
+}
+
+/**
+ * Query for every rating of a recipe (used when the recipe is deleted)
+ */
+function recipeRatingsQuery(db, recipeId) {
+    return db.collection(RATINGS_COLLECTION).where('recipeId', '==', recipeId);
+}
+
+module.exports = {
+    MIN_RATING,
+    MAX_RATING,
+    parseRating,
+    ratingRef,
+    ratingSummary,
+    emptyRatingSummary,
+    rateRecipe,
+    unrateRecipe,
+    getUserRating,
+    recipeRatingsQuery
+};
@@ -0,0 +1,111 @@
+/**
+ * VINTAGE COOKBOOK - ROLES AND PERMISSIONS
+ * Who may change which recipes and comments
+ *
+ * Roles are stored per user in the `roles` collection, keyed by uid:
+ *   roles/{uid} = { roles: ['editor', 'moderator'] }
+ *
+ * - Owners (the author of a recipe or comment) may change their own content
+ * - Editors may update or delete any recipe and import recipes
+ * - Moderators may remove any comment (but only its author may edit it)
+ */
+
+const { getDatabase } = require('./db');
+
+const ROLES_COLLECTION = 'roles';
+
+/**
+ * Roles that can be granted
+ */
+const ROLES = {
+    EDITOR: 'editor',
+    MODERATOR: 'moderator'
+};
+
+/**
+ * Load the roles granted to a user from Firestore
+ */
+async function getUserRoles(uid) {
+    if (!uid) return [];
+
+    const doc = await getDatabase().db.collection(ROLES_COLLECTION).doc(uid).get();
+    if (!doc.exists) return [];
+
+    const roles = doc.data().roles;
+    return Array.isArray(roles) ? roles.filter(role => Object.values(ROLES).includes(role)) : [];
+}
+
+/**
+ * Whether a user has been granted a role
+ */
+function hasRole(user, role) {
+    return Boolean(user && Array.isArray(user.roles) && user.roles.includes(role));
+}
+
+/**
+ * Why a user may not update or delete a recipe, or null if they may
+ */
+function recipeDenialReason(user, recipe, action = 'change') {
+    if (!user) return `Please sign in to ${action} recipes`;
+    if (recipe.authorId && recipe.authorId === user.uid) return null;
+    if (hasRole(user, ROLES.EDITOR)) return null;
+
+    return `Only the recipe's author or an editor can ${action} this recipe`;
+}
+
+/**
+ * Why a user may not 'edit' or 'delete' a comment, or null if they may
+ */
+function commentDenialReason(user, comment, action = 'delete') {
+    if (!user) return `Please sign in to ${action} comments`;
+    if (comment.authorId && comment.authorId === user.uid) return null;
+
+    if (action === 'edit') {
+        return 'Only the comment\'s author can edit this comment';
+    }
+    if (hasRole(user, ROLES.MODERATOR)) return null;
+
+    return 'Only the comment\'s author or a moderator can delete this comment';
+}
+
+/**
+ * Actions the user may take on a recipe, for the UI to show or hide
+ */
+function recipePermissions(user, recipe) {
+    const allowed = !recipeDenialReason(user, recipe);
+    return {
+        canEdit: allowed,
+        canDelete: allowed
+    };
+}
+
+/**
+ * Actions the user may take on a comment, for the UI to show or hide
+ */
+function commentPermissions(user, comment) {
+    return {
+        canEdit: !commentDenialReason(user, comment, 'edit'),
+        canDelete: !commentDenialReason(user, comment, 'delete')
+    };
+}
+
+/**
+ * Send a 403 response explaining why the action is not allowed
+ */
+function forbidden(res, reason) {
+    return res.status(403).json({
+        error: 'Forbidden',
+        reason: reason
+    });
+}
+
+module.exports = {
+    ROLES,
+    getUserRoles,
+    hasRole,
+    recipeDenialReason,
+    commentDenialReason,
+    recipePermissions,
+    commentPermissions,
+    forbidden
+};
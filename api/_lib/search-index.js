@@ -0,0 +1,126 @@
+/**
+ * VINTAGE COOKBOOK - SEARCH INDEX
+ * Server-side helpers for the full-text recipe search index
+ *
+ * Each recipe has a document in the `searchIndex` collection (same ID as the
+ * recipe) holding its stemmed terms and a weight per term. Matches in the
+ * name count for more than matches in the instructions.
+ *
+ * Entries are written whenever a recipe is saved; recipes saved before the
+ * index existed are added by `npm run migrate` (see migrations.js).
+ */
+
+const { tokenize, termSimilarity } = require('../../shared/search');
+
+const INDEX_COLLECTION = 'searchIndex';
+
+/**
+ * How much a term found in each recipe field contributes to the score
+ */
+const FIELD_WEIGHTS = {
+    name: 5,
+    category: 3,
+    ingredients: 2,
+    notes: 1,
+    instructions: 1
+};
+
+/**
+ * Build the index document for a recipe
+ */
+function buildIndexEntry(recipe) {
+    const terms = {};
+
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+        // Count each term once per field so long instructions do not dominate
+        new Set(tokenize(recipe[field])).forEach(term => {
+            terms[term] = (terms[term] || 0) + weight;
+        });
+    });
+
+    return {
+        name: recipe.name || '',
+        category: (recipe.category || '').toLowerCase(),
+        terms: terms,
+        indexedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Reference to the index document of a recipe, for use in batches
+ */
+function indexRef(db, recipeId) {
+    return db.collection(INDEX_COLLECTION).doc(recipeId);
+}
+
+/**
+ * Score an index entry against the query terms.
+ * Returns the score and the indexed terms that matched.
+ */
+function scoreEntry(entry, queryTerms, similarityCache) {
+    let score = 0;
+    let matchedQueryTerms = 0;
+    const matchedTerms = [];
+
+    queryTerms.forEach(queryTerm => {
+        let best = 0;
+
+        Object.entries(entry.terms || {}).forEach(([term, weight]) => {
+            const key = `${queryTerm}|${term}`;
+            if (!similarityCache.has(key)) {
+                similarityCache.set(key, termSimilarity(queryTerm, term));
+            }
+
+            const similarity = similarityCache.get(key);
+            if (similarity > 0) {
+                best = Math.max(best, similarity * weight);
+                matchedTerms.push(term);
+            }
+        });
+
+        if (best > 0) {
+            score += best;
+            matchedQueryTerms++;
+        }
+    });
+
+    // Favor recipes that match every word of the query
+    const coverage = matchedQueryTerms / queryTerms.length;
+
+    return {
+        score: score * coverage * coverage,
+        matchedTerms: Array.from(new Set(matchedTerms))
+    };
+}
+
+/**
+ * Search the index, returning ranked recipe IDs with scores and matched terms
+ */
+async function searchIndex(db, query, options = {}) {
+    const queryTerms = Array.from(new Set(tokenize(query)));
+    if (queryTerms.length === 0) return [];
+
+    // Only the chosen category's entries need reading
+    const category = (options.category || '').toLowerCase();
+    const indexQuery = category
+        ? db.collection(INDEX_COLLECTION).where('category', '==', category)
+        : db.collection(INDEX_COLLECTION);
+    const snapshot = await indexQuery.get();
+
+    const similarityCache = new Map();
+
+    return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .map(entry => ({ id: entry.id, ...scoreEntry(entry, queryTerms, similarityCache) }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, options.limit || 50);
+}
+
+module.exports = {
+    INDEX_COLLECTION,
+    FIELD_WEIGHTS,
+    buildIndexEntry,
+    indexRef,
+    searchIndex
+};
@@ -0,0 +1,221 @@
+/**
+ * VINTAGE COOKBOOK - SHOPPING LISTS
+ * Merges the ingredients of several recipes into one list grouped by aisle
+ *
+ * Each recipe is scaled to the servings asked for, then like ingredients are
+ * added together: "1 cup milk" and "2 tbsp milk" become "1 ⅛ cups milk",
+ * "200 g flour" and "1 kg flour" become "1.2 kg flour". Amounts that cannot
+ * be added (a cup of flour and 200 g of flour, or a can and a cup) are kept
+ * side by side on the same line.
+ *
+ * Items are keyed by their singular name without sizes, so "eggs", "egg"
+ * and "large eggs" match, and the key is what a list's check marks are
+ * stored against.
+ */
+
+const { parseIngredientList, formatUnit } = require('../../shared/ingredients');
+const { METRIC_UNITS, formatAmount, unitKind, toBaseAmount, fromBaseAmount } = require('../../shared/units');
+
+/**
+ * Store aisles in walking order
+ */
+const AISLES = [
+    'Produce',
+    'Bakery',
+    'Meat & Seafood',
+    'Dairy & Eggs',
+    'Baking',
+    'Spices & Seasonings',
+    'Pantry',
+    'Frozen',
+    'Beverages',
+    'Other'
+];
+
+const OTHER_AISLE = 'Other';
+
+/**
+ * Words that place an item in an aisle. The first rule that matches wins,
+ * so specific names ("peanut butter", "garlic powder") come before the
+ * general ones ("butter", "garlic").
+ */
+const AISLE_RULES = [
+    { aisle: 'Pantry', pattern: /\b(peanut butter|tomato (paste|sauce|puree)|soy sauce|canned|broth|stock|coconut milk)\b/ },
+    { aisle: 'Frozen', pattern: /\b(frozen|ice cream|puff pastry)\b/ },
+    { aisle: 'Dairy & Eggs', pattern: /\b(sour cream|cream cheese|buttermilk|heavy cream|whipping cream)\b/ },
+    { aisle: 'Baking', pattern: /\b(flour|sugar|baking|yeast|cocoa|chocolate chips?|vanilla|cornstarch|corn starch|sprinkles|shortening|molasses|gelatin)\b/ },
+    { aisle: 'Spices & Seasonings', pattern: /\b(salt|black pepper|white pepper|peppercorns?|cayenne|cinnamon|nutmeg|paprika|cumin|oregano|thyme|chili powder|curry|garlic powder|onion powder|ground ginger|bay leaf|bay leaves|allspice|seasoning|spices?|dried (basil|parsley|herbs|dill|rosemary)|red pepper flakes)\b/ },
+    { aisle: 'Bakery', pattern: /\b(bread|buns?|rolls?|tortillas?|pita|bagels?|croissants?|breadcrumbs|bread crumbs)\b/ },
+    { aisle: 'Produce', pattern: /\b(apples?|bananas?|lemons?|limes?|oranges?|berries|strawberries|blueberries|raspberries|grapes|peach(es)?|pears?|onions?|garlic|shallots?|scallions?|potato(es)?|carrots?|celery|tomato(es)?|lettuce|spinach|kale|cabbage|broccoli|cauliflower|bell peppers?|peppers|jalapeños?|jalapenos?|zucchini|squash|cucumbers?|mushrooms?|herbs?|parsley|cilantro|basil|mint|dill|rosemary|ginger|avocados?|corn|green beans|leeks?)\b/ },
+    { aisle: 'Meat & Seafood', pattern: /\b(chicken|beef|pork|bacon|ham|sausages?|turkey|lamb|veal|steak|fish|salmon|tuna|shrimp|prawns|cod|crab|lobster|clams|mussels)\b/ },
+    { aisle: 'Dairy & Eggs', pattern: /\b(milk|butter|cream|cheese|cheddar|mozzarella|parmesan|yogh?urt|eggs?|margarine)\b/ },
+    { aisle: 'Pantry', pattern: /\b(rice|pasta|noodles|spaghetti|macaroni|oats|oil|vinegar|beans|lentils|chickpeas|sauce|ketchup|mustard|mayonnaise|honey|syrup|jam|nuts|walnuts|pecans|almonds|raisins|crackers|cereal|pepper)\b/ },
+    { aisle: 'Beverages', pattern: /\b(wine|beer|juice|coffee|tea|soda)\b/ }
+];
+
+// Water comes from the tap, not the store
+const TAP_WATER_PATTERN = /^(cold |cool |warm |hot |boiling |ice |lukewarm )?water$/i;
+
+/**
+ * The aisle an item is usually found in
+ */
+function aisleFor(item) {
+    const name = String(item || '').toLowerCase();
+    const rule = AISLE_RULES.find(entry => entry.pattern.test(name));
+    return rule ? rule.aisle : OTHER_AISLE;
+}
+
+// Sizes and freshness that do not change what to buy
+const DESCRIPTOR_PATTERN = /^(?:(?:extra[- ])?large|small|medium|jumbo|fresh|freshly)\s+/i;
+
+/**
+ * An item name without leading descriptors: "large eggs" -> "eggs"
+ */
+function baseName(item) {
+    let name = String(item || '').trim();
+    while (DESCRIPTOR_PATTERN.test(name)) {
+        name = name.replace(DESCRIPTOR_PATTERN, '');
+    }
+    return name;
+}
+
+/**
+ * A word without its plural ending: "tomatoes" -> "tomato", "berries" -> "berry"
+ */
+function singular(word) {
+    if (word.length <= 3) return word;
+    if (/ies$/.test(word)) return word.slice(0, -3) + 'y';
+    if (/(ss|sh|ch|x|z|o)es$/.test(word)) return word.slice(0, -2);
+    if (/[^su]s$/.test(word)) return word.slice(0, -1);
+    return word;
+}
+
+/**
+ * Key that matches the same ingredient however it is written
+ */
+function itemKey(item) {
+    return baseName(item)
+        .toLowerCase()
+        .replace(/[^a-z0-9À-ɏ]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(word => word.length > 0)
+        .map(singular)
+        .join(' ');
+}
+
+/**
+ * The structured ingredients of a recipe, parsed from its text when needed
+ */
+function ingredientsOf(recipe) {
+    return Array.isArray(recipe.ingredientList)
+        ? recipe.ingredientList
+        : parseIngredientList(recipe.ingredients);
+}
+
+/**
+ * Merge the ingredients of recipes into a shopping list.
+ * `recipes` are [{ id, name, ingredients, ingredientList, baseServings, servings }];
+ * each is scaled by servings / baseServings when both are known.
+ * Returns items [{ key, name, aisle, amounts: [{ quantity, unit, text }], recipes }]
+ * in aisle order, then alphabetical.
+ */
+function buildShoppingItems(recipes) {
+    const items = new Map();
+
+    recipes.forEach(recipe => {
+        const factor = recipe.servings && recipe.baseServings ? recipe.servings / recipe.baseServings : 1;
+
+        ingredientsOf(recipe).forEach(ingredient => {
+            if (ingredient.heading) return;
+
+            const name = baseName(ingredient.parsed ? ingredient.item : ingredient.raw);
+            const key = itemKey(name);
+            if (!key || TAP_WATER_PATTERN.test(name.trim())) return;
+
+            if (!items.has(key)) {
+                items.set(key, { key, name, aisle: aisleFor(name), totals: new Map(), recipes: [] });
+            }
+            const entry = items.get(key);
+            if (!entry.recipes.includes(recipe.name)) entry.recipes.push(recipe.name);
+
+            // Buy for the top of a range
+            const quantity = ingredient.quantityMax || ingredient.quantity;
+            if (quantity === null || quantity === undefined) return;
+
+            addAmount(entry.totals, quantity * factor, ingredient.unit);
+        });
+    });
+
+    return [...items.values()]
+        .map(({ totals, ...entry }) => ({ ...entry, amounts: [...totals.values()].map(formatTotal) }))
+        .sort((a, b) => aisleIndex(a.aisle) - aisleIndex(b.aisle) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Add an amount to an item's running totals. Volumes and weights are summed
+ * in millilitres and grams; any other unit (or a plain count) only adds to
+ * the same unit.
+ */
+function addAmount(totals, quantity, unit) {
+    const kind = unitKind(unit);
+    const totalKey = kind || unit || 'count';
+
+    if (!totals.has(totalKey)) {
+        totals.set(totalKey, { kind, unit, value: 0, metric: true });
+    }
+    const total = totals.get(totalKey);
+
+    total.value += kind ? toBaseAmount(quantity, unit) : quantity;
+    // Shown in metric only if every amount was given in metric
+    total.metric = total.metric && METRIC_UNITS.includes(unit);
+}
+
+/**
+ * A running total as a display amount in the friendliest unit
+ */
+function formatTotal(total) {
+    const amount = total.kind
+        ? fromBaseAmount(total.value, total.kind, total.metric ? 'metric' : 'imperial')
+        : { quantity: Math.round(total.value * 100) / 100, unit: total.unit || null };
+
+    const unit = formatUnit(amount.unit, amount.quantity);
+    return {
+        quantity: amount.quantity,
+        unit: amount.unit,
+        text: [formatAmount(amount.quantity, amount.unit), unit].filter(part => part).join(' ')
+    };
+}
+
+/**
+ * Position of an aisle in walking order
+ */
+function aisleIndex(name) {
+    const index = AISLES.indexOf(name);
+    return index === -1 ? AISLES.length : index;
+}
+
+/**
+ * Items grouped by aisle: [{ aisle, items }]
+ */
+function groupByAisle(items) {
+    const groups = [];
+    items.forEach(item => {
+        const last = groups[groups.length - 1];
+        if (last && last.aisle === item.aisle) {
+            last.items.push(item);
+        } else {
+            groups.push({ aisle: item.aisle, items: [item] });
+        }
+    });
+    return groups;
+}
+
+module.exports = {
+    AISLES,
+    OTHER_AISLE,
+    aisleFor,
+    itemKey,
+    buildShoppingItems,
+    groupByAisle
+};
@@ -0,0 +1,51 @@
+/**
+ * VINTAGE COOKBOOK - FIREBASE STORAGE BACKEND
+ * Keeps uploaded files in the Cloud Storage bucket named by FIREBASE_STORAGE_BUCKET
+ *
+ * Files are made public so pages can link to them directly.
+ */
+
+const { getFirebaseAdmin } = require('../firebase');
+
+// Uploaded files never change, so browsers may cache them for a long time
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+/**
+ * The configured bucket
+ */
+function getBucket() {
+    return getFirebaseAdmin().storage().bucket(process.env.FIREBASE_STORAGE_BUCKET);
+}
+
+/**
+ * Public URL of a stored file
+ */
+function urlFor(path) {
+    return `https://storage.googleapis.com/${process.env.FIREBASE_STORAGE_BUCKET}/${path}`;
+}
+
+/**
+ * Save a file and return its public URL
+ */
+async function save(path, buffer, contentType) {
+    await getBucket().file(path).save(buffer, {
+        resumable: false,
+        public: true,
+        contentType: contentType,
+        metadata: { cacheControl: CACHE_CONTROL }
+    });
+    return urlFor(path);
+}
+
+/**
+ * Delete every file under a path prefix
+ */
+async function remove(prefix) {
+    await getBucket().deleteFiles({ prefix: prefix });
+}
+
+module.exports = {
+    save,
+    remove,
+    urlFor
+};
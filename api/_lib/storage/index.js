@@ -0,0 +1,44 @@
+/**
+ * VINTAGE COOKBOOK - FILE STORAGE
+ * Picks where uploaded files are kept
+ *
+ * Backends implement:
+ *   save(path, buffer, contentType) -> public URL of the saved file
+ *   remove(prefix)                  -> delete every file under a path prefix
+ *   urlFor(path)                    -> public URL of a stored file
+ *
+ * STORAGE_BACKEND chooses 'firebase' (Firebase Cloud Storage, the default)
+ * or 'local' (the filesystem, for development). Like the local database,
+ * local storage must be asked for by name and is refused in production.
+ */
+
+const { isDeployment } = require('../db');
+
+const BACKENDS = {
+    firebase: () => require('./firebase'),
+    local: () => require('./local')
+};
+
+let storage = null;
+
+/**
+ * The configured storage backend, created on first use
+ */
+function getStorage() {
+    if (!storage) {
+        const name = process.env.STORAGE_BACKEND || 'firebase';
+
+        if (name === 'local' && isDeployment()) {
+            throw new Error('STORAGE_BACKEND "local" is for development only and cannot be used in production');
+        }
+        if (!BACKENDS[name]) {
+            throw new Error(`Unknown STORAGE_BACKEND "${name}"`);
+        }
+        storage = BACKENDS[name]();
+    }
+    return storage;
+}
+
+module.exports = {
+    getStorage
+};
@@ -0,0 +1,61 @@
+/**
+ * VINTAGE COOKBOOK - LOCAL STORAGE BACKEND
+ * Keeps uploaded files on the filesystem for development
+ *
+ * Files are written under LOCAL_UPLOAD_DIR (default: ./uploads) and served
+ * from LOCAL_UPLOAD_URL (default: /uploads) by the development server.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Directory that uploads are written to
+ */
+function getUploadDir() {
+    return path.resolve(process.env.LOCAL_UPLOAD_DIR || 'uploads');
+}
+
+/**
+ * Absolute path for a stored file, refusing paths that escape the upload directory
+ */
+function resolvePath(filePath) {
+    const uploadDir = getUploadDir();
+    const resolved = path.resolve(uploadDir, filePath);
+
+    if (!resolved.startsWith(uploadDir + path.sep)) {
+        throw new Error(`Invalid storage path "${filePath}"`);
+    }
+    return resolved;
+}
+
+/**
+ * Public URL of a stored file
+ */
+function urlFor(filePath) {
+    const baseUrl = (process.env.LOCAL_UPLOAD_URL || '/uploads').replace(/\/+$/, '');
+    return `${baseUrl}/${filePath}`;
+}
+
+/**
+ * Save a file and return its public URL
+ */
+async function save(filePath, buffer) {
+    const target = resolvePath(filePath);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, buffer);
+    return urlFor(filePath);
+}
+
+/**
+ * Delete every file under a path prefix
+ */
+async function remove(prefix) {
+    await fs.rm(resolvePath(prefix), { recursive: true, force: true });
+}
+
+module.exports = {
+    save,
+    remove,
+    urlFor
+};
@@ -0,0 +1,120 @@
+/**
+ * VINTAGE COOKBOOK - VALIDATION
+ * Validation and sanitizing shared by the recipe, comment and import APIs
+ *
+ * The rules themselves live in shared/schema.js so the forms check the same
+ * things. Invalid data is answered with 400 and validationFailed's body.
+ */
+
+const { parseIngredientList } = require('../../shared/ingredients');
+const Schema = require('../../shared/schema');
+
+/**
+ * Hidden form field that people never see, so only bots fill it in
+ */
+const HONEYPOT_FIELD = 'website';
+
+// Generated IDs are 20 characters; anything much longer was not made here
+const MAX_DOCUMENT_ID_LENGTH = 100;
+
+/**
+ * Response body for data that breaks the schema
+ */
+function validationFailed(errors) {
+    return {
+        error: 'Validation failed',
+        errors: errors
+    };
+}
+
+/**
+ * The schema's fields from a request body, with tags stripped from text.
+ * Length limits are left to the schema, so nothing is cut short here.
+ */
+function sanitizeFields(data, fields) {
+    const source = data && typeof data === 'object' ? data : {};
+    const sanitized = {};
+    Object.keys(fields).forEach(field => {
+        const value = source[field];
+        sanitized[field] = typeof value === 'string' ? sanitizeString(value, Infinity) : value;
+    });
+    return sanitized;
+}
+
+/**
+ * Validate and sanitize the editable recipe fields from a request body.
+ * Returns { recipe } with the sanitized fields, or { error } with the response body to send.
+ */
+function prepareRecipeData(recipeData) {
+    const { value, errors } = Schema.validateRecipe(sanitizeFields(recipeData, Schema.RECIPE_FIELDS));
+    if (errors.length > 0) {
+        return { error: validationFailed(errors) };
+    }
+
+    return {
+        recipe: {
+            ...value,
+            // Structured form of each ingredient line, kept alongside the raw text
+            ingredientList: parseIngredientList(value.ingredients)
+        }
+    };
+}
+
+/**
+ * Validate and sanitize a comment from a request body, or only the named
+ * fields of it (an edit only changes the text).
+ * Returns { comment } with the sanitized fields, or { error } with the response body to send.
+ */
+function prepareCommentData(commentData, only) {
+    const { value, errors } = Schema.validateComment(sanitizeFields(commentData, Schema.COMMENT_FIELDS), only);
+    if (errors.length > 0) {
+        return { error: validationFailed(errors) };
+    }
+
+    // Replies point at the comment they answer
+    return {
+        comment: { ...value, parentId: value.parentId || null }
+    };
+}
+
+/**
+ * Whether a submission filled in the hidden honeypot field
+ */
+function isHoneypotFilled(body) {
+    return Boolean(body && typeof body === 'object' && body[HONEYPOT_FIELD]);
+}
+
+/**
+ * Sanitize string input to prevent XSS
+ */
+function sanitizeString(input, maxLength = 10000) {
+    if (!input) return '';
+    if (typeof input !== 'string') return String(input);
+
+    return input
+        .trim()
+        .replace(/[<>]/g, '') // Remove potential HTML tags
+        .substring(0, maxLength); // Limit length
+}
+
+/**
+ * Whether a value can be used as a document ID. Firestore rejects IDs
+ * containing "/", "." and ".." and reserves IDs like "__name__".
+ */
+function isDocumentId(value) {
+    return typeof value === 'string' &&
+        value.length > 0 &&
+        value.length <= MAX_DOCUMENT_ID_LENGTH &&
+        !value.includes('/') &&
+        value !== '.' && value !== '..' &&
+        !/^__.*__$/.test(value);
+}
+
+module.exports = {
+    validationFailed,
+    prepareRecipeData,
+    prepareCommentData,
+    isHoneypotFilled,
+    sanitizeString,
+    isDocumentId
+};
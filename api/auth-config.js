@@ -0,0 +1,61 @@
+/**
+ * VINTAGE COOKBOOK - AUTH CONFIG API
+ * Serverless function that gives the browser its Firebase sign-in settings
+ *
+ * This function handles:
+ * - GET /api/auth-config - Public Firebase web config for the sign-in SDK
+ *
+ * Only the public web settings are returned; the service account used by
+ * the other functions never leaves the server.
+ */
+
+/**
+ * CORS headers for cross-origin requests
+ */
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+/**
+ * Main handler function
+ */
+module.exports = async (req, res) => {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({ ok: true });
+    }
+
+    // Set CORS headers
+    Object.entries(corsHeaders).forEach(([key, value]) => {
+        res.setHeader(key, value);
+    });
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            error: 'Method not allowed',
+            allowedMethods: ['GET']
+        });
+    }
+
+    const projectId = process.env.FIREBASE_PROJECT_ID;
+    const apiKey = process.env.FIREBASE_WEB_API_KEY;
+
+    if (!projectId || !apiKey) {
+        return res.status(503).json({
+            error: 'Sign-in is not configured',
+            message: 'Set FIREBASE_PROJECT_ID and FIREBASE_WEB_API_KEY to enable sign-in'
+        });
+    }
+
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    return res.status(200).json({
+        success: true,
+        config: {
+            apiKey: apiKey,
+            authDomain: process.env.FIREBASE_AUTH_DOMAIN || `${projectId}.firebaseapp.com`,
+            projectId: projectId
+        }
+    });
+};
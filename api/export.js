@@ -0,0 +1,265 @@
+/**
+ * VINTAGE COOKBOOK - EXPORT API
+ * Serverless function for backing up the whole cookbook
+ *
+ * This function connects to Firebase Firestore and handles:
+ * - GET /api/export - Download every recipe and its comments as JSON
+ * - GET /api/export?format=markdown - Download a ZIP with one Markdown file per recipe
+ * - GET /api/export?format=pdf&ids=a,b,c - Print chosen recipes as one PDF
+ * - GET /api/export?format=pdf&category=desserts&title=... - Print a whole category (or,
+ *   with neither ids nor category, the whole cookbook)
+ *
+ * The JSON file can be loaded back with POST /api/import. Comments that are
+ * pending moderation or were rejected are left out. The PDF has a title
+ * page and a table of contents and is rendered here (see _lib/cookbook-pdf).
+ */
+
+const { getDatabase } = require('./_lib/db');
+const { isDocumentId } = require('./_lib/validation');
+const {
+    COOKBOOK_FORMAT,
+    COOKBOOK_VERSION,
+    serializeRecipe,
+    slugify,
+    recipeToMarkdown
+} = require('./_lib/cookbook-file');
+const { createZip } = require('./_lib/zip');
+const { isPublished } = require('./_lib/moderation');
+const { categoryLabel, renderCookbookPdf } = require('./_lib/cookbook-pdf');
+
+// Keeps a PDF inside the serverless time limit
+const MAX_PDF_RECIPES = 250;
+
+const { db } = getDatabase();
+
+/**
+ * CORS headers for cross-origin requests
+ */
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+/**
+ * Main handler function
+ */
+module.exports = async (req, res) => {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({ ok: true });
+    }
+
+    // Set CORS headers
+    Object.entries(corsHeaders).forEach(([key, value]) => {
+        res.setHeader(key, value);
+    });
+
+    try {
+        const format = (req.query.format || 'json').toLowerCase();
+
+        if (req.method !== 'GET') {
+            return res.status(405).json({
+                error: 'Method not allowed',
+                allowedMethods: ['GET']
+            });
+        } else if (format === 'json') {
+            return await exportJson(req, res);
+        } else if (format === 'markdown' || format === 'md') {
+            return await exportMarkdown(req, res);
+        } else if (format === 'pdf') {
+            return await exportPdf(req, res);
+        } else {
+            return res.status(400).json({
+                error: 'Invalid format',
+                allowedFormats: ['json', 'markdown', 'pdf']
+            });
+        }
+    } catch (error) {
+        console.error('API Error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Download the cookbook as a single JSON document
+ */
+async function exportJson(req, res) {
+    try {
+        const recipes = await loadCookbook();
+
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFileName('json')}"`);
+        return res.status(200).json({
+            format: COOKBOOK_FORMAT,
+            version: COOKBOOK_VERSION,
+            exportedAt: new Date().toISOString(),
+            count: recipes.length,
+            recipes: recipes
+        });
+    } catch (error) {
+        console.error('Error exporting cookbook:', error);
+        return res.status(500).json({
+            error: 'Failed to export cookbook',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Download the cookbook as a ZIP of Markdown files
+ */
+async function exportMarkdown(req, res) {
+    try {
+        const recipes = await loadCookbook();
+        const usedNames = new Set();
+
+        const files = recipes.map(recipe => {
+            // Recipes with the same name get numbered files
+            const slug = slugify(recipe.name);
+            let fileName = `${slug}.md`;
+            for (let copy = 2; usedNames.has(fileName); copy++) {
+                fileName = `${slug}-${copy}.md`;
+            }
+            usedNames.add(fileName);
+
+            return { name: `recipes/${fileName}`, content: recipeToMarkdown(recipe) };
+        });
+
+        const zip = createZip(files);
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFileName('zip')}"`);
+        res.setHeader('Content-Length', zip.length);
+        return res.status(200).send(zip);
+    } catch (error) {
+        console.error('Error exporting cookbook:', error);
+        return res.status(500).json({
+            error: 'Failed to export cookbook',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Download chosen recipes, a category or the whole cookbook as a printable PDF
+ */
+async function exportPdf(req, res) {
+    try {
+        const ids = String(req.query.ids || '')
+            .split(',')
+            .map(id => id.trim())
+            .filter(id => id.length > 0);
+        const category = String(req.query.category || '').toLowerCase().trim();
+
+        if (ids.length > MAX_PDF_RECIPES) {
+            return res.status(400).json({
+                error: 'Too many recipes',
+                message: `A PDF can hold at most ${MAX_PDF_RECIPES} recipes`
+            });
+        }
+
+        const invalidIds = ids.filter(id => !isDocumentId(id));
+        if (invalidIds.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid recipe IDs',
+                message: 'Some of the recipe IDs are not valid',
+                ids: invalidIds
+            });
+        }
+
+        const recipes = await loadRecipesForPrint(ids, category);
+
+        if (recipes.length === 0) {
+            return res.status(404).json({
+                error: 'No recipes found',
+                message: 'There are no recipes to print'
+            });
+        }
+
+        if (recipes.length > MAX_PDF_RECIPES) {
+            return res.status(400).json({
+                error: 'Too many recipes',
+                message: `A PDF can hold at most ${MAX_PDF_RECIPES} recipes. Please choose a category.`
+            });
+        }
+
+        const pdf = await renderCookbookPdf(recipes, {
+            title: String(req.query.title || '').substring(0, 100),
+            subtitle: ids.length === 0 && category ? categoryLabel(category) : ''
+        });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFileName('pdf')}"`);
+        res.setHeader('Content-Length', pdf.length);
+        return res.status(200).send(pdf);
+    } catch (error) {
+        console.error('Error exporting cookbook PDF:', error);
+        return res.status(500).json({
+            error: 'Failed to export cookbook',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Read the recipes to print: the given IDs (missing ones are skipped),
+ * otherwise one category, otherwise every recipe
+ */
+async function loadRecipesForPrint(ids, category) {
+    let docs;
+    if (ids.length > 0) {
+        const uniqueIds = [...new Set(ids)];
+        docs = (await db.getAll(...uniqueIds.map(id => db.collection('recipes').doc(id))))
+            .filter(doc => doc.exists);
+    } else if (category) {
+        docs = (await db.collection('recipes').where('category', '==', category).get()).docs;
+    } else {
+        docs = (await db.collection('recipes').get()).docs;
+    }
+
+    return docs.map(doc => serializeRecipe(doc.id, doc.data()));
+}
+
+/**
+ * Read every recipe with its comments, oldest first.
+ * Sorting happens here because orderBy would skip documents missing createdAt.
+ */
+async function loadCookbook() {
+    const [recipesSnapshot, commentsSnapshot] = await Promise.all([
+        db.collection('recipes').get(),
+        db.collection('comments').get()
+    ]);
+
+    const commentsByRecipe = {};
+    commentsSnapshot.forEach(doc => {
+        const comment = { id: doc.id, ...doc.data() };
+        if (!isPublished(comment)) return;
+        (commentsByRecipe[comment.recipeId] = commentsByRecipe[comment.recipeId] || []).push(comment);
+    });
+
+    const recipes = [];
+    recipesSnapshot.forEach(doc => {
+        const recipe = serializeRecipe(doc.id, doc.data(), commentsByRecipe[doc.id]);
+        recipe.comments.sort(byCreatedAt);
+        recipes.push(recipe);
+    });
+
+    return recipes.sort(byCreatedAt);
+}
+
+/**
+ * Compare serialized records by their ISO creation dates, undated ones first
+ */
+function byCreatedAt(a, b) {
+    return (a.createdAt || '').localeCompare(b.createdAt || '');
+}
+
+/**
+ * Dated download file name, e.g. cookbook-2026-01-31.json
+ */
+function exportFileName(extension) {
+    return `cookbook-${new Date().toISOString().substring(0, 10)}.${extension}`;
+}
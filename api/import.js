@@ -0,0 +1,314 @@
+/**
+ * VINTAGE COOKBOOK - IMPORT API
+ * Serverless function for restoring a cookbook export
+ *
+ * This function connects to Firebase Firestore and handles:
+ * - POST /api/import - Import recipes and comments in the /api/export JSON format
+ * - POST /api/import?dryRun=true - Validate an import without saving anything
+ *
+ * Recipes whose name matches an existing recipe (ignoring case) are skipped.
+ * Recipes and comments that break shared/schema.js are left out and listed
+ * with their field errors. The response lists the outcome of every record. Importing is limited to
+ * editors, who become the author of the imported recipes.
+ *
+ * Comments keep their author when the ID is usable (otherwise the editor
+ * importing becomes the author), and their star ratings are saved as the
+ * authors' ratings of the recipe, one per author, with the recipe's totals.
+ *
+ * Older cookbooks may hold categories that are no longer listed (such as
+ * 'uncategorized'); these are matched to a listed category by their wording
+ * or the recipe's name, and the result notes the original as categoryChangedFrom.
+ */
+
+const Schema = require('../shared/schema');
+const { guessCategory } = require('../shared/recipe-import');
+const { getDatabase } = require('./_lib/db');
+const { COOKBOOK_FORMAT } = require('./_lib/cookbook-file');
+const { buildIndexEntry, indexRef } = require('./_lib/search-index');
+const { prepareRecipeData, prepareCommentData, isDocumentId } = require('./_lib/validation');
+const { withAuth, requireUser } = require('./_lib/auth');
+const { ROLES, hasRole, forbidden } = require('./_lib/roles');
+const { ratingRef, ratingSummary } = require('./_lib/ratings');
+
+const { db, FieldValue, Timestamp } = getDatabase();
+
+/**
+ * CORS headers for cross-origin requests
+ */
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+const MAX_IMPORT_RECIPES = 500;
+
+// Firestore allows 500 writes per batch
+const BATCH_LIMIT = 450;
+
+// Category for imported recipes when nothing suggests a better one
+const FALLBACK_CATEGORY = 'main-course';
+
+/**
+ * Main handler function
+ */
+module.exports = withAuth(async (req, res) => {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({ ok: true });
+    }
+
+    // Set CORS headers
+    Object.entries(corsHeaders).forEach(([key, value]) => {
+        res.setHeader(key, value);
+    });
+
+    try {
+        if (req.method === 'POST') {
+            if (!requireUser(req, res)) return;
+            if (!hasRole(req.user, ROLES.EDITOR)) {
+                return forbidden(res, 'Only editors can import recipes');
+            }
+            return await importCookbook(req, res);
+        } else {
+            return res.status(405).json({
+                error: 'Method not allowed',
+                allowedMethods: ['POST']
+            });
+        }
+    } catch (error) {
+        console.error('API Error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Validate and import each recipe record, reporting a result per record
+ */
+async function importCookbook(req, res) {
+    try {
+        const body = req.body || {};
+        const dryRun = req.query.dryRun === 'true';
+
+        // Accept a full export or a bare list of recipes
+        const records = Array.isArray(body) ? body : body.recipes;
+
+        if (!Array.isArray(body) && body.format && body.format !== COOKBOOK_FORMAT) {
+            return res.status(400).json({
+                error: 'Invalid import format',
+                message: `Expected a "${COOKBOOK_FORMAT}" export`
+            });
+        }
+
+        if (!Array.isArray(records)) {
+            return res.status(400).json({
+                error: 'Invalid import format',
+                message: 'Please provide recipes as a list'
+            });
+        }
+
+        if (records.length > MAX_IMPORT_RECIPES) {
+            return res.status(400).json({
+                error: 'Too many recipes',
+                message: `Import at most ${MAX_IMPORT_RECIPES} recipes at a time`
+            });
+        }
+
+        const existingNames = await loadRecipeNames();
+        const results = [];
+
+        for (let index = 0; index < records.length; index++) {
+            results.push(await importRecord(records[index], index, existingNames, req.user, dryRun));
+        }
+
+        const summary = { total: results.length };
+        results.forEach(result => {
+            summary[result.status] = (summary[result.status] || 0) + 1;
+        });
+
+        return res.status(200).json({
+            success: true,
+            dryRun: dryRun,
+            summary: summary,
+            results: results
+        });
+    } catch (error) {
+        console.error('Error importing cookbook:', error);
+        return res.status(500).json({
+            error: 'Failed to import cookbook',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Import one recipe record and its comments.
+ * Status is 'created' (or 'valid' in a dry run), 'skipped', 'invalid' or 'failed'.
+ */
+async function importRecord(record, index, existingNames, user, dryRun) {
+    const name = record && typeof record.name === 'string' ? record.name.trim() : '';
+    const result = { index, name };
+
+    const category = importCategory(record);
+    if (category.changedFrom) {
+        result.categoryChangedFrom = category.changedFrom;
+    }
+
+    const { recipe: recipeFields, error } = prepareRecipeData({ ...record, category: category.value });
+    if (error) {
+        return { ...result, status: 'invalid', ...error };
+    }
+
+    // De-duplicate against the collection and earlier records in this import
+    const nameKey = normalizeName(recipeFields.name);
+    if (existingNames.has(nameKey)) {
+        return {
+            ...result,
+            status: 'skipped',
+            reason: 'A recipe with this name already exists',
+            existingId: existingNames.get(nameKey)
+        };
+    }
+
+    const recipeRef = db.collection('recipes').doc();
+    const comments = [];
+    const invalidComments = [];
+
+    // Exported comment IDs are replaced, so replies are re-pointed at their parent's new ID
+    const commentRecords = Array.isArray(record.comments) ? record.comments : [];
+    const newCommentIds = new Map();
+    commentRecords.forEach(commentRecord => {
+        if (commentRecord && commentRecord.id) {
+            newCommentIds.set(commentRecord.id, db.collection('comments').doc().id);
+        }
+    });
+
+    commentRecords.forEach((commentRecord, commentIndex) => {
+        const { comment, error } = prepareCommentData({ ...commentRecord, recipeId: recipeRef.id });
+        if (error) {
+            invalidComments.push({ index: commentIndex, ...error });
+            return;
+        }
+
+        const id = newCommentIds.get(commentRecord.id) || db.collection('comments').doc().id;
+        comments.push({
+            id: id,
+            ...comment,
+            parentId: newCommentIds.get(comment.parentId) || null,
+            authorId: isDocumentId(commentRecord.authorId) ? commentRecord.authorId : user.uid,
+            createdAt: toTimestamp(commentRecord.createdAt)
+        });
+    });
+
+    // A reply whose parent was invalid becomes a top-level comment
+    const importedIds = new Set(comments.map(comment => comment.id));
+    comments.forEach(comment => {
+        if (comment.parentId && !importedIds.has(comment.parentId)) comment.parentId = null;
+    });
+
+    // One rating per author, a later comment's replacing an earlier one, as on the site
+    const ratings = new Map();
+    comments
+        .filter(comment => comment.rating && !comment.parentId)
+        .forEach(comment => ratings.set(comment.authorId, comment.rating));
+    const ratingTotal = [...ratings.values()].reduce((total, rating) => total + rating, 0);
+
+    existingNames.set(nameKey, recipeRef.id);
+
+    const commentResults = { imported: comments.length, invalid: invalidComments };
+
+    if (dryRun) {
+        return { ...result, status: 'valid', comments: commentResults };
+    }
+
+    try {
+        const writes = [
+            batch => batch.set(recipeRef, {
+                ...recipeFields,
+                authorId: user.uid,
+                authorName: user.name,
+                ...ratingSummary(ratingTotal, ratings.size),
+                createdAt: toTimestamp(record.createdAt),
+                updatedAt: toTimestamp(record.updatedAt || record.createdAt)
+            }),
+            batch => batch.set(indexRef(db, recipeRef.id), buildIndexEntry(recipeFields)),
+            ...comments.map(({ id, ...comment }) => batch => batch.set(db.collection('comments').doc(id), comment)),
+            ...[...ratings].map(([uid, rating]) => batch => batch.set(ratingRef(db, recipeRef.id, uid), {
+                recipeId: recipeRef.id,
+                uid: uid,
+                rating: rating,
+                updatedAt: FieldValue.serverTimestamp()
+            }))
+        ];
+        await commitInBatches(writes);
+
+        return { ...result, status: 'created', recipeId: recipeRef.id, comments: commentResults };
+    } catch (error) {
+        console.error(`Error importing recipe ${index}:`, error);
+        existingNames.delete(nameKey);
+        return { ...result, status: 'failed', error: error.message };
+    }
+}
+
+/**
+ * A listed category for an exported recipe: its own if it is listed (in any
+ * case), otherwise one guessed from its wording or the recipe's name.
+ * Returns { value, changedFrom } with the original when it was replaced.
+ */
+function importCategory(record) {
+    const original = record && typeof record.category === 'string' ? record.category.trim() : '';
+    const category = original.toLowerCase();
+
+    if (Schema.CATEGORIES.some(listed => listed.value === category)) {
+        return { value: category, changedFrom: null };
+    }
+
+    return {
+        value: guessCategory(category) || guessCategory(record && record.name) || FALLBACK_CATEGORY,
+        changedFrom: original || null
+    };
+}
+
+/**
+ * Map of normalized recipe names to IDs for everything already in the collection
+ */
+async function loadRecipeNames() {
+    const snapshot = await db.collection('recipes').select('name').get();
+    const names = new Map();
+    snapshot.forEach(doc => {
+        names.set(normalizeName(doc.data().name), doc.id);
+    });
+    return names;
+}
+
+/**
+ * Name used to spot duplicates: lowercase with single spaces
+ */
+function normalizeName(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Keep the original date of an imported record, or use the server time
+ */
+function toTimestamp(value) {
+    const date = value ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) {
+        return FieldValue.serverTimestamp();
+    }
+    return Timestamp.fromDate(date);
+}
+
+/**
+ * Run batch writes in chunks that stay under the Firestore batch limit
+ */
+async function commitInBatches(writes) {
+    for (let start = 0; start < writes.length; start += BATCH_LIMIT) {
+        const batch = db.batch();
+        writes.slice(start, start + BATCH_LIMIT).forEach(write => write(batch));
+        await batch.commit();
+    }
+}
@@ -0,0 +1,325 @@
+/**
+ * VINTAGE COOKBOOK - MEAL PLANS API
+ * Serverless function for each user's weekly meal plans
+ *
+ * This function connects to Firebase Firestore and handles:
+ * - GET /api/meal-plans - List the weeks the user has planned, newest first
+ * - GET /api/meal-plans/:week - Get the plan for the week containing a date (YYYY-MM-DD)
+ * - PUT /api/meal-plans/:week - Save the week's meals: { meals: [{ day, meal, recipeId, servings }] }
+ * - DELETE /api/meal-plans/:week - Clear the week
+ * - POST /api/meal-plans/:week/copy - Copy another week's meals into this week
+ *   ({ from: 'YYYY-MM-DD' }, the week before by default)
+ *
+ * Plans are private to the signed-in user, so every route needs a sign-in.
+ * Weeks run Monday to Sunday; any date in the week can be used as :week.
+ * Plans come back with a summary of each planned recipe; meals whose recipe
+ * has since been deleted have `recipe: null`.
+ */
+
+const { getDatabase } = require('./_lib/db');
+const crypto = require('crypto');
+const { withAuth, requireUser } = require('./_lib/auth');
+const { rateLimit } = require('./_lib/rate-limit');
+const {
+    MEAL_PLANS_COLLECTION,
+    weekStartOf,
+    addWeeks,
+    planDocId,
+    prepareMeals
+} = require('./_lib/meal-plans');
+
+const { db, FieldValue } = getDatabase();
+
+/**
+ * CORS headers for cross-origin requests
+ */
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Expose-Headers': 'Retry-After',
+};
+
+/**
+ * Main handler function
+ */
+module.exports = withAuth(async (req, res) => {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({ ok: true });
+    }
+
+    // Set CORS headers
+    Object.entries(corsHeaders).forEach(([key, value]) => {
+        res.setHeader(key, value);
+    });
+
+    try {
+        const { method, url } = req;
+
+        // Path segments after 'meal-plans': /:week/:action
+        const urlParts = url.split('?')[0].split('/').filter(part => part.length > 0);
+        const [weekPart, action] = urlParts.slice(urlParts.indexOf('meal-plans') + 1);
+
+        if (!requireUser(req, res)) return;
+
+        const weekStart = weekPart ? weekStartOf(weekPart) : null;
+        if (weekPart && !weekStart) {
+            return res.status(400).json({
+                error: 'Invalid week',
+                message: 'Weeks are given as a date, e.g. 2026-01-05'
+            });
+        }
+
+        // Route based on method and parameters
+        if (method === 'GET' && !weekStart) {
+            return await getMealPlans(req, res);
+        } else if (method === 'GET') {
+            return await getMealPlan(req, res, weekStart);
+        } else if (!weekStart) {
+            return res.status(405).json({
+                error: 'Method not allowed',
+                allowedMethods: ['GET']
+            });
+        } else if (!(await rateLimit(req, res, 'mealPlans'))) {
+            // Too many writes from this user or address
+            return;
+        } else if (method === 'PUT' && !action) {
+            return await saveMealPlan(req, res, weekStart);
+        } else if (method === 'DELETE' && !action) {
+            return await deleteMealPlan(req, res, weekStart);
+        } else if (method === 'POST' && action === 'copy') {
+            return await copyMealPlan(req, res, weekStart);
+        } else {
+            return res.status(405).json({
+                error: 'Method not allowed',
+                allowedMethods: ['GET', 'POST', 'PUT', 'DELETE']
+            });
+        }
+    } catch (error) {
+        console.error('API Error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * List the weeks the user has planned
+ */
+async function getMealPlans(req, res) {
+    try {
+        const snapshot = await db.collection(MEAL_PLANS_COLLECTION)
+            .where('userId', '==', req.user.uid)
+            .get();
+
+        // Sorted here to avoid needing a composite index
+        const plans = snapshot.docs
+            .map(doc => doc.data())
+            .filter(plan => (plan.meals || []).length > 0)
+            .map(plan => ({ weekStart: plan.weekStart, mealCount: plan.meals.length }))
+            .sort((a, b) => b.weekStart.localeCompare(a.weekStart));
+
+        return res.status(200).json({
+            success: true,
+            count: plans.length,
+            plans: plans
+        });
+    } catch (error) {
+        console.error('Error getting meal plans:', error);
+        return res.status(500).json({
+            error: 'Failed to retrieve meal plans',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Get one week's plan. A week with nothing planned comes back empty.
+ */
+async function getMealPlan(req, res, weekStart) {
+    try {
+        const meals = await loadMeals(req.user.uid, weekStart);
+
+        return res.status(200).json({
+            success: true,
+            plan: await withRecipes(weekStart, meals)
+        });
+    } catch (error) {
+        console.error('Error getting meal plan:', error);
+        return res.status(500).json({
+            error: 'Failed to retrieve meal plan',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Replace a week's meals
+ */
+async function saveMealPlan(req, res, weekStart) {
+    try {
+        const { meals, error } = prepareMeals((req.body || {}).meals);
+        if (error) {
+            return res.status(400).json({
+                error: 'Invalid meal plan',
+                message: error
+            });
+        }
+
+        // Meals for recipes that no longer exist are dropped
+        const recipes = await loadRecipes(meals.map(meal => meal.recipeId));
+        const saved = meals.filter(meal => recipes[meal.recipeId]);
+
+        await writeMeals(req.user.uid, weekStart, saved);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Meal plan saved',
+            plan: await withRecipes(weekStart, saved, recipes)
+        });
+    } catch (error) {
+        console.error('Error saving meal plan:', error);
+        return res.status(500).json({
+            error: 'Failed to save meal plan',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Clear a week
+ */
+async function deleteMealPlan(req, res, weekStart) {
+    try {
+        await db.collection(MEAL_PLANS_COLLECTION).doc(planDocId(req.user.uid, weekStart)).delete();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Meal plan cleared',
+            plan: await withRecipes(weekStart, [])
+        });
+    } catch (error) {
+        console.error('Error deleting meal plan:', error);
+        return res.status(500).json({
+            error: 'Failed to clear meal plan',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Copy another week's meals into a week, replacing what was planned there.
+ * Meals keep their day and slot; each copy gets a new ID.
+ */
+async function copyMealPlan(req, res, weekStart) {
+    try {
+        const from = (req.body || {}).from;
+        const sourceWeek = from ? weekStartOf(from) : addWeeks(weekStart, -1);
+
+        if (!sourceWeek) {
+            return res.status(400).json({
+                error: 'Invalid week',
+                message: 'from must be a date, e.g. 2026-01-05'
+            });
+        }
+        if (sourceWeek === weekStart) {
+            return res.status(400).json({
+                error: 'Invalid week',
+                message: 'A week cannot be copied onto itself'
+            });
+        }
+
+        const sourceMeals = await loadMeals(req.user.uid, sourceWeek);
+        const recipes = await loadRecipes(sourceMeals.map(meal => meal.recipeId));
+        const copied = sourceMeals
+            .filter(meal => recipes[meal.recipeId])
+            .map(meal => ({ ...meal, id: crypto.randomUUID() }));
+
+        if (copied.length === 0) {
+            return res.status(404).json({
+                error: 'Nothing to copy',
+                message: `Nothing is planned for the week of ${sourceWeek}`,
+                weekStart: sourceWeek
+            });
+        }
+
+        await writeMeals(req.user.uid, weekStart, copied);
+
+        return res.status(200).json({
+            success: true,
+            message: `Copied ${copied.length} meal${copied.length !== 1 ? 's' : ''} from the week of ${sourceWeek}`,
+            plan: await withRecipes(weekStart, copied, recipes)
+        });
+    } catch (error) {
+        console.error('Error copying meal plan:', error);
+        return res.status(500).json({
+            error: 'Failed to copy meal plan',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * The meals stored for a user's week, or none
+ */
+async function loadMeals(uid, weekStart) {
+    const doc = await db.collection(MEAL_PLANS_COLLECTION).doc(planDocId(uid, weekStart)).get();
+    return doc.exists ? doc.data().meals || [] : [];
+}
+
+/**
+ * Store a user's week, keeping the original creation time
+ */
+async function writeMeals(uid, weekStart, meals) {
+    const planRef = db.collection(MEAL_PLANS_COLLECTION).doc(planDocId(uid, weekStart));
+    const existing = await planRef.get();
+    const now = FieldValue.serverTimestamp();
+
+    await planRef.set({
+        userId: uid,
+        weekStart: weekStart,
+        meals: meals,
+        createdAt: existing.exists ? existing.data().createdAt : now,
+        updatedAt: now
+    });
+}
+
+/**
+ * Summaries of recipes by ID, looked up once each. Missing recipes are left out.
+ */
+async function loadRecipes(recipeIds) {
+    const uniqueIds = [...new Set(recipeIds)];
+    const recipes = {};
+    if (uniqueIds.length === 0) return recipes;
+
+    const docs = await db.getAll(...uniqueIds.map(id => db.collection('recipes').doc(id)));
+    docs.forEach(doc => {
+        if (!doc.exists) return;
+        const recipe = doc.data();
+        recipes[doc.id] = {
+            id: doc.id,
+            name: recipe.name,
+            category: recipe.category || '',
+            servings: recipe.servings || null,
+            image: recipe.image || null
+        };
+    });
+    return recipes;
+}
+
+/**
+ * A week's plan as sent to the client, each meal with its recipe summary
+ */
+async function withRecipes(weekStart, meals, recipes = null) {
+    const summaries = recipes || await loadRecipes(meals.map(meal => meal.recipeId));
+
+    return {
+        weekStart: weekStart,
+        meals: meals.map(meal => ({
+            ...meal,
+            recipe: summaries[meal.recipeId] || null
+        }))
+    };
+}
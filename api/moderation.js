@@ -0,0 +1,194 @@
+/**
+ * VINTAGE COOKBOOK - MODERATION API
+ * Serverless function for reviewing comments held by the moderation filters
+ *
+ * This function connects to Firebase Firestore and handles:
+ * - GET /api/moderation - List pending comments, oldest first
+ * - POST /api/moderation/:commentId/approve - Publish a pending comment
+ * - POST /api/moderation/:commentId/reject - Reject a pending comment
+ *
+ * Every route is limited to moderators. Rejected comments are kept (hidden)
+ * so repeat posts can still be recognised as duplicates. A held comment's
+ * star rating is applied to the recipe when the comment is approved and
+ * removed from it when the comment is rejected.
+ */
+
+const { getDatabase } = require('./_lib/db');
+const { withAuth, requireUser } = require('./_lib/auth');
+const { ROLES, hasRole, forbidden } = require('./_lib/roles');
+const { COMMENT_STATUS } = require('./_lib/moderation');
+const { rateRecipe, unrateRecipe } = require('./_lib/ratings');
+
+const { db, FieldValue } = getDatabase();
+
+/**
+ * CORS headers for cross-origin requests
+ */
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+/**
+ * Status a comment moves to for each review action
+ */
+const REVIEW_ACTIONS = {
+    approve: COMMENT_STATUS.PUBLISHED,
+    reject: COMMENT_STATUS.REJECTED
+};
+
+/**
+ * Main handler function
+ */
+module.exports = withAuth(async (req, res) => {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({ ok: true });
+    }
+
+    // Set CORS headers
+    Object.entries(corsHeaders).forEach(([key, value]) => {
+        res.setHeader(key, value);
+    });
+
+    try {
+        const { method, url } = req;
+
+        // Path segments after 'moderation': /:commentId/:action
+        const urlParts = url.split('?')[0].split('/').filter(part => part.length > 0);
+        const [commentId, action] = urlParts.slice(urlParts.indexOf('moderation') + 1);
+
+        if (!requireUser(req, res)) return;
+        if (!hasRole(req.user, ROLES.MODERATOR)) {
+            return forbidden(res, 'Only moderators can review comments');
+        }
+
+        // Route based on method
+        if (method === 'GET' && !commentId) {
+            return await getPendingComments(req, res);
+        } else if (method === 'POST' && commentId && REVIEW_ACTIONS[action]) {
+            return await reviewPendingComment(req, res, commentId, action);
+        } else {
+            return res.status(405).json({
+                error: 'Method not allowed',
+                allowedMethods: ['GET', 'POST']
+            });
+        }
+    } catch (error) {
+        console.error('API Error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * List pending comments with the name of the recipe each was posted on
+ */
+async function getPendingComments(req, res) {
+    try {
+        const snapshot = await db.collection('comments')
+            .where('status', '==', COMMENT_STATUS.PENDING)
+            .get();
+
+        const comments = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+        // Sorted here to avoid needing a composite index
+        comments.sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt));
+
+        // Look up each recipe once
+        const recipeIds = [...new Set(comments.map(comment => comment.recipeId))];
+        const recipeDocs = await Promise.all(
+            recipeIds.map(recipeId => db.collection('recipes').doc(recipeId).get())
+        );
+        const recipeNames = {};
+        recipeDocs.forEach(doc => {
+            recipeNames[doc.id] = doc.exists ? doc.data().name : null;
+        });
+
+        return res.status(200).json({
+            success: true,
+            count: comments.length,
+            comments: comments.map(comment => ({
+                ...comment,
+                recipeName: recipeNames[comment.recipeId] || null
+            }))
+        });
+    } catch (error) {
+        console.error('Error getting pending comments:', error);
+        return res.status(500).json({
+            error: 'Failed to retrieve pending comments',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Approve or reject a pending comment
+ */
+async function reviewPendingComment(req, res, commentId, action) {
+    try {
+        const commentRef = db.collection('comments').doc(commentId);
+        const doc = await commentRef.get();
+
+        if (!doc.exists) {
+            return res.status(404).json({
+                error: 'Comment not found',
+                commentId: commentId
+            });
+        }
+
+        if (doc.data().status !== COMMENT_STATUS.PENDING) {
+            return res.status(409).json({
+                error: 'Comment is not pending',
+                commentId: commentId,
+                status: doc.data().status || COMMENT_STATUS.PUBLISHED
+            });
+        }
+
+        const comment = doc.data();
+        const review = {
+            status: REVIEW_ACTIONS[action],
+            moderatedBy: req.user.name,
+            moderatedById: req.user.uid,
+            moderatedAt: FieldValue.serverTimestamp()
+        };
+
+        // An approved comment's rating now counts and a rejected one's no longer
+        // does, saved together with the review
+        let rated = null;
+        if (comment.rating && !comment.parentId) {
+            const author = { uid: comment.authorId };
+            const writeReview = transaction => transaction.update(commentRef, review);
+            rated = action === 'approve'
+                ? await rateRecipe(db, comment.recipeId, author, comment.rating, writeReview)
+                : await unrateRecipe(db, comment.recipeId, author, writeReview);
+        }
+        // No rating to apply, or its recipe is gone
+        if (!rated) {
+            await commentRef.update(review);
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: action === 'approve' ? 'Comment approved' : 'Comment rejected',
+            commentId: commentId,
+            status: REVIEW_ACTIONS[action]
+        });
+    } catch (error) {
+        console.error('Error reviewing comment:', error);
+        return res.status(500).json({
+            error: 'Failed to review comment',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Milliseconds since the epoch for a Firestore Timestamp (0 if missing)
+ */
+function toMillis(timestamp) {
+    return timestamp && typeof timestamp.toMillis === 'function' ? timestamp.toMillis() : 0;
+}
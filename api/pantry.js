@@ -0,0 +1,207 @@
+/**
+ * VINTAGE COOKBOOK - PANTRY API
+ * Serverless function for "What can I cook?" searches
+ *
+ * This function connects to Firebase Firestore and handles:
+ * - POST /api/pantry - Rank recipes by how many of their ingredients are on hand
+ *
+ * Request body:
+ *   { "items": ["eggs", "flour", "milk"], "category": "desserts", "maxMissing": 3, "limit": 20 }
+ *
+ * Each recipe in the response carries a `pantryMatch` with its coverage and the
+ * ingredients that are missing.
+ */
+
+const { getDatabase } = require('./_lib/db');
+const { parseIngredientList } = require('../shared/ingredients');
+const { tokenize } = require('../shared/search');
+
+const { db } = getDatabase();
+
+/**
+ * CORS headers for cross-origin requests
+ */
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_PANTRY_ITEMS = 100;
+
+/**
+ * Ingredients every kitchen is assumed to have unless includeStaples is false
+ */
+const PANTRY_STAPLES = ['salt', 'kosher salt', 'sea salt', 'pepper', 'black pepper', 'salt and pepper', 'water', 'ice'];
+
+/**
+ * Sizes, grades and preparation that do not change what the ingredient is,
+ * so "large eggs" and "unsalted butter" are the same as "eggs" and "butter"
+ */
+const DESCRIPTOR_PATTERN = /\b(?:extra[- ]large|large|small|medium|jumbo|fresh|freshly|unsalted|salted|all[- ]purpose|chopped|diced|minced|sliced|grated|shredded|softened|melted|room[- ]temperature|cold|warm|boneless|skinless|ripe|peeled|finely|roughly|thinly)\b/gi;
+
+/**
+ * Main handler function
+ */
+module.exports = async (req, res) => {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({ ok: true });
+    }
+
+    // Set CORS headers
+    Object.entries(corsHeaders).forEach(([key, value]) => {
+        res.setHeader(key, value);
+    });
+
+    try {
+        if (req.method === 'POST') {
+            return await findCookableRecipes(req, res);
+        } else {
+            return res.status(405).json({
+                error: 'Method not allowed',
+                allowedMethods: ['POST']
+            });
+        }
+    } catch (error) {
+        console.error('API Error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Rank recipes by the share of their ingredients covered by the pantry
+ */
+async function findCookableRecipes(req, res) {
+    try {
+        const body = req.body || {};
+        const pantryItems = normalizePantryItems(body.items);
+
+        if (pantryItems.length === 0) {
+            return res.status(400).json({
+                error: 'Pantry items are required',
+                message: 'Please provide items as a list of ingredients you have on hand'
+            });
+        }
+
+        const includeStaples = body.includeStaples !== false;
+        const category = (body.category || '').toLowerCase();
+        const maxMissing = Number.isInteger(body.maxMissing) && body.maxMissing >= 0 ? body.maxMissing : null;
+        const limit = Math.min(Math.max(parseInt(body.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+        const pantry = {
+            items: pantryItems.map(itemTerms).filter(terms => terms.length > 0),
+            staples: includeStaples ? PANTRY_STAPLES.map(itemTerms) : []
+        };
+
+        const snapshot = await db.collection('recipes').get();
+
+        const recipes = [];
+        snapshot.forEach(doc => {
+            const recipe = { id: doc.id, ...doc.data() };
+            if (category && (recipe.category || '').toLowerCase() !== category) return;
+
+            const pantryMatch = matchRecipe(recipe, pantry);
+            if (pantryMatch.matched === 0) return;
+            if (maxMissing !== null && pantryMatch.missing.length > maxMissing) return;
+
+            recipes.push({ ...recipe, pantryMatch });
+        });
+
+        // Best coverage first, then fewest items to buy
+        recipes.sort((a, b) =>
+            b.pantryMatch.coverage - a.pantryMatch.coverage ||
+            a.pantryMatch.missing.length - b.pantryMatch.missing.length ||
+            (a.name || '').localeCompare(b.name || '')
+        );
+
+        return res.status(200).json({
+            success: true,
+            pantry: pantryItems,
+            count: Math.min(recipes.length, limit),
+            total: recipes.length,
+            recipes: recipes.slice(0, limit)
+        });
+    } catch (error) {
+        console.error('Error matching pantry:', error);
+        return res.status(500).json({
+            error: 'Failed to find recipes',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Accept a list or a comma/newline separated string of pantry items
+ */
+function normalizePantryItems(items) {
+    const list = Array.isArray(items) ? items : String(items || '').split(/[\n,]/);
+
+    return Array.from(new Set(list
+        .filter(item => typeof item === 'string')
+        .map(item => item.trim().toLowerCase().substring(0, 100))
+        .filter(item => item.length > 0)
+    )).slice(0, MAX_PANTRY_ITEMS);
+}
+
+/**
+ * Compare a recipe's ingredient lines with the pantry.
+ * Returns { matched, total, coverage, missing }.
+ */
+function matchRecipe(recipe, pantry) {
+    // Recipes saved before ingredients were structured are parsed on the fly
+    const ingredientList = Array.isArray(recipe.ingredientList)
+        ? recipe.ingredientList
+        : parseIngredientList(recipe.ingredients);
+
+    let matched = 0;
+    const missing = [];
+
+    ingredientList
+        .filter(ingredient => !ingredient.heading)
+        .forEach(ingredient => {
+            const terms = itemTerms(ingredient.item);
+            if (terms.length === 0) return;
+
+            const covered = pantry.items.some(pantryTerms => sameTerms(pantryTerms, terms)) ||
+                pantry.staples.some(stapleTerms => sameTerms(stapleTerms, terms));
+
+            if (covered) {
+                matched++;
+            } else {
+                missing.push(ingredient.item);
+            }
+        });
+
+    const total = matched + missing.length;
+
+    return {
+        matched: matched,
+        total: total,
+        coverage: total > 0 ? Math.round(matched / total * 100) / 100 : 0,
+        missing: missing
+    };
+}
+
+/**
+ * The stemmed words that say what an ingredient is, without its descriptors
+ */
+function itemTerms(item) {
+    const terms = tokenize(String(item || '').replace(DESCRIPTOR_PATTERN, ' '));
+    // A name made only of descriptors keeps them
+    return terms.length > 0 ? terms : tokenize(item);
+}
+
+/**
+ * Whether two items name the same product. Other words make a different
+ * one: "flour" covers "all-purpose flour", but "chicken" does not cover
+ * "chicken stock" and "chicken stock" does not cover "chicken".
+ */
+function sameTerms(a, b) {
+    return a.every(term => b.includes(term)) && b.every(term => a.includes(term));
+}
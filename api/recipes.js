@@ -3,38 +3,55 @@
  * Serverless function for handling recipe CRUD operations
  * 
  * This function connects to Firebase Firestore and handles:
- * - GET /api/recipes - Retrieve all recipes
+ * - GET /api/recipes - Retrieve recipes a page at a time
+ * - GET /api/recipes?q=soup&category=soups&sort=name&limit=24&cursor=<id> - Search, filter and paginate
  * - GET /api/recipes?recent=5 - Get 5 most recent recipes
  * - POST /api/recipes - Create new recipe
  * - GET /api/recipes/:id - Get single recipe by ID
+ * - GET /api/recipes/:id?units=metric - Include a metric (or imperial) conversion
+ * - PUT /api/recipes/:id - Update an existing recipe
+ * - DELETE /api/recipes/:id - Delete a recipe
+ * - GET /api/recipes/:id/revisions - Get the revision history of a recipe
+ * - POST /api/recipes/:id/revisions/:revisionId/restore - Roll back to a revision
+ * - PUT /api/recipes/:id/rating - Rate a recipe from 1 to 5 stars
+ * - GET /api/recipes?sort=rating - Highest rated first
+ *
+ * Creating, updating, deleting and restoring need a signed-in user
+ * (Authorization: Bearer <Firebase ID token>). Only a recipe's author or an
+ * editor may update, delete or restore it. Any signed-in user may rate.
+ * Writes are rate limited per IP address and per user.
+ *
+ * Recipes are checked against shared/schema.js; invalid ones get 400 with
+ * { error: 'Validation failed', errors: [{ field, code, message }] }.
+ *
+ * A recipe's photo is uploaded first through /api/uploads; the returned
+ * reference is sent as `image` when creating or updating the recipe
+ * (`image: null` removes it, and sending back the current one keeps it).
+ *
+ * The rating sort needs a ratingAverage on every recipe; `npm run migrate`
+ * adds one to recipes saved before ratings existed.
  */
 
-// Import Firebase Admin SDK
-const admin = require('firebase-admin');
+const { getDatabase } = require('./_lib/db');
+const { parseIngredientList } = require('../shared/ingredients');
+const { convertIngredient, convertText } = require('../shared/units');
+const { buildIndexEntry, indexRef } = require('./_lib/search-index');
+const { validationFailed, prepareRecipeData, isHoneypotFilled, sanitizeString } = require('./_lib/validation');
+const { withAuth, requireUser } = require('./_lib/auth');
+const { rateLimit } = require('./_lib/rate-limit');
+const { prepareImageReference, removeRecipePhoto } = require('./_lib/images');
+const { recipeDenialReason, recipePermissions, forbidden } = require('./_lib/roles');
+const {
+    MIN_RATING,
+    MAX_RATING,
+    parseRating,
+    emptyRatingSummary,
+    rateRecipe,
+    getUserRating,
+    recipeRatingsQuery
+} = require('./_lib/ratings');
 
-// Initialize Firebase Admin (only once)
-if (!admin.apps.length) {
-    try {
-        admin.initializeApp({
-            credential: admin.credential.cert({
-                projectId: process.env.FIREBASE_PROJECT_ID,
-                clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-                privateKey: process.env.FIREBASE_PRIVATE_KEY 
-                    ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
-                    : undefined
-            }),
-            databaseURL: `https://${process.env.FIREBASE_PROJECT_ID}.firebaseio.com`
-        });
-    } catch (error) {
-        console.error('Firebase initialization error:', error);
-    }
-}
-
-const db = admin.firestore();
-// Explicitly set the database settings
-db.settings({
-    ignoreUndefinedProperties: true
-});
+const { db, FieldValue } = getDatabase();
 
 /**
  * CORS headers for cross-origin requests
@@ -42,13 +59,38 @@ db.settings({
 const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Expose-Headers': 'Retry-After',
+};
+
+/**
+ * Page sizes for recipe listings
+ */
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// Documents read per Firestore query while filtering a page
+const SCAN_BATCH_SIZE = 100;
+
+/**
+ * Supported listing sort orders
+ */
+const SORT_OPTIONS = {
+    newest: { field: 'createdAt', direction: 'desc' },
+    oldest: { field: 'createdAt', direction: 'asc' },
+    name: { field: 'name', direction: 'asc' },
+    rating: { field: 'ratingAverage', direction: 'desc' }
 };
 
+/**
+ * Editable fields captured in each revision snapshot
+ */
+const REVISION_FIELDS = ['name', 'category', 'prepTime', 'cookTime', 'servings', 'ingredients', 'instructions', 'notes'];
+
 /**
  * Main handler function
  */
-module.exports = async (req, res) => {
+module.exports = withAuth(async (req, res) => {
     // Handle CORS preflight
     if (req.method === 'OPTIONS') {
         return res.status(200).json({ ok: true });
@@ -69,34 +111,58 @@ module.exports = async (req, res) => {
         const urlWithoutQuery = url.split('?')[0];
         const urlParts = urlWithoutQuery.split('/').filter(part => part.length > 0);
         
-        // Get the last part of the URL path
-        const lastPart = urlParts[urlParts.length - 1];
+        // Path segments after 'recipes': /:id/:subresource/:subresourceId/:action
+        const recipesIndex = urlParts.indexOf('recipes');
+        const [idPart, subresource, subresourceId, action] = urlParts.slice(recipesIndex + 1);
         
-        // Recipe ID is present if last part is not 'recipes' and looks like an ID
-        const recipeId = (lastPart && lastPart !== 'recipes' && lastPart.length > 10) ? lastPart : null;
+        // Recipe ID is present if the segment after 'recipes' looks like an ID
+        const recipeId = (idPart && idPart.length > 10) ? idPart : null;
         
-        console.log('Parsed:', { urlParts, lastPart, recipeId });
+        console.log('Parsed:', { urlParts, recipeId, subresource, subresourceId, action });
 
         // Route based on method and parameters
         if (method === 'GET' && query.recent) {
             // Get recent recipes (check this BEFORE checking recipeId)
             return await getRecentRecipes(req, res, parseInt(query.recent));
+        } else if (method === 'GET' && recipeId && subresource === 'revisions') {
+            // Get revision history for a recipe
+            return await getRevisions(req, res, recipeId);
         } else if (method === 'GET' && recipeId) {
             // Get single recipe by ID
             return await getRecipeById(req, res, recipeId);
         } else if (method === 'GET') {
             // Get all recipes
             return await getAllRecipes(req, res);
-        } else if (method === 'POST') {
+        } else if (!requireUser(req, res)) {
+            // Everything below changes data and needs a signed-in user
+            return;
+        } else if (!(await rateLimit(req, res, 'recipes'))) {
+            // Too many writes from this user or address
+            return;
+        } else if (isHoneypotFilled(req.body)) {
+            // Only bots fill in the hidden field
+            return res.status(400).json({
+                error: 'Invalid submission'
+            });
+        } else if (method === 'POST' && recipeId && subresource === 'revisions' && subresourceId && action === 'restore') {
+            // Roll a recipe back to an earlier revision
+            return await restoreRevision(req, res, recipeId, subresourceId);
+        } else if (method === 'POST' && !recipeId) {
             // Create new recipe
             return await createRecipe(req, res);
+        } else if (method === 'PUT' && recipeId && subresource === 'rating') {
+            // Rate a recipe
+            return await setRating(req, res, recipeId);
+        } else if (method === 'PUT' && recipeId) {
+            // Update existing recipe
+            return await updateRecipe(req, res, recipeId);
         } else if (method === 'DELETE' && recipeId) {
             // Delete recipe (optional feature)
             return await deleteRecipe(req, res, recipeId);
         } else {
             return res.status(405).json({ 
                 error: 'Method not allowed',
-                allowedMethods: ['GET', 'POST', 'DELETE']
+                allowedMethods: ['GET', 'POST', 'PUT', 'DELETE']
             });
         }
     } catch (error) {
@@ -106,29 +172,69 @@ module.exports = async (req, res) => {
             message: error.message 
         });
     }
-};
+});
 
 /**
- * Get all recipes from Firestore
+ * Get a page of recipes, optionally searched and filtered by category.
+ * Filtering happens while scanning in sort order, so the cursor is simply
+ * the ID of the last document examined.
  */
 async function getAllRecipes(req, res) {
     try {
+        const { query } = req;
+        const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const sort = SORT_OPTIONS[query.sort] ? query.sort : 'newest';
+        const searchTerm = (query.q || '').toLowerCase().trim();
+        const category = (query.category || '').toLowerCase().trim();
+
         const recipesRef = db.collection('recipes');
-        const snapshot = await recipesRef
-            .orderBy('createdAt', 'desc')
-            .get();
+        const baseQuery = recipesRef.orderBy(SORT_OPTIONS[sort].field, SORT_OPTIONS[sort].direction);
+
+        // Resume after the cursor document
+        let lastScanned = null;
+        if (query.cursor) {
+            lastScanned = await recipesRef.doc(query.cursor).get();
+            if (!lastScanned.exists) {
+                return res.status(400).json({
+                    error: 'Invalid cursor',
+                    cursor: query.cursor
+                });
+            }
+        }
 
         const recipes = [];
-        snapshot.forEach(doc => {
-            recipes.push({
-                id: doc.id,
-                ...doc.data()
-            });
-        });
+        let hasMore = true;
+
+        while (recipes.length < limit && hasMore) {
+            const pageQuery = lastScanned ? baseQuery.startAfter(lastScanned) : baseQuery;
+            const snapshot = await pageQuery.limit(SCAN_BATCH_SIZE).get();
+            const docs = snapshot.docs;
+
+            let index = 0;
+            for (; index < docs.length && recipes.length < limit; index++) {
+                lastScanned = docs[index];
+                const recipe = {
+                    id: docs[index].id,
+                    ...docs[index].data()
+                };
+
+                if (matchesFilters(recipe, searchTerm, category)) {
+                    recipes.push(recipe);
+                }
+            }
+
+            // More may remain unless this batch was short and fully examined
+            hasMore = docs.length === SCAN_BATCH_SIZE || index < docs.length;
+        }
+
+        const nextCursor = hasMore && lastScanned ? lastScanned.id : null;
 
         return res.status(200).json({
             success: true,
             count: recipes.length,
+            sort: sort,
+            nextCursor: nextCursor,
+            hasMore: nextCursor !== null,
             recipes: recipes
         });
     } catch (error) {
@@ -188,12 +294,29 @@ async function getRecipeById(req, res, recipeId) {
             });
         }
 
+        const recipe = {
+            id: doc.id,
+            ...doc.data()
+        };
+
+        // What the requesting user may do, so the UI can hide other actions
+        recipe.permissions = recipePermissions(req.user, recipe);
+        recipe.userRating = await getUserRating(db, recipeId, req.user);
+
+        // Optional unit conversion, leaving the stored fields untouched
+        const units = req.query.units;
+        if (units === 'metric' || units === 'imperial') {
+            const ingredientList = recipe.ingredientList || parseIngredientList(recipe.ingredients);
+            recipe.converted = {
+                units: units,
+                ingredientList: ingredientList.map(ingredient => convertIngredient(ingredient, units)),
+                instructions: convertText(recipe.instructions, units)
+            };
+        }
+
         return res.status(200).json({
             success: true,
-            recipe: {
-                id: doc.id,
-                ...doc.data()
-            }
+            recipe: recipe
         });
     } catch (error) {
         console.error('Error getting recipe by ID:', error);
@@ -209,31 +332,28 @@ async function getRecipeById(req, res, recipeId) {
  */
 async function createRecipe(req, res) {
     try {
-        const recipeData = req.body;
-
-        // Validate required fields
-        if (!recipeData.name || !recipeData.ingredients || !recipeData.instructions) {
-            return res.status(400).json({
-                error: 'Missing required fields',
-                required: ['name', 'ingredients', 'instructions']
-            });
+        const { recipe: recipeFields, error } = prepareRecipeData(req.body);
+        if (error) {
+            return res.status(400).json(error);
         }
 
-        // Sanitize and prepare data
         const newRecipe = {
-            name: sanitizeString(recipeData.name),
-            category: sanitizeString(recipeData.category) || 'uncategorized',
-            prepTime: sanitizeString(recipeData.prepTime) || '',
-            cookTime: sanitizeString(recipeData.cookTime) || '',
-            ingredients: sanitizeString(recipeData.ingredients),
-            instructions: sanitizeString(recipeData.instructions),
-            notes: sanitizeString(recipeData.notes) || '',
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            ...recipeFields,
+            image: await prepareImageReference(db, req.body.image, req.user),
+            authorId: req.user.uid,
+            authorName: req.user.name,
+            ...emptyRatingSummary(),
+            createdAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp()
         };
 
-        // Add to Firestore
-        const docRef = await db.collection('recipes').add(newRecipe);
+        // Add to Firestore together with its first revision and search index entry
+        const docRef = db.collection('recipes').doc();
+        const batch = db.batch();
+        batch.set(docRef, newRecipe);
+        batch.set(docRef.collection('revisions').doc(), buildRevision(recipeFields, req.user, 'created'));
+        batch.set(indexRef(db, docRef.id), buildIndexEntry(recipeFields));
+        await batch.commit();
 
         // Get the created document
         const doc = await docRef.get();
@@ -256,7 +376,228 @@ async function createRecipe(req, res) {
 }
 
 /**
- * Delete recipe by ID (optional feature)
+ * Update an existing recipe by ID
+ */
+async function updateRecipe(req, res, recipeId) {
+    try {
+        const recipeRef = db.collection('recipes').doc(recipeId);
+        const existingDoc = await recipeRef.get();
+
+        if (!existingDoc.exists) {
+            return res.status(404).json({
+                error: 'Recipe not found',
+                recipeId: recipeId
+            });
+        }
+
+        const denialReason = recipeDenialReason(req.user, existingDoc.data(), 'update');
+        if (denialReason) {
+            return forbidden(res, denialReason);
+        }
+
+        const { recipe: recipeFields, error } = prepareRecipeData(req.body);
+        if (error) {
+            return res.status(400).json(error);
+        }
+
+        // The photo only changes when the request includes one (or null to remove it)
+        const previousImage = existingDoc.data().image || null;
+        const photoFields = {};
+        if (req.body.image !== undefined) {
+            const image = await prepareImageReference(db, req.body.image, req.user, previousImage);
+            // undefined: the current photo was sent back unchanged
+            if (image !== undefined) photoFields.image = image;
+        }
+
+        // Recipes created before revisions existed get their current state recorded first
+        await ensureBaselineRevision(recipeRef, existingDoc);
+
+        const batch = db.batch();
+        batch.update(recipeRef, {
+            ...recipeFields,
+            ...photoFields,
+            updatedAt: FieldValue.serverTimestamp()
+        });
+        batch.set(recipeRef.collection('revisions').doc(), buildRevision(recipeFields, req.user, 'updated'));
+        batch.set(indexRef(db, recipeId), buildIndexEntry(recipeFields));
+        await batch.commit();
+
+        // Clean up a photo that was replaced or removed
+        if (previousImage && 'image' in photoFields
+            && (!photoFields.image || photoFields.image.id !== previousImage.id)) {
+            await removeRecipePhoto(db, previousImage);
+        }
+
+        // Get the updated document
+        const doc = await recipeRef.get();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Recipe updated successfully',
+            recipe: {
+                id: doc.id,
+                ...doc.data()
+            }
+        });
+    } catch (error) {
+        console.error('Error updating recipe:', error);
+        return res.status(500).json({ 
+            error: 'Failed to update recipe',
+            message: error.message 
+        });
+    }
+}
+
+/**
+ * Get the revision history of a recipe (newest first)
+ */
+async function getRevisions(req, res, recipeId) {
+    try {
+        const recipeRef = db.collection('recipes').doc(recipeId);
+        const doc = await recipeRef.get();
+
+        if (!doc.exists) {
+            return res.status(404).json({
+                error: 'Recipe not found',
+                recipeId: recipeId
+            });
+        }
+
+        const snapshot = await recipeRef.collection('revisions')
+            .orderBy('createdAt', 'desc')
+            .get();
+
+        const revisions = [];
+        snapshot.forEach(revisionDoc => {
+            revisions.push({
+                id: revisionDoc.id,
+                ...revisionDoc.data()
+            });
+        });
+
+        return res.status(200).json({
+            success: true,
+            count: revisions.length,
+            recipeId: recipeId,
+            revisions: revisions
+        });
+    } catch (error) {
+        console.error('Error getting revisions:', error);
+        return res.status(500).json({ 
+            error: 'Failed to retrieve revisions',
+            message: error.message 
+        });
+    }
+}
+
+/**
+ * Restore a recipe to the state captured in one of its revisions.
+ * The rollback itself is recorded as a new revision.
+ */
+async function restoreRevision(req, res, recipeId, revisionId) {
+    try {
+        const recipeRef = db.collection('recipes').doc(recipeId);
+        const doc = await recipeRef.get();
+
+        if (!doc.exists) {
+            return res.status(404).json({
+                error: 'Recipe not found',
+                recipeId: recipeId
+            });
+        }
+
+        const denialReason = recipeDenialReason(req.user, doc.data(), 'restore');
+        if (denialReason) {
+            return forbidden(res, denialReason);
+        }
+
+        const revisionDoc = await recipeRef.collection('revisions').doc(revisionId).get();
+
+        if (!revisionDoc.exists) {
+            return res.status(404).json({
+                error: 'Revision not found',
+                revisionId: revisionId
+            });
+        }
+
+        // Revisions saved under older rules may not pass today's
+        const { recipe: recipeFields, error } = prepareRecipeData(revisionDoc.data().snapshot);
+        if (error) {
+            return res.status(400).json({
+                ...error,
+                message: 'This revision cannot be restored as it is. Edit the recipe instead.'
+            });
+        }
+
+        const batch = db.batch();
+        batch.update(recipeRef, {
+            ...recipeFields,
+            updatedAt: FieldValue.serverTimestamp()
+        });
+        batch.set(recipeRef.collection('revisions').doc(), buildRevision(recipeFields, req.user, 'restored', revisionId));
+        batch.set(indexRef(db, recipeId), buildIndexEntry(recipeFields));
+        await batch.commit();
+
+        const updatedDoc = await recipeRef.get();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Recipe restored successfully',
+            restoredFrom: revisionId,
+            recipe: {
+                id: updatedDoc.id,
+                ...updatedDoc.data(),
+                permissions: recipePermissions(req.user, updatedDoc.data())
+            }
+        });
+    } catch (error) {
+        console.error('Error restoring revision:', error);
+        return res.status(500).json({ 
+            error: 'Failed to restore revision',
+            message: error.message 
+        });
+    }
+}
+
+/**
+ * Rate a recipe, replacing the user's earlier rating if there is one
+ */
+async function setRating(req, res, recipeId) {
+    try {
+        const rating = parseRating((req.body || {}).rating);
+        if (rating === null) {
+            return res.status(400).json(validationFailed([{
+                field: 'rating',
+                code: 'invalid_number',
+                message: `Rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}.`
+            }]));
+        }
+
+        const summary = await rateRecipe(db, recipeId, req.user, rating);
+        if (!summary) {
+            return res.status(404).json({
+                error: 'Recipe not found',
+                recipeId: recipeId
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Rating saved',
+            recipeId: recipeId,
+            ...summary
+        });
+    } catch (error) {
+        console.error('Error rating recipe:', error);
+        return res.status(500).json({ 
+            error: 'Failed to save rating',
+            message: error.message 
+        });
+    }
+}
+
+/**
+ * Delete recipe by ID (author or editor only)
  */
 async function deleteRecipe(req, res, recipeId) {
     try {
@@ -270,7 +611,24 @@ async function deleteRecipe(req, res, recipeId) {
             });
         }
 
-        await recipeRef.delete();
+        const denialReason = recipeDenialReason(req.user, doc.data(), 'delete');
+        if (denialReason) {
+            return forbidden(res, denialReason);
+        }
+
+        // Remove the revision history, ratings and search index entry along with the recipe
+        const [revisionsSnapshot, ratingsSnapshot] = await Promise.all([
+            recipeRef.collection('revisions').get(),
+            recipeRatingsQuery(db, recipeId).get()
+        ]);
+        const batch = db.batch();
+        revisionsSnapshot.forEach(revisionDoc => batch.delete(revisionDoc.ref));
+        ratingsSnapshot.forEach(ratingDoc => batch.delete(ratingDoc.ref));
+        batch.delete(indexRef(db, recipeId));
+        batch.delete(recipeRef);
+        await batch.commit();
+
+        await removeRecipePhoto(db, doc.data().image);
 
         return res.status(200).json({
             success: true,
@@ -287,14 +645,56 @@ async function deleteRecipe(req, res, recipeId) {
 }
 
 /**
- * Sanitize string input to prevent XSS
+ * Check a recipe against a lowercase search term and category
  */
-function sanitizeString(input) {
-    if (!input) return '';
-    if (typeof input !== 'string') return String(input);
-    
-    return input
-        .trim()
-        .replace(/[<>]/g, '') // Remove potential HTML tags
-        .substring(0, 10000); // Limit length
+function matchesFilters(recipe, searchTerm, category) {
+    if (category && (recipe.category || '').toLowerCase() !== category) {
+        return false;
+    }
+
+    if (searchTerm) {
+        return ['name', 'ingredients', 'instructions'].some(field => 
+            (recipe[field] || '').toLowerCase().includes(searchTerm)
+        );
+    }
+
+    return true;
+}
+
+/**
+ * Build an immutable revision record from a set of recipe fields.
+ * The editor is the signed-in user making the change.
+ */
+function buildRevision(recipeFields, editor, action, restoredFrom = null) {
+    const snapshot = {};
+    REVISION_FIELDS.forEach(field => {
+        snapshot[field] = recipeFields[field] || '';
+    });
+
+    return {
+        action: action,
+        editedBy: (editor && sanitizeString(editor.name)) || 'Anonymous',
+        editedById: editor ? editor.uid : null,
+        restoredFrom: restoredFrom,
+        snapshot: snapshot,
+        createdAt: FieldValue.serverTimestamp()
+    };
+}
+
+/**
+ * Record the current state of a recipe that has no revisions yet,
+ * so the original wording survives its first edit
+ */
+async function ensureBaselineRevision(recipeRef, recipeDoc) {
+    const existing = await recipeRef.collection('revisions').limit(1).get();
+    if (!existing.empty) return;
+
+    const data = recipeDoc.data();
+    const author = data.authorId ? { uid: data.authorId, name: data.authorName } : { uid: null, name: 'Unknown' };
+    const baseline = buildRevision(data, author, 'created');
+    if (data.createdAt) {
+        baseline.createdAt = data.createdAt;
+    }
+
+    await recipeRef.collection('revisions').add(baseline);
 }
@@ -0,0 +1,105 @@
+/**
+ * VINTAGE COOKBOOK - SEARCH API
+ * Serverless function for ranked full-text recipe search
+ *
+ * This function connects to Firebase Firestore and handles:
+ * - GET /api/search?q=tomato soup - Ranked recipes matching the query
+ * - GET /api/search?q=pie&category=desserts&limit=10 - Search within a category
+ */
+
+const { getDatabase } = require('./_lib/db');
+const { searchIndex } = require('./_lib/search-index');
+
+const { db } = getDatabase();
+
+/**
+ * CORS headers for cross-origin requests
+ */
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+/**
+ * Main handler function
+ */
+module.exports = async (req, res) => {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({ ok: true });
+    }
+
+    // Set CORS headers
+    Object.entries(corsHeaders).forEach(([key, value]) => {
+        res.setHeader(key, value);
+    });
+
+    try {
+        if (req.method === 'GET') {
+            return await searchRecipes(req, res);
+        } else {
+            return res.status(405).json({
+                error: 'Method not allowed',
+                allowedMethods: ['GET']
+            });
+        }
+    } catch (error) {
+        console.error('API Error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Search recipes and return them in ranked order with the terms that matched
+ */
+async function searchRecipes(req, res) {
+    try {
+        const { q, category } = req.query;
+
+        if (!q || !q.trim()) {
+            return res.status(400).json({
+                error: 'Search query is required',
+                message: 'Please provide q as a query parameter'
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const results = await searchIndex(db, q, { category, limit });
+
+        // Load the matching recipes, keeping the ranking
+        const docs = await Promise.all(results.map(result =>
+            db.collection('recipes').doc(result.id).get()
+        ));
+
+        const recipes = [];
+        docs.forEach((doc, index) => {
+            if (!doc.exists) return;
+            recipes.push({
+                id: doc.id,
+                ...doc.data(),
+                searchScore: Math.round(results[index].score * 100) / 100,
+                matchedTerms: results[index].matchedTerms
+            });
+        });
+
+        return res.status(200).json({
+            success: true,
+            query: q,
+            count: recipes.length,
+            recipes: recipes
+        });
+    } catch (error) {
+        console.error('Error searching recipes:', error);
+        return res.status(500).json({
+            error: 'Failed to search recipes',
+            message: error.message
+        });
+    }
+}
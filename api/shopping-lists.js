@@ -0,0 +1,542 @@
+/**
+ * VINTAGE COOKBOOK - SHOPPING LISTS API
+ * Serverless function for each user's shopping lists
+ *
+ * This function connects to Firebase Firestore and handles:
+ * - GET /api/shopping-lists - List the user's shopping lists, most recently changed first
+ * - POST /api/shopping-lists - Create a list: { name, recipes: [{ recipeId, servings }] }
+ * - GET /api/shopping-lists/:id - Get a list with its items grouped by aisle
+ * - PUT /api/shopping-lists/:id - Rename a list or replace its recipes
+ * - DELETE /api/shopping-lists/:id - Delete a list
+ * - POST /api/shopping-lists/:id/recipes - Add a recipe: { recipeId, servings }
+ * - DELETE /api/shopping-lists/:id/recipes/:recipeId - Remove a recipe
+ * - PUT /api/shopping-lists/:id/items/:key - Check an item off: { checked: true }
+ *
+ * Lists are private to the signed-in user, so every route needs a sign-in.
+ * Items are worked out from the list's recipes whenever the recipes change
+ * (see _lib/shopping); check marks are kept by item key so they survive
+ * adding or removing a recipe.
+ */
+
+const { getDatabase } = require('./_lib/db');
+const { withAuth, requireUser } = require('./_lib/auth');
+const { rateLimit } = require('./_lib/rate-limit');
+const { sanitizeString, isDocumentId } = require('./_lib/validation');
+const { buildShoppingItems, groupByAisle } = require('./_lib/shopping');
+
+const { db, FieldValue } = getDatabase();
+
+const SHOPPING_LISTS_COLLECTION = 'shoppingLists';
+
+const MAX_RECIPES_PER_LIST = 50;
+const MAX_SERVINGS = 100;
+
+/**
+ * CORS headers for cross-origin requests
+ */
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Expose-Headers': 'Retry-After',
+};
+
+/**
+ * Main handler function
+ */
+module.exports = withAuth(async (req, res) => {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({ ok: true });
+    }
+
+    // Set CORS headers
+    Object.entries(corsHeaders).forEach(([key, value]) => {
+        res.setHeader(key, value);
+    });
+
+    try {
+        const { method, url } = req;
+
+        // Path segments after 'shopping-lists': /:id/:subresource/:subresourceId
+        const urlParts = url.split('?')[0].split('/').filter(part => part.length > 0);
+        const pathParts = decodePathParts(urlParts.slice(urlParts.indexOf('shopping-lists') + 1));
+        if (!pathParts) {
+            return res.status(400).json({
+                error: 'Invalid path',
+                message: 'The address contains a malformed escape sequence'
+            });
+        }
+        const [listId, subresource, subresourceId] = pathParts;
+
+        if (!requireUser(req, res)) return;
+
+        // IDs Firestore cannot look up could not have come from this API
+        if ((listId && !isDocumentId(listId)) || (subresource === 'recipes' && subresourceId && !isDocumentId(subresourceId))) {
+            return res.status(400).json({
+                error: 'Invalid path',
+                message: 'The address contains an ID that is not valid'
+            });
+        }
+
+        // Route based on method and parameters
+        if (method === 'GET' && !listId) {
+            return await getShoppingLists(req, res);
+        } else if (method === 'GET' && !subresource) {
+            return await getShoppingList(req, res, listId);
+        } else if (method === 'GET') {
+            return res.status(405).json({
+                error: 'Method not allowed',
+                allowedMethods: ['POST', 'PUT', 'DELETE']
+            });
+        } else if (!(await rateLimit(req, res, 'shoppingLists'))) {
+            // Too many writes from this user or address
+            return;
+        } else if (method === 'POST' && !listId) {
+            return await createShoppingList(req, res);
+        } else if (method === 'PUT' && listId && !subresource) {
+            return await updateShoppingList(req, res, listId);
+        } else if (method === 'DELETE' && listId && !subresource) {
+            return await deleteShoppingList(req, res, listId);
+        } else if (method === 'POST' && subresource === 'recipes' && !subresourceId) {
+            return await addRecipeToList(req, res, listId);
+        } else if (method === 'DELETE' && subresource === 'recipes' && subresourceId) {
+            return await removeRecipeFromList(req, res, listId, subresourceId);
+        } else if (method === 'PUT' && subresource === 'items' && subresourceId) {
+            return await checkItem(req, res, listId, subresourceId);
+        } else {
+            return res.status(405).json({
+                error: 'Method not allowed',
+                allowedMethods: ['GET', 'POST', 'PUT', 'DELETE']
+            });
+        }
+    } catch (error) {
+        console.error('API Error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * List the user's shopping lists
+ */
+async function getShoppingLists(req, res) {
+    try {
+        const snapshot = await db.collection(SHOPPING_LISTS_COLLECTION)
+            .where('userId', '==', req.user.uid)
+            .get();
+
+        // Sorted here to avoid needing a composite index
+        const lists = snapshot.docs
+            .map(doc => summarizeList(doc.id, doc.data()))
+            .sort((a, b) => toMillis(b.updatedAt) - toMillis(a.updatedAt));
+
+        return res.status(200).json({
+            success: true,
+            count: lists.length,
+            lists: lists
+        });
+    } catch (error) {
+        console.error('Error getting shopping lists:', error);
+        return res.status(500).json({
+            error: 'Failed to retrieve shopping lists',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Get one list
+ */
+async function getShoppingList(req, res, listId) {
+    try {
+        const list = await loadOwnList(req, listId);
+        if (!list) return listNotFound(res, listId);
+
+        return res.status(200).json({
+            success: true,
+            list: serializeList(listId, list.data)
+        });
+    } catch (error) {
+        console.error('Error getting shopping list:', error);
+        return res.status(500).json({
+            error: 'Failed to retrieve shopping list',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Create a list from a set of recipes
+ */
+async function createShoppingList(req, res) {
+    try {
+        const body = req.body || {};
+        const { recipes, error } = prepareRecipeEntries(body.recipes || []);
+        if (error) {
+            return res.status(400).json({
+                error: 'Invalid shopping list',
+                message: error
+            });
+        }
+
+        const now = FieldValue.serverTimestamp();
+        const listData = {
+            userId: req.user.uid,
+            name: sanitizeString(body.name, 100) || defaultListName(),
+            ...(await buildListContents(recipes, [])),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const listRef = await db.collection(SHOPPING_LISTS_COLLECTION).add(listData);
+
+        // Read back so the timestamps are the stored times
+        const doc = await listRef.get();
+
+        return res.status(201).json({
+            success: true,
+            message: 'Shopping list created',
+            list: serializeList(doc.id, doc.data())
+        });
+    } catch (error) {
+        console.error('Error creating shopping list:', error);
+        return res.status(500).json({
+            error: 'Failed to create shopping list',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Rename a list and/or replace its recipes
+ */
+async function updateShoppingList(req, res, listId) {
+    try {
+        const list = await loadOwnList(req, listId);
+        if (!list) return listNotFound(res, listId);
+
+        const body = req.body || {};
+        const updates = {};
+
+        if (body.name !== undefined) {
+            updates.name = sanitizeString(body.name, 100) || list.data.name;
+        }
+
+        if (body.recipes !== undefined) {
+            const { recipes, error } = prepareRecipeEntries(body.recipes);
+            if (error) {
+                return res.status(400).json({
+                    error: 'Invalid shopping list',
+                    message: error
+                });
+            }
+            Object.assign(updates, await buildListContents(recipes, list.data.checkedKeys || []));
+        }
+
+        return await saveList(res, list, updates, 'Shopping list updated');
+    } catch (error) {
+        console.error('Error updating shopping list:', error);
+        return res.status(500).json({
+            error: 'Failed to update shopping list',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Delete a list
+ */
+async function deleteShoppingList(req, res, listId) {
+    try {
+        const list = await loadOwnList(req, listId);
+        if (!list) return listNotFound(res, listId);
+
+        await list.ref.delete();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Shopping list deleted',
+            listId: listId
+        });
+    } catch (error) {
+        console.error('Error deleting shopping list:', error);
+        return res.status(500).json({
+            error: 'Failed to delete shopping list',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Add a recipe to a list. Adding a recipe that is already on the list adds
+ * to its servings, as when cooking it twice in a week.
+ */
+async function addRecipeToList(req, res, listId) {
+    try {
+        const list = await loadOwnList(req, listId);
+        if (!list) return listNotFound(res, listId);
+
+        const { recipes, error } = prepareRecipeEntries([
+            ...(list.data.recipes || []),
+            req.body || {}
+        ]);
+        if (error) {
+            return res.status(400).json({
+                error: 'Invalid recipe',
+                message: error
+            });
+        }
+
+        const contents = await buildListContents(recipes, list.data.checkedKeys || []);
+        if (!contents.recipes.some(recipe => recipe.recipeId === (req.body || {}).recipeId)) {
+            return res.status(404).json({
+                error: 'Recipe not found',
+                recipeId: (req.body || {}).recipeId
+            });
+        }
+
+        return await saveList(res, list, contents, 'Recipe added to shopping list');
+    } catch (error) {
+        console.error('Error adding recipe to shopping list:', error);
+        return res.status(500).json({
+            error: 'Failed to add recipe to shopping list',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Take a recipe off a list
+ */
+async function removeRecipeFromList(req, res, listId, recipeId) {
+    try {
+        const list = await loadOwnList(req, listId);
+        if (!list) return listNotFound(res, listId);
+
+        const recipes = (list.data.recipes || []).filter(recipe => recipe.recipeId !== recipeId);
+        const contents = await buildListContents(recipes, list.data.checkedKeys || []);
+
+        return await saveList(res, list, contents, 'Recipe removed from shopping list');
+    } catch (error) {
+        console.error('Error removing recipe from shopping list:', error);
+        return res.status(500).json({
+            error: 'Failed to remove recipe from shopping list',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Check an item off, or uncheck it
+ */
+async function checkItem(req, res, listId, key) {
+    try {
+        const list = await loadOwnList(req, listId);
+        if (!list) return listNotFound(res, listId);
+
+        if (!(list.data.items || []).some(item => item.key === key)) {
+            return res.status(404).json({
+                error: 'Item not found',
+                key: key
+            });
+        }
+
+        // arrayUnion/arrayRemove so quick taps on different items do not overwrite each other
+        const checked = (req.body || {}).checked !== false;
+        await list.ref.update({
+            checkedKeys: checked
+                ? FieldValue.arrayUnion(key)
+                : FieldValue.arrayRemove(key),
+            updatedAt: FieldValue.serverTimestamp()
+        });
+
+        return res.status(200).json({
+            success: true,
+            key: key,
+            checked: checked
+        });
+    } catch (error) {
+        console.error('Error checking shopping list item:', error);
+        return res.status(500).json({
+            error: 'Failed to update shopping list item',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * The user's list, or null if it does not exist or belongs to someone else
+ */
+async function loadOwnList(req, listId) {
+    const ref = db.collection(SHOPPING_LISTS_COLLECTION).doc(listId);
+    const doc = await ref.get();
+    if (!doc.exists || doc.data().userId !== req.user.uid) return null;
+
+    return { id: listId, ref: ref, data: doc.data() };
+}
+
+/**
+ * 404 for a list that is missing or not the user's
+ */
+function listNotFound(res, listId) {
+    return res.status(404).json({
+        error: 'Shopping list not found',
+        listId: listId
+    });
+}
+
+/**
+ * Apply changes to a list and send it back
+ */
+async function saveList(res, list, updates, message) {
+    await list.ref.update({
+        ...updates,
+        updatedAt: FieldValue.serverTimestamp()
+    });
+
+    // Read back so the timestamps are the stored times
+    const doc = await list.ref.get();
+
+    return res.status(200).json({
+        success: true,
+        message: message,
+        list: serializeList(list.id, doc.data())
+    });
+}
+
+/**
+ * Validate recipes sent for a list, combining repeats of the same recipe.
+ * Returns { recipes: [{ recipeId, servings }] } or { error }.
+ */
+function prepareRecipeEntries(entries) {
+    if (!Array.isArray(entries)) {
+        return { error: 'recipes must be an array' };
+    }
+
+    const byId = new Map();
+    for (const entry of entries) {
+        const recipeId = entry ? entry.recipeId : null;
+        if (!recipeId) {
+            return { error: 'Each recipe needs a recipeId' };
+        }
+        if (!isDocumentId(recipeId)) {
+            return { error: 'recipeId is not a valid recipe ID' };
+        }
+
+        const servings = entry.servings === null || entry.servings === undefined || entry.servings === ''
+            ? null
+            : Number(entry.servings);
+        if (servings !== null && !(Number.isInteger(servings) && servings >= 1 && servings <= MAX_SERVINGS)) {
+            return { error: `servings must be a whole number from 1 to ${MAX_SERVINGS}` };
+        }
+
+        const existing = byId.get(recipeId);
+        if (existing) {
+            existing.servings = existing.servings && servings
+                ? Math.min(existing.servings + servings, MAX_SERVINGS)
+                : existing.servings || servings;
+        } else {
+            byId.set(recipeId, { recipeId, servings });
+        }
+    }
+
+    if (byId.size > MAX_RECIPES_PER_LIST) {
+        return { error: `A list can hold at most ${MAX_RECIPES_PER_LIST} recipes` };
+    }
+
+    return { recipes: [...byId.values()] };
+}
+
+/**
+ * Work out a list's recipes and items from its recipe entries. Recipes that
+ * no longer exist are dropped, and check marks of items no longer on the
+ * list are cleared.
+ */
+async function buildListContents(entries, checkedKeys) {
+    const docs = entries.length > 0
+        ? await db.getAll(...entries.map(entry => db.collection('recipes').doc(entry.recipeId)))
+        : [];
+
+    const recipes = [];
+    const sources = [];
+    entries.forEach((entry, index) => {
+        const doc = docs[index];
+        if (!doc || !doc.exists) return;
+
+        const recipe = doc.data();
+        const baseServings = recipe.servings || null;
+        const servings = entry.servings || baseServings;
+
+        recipes.push({ recipeId: entry.recipeId, name: recipe.name, servings: servings });
+        sources.push({ ...recipe, id: doc.id, baseServings, servings });
+    });
+
+    const items = buildShoppingItems(sources);
+    const keys = new Set(items.map(item => item.key));
+
+    return {
+        recipes: recipes,
+        items: items,
+        checkedKeys: checkedKeys.filter(key => keys.has(key))
+    };
+}
+
+/**
+ * A list as sent to the client, items grouped by aisle with their check marks
+ */
+function serializeList(id, data) {
+    const checked = new Set(data.checkedKeys || []);
+    const items = (data.items || []).map(item => ({ ...item, checked: checked.has(item.key) }));
+
+    return {
+        id: id,
+        name: data.name,
+        recipes: data.recipes || [],
+        aisles: groupByAisle(items),
+        itemCount: items.length,
+        checkedCount: items.filter(item => item.checked).length,
+        createdAt: data.createdAt,
+        updatedAt: data.updatedAt
+    };
+}
+
+/**
+ * A list without its items, for the list of lists
+ */
+function summarizeList(id, data) {
+    const { aisles, ...summary } = serializeList(id, data);
+    return { ...summary, recipeCount: summary.recipes.length };
+}
+
+/**
+ * Name for a list created without one, e.g. "Shopping list, Oct 19"
+ */
+function defaultListName() {
+    return `Shopping list, ${new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+}
+
+/**
+ * Milliseconds since the epoch for a Firestore Timestamp, Date or date string
+ */
+function toMillis(value) {
+    if (!value) return 0;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Decode the path segments, or null if one has a malformed escape like "%E0%A4"
+ */
+function decodePathParts(parts) {
+    try {
+        return parts.map(decodeURIComponent);
+    } catch (error) {
+        if (error instanceof URIError) return null;
+        throw error;
+    }
+}
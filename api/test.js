@@ -1,26 +1,9 @@
-const admin = require('firebase-admin');
-
-if (!admin.apps.length) {
-    try {
-        admin.initializeApp({
-            credential: admin.credential.cert({
-                projectId: process.env.FIREBASE_PROJECT_ID,
-                clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-                privateKey: process.env.FIREBASE_PRIVATE_KEY 
-                    ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
-                    : undefined
-            })
-        });
-    } catch (error) {
-        console.error('Firebase init error:', error);
-    }
-}
+const { getDatabase, getDatabaseName } = require('./_lib/db');
 
 module.exports = async (req, res) => {
     try {
-        const db = admin.firestore();
-        
         const envCheck = {
+            database: getDatabaseName(),
             projectId: process.env.FIREBASE_PROJECT_ID || 'MISSING',
             clientEmail: process.env.FIREBASE_CLIENT_EMAIL || 'MISSING',
             privateKeyExists: !!process.env.FIREBASE_PRIVATE_KEY
@@ -28,7 +11,7 @@ module.exports = async (req, res) => {
 
         let firestoreStatus = 'Not tested';
         try {
-            const recipesRef = db.collection('recipes');
+            const recipesRef = getDatabase().db.collection('recipes');
             const snapshot = await recipesRef.limit(1).get();
             firestoreStatus = `SUCCESS - ${snapshot.size} recipes found`;
         } catch (error) {
@@ -0,0 +1,169 @@
+/**
+ * VINTAGE COOKBOOK - UPLOADS API
+ * Serverless function for recipe photo uploads
+ *
+ * This function handles:
+ * - POST /api/uploads - Upload a photo (the raw JPEG, PNG or WebP file as the body)
+ *
+ * The photo is checked by its contents rather than its Content-Type, then
+ * re-encoded as card and full-size WebP variants. Re-encoding drops all
+ * metadata, so EXIF data such as GPS location never reaches the stored
+ * files; the EXIF orientation is applied first so phone photos stay the
+ * right way up. The response holds the image reference to send back as
+ * `image` when saving the recipe; only the uploader may use it.
+ *
+ * Files are kept by the storage backend in _lib/storage (Firebase Cloud
+ * Storage, or the local filesystem in development).
+ */
+
+const sharp = require('sharp');
+const crypto = require('crypto');
+const { withAuth, requireUser } = require('./_lib/auth');
+const { rateLimit } = require('./_lib/rate-limit');
+const { getDatabase } = require('./_lib/db');
+const { getStorage } = require('./_lib/storage');
+const { MAX_UPLOAD_BYTES, VARIANTS, uploadProblem, variantPath, uploadRef } = require('./_lib/images');
+
+const { db, FieldValue } = getDatabase();
+
+/**
+ * CORS headers for cross-origin requests
+ */
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Expose-Headers': 'Retry-After',
+};
+
+/**
+ * Main handler function
+ */
+module.exports = withAuth(async (req, res) => {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({ ok: true });
+    }
+
+    // Set CORS headers
+    Object.entries(corsHeaders).forEach(([key, value]) => {
+        res.setHeader(key, value);
+    });
+
+    try {
+        if (req.method === 'POST') {
+            if (!requireUser(req, res) || !(await rateLimit(req, res, 'uploads'))) return;
+            return await uploadPhoto(req, res);
+        } else {
+            return res.status(405).json({
+                error: 'Method not allowed',
+                allowedMethods: ['POST']
+            });
+        }
+    } catch (error) {
+        console.error('API Error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Check, resize and store an uploaded photo
+ */
+async function uploadPhoto(req, res) {
+    try {
+        const buffer = await readRequestBody(req, MAX_UPLOAD_BYTES);
+
+        if (!buffer) {
+            return res.status(413).json({
+                error: 'Photo too large',
+                message: `Photos must be smaller than ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`
+            });
+        }
+
+        const problem = uploadProblem(buffer);
+        if (problem) {
+            return res.status(400).json({
+                error: 'Invalid photo',
+                message: problem
+            });
+        }
+
+        // rotate() with no angle applies the EXIF orientation
+        const source = sharp(buffer, { failOn: 'error' }).rotate();
+
+        let variants;
+        try {
+            variants = await Promise.all(Object.entries(VARIANTS).map(async ([name, size]) => {
+                const { data, info } = await source.clone()
+                    .resize({ ...size, withoutEnlargement: size.fit === 'inside' })
+                    .webp({ quality: 80 })
+                    .toBuffer({ resolveWithObject: true });
+                return { name, data, info };
+            }));
+        } catch (error) {
+            console.error('Error reading photo:', error.message);
+            return res.status(400).json({
+                error: 'Invalid photo',
+                message: 'This photo could not be read. Please try another one.'
+            });
+        }
+
+        const id = crypto.randomUUID();
+        const storage = getStorage();
+        const image = { id: id };
+
+        for (const { name, data, info } of variants) {
+            image[`${name}Url`] = await storage.save(variantPath(id, name), data, 'image/webp');
+
+            // The recipe keeps the size of the full photo for layout
+            if (name === 'full') {
+                image.width = info.width;
+                image.height = info.height;
+            }
+        }
+
+        // Only the uploader may put the photo on a recipe
+        await uploadRef(db, id).set({
+            uploaderId: req.user.uid,
+            createdAt: FieldValue.serverTimestamp()
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Photo uploaded successfully',
+            image: image
+        });
+    } catch (error) {
+        console.error('Error uploading photo:', error);
+        return res.status(500).json({
+            error: 'Failed to upload photo',
+            message: error.message
+        });
+    }
+}
+
+/**
+ * Read the raw request body, or resolve null if it is larger than the limit.
+ * A body already read into a Buffer (by a local server) is used as is.
+ */
+function readRequestBody(req, limit) {
+    if (Buffer.isBuffer(req.rawBody)) {
+        return Promise.resolve(req.rawBody.length > limit ? null : req.rawBody);
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            // Keep draining the stream so the response can still be sent
+            if (size <= limit) chunks.push(chunk);
+        });
+        req.on('end', () => resolve(size > limit ? null : Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
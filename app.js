@@ -4,15 +4,84 @@
 
 // Configuration
 const API_BASE_URL = '/api';
+const RECIPES_PAGE_SIZE = 24;
+const MAX_PHOTO_BYTES = 4 * 1024 * 1024;
+// Servings a recipe can be scaled to, as the recipe form allows
+const MIN_SERVINGS = 1;
+const MAX_SERVINGS = 100;
 
 // Global state
 let allRecipes = [];
+let nextRecipesCursor = null;
+let recipesRequestId = 0;
 let currentRecipeId = null;
+let currentRecipe = null;
+let currentServings = null;
+let unitSystem = localStorage.getItem('unitSystem') || 'original';
+let currentRevisions = [];
+let currentComments = [];
+let recipePhoto = null;
+let cookSteps = [];
+let cookStepIndex = 0;
+let cookTimers = [];
+let cookTimerTick = null;
+let cookWakeLock = null;
+let cookAudioContext = null;
+let plannerWeek = null;
+let plannerMeals = [];
+let plannerRecipes = [];
+let plannerSelectedRecipe = null;
+let plannerSaving = Promise.resolve();
+let shoppingLists = [];
+let currentShoppingList = null;
+let offlineReplaying = false;
+let currentUser = null;
+let authAvailable = false;
+let authReady = Promise.resolve();
+
+// Recipe fields shown in the revision history, in display order
+const REVISION_FIELD_LABELS = {
+    name: 'Recipe Name',
+    category: 'Category',
+    prepTime: 'Prep Time',
+    cookTime: 'Cook Time',
+    servings: 'Servings',
+    ingredients: 'Ingredients',
+    instructions: 'Instructions',
+    notes: 'Notes & Tips'
+};
+
+// Meal planner rows and columns; weeks start on Monday
+const PLANNER_MEALS = ['breakfast', 'lunch', 'dinner'];
+const PLANNER_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Paper for printRecipe(): a landscape 4x6 index card or a letter page
+const PRINT_FORMATS = {
+    card: { size: '6in 4in', margin: '0.3in' },
+    letter: { size: 'letter', margin: '0.75in' }
+};
+
+// Offline storage: requests waiting for a connection, and recently opened recipes
+const OFFLINE_QUEUE_KEY = 'offlineQueue';
+const RECENTLY_VIEWED_KEY = 'recentlyViewed';
+// Who the service worker's cached recipe and comment answers belong to
+const CACHED_API_USER_KEY = 'cachedApiUser';
+const MAX_RECENTLY_VIEWED = 20;
 
 /* ============================================
    UTILITY FUNCTIONS
    ============================================ */
 
+/**
+ * Convert an API timestamp (ISO string or serialized Firestore Timestamp) to a Date
+ */
+function toDate(timestamp) {
+    if (timestamp && typeof timestamp === 'object' && '_seconds' in timestamp) {
+        return new Date(timestamp._seconds * 1000);
+    }
+    return new Date(timestamp);
+}
+
 /**
  * Format a date to a readable string
  */
@@ -20,7 +89,7 @@ function formatDate(timestamp) {
     if (!timestamp) return 'Recently added';
     
     try {
-        const date = new Date(timestamp);
+        const date = toDate(timestamp);
         const options = { year: 'numeric', month: 'long', day: 'numeric' };
         return date.toLocaleDateString('en-US', options);
     } catch (error) {
@@ -28,6 +97,21 @@ function formatDate(timestamp) {
     }
 }
 
+/**
+ * Format a date and time to a readable string
+ */
+function formatDateTime(timestamp) {
+    if (!timestamp) return 'Just now';
+    
+    try {
+        const date = toDate(timestamp);
+        const options = { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' };
+        return date.toLocaleString('en-US', options);
+    } catch (error) {
+        return 'Just now';
+    }
+}
+
 /**
  * Format a relative time (e.g., "2 hours ago")
  */
@@ -35,7 +119,7 @@ function formatRelativeTime(timestamp) {
     if (!timestamp) return 'just now';
     
     try {
-        const date = new Date(timestamp);
+        const date = toDate(timestamp);
         const now = new Date();
         const diffInSeconds = Math.floor((now - date) / 1000);
         
@@ -91,6 +175,98 @@ function showNotification(message, type = 'info') {
     }, 3000);
 }
 
+/**
+ * Message for a 429 response, using its Retry-After header
+ */
+function tooManyRequestsMessage(response) {
+    const seconds = parseInt(response.headers.get('Retry-After'), 10);
+    if (!seconds) return 'You are doing that too often. Please try again later.';
+    
+    const wait = seconds < 90 
+        ? `${seconds} seconds` 
+        : `${Math.ceil(seconds / 60)} minutes`;
+    return `You are doing that too often. Please try again in ${wait}.`;
+}
+
+/**
+ * Fill a category drop-down with the categories from the shared schema
+ */
+function fillCategoryOptions(select) {
+    Schema.CATEGORIES.forEach(category => {
+        select.add(new Option(category.label, category.value));
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (typeof Schema === 'undefined') return;
+    document.querySelectorAll('select[data-category-options]').forEach(fillCategoryOptions);
+});
+
+/**
+ * Show each { field, code, message } error under its control on the form.
+ * Returns the errors for fields the form does not have.
+ */
+function showFieldErrors(form, errors) {
+    clearFieldErrors(form);
+    
+    const unplaced = [];
+    let firstInvalid = null;
+    
+    errors.forEach(error => {
+        const input = form.elements[error.field];
+        if (!input || input.getAttribute('aria-invalid') === 'true') {
+            if (!input) unplaced.push(error);
+            return;
+        }
+        
+        const message = document.createElement('p');
+        message.className = 'field-error';
+        message.id = `${form.id || 'form'}-${error.field}-error`;
+        message.textContent = error.message;
+        
+        // Under the label and control in a form group, otherwise straight after the control
+        const group = input.closest('.form-group');
+        if (group) {
+            group.appendChild(message);
+        } else {
+            input.after(message);
+        }
+        
+        input.setAttribute('aria-invalid', 'true');
+        input.setAttribute('aria-describedby', message.id);
+        if (!firstInvalid) firstInvalid = input;
+    });
+    
+    if (firstInvalid) firstInvalid.focus();
+    return unplaced;
+}
+
+/**
+ * Remove the error shown for one control
+ */
+function clearFieldError(input) {
+    const messageId = input.getAttribute('aria-describedby');
+    const message = messageId && document.getElementById(messageId);
+    if (message) message.remove();
+    
+    input.removeAttribute('aria-invalid');
+    input.removeAttribute('aria-describedby');
+}
+
+/**
+ * Remove every field error shown on a form
+ */
+function clearFieldErrors(form) {
+    form.querySelectorAll('[aria-invalid="true"]').forEach(clearFieldError);
+}
+
+// An error goes away as soon as its field is changed
+document.addEventListener('input', event => {
+    if (event.target.getAttribute && event.target.getAttribute('aria-invalid') === 'true') {
+        clearFieldError(event.target);
+    }
+});
+
 /**
  * Parse ingredients string into array
  */
@@ -102,6 +278,168 @@ function parseIngredients(ingredientsText) {
         .filter(line => line.length > 0);
 }
 
+/* ============================================
+   AUTHENTICATION
+   ============================================ */
+
+/**
+ * Set up Firebase sign-in and keep the page in sync with the signed-in user.
+ * Resolves once the initial sign-in state is known.
+ */
+async function initializeAuth() {
+    renderAuthNav();
+    
+    // Pages without the Firebase SDK stay signed out
+    if (typeof firebase === 'undefined') return;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth-config`);
+        
+        if (!response.ok) {
+            throw new Error('Sign-in is not configured');
+        }
+        
+        const data = await response.json();
+        if (!firebase.apps.length) {
+            firebase.initializeApp(data.config);
+        }
+        authAvailable = true;
+        
+        await new Promise(resolve => {
+            firebase.auth().onAuthStateChanged(async user => {
+                currentUser = user;
+                await clearApiCacheForUser(user);
+                renderAuthNav();
+                updateAuthState();
+                // Changes this user made offline can go now; other people's wait for them
+                updateOfflineIndicator();
+                replayOfflineQueue();
+                resolve();
+            });
+        });
+        
+    } catch (error) {
+        console.error('Error initializing sign-in:', error);
+        updateAuthState();
+    }
+}
+
+/**
+ * Show the sign-in button or the signed-in user in the nav bar
+ */
+function renderAuthNav() {
+    const authEl = document.getElementById('nav-auth');
+    if (!authEl) return;
+    
+    if (currentUser) {
+        authEl.innerHTML = `
+            <span class="nav-user">${escapeHtml(getUserName())}</span>
+            <button type="button" class="nav-link nav-button" onclick="signOut()">Sign Out</button>
+        `;
+    } else if (authAvailable) {
+        authEl.innerHTML = `<button type="button" class="nav-link nav-button" onclick="signIn()">Sign In</button>`;
+    } else {
+        authEl.innerHTML = '';
+    }
+}
+
+/**
+ * Enable or disable the forms that need a signed-in user
+ */
+function updateAuthState() {
+    const commentAuthor = document.getElementById('comment-author');
+    const commentForm = document.getElementById('comment-form');
+    const recipeAuthNote = document.getElementById('recipe-auth-note');
+    
+    if (commentAuthor) {
+        commentAuthor.textContent = currentUser 
+            ? `Commenting as ${getUserName()}` 
+            : 'Sign in to share your thoughts.';
+    }
+    
+    if (commentForm) {
+        commentForm.querySelectorAll('textarea, select, button').forEach(el => {
+            el.disabled = !currentUser;
+        });
+    }
+    
+    if (recipeAuthNote) {
+        recipeAuthNote.style.display = currentUser ? 'none' : 'block';
+    }
+}
+
+/**
+ * Display name of the signed-in user
+ */
+function getUserName() {
+    if (!currentUser) return '';
+    return currentUser.displayName || (currentUser.email || '').split('@')[0] || 'Home Cook';
+}
+
+/**
+ * Sign in with a Google account
+ */
+async function signIn() {
+    if (!authAvailable) return;
+    
+    try {
+        await firebase.auth().signInWithPopup(new firebase.auth.GoogleAuthProvider());
+        showNotification(`Welcome, ${getUserName()}!`, 'success');
+        refreshOpenRecipe();
+        fetchModerationQueue();
+        fetchMealPlan();
+        fetchShoppingLists();
+    } catch (error) {
+        console.error('Error signing in:', error);
+        showNotification('Sign-in failed', 'error');
+    }
+}
+
+/**
+ * Sign out of the current account
+ */
+async function signOut() {
+    if (!authAvailable) return;
+    
+    await firebase.auth().signOut();
+    showNotification('Signed out', 'info');
+    refreshOpenRecipe();
+    fetchModerationQueue();
+    fetchMealPlan();
+    fetchShoppingLists();
+}
+
+/**
+ * Reload the open recipe so the actions shown match the signed-in user
+ */
+function refreshOpenRecipe() {
+    if (currentRecipeId) {
+        openRecipeModal(currentRecipeId, { servings: currentServings });
+    }
+}
+
+/**
+ * Authorization header for API requests that change data
+ */
+async function getAuthHeaders() {
+    await authReady;
+    if (!currentUser) return {};
+    
+    let token;
+    try {
+        token = await currentUser.getIdToken();
+    } catch (error) {
+        // An expired token cannot be renewed offline; queued requests get a fresh one on replay
+        if (navigator.onLine) throw error;
+        return {};
+    }
+    return { 'Authorization': `Bearer ${token}` };
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    authReady = initializeAuth();
+});
+
 /* ============================================
    HOME PAGE FUNCTIONS
    ============================================ */
@@ -145,6 +483,8 @@ async function fetchRecentRecipes() {
     } catch (error) {
         console.error('Error fetching recent recipes:', error);
         loadingEl.style.display = 'none';
+        if (showRecentlyViewed(recipesContainer)) return;
+        
         recipesContainer.innerHTML = `
             <div class="error-message" style="grid-column: 1/-1; text-align: center; color: var(--brown-medium);">
                 <p>Unable to load recipes. Please try again later.</p>
@@ -167,33 +507,84 @@ function createRecipeCard(recipe) {
         }
     };
     
+    // Search results carry the stemmed terms they matched on
+    const matchedTerms = recipe.matchedTerms && typeof Search !== 'undefined'
+        ? new Set(recipe.matchedTerms)
+        : null;
+    
     // Create excerpt from instructions or ingredients
-    const excerpt = recipe.instructions 
+    const excerpt = (matchedTerms && buildMatchExcerpt(recipe, matchedTerms)) || (recipe.instructions 
         ? recipe.instructions.substring(0, 120) + '...'
         : recipe.ingredients 
             ? parseIngredients(recipe.ingredients).slice(0, 3).join(', ') + '...'
-            : 'A delicious family recipe';
+            : 'A delicious family recipe');
+    
+    const highlight = text => matchedTerms ? highlightText(text, matchedTerms) : escapeHtml(text);
     
     card.innerHTML = `
+        ${recipe.image ? `<img class="recipe-card-image" src="${escapeHtml(recipe.image.cardUrl)}" alt="" loading="lazy">` : ''}
         <div class="recipe-card-header">
             <div>
-                <h3 class="recipe-card-title">${escapeHtml(recipe.name)}</h3>
+                <h3 class="recipe-card-title">${highlight(recipe.name)}</h3>
                 ${recipe.category ? `<span class="recipe-category">${capitalize(recipe.category)}</span>` : ''}
+                ${recipe.ratingCount ? renderStars(recipe.ratingAverage, recipe.ratingCount) : ''}
             </div>
         </div>
-        ${recipe.prepTime || recipe.cookTime ? `
+        ${recipe.prepTime || recipe.cookTime || recipe.servings ? `
             <div class="recipe-meta">
                 ${recipe.prepTime ? `<div class="recipe-meta-item">⏱ Prep: ${escapeHtml(recipe.prepTime)}</div>` : ''}
                 ${recipe.cookTime ? `<div class="recipe-meta-item">🔥 Cook: ${escapeHtml(recipe.cookTime)}</div>` : ''}
+                ${recipe.servings ? `<div class="recipe-meta-item">🍽 Serves ${recipe.servings}</div>` : ''}
             </div>
         ` : ''}
-        <p class="recipe-excerpt">${escapeHtml(excerpt)}</p>
+        <p class="recipe-excerpt">${highlight(excerpt)}</p>
+        ${recipe.pantryMatch ? renderPantryMatch(recipe.pantryMatch) : ''}
         <div class="recipe-date">Added ${formatDate(recipe.createdAt)}</div>
     `;
     
     return card;
 }
 
+/**
+ * Escape text and wrap words whose stems are in the matched set in <mark>
+ */
+function highlightText(text, matchedTerms) {
+    if (!text) return '';
+    
+    // Splitting on a captured group leaves the words at odd indexes
+    return text.split(/([A-Za-zÀ-ÿ']+)/).map((part, index) => {
+        if (index % 2 === 1 && Search.tokenize(part).some(term => matchedTerms.has(term))) {
+            return `<mark>${escapeHtml(part)}</mark>`;
+        }
+        return escapeHtml(part);
+    }).join('');
+}
+
+/**
+ * Excerpt centred on the first matched word in the ingredients, instructions or notes
+ */
+function buildMatchExcerpt(recipe, matchedTerms) {
+    const fields = [
+        parseIngredients(recipe.ingredients).join(', '),
+        recipe.instructions || '',
+        recipe.notes || ''
+    ];
+    
+    for (const text of fields) {
+        const wordPattern = /[A-Za-zÀ-ÿ']+/g;
+        let match;
+        while ((match = wordPattern.exec(text)) !== null) {
+            if (Search.tokenize(match[0]).some(term => matchedTerms.has(term))) {
+                const start = Math.max(0, match.index - 40);
+                const end = Math.min(text.length, start + 120);
+                return `${start > 0 ? '...' : ''}${text.substring(start, end)}${end < text.length ? '...' : ''}`;
+            }
+        }
+    }
+    
+    return null;
+}
+
 /**
  * Escape HTML to prevent XSS
  */
@@ -221,6 +612,118 @@ function initializeRecipeForm() {
     if (!form) return;
     
     form.addEventListener('submit', handleRecipeSubmit);
+    
+    const photoInput = document.getElementById('recipe-photo');
+    if (photoInput) {
+        photoInput.addEventListener('change', () => {
+            if (photoInput.files.length > 0) uploadRecipePhoto(photoInput.files[0]);
+        });
+    }
+    
+    // Switch to edit mode if a recipe ID is in the URL
+    const urlParams = new URLSearchParams(window.location.search);
+    const editId = urlParams.get('edit');
+    if (editId) {
+        loadRecipeForEditing(form, editId);
+    }
+    
+    // Importing is for new recipes only
+    const importPanel = document.getElementById('import-panel');
+    if (importPanel && (editId || typeof RecipeImport === 'undefined')) {
+        importPanel.style.display = 'none';
+    }
+}
+
+/**
+ * Parse the pasted recipe and pre-fill the form for review
+ */
+function importRecipeText() {
+    const form = document.getElementById('recipe-form');
+    const importText = document.getElementById('import-text');
+    const importError = document.getElementById('import-error');
+    
+    importError.style.display = 'none';
+    
+    let result;
+    try {
+        result = RecipeImport.parseRecipeText(importText.value);
+    } catch (error) {
+        importError.textContent = error.message;
+        importError.style.display = 'block';
+        return;
+    }
+    
+    const recipe = result.recipe;
+    
+    clearFieldErrors(form);
+    form.name.value = recipe.name;
+    form.category.value = recipe.category || '';
+    form.prepTime.value = recipe.prepTime;
+    form.cookTime.value = recipe.cookTime;
+    form.servings.value = recipe.servings || '';
+    form.ingredients.value = recipe.ingredients;
+    form.instructions.value = recipe.instructions;
+    form.notes.value = recipe.notes;
+    
+    document.getElementById('import-panel').open = false;
+    form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    
+    const source = result.format === 'json-ld' ? 'recipe data' : 'pasted text';
+    showNotification(`Imported from ${source} — please review before saving`, 'success');
+}
+
+/**
+ * Load an existing recipe into the form for editing
+ */
+async function loadRecipeForEditing(form, recipeId) {
+    const errorEl = document.getElementById('form-error');
+    const submitBtn = document.getElementById('submit-btn');
+    
+    submitBtn.disabled = true;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/recipes/${recipeId}`);
+        
+        if (!response.ok) {
+            throw new Error('Recipe not found');
+        }
+        
+        const data = await response.json();
+        const recipe = data.recipe;
+        
+        form.name.value = recipe.name || '';
+        // Older recipes may have a category that is no longer listed; it is
+        // left unselected so a current one is picked before saving
+        form.category.value = (recipe.category || '').toLowerCase();
+        form.prepTime.value = recipe.prepTime || '';
+        form.cookTime.value = recipe.cookTime || '';
+        form.servings.value = recipe.servings || '';
+        form.ingredients.value = recipe.ingredients || '';
+        form.instructions.value = recipe.instructions || '';
+        form.notes.value = recipe.notes || '';
+        recipePhoto = recipe.image || null;
+        showRecipePhotoPreview();
+        
+        form.dataset.recipeId = recipe.id;
+        
+        // Update page text for edit mode
+        const title = document.querySelector('.main-title');
+        if (title) title.textContent = 'Edit Recipe';
+        document.title = `Edit ${recipe.name}`;
+        submitBtn.querySelector('.btn-text').textContent = 'Save Changes';
+        submitBtn.querySelector('.btn-loading').textContent = 'Saving Recipe...';
+        document.getElementById('form-success').innerHTML = `
+            <strong>Saved!</strong> Your changes have been saved.
+            <a href="recipes.html?recipe=${encodeURIComponent(recipe.id)}" class="success-link">View recipe</a>
+        `;
+        
+    } catch (error) {
+        console.error('Error loading recipe for editing:', error);
+        errorEl.textContent = 'Unable to load this recipe for editing.';
+        errorEl.style.display = 'block';
+    } finally {
+        submitBtn.disabled = false;
+    }
 }
 
 /**
@@ -241,13 +744,15 @@ async function handleRecipeSubmit(event) {
     successEl.style.display = 'none';
     
     // Validate form
-    const validationError = validateRecipeForm(form);
-    if (validationError) {
-        errorEl.textContent = validationError;
-        errorEl.style.display = 'block';
+    const validationErrors = validateRecipeForm(form);
+    if (validationErrors.length > 0) {
+        showRecipeFormErrors(form, validationErrors);
         return;
     }
     
+    // An existing recipe ID means we are editing rather than adding
+    const editingId = form.dataset.recipeId;
+    
     // Prepare recipe data
     const formData = new FormData(form);
     const recipeData = {
@@ -255,25 +760,70 @@ async function handleRecipeSubmit(event) {
         category: formData.get('category'),
         prepTime: formData.get('prepTime').trim(),
         cookTime: formData.get('cookTime').trim(),
+        servings: formData.get('servings').trim(),
         ingredients: formData.get('ingredients').trim(),
         instructions: formData.get('instructions').trim(),
         notes: formData.get('notes').trim(),
-        createdAt: new Date().toISOString()
+        image: recipePhoto,
+        website: formData.get('website') || ''
     };
     
+    if (!editingId) {
+        recipeData.createdAt = new Date().toISOString();
+    }
+    
     // Show loading state
     submitBtn.disabled = true;
     btnText.style.display = 'none';
     btnLoading.style.display = 'inline';
     
     try {
-        const response = await fetch(`${API_BASE_URL}/recipes`, {
-            method: 'POST',
+        const url = editingId 
+            ? `${API_BASE_URL}/recipes/${editingId}` 
+            : `${API_BASE_URL}/recipes`;
+        
+        const response = await fetchOrQueue(url, {
+            method: editingId ? 'PUT' : 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...await getAuthHeaders()
             },
             body: JSON.stringify(recipeData)
-        });
+        }, `"${recipeData.name}"`);
+        
+        // Offline: kept on this device and sent on reconnect
+        if (!response) {
+            if (!editingId) {
+                form.reset();
+                clearRecipePhoto();
+            }
+            showNotification(`You're offline. "${recipeData.name}" will be saved when you reconnect.`, 'info');
+            return;
+        }
+        
+        if (response.status === 400) {
+            const data = await response.json();
+            if (data.errors) {
+                showRecipeFormErrors(form, data.errors);
+            } else {
+                errorEl.textContent = data.message || data.error;
+                errorEl.style.display = 'block';
+            }
+            return;
+        }
+        
+        if (response.status === 401 || response.status === 403) {
+            const data = await response.json();
+            errorEl.textContent = data.reason || 'Please sign in to save recipes.';
+            errorEl.style.display = 'block';
+            return;
+        }
+        
+        if (response.status === 429) {
+            errorEl.textContent = tooManyRequestsMessage(response);
+            errorEl.style.display = 'block';
+            return;
+        }
         
         if (!response.ok) {
             throw new Error('Failed to save recipe');
@@ -283,12 +833,15 @@ async function handleRecipeSubmit(event) {
         
         // Show success message
         successEl.style.display = 'block';
-        form.reset();
+        if (!editingId) {
+            form.reset();
+            clearRecipePhoto();
+        }
         
         // Scroll to success message
         successEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
         
-        showNotification('Recipe added successfully!', 'success');
+        showNotification(editingId ? 'Recipe updated successfully!' : 'Recipe added successfully!', 'success');
         
     } catch (error) {
         console.error('Error submitting recipe:', error);
@@ -304,71 +857,199 @@ async function handleRecipeSubmit(event) {
 }
 
 /**
- * Validate recipe form data
+ * Upload a photo for the recipe being edited and show a preview
  */
-function validateRecipeForm(form) {
-    const name = form.name.value.trim();
-    const category = form.category.value;
-    const ingredients = form.ingredients.value.trim();
-    const instructions = form.instructions.value.trim();
-    
-    if (!name) {
-        return 'Please enter a recipe name.';
-    }
-    
-    if (name.length < 3) {
-        return 'Recipe name must be at least 3 characters long.';
-    }
+async function uploadRecipePhoto(file) {
+    const errorEl = document.getElementById('form-error');
+    const submitBtn = document.getElementById('submit-btn');
+    const photoInput = document.getElementById('recipe-photo');
     
-    if (!category) {
-        return 'Please select a category.';
-    }
+    errorEl.style.display = 'none';
     
-    if (!ingredients) {
-        return 'Please enter the ingredients.';
-    }
+    const showPhotoError = message => {
+        errorEl.textContent = message;
+        errorEl.style.display = 'block';
+        photoInput.value = '';
+    };
     
-    if (!instructions) {
-        return 'Please enter the cooking instructions.';
+    if (!['image/jpeg', 'image/png', 'image/webp'].includes(file.type)) {
+        showPhotoError('Photos must be JPEG, PNG or WebP images.');
+        return;
     }
     
-    if (instructions.length < 20) {
-        return 'Instructions must be more detailed (at least 20 characters).';
+    if (file.size > MAX_PHOTO_BYTES) {
+        showPhotoError('Photos must be smaller than 4 MB.');
+        return;
     }
     
-    return null;
-}
-
-/* ============================================
-   RECIPES LISTING PAGE FUNCTIONS
-   ============================================ */
-
-/**
- * Fetch and display all recipes
- */
-async function fetchAllRecipes() {
-    const loadingEl = document.getElementById('recipes-loading');
-    const recipesContainer = document.getElementById('recipes-container');
-    const emptyState = document.getElementById('recipes-empty');
-    
-    if (!recipesContainer) return;
+    // Hold off saving until the photo is stored
+    submitBtn.disabled = true;
+    photoInput.disabled = true;
     
     try {
-        loadingEl.style.display = 'block';
-        recipesContainer.innerHTML = '';
+        const response = await fetch(`${API_BASE_URL}/uploads`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': file.type,
+                ...await getAuthHeaders()
+            },
+            body: file
+        });
+        
+        if (response.status === 401) {
+            showPhotoError('Please sign in to upload photos.');
+            return;
+        }
+        
+        if (response.status === 429) {
+            showPhotoError(tooManyRequestsMessage(response));
+            return;
+        }
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showPhotoError(data.message || 'Failed to upload photo.');
+            return;
+        }
+        
+        recipePhoto = data.image;
+        showRecipePhotoPreview();
+        
+    } catch (error) {
+        console.error('Error uploading photo:', error);
+        showPhotoError('Failed to upload photo. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
+        photoInput.disabled = false;
+    }
+}
+
+/**
+ * Show the recipe's current photo under the upload field
+ */
+function showRecipePhotoPreview() {
+    const preview = document.getElementById('photo-preview');
+    const previewImage = document.getElementById('photo-preview-image');
+    if (!preview) return;
+    
+    if (recipePhoto) {
+        previewImage.src = recipePhoto.cardUrl;
+        preview.style.display = 'flex';
+    } else {
+        previewImage.removeAttribute('src');
+        preview.style.display = 'none';
+    }
+}
+
+/**
+ * Take the photo off the recipe (saved when the form is submitted)
+ */
+function clearRecipePhoto() {
+    const photoInput = document.getElementById('recipe-photo');
+    if (photoInput) photoInput.value = '';
+    
+    recipePhoto = null;
+    showRecipePhotoPreview();
+}
+
+/**
+ * Validate recipe form data against the shared schema.
+ * Returns the { field, code, message } errors, empty when the recipe is valid.
+ */
+function validateRecipeForm(form) {
+    const data = {};
+    Object.keys(Schema.RECIPE_FIELDS).forEach(field => {
+        const input = form.elements[field];
+        if (input) data[field] = input.value;
+    });
+    
+    return Schema.validateRecipe(data).errors;
+}
+
+/**
+ * Show recipe errors next to their fields, with a summary above the buttons
+ */
+function showRecipeFormErrors(form, errors) {
+    const errorEl = document.getElementById('form-error');
+    const unplaced = showFieldErrors(form, errors);
+    
+    errorEl.textContent = unplaced.length > 0 
+        ? unplaced.map(error => error.message).join(' ') 
+        : 'Please fix the highlighted fields.';
+    errorEl.style.display = 'block';
+}
+
+/* ============================================
+   RECIPES LISTING PAGE FUNCTIONS
+   ============================================ */
+
+/**
+ * Fetch and display the first page of recipes
+ */
+async function fetchAllRecipes() {
+    const recipesContainer = document.getElementById('recipes-container');
+    if (!recipesContainer) return;
+    
+    await fetchRecipesPage(true);
+    
+    // Check if there's a recipe ID in the URL
+    const urlParams = new URLSearchParams(window.location.search);
+    const recipeId = urlParams.get('recipe');
+    if (recipeId) {
+        openRecipeModal(recipeId, { servings: parseInt(urlParams.get('servings'), 10) || null });
+    }
+}
+
+/**
+ * Fetch a page of recipes using the current search, category and sort.
+ * With reset the listing starts over; otherwise the next page is appended.
+ */
+async function fetchRecipesPage(reset = true) {
+    const loadingEl = document.getElementById('recipes-loading');
+    const recipesContainer = document.getElementById('recipes-container');
+    const emptyState = document.getElementById('recipes-empty');
+    const loadMoreBtn = document.getElementById('load-more-btn');
+    
+    if (!recipesContainer) return;
+    
+    const params = buildRecipesQuery();
+    if (!reset) {
+        if (!nextRecipesCursor) return;
+        params.set('cursor', nextRecipesCursor);
+    }
+    
+    // Only the latest request may update the listing
+    const requestId = ++recipesRequestId;
+    
+    try {
+        if (reset) {
+            loadingEl.style.display = 'block';
+            recipesContainer.innerHTML = '';
+            emptyState.style.display = 'none';
+            updateLoadMore(false);
+        } else if (loadMoreBtn) {
+            loadMoreBtn.disabled = true;
+            loadMoreBtn.textContent = 'Loading...';
+        }
         
-        const response = await fetch(`${API_BASE_URL}/recipes`);
+        const response = await fetch(`${API_BASE_URL}/recipes?${params}`);
         
         if (!response.ok) {
             throw new Error('Failed to fetch recipes');
         }
         
         const data = await response.json();
-        allRecipes = data.recipes || [];
+        
+        if (requestId !== recipesRequestId) return;
+        
+        const recipes = data.recipes || [];
+        allRecipes = reset ? recipes : allRecipes.concat(recipes);
+        nextRecipesCursor = data.nextCursor || null;
         
         loadingEl.style.display = 'none';
         
-        if (allRecipes.length === 0) {
+        if (allRecipes.length === 0 && !params.has('q') && !params.has('category')) {
             emptyState.style.display = 'block';
             emptyState.innerHTML = `
                 <p class="empty-message">No recipes in the collection yet. Be the first to add one!</p>
@@ -378,26 +1059,69 @@ async function fetchAllRecipes() {
         }
         
         displayRecipes(allRecipes);
-        updateResultsCount(allRecipes.length, allRecipes.length);
-        
-        // Check if there's a recipe ID in the URL
-        const urlParams = new URLSearchParams(window.location.search);
-        const recipeId = urlParams.get('recipe');
-        if (recipeId) {
-            openRecipeModal(recipeId);
-        }
+        updateResultsCount(allRecipes.length, nextRecipesCursor !== null);
+        updateLoadMore(nextRecipesCursor !== null);
         
     } catch (error) {
+        if (requestId !== recipesRequestId) return;
+        
         console.error('Error fetching recipes:', error);
         loadingEl.style.display = 'none';
-        recipesContainer.innerHTML = `
-            <div class="error-message" style="text-align: center; padding: 2rem; color: var(--brown-medium);">
-                <p>Unable to load recipes. Please try again later.</p>
-            </div>
-        `;
+        
+        if (reset && showRecentlyViewed(recipesContainer)) return;
+        
+        if (reset) {
+            recipesContainer.innerHTML = `
+                <div class="error-message" style="text-align: center; padding: 2rem; color: var(--brown-medium);">
+                    <p>Unable to load recipes. Please try again later.</p>
+                </div>
+            `;
+        } else {
+            showNotification('Unable to load more recipes', 'error');
+            updateLoadMore(true);
+        }
     }
 }
 
+/**
+ * Build the listing query string from the search, category and sort controls
+ */
+function buildRecipesQuery() {
+    const searchInput = document.getElementById('search-input');
+    const categoryFilter = document.getElementById('category-filter');
+    const sortSelect = document.getElementById('sort-select');
+    
+    const params = new URLSearchParams({ limit: RECIPES_PAGE_SIZE });
+    
+    const searchTerm = searchInput ? searchInput.value.trim() : '';
+    if (searchTerm) params.set('q', searchTerm);
+    
+    if (categoryFilter && categoryFilter.value) params.set('category', categoryFilter.value);
+    if (sortSelect && sortSelect.value) params.set('sort', sortSelect.value);
+    
+    return params;
+}
+
+/**
+ * Load the next page of recipes
+ */
+function loadMoreRecipes() {
+    fetchRecipesPage(false);
+}
+
+/**
+ * Show or hide the "Load more" button
+ */
+function updateLoadMore(hasMore) {
+    const loadMore = document.getElementById('load-more');
+    const loadMoreBtn = document.getElementById('load-more-btn');
+    if (!loadMore || !loadMoreBtn) return;
+    
+    loadMore.style.display = hasMore ? 'block' : 'none';
+    loadMoreBtn.disabled = false;
+    loadMoreBtn.textContent = 'Load More Recipes';
+}
+
 /**
  * Display recipes in the container
  */
@@ -434,6 +1158,7 @@ function displayRecipes(recipes) {
 function initializeSearch() {
     const searchInput = document.getElementById('search-input');
     const categoryFilter = document.getElementById('category-filter');
+    const sortSelect = document.getElementById('sort-select');
     
     if (searchInput) {
         searchInput.addEventListener('input', debounce(performSearch, 300));
@@ -442,6 +1167,10 @@ function initializeSearch() {
     if (categoryFilter) {
         categoryFilter.addEventListener('change', performSearch);
     }
+    
+    if (sortSelect) {
+        sortSelect.addEventListener('change', performSearch);
+    }
 }
 
 /**
@@ -460,54 +1189,92 @@ function debounce(func, wait) {
 }
 
 /**
- * Perform search and filter
+ * Perform search and filter on the server.
+ * Search terms go to the ranked search index; otherwise the listing is paged.
  */
 function performSearch() {
     const searchInput = document.getElementById('search-input');
     const categoryFilter = document.getElementById('category-filter');
+    const sortSelect = document.getElementById('sort-select');
     
     if (!searchInput || !categoryFilter) return;
     
-    const searchTerm = searchInput.value.toLowerCase().trim();
-    const selectedCategory = categoryFilter.value;
-    
-    let filteredRecipes = allRecipes;
+    const searchTerm = searchInput.value.trim();
     
-    // Filter by category
-    if (selectedCategory) {
-        filteredRecipes = filteredRecipes.filter(recipe => 
-            recipe.category === selectedCategory
-        );
-    }
+    // Search results are ordered by relevance
+    if (sortSelect) sortSelect.disabled = searchTerm.length > 0;
     
-    // Filter by search term
     if (searchTerm) {
-        filteredRecipes = filteredRecipes.filter(recipe => {
-            const nameMatch = recipe.name.toLowerCase().includes(searchTerm);
-            const ingredientsMatch = recipe.ingredients && 
-                recipe.ingredients.toLowerCase().includes(searchTerm);
-            const instructionsMatch = recipe.instructions && 
-                recipe.instructions.toLowerCase().includes(searchTerm);
-            
-            return nameMatch || ingredientsMatch || instructionsMatch;
-        });
+        fetchSearchResults(searchTerm, categoryFilter.value);
+    } else {
+        fetchRecipesPage(true);
     }
+}
+
+/**
+ * Fetch ranked search results and display them with matched words highlighted
+ */
+async function fetchSearchResults(searchTerm, category) {
+    const loadingEl = document.getElementById('recipes-loading');
+    const recipesContainer = document.getElementById('recipes-container');
+    const emptyState = document.getElementById('recipes-empty');
+    
+    if (!recipesContainer) return;
+    
+    const params = new URLSearchParams({ q: searchTerm });
+    if (category) params.set('category', category);
     
-    displayRecipes(filteredRecipes);
-    updateResultsCount(filteredRecipes.length, allRecipes.length);
+    // Only the latest request may update the listing
+    const requestId = ++recipesRequestId;
+    
+    try {
+        loadingEl.style.display = 'block';
+        recipesContainer.innerHTML = '';
+        emptyState.style.display = 'none';
+        updateLoadMore(false);
+        
+        const response = await fetch(`${API_BASE_URL}/search?${params}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to search recipes');
+        }
+        
+        const data = await response.json();
+        
+        if (requestId !== recipesRequestId) return;
+        
+        allRecipes = data.recipes || [];
+        nextRecipesCursor = null;
+        
+        loadingEl.style.display = 'none';
+        displayRecipes(allRecipes);
+        updateResultsCount(allRecipes.length, false);
+        
+    } catch (error) {
+        if (requestId !== recipesRequestId) return;
+        
+        console.error('Error searching recipes:', error);
+        loadingEl.style.display = 'none';
+        recipesContainer.innerHTML = `
+            <div class="error-message" style="text-align: center; padding: 2rem; color: var(--brown-medium);">
+                <p>Unable to search recipes. Please try again later.</p>
+            </div>
+        `;
+    }
 }
 
 /**
  * Update results count display
  */
-function updateResultsCount(shown, total) {
+function updateResultsCount(shown, hasMore) {
     const resultsCount = document.getElementById('results-count');
     if (!resultsCount) return;
     
-    if (shown === total) {
-        resultsCount.textContent = `Showing all ${total} recipe${total !== 1 ? 's' : ''}`;
+    const plural = shown !== 1 ? 's' : '';
+    if (hasMore) {
+        resultsCount.textContent = `Showing ${shown} recipe${plural} — more available`;
     } else {
-        resultsCount.textContent = `Showing ${shown} of ${total} recipe${total !== 1 ? 's' : ''}`;
+        resultsCount.textContent = `Showing ${shown} recipe${plural}`;
     }
 }
 
@@ -524,14 +1291,145 @@ function clearSearch() {
     performSearch();
 }
 
+/* ============================================
+   WHAT CAN I COOK? (PANTRY SEARCH)
+   ============================================ */
+
+/**
+ * Initialize the pantry panel, restoring the last pantry list
+ */
+function initializePantry() {
+    const pantryForm = document.getElementById('pantry-form');
+    const pantryInput = document.getElementById('pantry-items');
+    if (!pantryForm || !pantryInput) return;
+    
+    pantryInput.value = localStorage.getItem('pantryItems') || '';
+    pantryForm.addEventListener('submit', handlePantrySubmit);
+}
+
+/**
+ * Handle pantry form submission
+ */
+function handlePantrySubmit(event) {
+    event.preventDefault();
+    
+    const pantryInput = document.getElementById('pantry-items');
+    const staplesInput = document.getElementById('pantry-staples');
+    
+    const items = pantryInput.value
+        .split(/[\n,]/)
+        .map(item => item.trim())
+        .filter(item => item.length > 0);
+    
+    if (items.length === 0) {
+        showNotification('Please list at least one ingredient', 'error');
+        return;
+    }
+    
+    localStorage.setItem('pantryItems', pantryInput.value.trim());
+    fetchPantryMatches(items, staplesInput ? staplesInput.checked : true);
+}
+
+/**
+ * Fetch recipes ranked by how much of each the pantry covers
+ */
+async function fetchPantryMatches(items, includeStaples) {
+    const loadingEl = document.getElementById('recipes-loading');
+    const recipesContainer = document.getElementById('recipes-container');
+    const emptyState = document.getElementById('recipes-empty');
+    const categoryFilter = document.getElementById('category-filter');
+    
+    if (!recipesContainer) return;
+    
+    // Only the latest request may update the listing
+    const requestId = ++recipesRequestId;
+    
+    try {
+        loadingEl.style.display = 'block';
+        recipesContainer.innerHTML = '';
+        emptyState.style.display = 'none';
+        updateLoadMore(false);
+        
+        const response = await fetch(`${API_BASE_URL}/pantry`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                items: items,
+                includeStaples: includeStaples,
+                category: categoryFilter ? categoryFilter.value : ''
+            })
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to match pantry');
+        }
+        
+        const data = await response.json();
+        
+        if (requestId !== recipesRequestId) return;
+        
+        allRecipes = data.recipes || [];
+        nextRecipesCursor = null;
+        
+        loadingEl.style.display = 'none';
+        displayRecipes(allRecipes);
+        
+        const resultsCount = document.getElementById('results-count');
+        if (resultsCount) {
+            const plural = allRecipes.length !== 1 ? 's' : '';
+            resultsCount.textContent = `${allRecipes.length} recipe${plural} you can make (or nearly make) with ${items.length} ingredient${items.length !== 1 ? 's' : ''}`;
+        }
+        
+    } catch (error) {
+        if (requestId !== recipesRequestId) return;
+        
+        console.error('Error matching pantry:', error);
+        loadingEl.style.display = 'none';
+        recipesContainer.innerHTML = `
+            <div class="error-message" style="text-align: center; padding: 2rem; color: var(--brown-medium);">
+                <p>Unable to find recipes for your pantry. Please try again later.</p>
+            </div>
+        `;
+    }
+}
+
+/**
+ * Coverage and missing ingredients shown on a pantry result card
+ */
+function renderPantryMatch(pantryMatch) {
+    const complete = pantryMatch.missing.length === 0;
+    
+    return `
+        <div class="pantry-match">
+            <div class="pantry-coverage ${complete ? 'complete' : ''}">
+                ${complete ? '✓ You have everything' : `You have ${pantryMatch.matched} of ${pantryMatch.total} ingredients`}
+            </div>
+            ${complete ? '' : `<div class="pantry-missing">Missing: ${pantryMatch.missing.map(escapeHtml).join(', ')}</div>`}
+        </div>
+    `;
+}
+
+/**
+ * Clear the pantry list and return to the regular listing
+ */
+function clearPantrySearch() {
+    const pantryInput = document.getElementById('pantry-items');
+    if (pantryInput) pantryInput.value = '';
+    
+    localStorage.removeItem('pantryItems');
+    performSearch();
+}
+
 /* ============================================
    RECIPE DETAIL MODAL FUNCTIONS
    ============================================ */
 
 /**
- * Open recipe detail modal
+ * Open recipe detail modal, optionally scaled to a number of servings
  */
-async function openRecipeModal(recipeId) {
+async function openRecipeModal(recipeId, options = {}) {
     const modal = document.getElementById('recipe-modal');
     const recipeDetail = document.getElementById('recipe-detail');
     
@@ -542,6 +1440,7 @@ async function openRecipeModal(recipeId) {
     // Show modal
     modal.style.display = 'flex';
     document.body.style.overflow = 'hidden';
+    document.body.classList.add('recipe-open');
     
     // Show loading state
     recipeDetail.innerHTML = `
@@ -552,7 +1451,10 @@ async function openRecipeModal(recipeId) {
     `;
     
     try {
-        const response = await fetch(`${API_BASE_URL}/recipes/${recipeId}`);
+        // Signed-in requests come back with the user's permissions
+        const response = await fetch(`${API_BASE_URL}/recipes/${recipeId}`, {
+            headers: await getAuthHeaders()
+        });
         
         if (!response.ok) {
             throw new Error('Recipe not found');
@@ -561,7 +1463,8 @@ async function openRecipeModal(recipeId) {
         const data = await response.json();
         const recipe = data.recipe;
         
-        displayRecipeDetail(recipe);
+        displayRecipeDetail(recipe, options.servings);
+        rememberRecentlyViewed(recipe);
         fetchComments(recipeId);
         
     } catch (error) {
@@ -578,223 +1481,2746 @@ async function openRecipeModal(recipeId) {
 /**
  * Display recipe details in modal
  */
-function displayRecipeDetail(recipe) {
+function displayRecipeDetail(recipe, servings = null) {
     const recipeDetail = document.getElementById('recipe-detail');
     if (!recipeDetail) return;
     
-    const ingredients = parseIngredients(recipe.ingredients);
+    currentRecipe = recipe;
+    // The servings may come from the address, so keep them in range
+    currentServings = recipe.servings ? clampServings(servings || recipe.servings) : null;
+    
+    const permissions = recipe.permissions || {};
     
     recipeDetail.innerHTML = `
         <div class="recipe-detail-header">
+            ${recipe.image ? `
+                <img class="recipe-detail-image" src="${escapeHtml(recipe.image.fullUrl)}" alt="${escapeHtml(recipe.name)}"
+                    ${recipe.image.width ? `width="${recipe.image.width}" height="${recipe.image.height}"` : ''}>
+            ` : ''}
             <h2 class="recipe-detail-title">${escapeHtml(recipe.name)}</h2>
             ${recipe.category ? `<span class="recipe-category">${capitalize(recipe.category)}</span>` : ''}
             <div class="recipe-detail-meta">
                 ${recipe.prepTime ? `<div>⏱ Prep: ${escapeHtml(recipe.prepTime)}</div>` : ''}
                 ${recipe.cookTime ? `<div>🔥 Cook: ${escapeHtml(recipe.cookTime)}</div>` : ''}
-                <div>📅 Added ${formatDate(recipe.createdAt)}</div>
+                ${recipe.servings ? `<div>🍽 Serves ${recipe.servings}</div>` : ''}
+                <div>📅 Added ${formatDate(recipe.createdAt)}${recipe.authorName ? ` by ${escapeHtml(recipe.authorName)}` : ''}</div>
             </div>
+            <div id="recipe-rating" class="recipe-rating">${renderRecipeRating(recipe)}</div>
+            <div class="recipe-detail-actions">
+                <button type="button" class="vintage-button small" onclick="printRecipe('card')">Print 4×6 Card</button>
+                <button type="button" class="vintage-button small" onclick="printRecipe('letter')">Print Page</button>
+                <button type="button" class="vintage-button small" onclick="showAddToShoppingListForm()">Add to Shopping List</button>
+                ${permissions.canEdit ? `<a href="add-recipe.html?edit=${encodeURIComponent(recipe.id)}" class="vintage-button small">Edit Recipe</a>` : ''}
+                ${permissions.canDelete ? `<button type="button" class="vintage-button small" onclick="deleteRecipe()">Delete Recipe</button>` : ''}
+            </div>
+            <div id="shopping-list-form" class="shopping-list-form"></div>
         </div>
         
-        <div class="recipe-detail-section">
-            <h3 class="recipe-detail-section-title">Ingredients</h3>
-            <ul class="ingredients-list">
-                ${ingredients.map(ingredient => 
-                    `<li>${escapeHtml(ingredient)}</li>`
-                ).join('')}
-            </ul>
+        <div class="recipe-tabs">
+            <button type="button" class="recipe-tab active" data-tab="recipe" onclick="switchRecipeTab('recipe')">Recipe</button>
+            <button type="button" class="recipe-tab" data-tab="history" onclick="switchRecipeTab('history')">History</button>
         </div>
         
-        <div class="recipe-detail-section">
-            <h3 class="recipe-detail-section-title">Instructions</h3>
-            <div class="instructions-text">${escapeHtml(recipe.instructions)}</div>
-        </div>
+        <div id="recipe-tab-recipe" class="recipe-tab-panel">
+            <div class="recipe-detail-section">
+                <h3 class="recipe-detail-section-title">Ingredients</h3>
+                <div class="recipe-controls">
+                    ${recipe.servings ? `
+                        <div class="servings-control">
+                            <span class="servings-label">Servings</span>
+                            <button type="button" class="servings-button" onclick="changeServings(-1)" aria-label="Fewer servings">−</button>
+                            <span id="servings-count" class="servings-count">${currentServings}</span>
+                            <button type="button" class="servings-button" onclick="changeServings(1)" aria-label="More servings">+</button>
+                            <button type="button" id="servings-reset" class="servings-reset" onclick="setServings(${recipe.servings})">Reset</button>
+                        </div>
+                    ` : ''}
+                    <div class="unit-toggle" role="group" aria-label="Measurement units">
+                        ${['original', 'metric', 'imperial'].map(system => `
+                            <button type="button" class="unit-option" data-units="${system}" onclick="setUnitSystem('${system}')">${capitalize(system)}</button>
+                        `).join('')}
+                    </div>
+                </div>
+                <ul id="ingredients-list" class="ingredients-list"></ul>
+            </div>
         
-        ${recipe.notes ? `
             <div class="recipe-detail-section">
-                <h3 class="recipe-detail-section-title">Notes & Tips</h3>
-                <div class="notes-text">${escapeHtml(recipe.notes)}</div>
+                <h3 class="recipe-detail-section-title">Instructions</h3>
+                ${typeof Cooking !== 'undefined' && recipe.instructions ? `
+                    <button type="button" class="vintage-button small cook-mode-start" onclick="startCookMode()">Start Cooking</button>
+                ` : ''}
+                <div id="instructions-text" class="instructions-text"></div>
             </div>
-        ` : ''}
+        
+            ${recipe.notes ? `
+                <div class="recipe-detail-section">
+                    <h3 class="recipe-detail-section-title">Notes & Tips</h3>
+                    <div class="notes-text">${escapeHtml(recipe.notes)}</div>
+                </div>
+            ` : ''}
+        </div>
+        
+        <div id="recipe-tab-history" class="recipe-tab-panel" style="display: none;"></div>
     `;
+    
+    renderIngredientsList();
+    renderInstructions();
 }
 
 /**
- * Close recipe detail modal
+ * Render the ingredients of the current recipe, scaled to the chosen servings
  */
-function closeRecipeModal() {
-    const modal = document.getElementById('recipe-modal');
-    if (!modal) return;
+function renderIngredientsList() {
+    const list = document.getElementById('ingredients-list');
+    if (!list || !currentRecipe) return;
     
-    modal.style.display = 'none';
-    document.body.style.overflow = 'auto';
-    currentRecipeId = null;
+    const factor = currentServings ? currentServings / currentRecipe.servings : 1;
+    const ingredients = getIngredientList(currentRecipe).map(ingredient => {
+        const scaled = scaleIngredient(ingredient, factor);
+        return unitSystem === 'original' ? scaled : Units.convertIngredient(scaled, unitSystem);
+    });
     
-    // Clear URL parameter if present
-    if (window.location.search.includes('recipe=')) {
-        const url = new URL(window.location);
-        url.searchParams.delete('recipe');
-        window.history.replaceState({}, '', url);
+    list.innerHTML = ingredients.map(renderIngredient).join('');
+    
+    document.querySelectorAll('.unit-option').forEach(option => {
+        option.classList.toggle('active', option.dataset.units === unitSystem);
+    });
+    
+    const countEl = document.getElementById('servings-count');
+    if (countEl) countEl.textContent = currentServings;
+    
+    const resetBtn = document.getElementById('servings-reset');
+    if (resetBtn) resetBtn.style.visibility = factor === 1 ? 'hidden' : 'visible';
+}
+
+/**
+ * Render the instructions of the current recipe in the chosen units
+ */
+function renderInstructions() {
+    const instructionsEl = document.getElementById('instructions-text');
+    if (!instructionsEl || !currentRecipe) return;
+    
+    const instructions = unitSystem === 'original'
+        ? currentRecipe.instructions
+        : Units.convertText(currentRecipe.instructions, unitSystem);
+    
+    instructionsEl.textContent = instructions || '';
+}
+
+/**
+ * Switch between original, metric and imperial measurements
+ */
+function setUnitSystem(system) {
+    unitSystem = system;
+    localStorage.setItem('unitSystem', system);
+    renderIngredientsList();
+    renderInstructions();
+}
+
+/**
+ * Multiply the quantities of a structured ingredient
+ */
+function scaleIngredient(ingredient, factor) {
+    if (factor === 1 || ingredient.quantity === null || ingredient.quantity === undefined) {
+        return ingredient;
+    }
+    
+    return {
+        ...ingredient,
+        quantity: ingredient.quantity * factor,
+        quantityMax: ingredient.quantityMax ? ingredient.quantityMax * factor : ingredient.quantityMax
+    };
+}
+
+/**
+ * Step the servings stepper up or down
+ */
+function changeServings(delta) {
+    if (!currentServings) return;
+    setServings(currentServings + delta);
+}
+
+/**
+ * Rescale the recipe to a number of servings and keep the URL in sync
+ */
+function setServings(servings) {
+    if (!currentRecipe || !currentRecipe.servings) return;
+    
+    currentServings = clampServings(servings);
+    renderIngredientsList();
+    
+    // Make the scaled view addressable, e.g. recipes.html?recipe=<id>&servings=8
+    const url = new URL(window.location);
+    url.searchParams.set('recipe', currentRecipe.id);
+    if (currentServings === currentRecipe.servings) {
+        url.searchParams.delete('servings');
+    } else {
+        url.searchParams.set('servings', currentServings);
+    }
+    window.history.replaceState({}, '', url);
+}
+
+/**
+ * Keep a serving count within the range the recipe form allows
+ */
+function clampServings(servings) {
+    return Math.max(MIN_SERVINGS, Math.min(servings, MAX_SERVINGS));
+}
+
+/**
+ * Get the structured ingredients of a recipe, parsing older recipes on the fly
+ */
+function getIngredientList(recipe) {
+    if (Array.isArray(recipe.ingredientList)) {
+        return recipe.ingredientList;
+    }
+    return Ingredients.parseIngredientList(recipe.ingredients);
+}
+
+/**
+ * Render a structured ingredient as a list item
+ */
+function renderIngredient(ingredient) {
+    if (ingredient.heading) {
+        return `<li class="ingredient-heading">${escapeHtml(ingredient.item)}</li>`;
+    }
+    
+    // Lines the parser could not read are shown exactly as typed
+    if (!ingredient.parsed) {
+        return `<li class="ingredient-unparsed" title="This line could not be read as a measured ingredient">${escapeHtml(ingredient.raw)}</li>`;
+    }
+    
+    const quantity = ingredient.quantityMax 
+        ? `${Units.formatAmount(ingredient.quantity, ingredient.unit)}–${Units.formatAmount(ingredient.quantityMax, ingredient.unit)}`
+        : Units.formatAmount(ingredient.quantity, ingredient.unit);
+    const unit = Ingredients.formatUnit(ingredient.unit, ingredient.quantityMax || ingredient.quantity);
+    
+    return `
+        <li>
+            ${quantity ? `<span class="ingredient-quantity">${quantity}</span>` : ''}
+            ${unit ? `<span class="ingredient-unit">${escapeHtml(unit)}</span>` : ''}
+            <span class="ingredient-item">${escapeHtml(ingredient.item)}</span>${ingredient.note ? `<span class="ingredient-note">, ${escapeHtml(ingredient.note)}</span>` : ''}
+        </li>
+    `;
+}
+
+/**
+ * Switch between the recipe and history tabs in the modal
+ */
+function switchRecipeTab(tabName) {
+    document.querySelectorAll('.recipe-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === tabName);
+    });
+    document.querySelectorAll('.recipe-tab-panel').forEach(panel => {
+        panel.style.display = panel.id === `recipe-tab-${tabName}` ? 'block' : 'none';
+    });
+    
+    if (tabName === 'history' && currentRecipeId) {
+        fetchRevisions(currentRecipeId);
     }
 }
 
 /* ============================================
-   COMMENTS FUNCTIONS
+   REVISION HISTORY FUNCTIONS
    ============================================ */
 
 /**
- * Fetch comments for a recipe
+ * Fetch and display the revision history of a recipe
  */
-async function fetchComments(recipeId) {
-    const commentsList = document.getElementById('comments-list');
-    const commentsLoading = document.getElementById('comments-loading');
-    const noComments = document.getElementById('no-comments');
+async function fetchRevisions(recipeId) {
+    const historyPanel = document.getElementById('recipe-tab-history');
+    if (!historyPanel) return;
     
-    if (!commentsList) return;
+    historyPanel.innerHTML = `
+        <div class="loading-state small">
+            <div class="vintage-spinner small"></div>
+            <p>Loading history...</p>
+        </div>
+    `;
     
     try {
-        commentsLoading.style.display = 'block';
-        commentsList.innerHTML = '';
-        noComments.style.display = 'none';
-        
-        const response = await fetch(`${API_BASE_URL}/comments?recipeId=${recipeId}`);
+        const response = await fetch(`${API_BASE_URL}/recipes/${recipeId}/revisions`);
         
         if (!response.ok) {
-            throw new Error('Failed to fetch comments');
+            throw new Error('Failed to fetch revisions');
         }
         
         const data = await response.json();
-        const comments = data.comments || [];
+        currentRevisions = data.revisions || [];
         
-        commentsLoading.style.display = 'none';
-        
-        if (comments.length === 0) {
-            noComments.style.display = 'block';
+        if (currentRevisions.length === 0) {
+            historyPanel.innerHTML = `
+                <p class="no-comments">No changes have been recorded for this recipe yet.</p>
+            `;
             return;
         }
         
-        displayComments(comments);
+        historyPanel.innerHTML = `
+            <div class="revision-history">
+                <ul class="revision-list">
+                    ${currentRevisions.map((revision, index) => `
+                        <li>
+                            <button type="button" class="revision-item" data-index="${index}" onclick="selectRevision(${index})">
+                                <span class="revision-action">${describeRevision(revision)}</span>
+                                <span class="revision-meta">${escapeHtml(revision.editedBy)} · ${formatDateTime(revision.createdAt)}</span>
+                            </button>
+                        </li>
+                    `).join('')}
+                </ul>
+                <div id="revision-diff" class="revision-diff"></div>
+            </div>
+        `;
+        
+        selectRevision(0);
         
     } catch (error) {
-        console.error('Error fetching comments:', error);
-        commentsLoading.style.display = 'none';
-        noComments.style.display = 'block';
+        console.error('Error fetching revisions:', error);
+        historyPanel.innerHTML = `
+            <p class="no-comments">Unable to load the history of this recipe.</p>
+        `;
     }
 }
 
 /**
- * Display comments list
+ * Short label for a revision in the history list
  */
-function displayComments(comments) {
-    const commentsList = document.getElementById('comments-list');
-    if (!commentsList) return;
+function describeRevision(revision) {
+    if (revision.action === 'created') return 'Original version';
+    if (revision.action === 'restored') return 'Restored earlier version';
+    return 'Edited';
+}
+
+/**
+ * Show the field-by-field changes introduced by a revision
+ */
+function selectRevision(index) {
+    const diffEl = document.getElementById('revision-diff');
+    const revision = currentRevisions[index];
+    if (!diffEl || !revision) return;
     
-    commentsList.innerHTML = '';
+    document.querySelectorAll('.revision-item').forEach(item => {
+        item.classList.toggle('active', Number(item.dataset.index) === index);
+    });
     
-    // Sort comments by date (newest first)
-    const sortedComments = comments.sort((a, b) => 
-        new Date(b.createdAt) - new Date(a.createdAt)
+    // Revisions are newest first, so the one before this is next in the list
+    const previous = currentRevisions[index + 1];
+    const before = previous ? previous.snapshot : {};
+    const after = revision.snapshot || {};
+    const fieldText = (snapshot, field) => String(snapshot[field] || '');
+    
+    const changedFields = Object.keys(REVISION_FIELD_LABELS).filter(field => 
+        fieldText(before, field) !== fieldText(after, field)
     );
     
-    sortedComments.forEach(comment => {
-        const commentEl = document.createElement('div');
-        commentEl.className = 'comment';
-        commentEl.innerHTML = `
-            <div class="comment-header">
-                <span class="comment-author">${escapeHtml(comment.username)}</span>
-                <span class="comment-date">${formatRelativeTime(comment.createdAt)}</span>
+    diffEl.innerHTML = `
+        <div class="revision-diff-header">
+            <strong>${describeRevision(revision)}</strong>
+            by ${escapeHtml(revision.editedBy)} on ${formatDateTime(revision.createdAt)}
+        </div>
+        ${changedFields.length === 0 ? `
+            <p class="revision-unchanged">No recipe fields changed in this version.</p>
+        ` : changedFields.map(field => `
+            <div class="revision-field">
+                <h4 class="revision-field-title">${REVISION_FIELD_LABELS[field]}</h4>
+                <div class="diff-lines">
+                    ${diffLines(fieldText(before, field), fieldText(after, field)).map(line => `
+                        <div class="diff-line ${line.type}">${escapeHtml(line.text) || '&nbsp;'}</div>
+                    `).join('')}
+                </div>
             </div>
-            <p class="comment-text">${escapeHtml(comment.comment)}</p>
-        `;
-        commentsList.appendChild(commentEl);
-    });
+        `).join('')}
+        ${index > 0 && currentRecipe && currentRecipe.permissions && currentRecipe.permissions.canEdit ? `
+            <div class="revision-actions">
+                <button type="button" class="vintage-button small" onclick="restoreRevision('${revision.id}')">Restore This Version</button>
+            </div>
+        ` : ''}
+    `;
 }
 
 /**
- * Initialize comment form
+ * Line-based diff of two texts using the longest common subsequence
  */
-function initializeCommentForm() {
-    const commentForm = document.getElementById('comment-form');
-    if (!commentForm) return;
+function diffLines(oldText, newText) {
+    const oldLines = oldText ? oldText.split('\n') : [];
+    const newLines = newText ? newText.split('\n') : [];
     
-    commentForm.addEventListener('submit', handleCommentSubmit);
+    // lengths[i][j] = LCS length of oldLines[i..] and newLines[j..]
+    const lengths = Array.from({ length: oldLines.length + 1 }, () => 
+        new Array(newLines.length + 1).fill(0)
+    );
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+            lengths[i][j] = oldLines[i] === newLines[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length && j < newLines.length) {
+        if (oldLines[i] === newLines[j]) {
+            result.push({ type: 'same', text: oldLines[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            result.push({ type: 'removed', text: oldLines[i] });
+            i++;
+        } else {
+            result.push({ type: 'added', text: newLines[j] });
+            j++;
+        }
+    }
+    while (i < oldLines.length) {
+        result.push({ type: 'removed', text: oldLines[i++] });
+    }
+    while (j < newLines.length) {
+        result.push({ type: 'added', text: newLines[j++] });
+    }
+    
+    return result;
 }
 
-// Initialize comment form when modal opens
-document.addEventListener('DOMContentLoaded', () => {
-    const commentForm = document.getElementById('comment-form');
-    if (commentForm) {
-        commentForm.addEventListener('submit', handleCommentSubmit);
+/**
+ * Roll the current recipe back to an earlier revision
+ */
+async function restoreRevision(revisionId) {
+    if (!currentRecipeId) return;
+    
+    if (!confirm('Restore this version? The current version will stay in the history.')) {
+        return;
     }
-});
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/recipes/${currentRecipeId}/revisions/${revisionId}/restore`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...await getAuthHeaders()
+            }
+        });
+        
+        if (response.status === 401 || response.status === 403) {
+            const data = await response.json();
+            showNotification(data.reason || 'Please sign in to restore recipes', 'error');
+            return;
+        }
+        
+        if (!response.ok) {
+            throw new Error('Failed to restore revision');
+        }
+        
+        const data = await response.json();
+        displayRecipeDetail(data.recipe);
+        switchRecipeTab('history');
+        
+        showNotification('Recipe restored successfully!', 'success');
+        
+    } catch (error) {
+        console.error('Error restoring revision:', error);
+        showNotification('Failed to restore recipe', 'error');
+    }
+}
 
 /**
- * Handle comment form submission
+ * Delete the recipe shown in the modal
  */
-async function handleCommentSubmit(event) {
-    event.preventDefault();
+async function deleteRecipe() {
+    if (!currentRecipeId || !currentRecipe) return;
     
-    if (!currentRecipeId) return;
+    if (!confirm(`Delete "${currentRecipe.name}"? This cannot be undone.`)) {
+        return;
+    }
     
-    const form = event.target;
-    const usernameInput = document.getElementById('comment-username');
-    const commentInput = document.getElementById('comment-text');
-    const submitBtn = form.querySelector('button[type="submit"]');
+    try {
+        const response = await fetch(`${API_BASE_URL}/recipes/${currentRecipeId}`, {
+            method: 'DELETE',
+            headers: await getAuthHeaders()
+        });
+        
+        if (response.status === 401 || response.status === 403) {
+            const data = await response.json();
+            showNotification(data.reason || 'Please sign in to delete recipes', 'error');
+            return;
+        }
+        
+        if (!response.ok) {
+            throw new Error('Failed to delete recipe');
+        }
+        
+        closeRecipeModal();
+        performSearch();
+        showNotification('Recipe deleted', 'success');
+        
+    } catch (error) {
+        console.error('Error deleting recipe:', error);
+        showNotification('Failed to delete recipe', 'error');
+    }
+}
+
+/**
+ * Close recipe detail modal
+ */
+function closeRecipeModal() {
+    const modal = document.getElementById('recipe-modal');
+    if (!modal) return;
+    
+    modal.style.display = 'none';
+    document.body.style.overflow = 'auto';
+    document.body.classList.remove('recipe-open');
+    currentRecipeId = null;
+    currentRecipe = null;
+    currentServings = null;
+    
+    // Clear URL parameters if present
+    if (window.location.search.includes('recipe=')) {
+        const url = new URL(window.location);
+        url.searchParams.delete('recipe');
+        url.searchParams.delete('servings');
+        window.history.replaceState({}, '', url);
+    }
+}
+
+/* ============================================
+   PRINTING
+   ============================================ */
+
+/**
+ * Print the open recipe on a 4x6 card ('card') or a letter page ('letter').
+ * Ingredients print as currently shown, so scaled servings and converted
+ * units carry over to paper.
+ */
+function printRecipe(format) {
+    if (!currentRecipe) return;
+    
+    const paper = PRINT_FORMATS[format] || PRINT_FORMATS.letter;
+    
+    // @page cannot be switched by a class, so the paper size is set just before printing
+    let pageStyle = document.getElementById('print-page-style');
+    if (!pageStyle) {
+        pageStyle = document.createElement('style');
+        pageStyle.id = 'print-page-style';
+        document.head.appendChild(pageStyle);
+    }
+    pageStyle.textContent = `@page { size: ${paper.size}; margin: ${paper.margin}; }`;
+    
+    document.body.classList.toggle('print-card', format === 'card');
+    window.addEventListener('afterprint', () => {
+        document.body.classList.remove('print-card');
+        pageStyle.textContent = '';
+    }, { once: true });
     
-    const username = usernameInput.value.trim();
-    const commentText = commentInput.value.trim();
+    window.print();
+}
+
+/**
+ * Download the listed recipes as one PDF with a table of contents.
+ * While more pages can be loaded the listing is a whole category (or the
+ * whole cookbook), which the server prints in full; otherwise exactly the
+ * recipes shown are printed.
+ */
+async function downloadCookbookPdf() {
+    const categoryFilter = document.getElementById('category-filter');
+    const button = document.getElementById('print-cookbook-btn');
     
-    if (!username || !commentText) {
-        showNotification('Please fill in all fields', 'error');
+    if (allRecipes.length === 0) {
+        showNotification('There are no recipes to print', 'error');
         return;
     }
     
-    const commentData = {
-        recipeId: currentRecipeId,
-        username: username,
-        comment: commentText,
-        createdAt: new Date().toISOString()
-    };
+    const title = prompt('Title for the cookbook:', 'Family Cookbook');
+    if (title === null) return;
     
-    // Disable button
-    submitBtn.disabled = true;
-    submitBtn.textContent = 'Adding...';
+    const params = new URLSearchParams({ format: 'pdf', title: title.trim() });
+    if (nextRecipesCursor) {
+        if (categoryFilter && categoryFilter.value) params.set('category', categoryFilter.value);
+    } else {
+        params.set('ids', allRecipes.map(recipe => recipe.id).join(','));
+    }
     
     try {
-        const response = await fetch(`${API_BASE_URL}/comments`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(commentData)
-        });
-        
-        if (!response.ok) {
-            throw new Error('Failed to add comment');
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Preparing PDF...';
         }
         
-        // Clear form
-        usernameInput.value = '';
-        commentInput.value = '';
+        const response = await fetch(`${API_BASE_URL}/export?${params}`);
         
-        // Refresh comments
-        await fetchComments(currentRecipeId);
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || 'Unable to create the PDF');
+        }
         
-        showNotification('Comment added successfully!', 'success');
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'cookbook.pdf';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
         
     } catch (error) {
-        console.error('Error adding comment:', error);
-        showNotification('Failed to add comment', 'error');
+        console.error('Error creating cookbook PDF:', error);
+        showNotification(error.message, 'error');
     } finally {
-        submitBtn.disabled = false;
-        submitBtn.textContent = 'Add Comment';
+        if (button) {
+            button.disabled = false;
+            button.textContent = 'Print as PDF Cookbook';
+        }
     }
 }
 
 /* ============================================
-   KEYBOARD SHORTCUTS
+   COOK MODE
    ============================================ */
 
-document.addEventListener('keydown', (event) => {
+/**
+ * Whether cook mode is showing
+ */
+function isCookModeOpen() {
+    const cookMode = document.getElementById('cook-mode');
+    return Boolean(cookMode && cookMode.style.display !== 'none');
+}
+
+/**
+ * Show the open recipe one step at a time, full screen
+ */
+function startCookMode() {
+    const cookMode = document.getElementById('cook-mode');
+    if (!cookMode || !currentRecipe) return;
+    
+    // Steps follow the measurement units chosen in the recipe view
+    const instructions = unitSystem === 'original'
+        ? currentRecipe.instructions
+        : Units.convertText(currentRecipe.instructions, unitSystem);
+    
+    cookSteps = Cooking.splitSteps(instructions);
+    if (cookSteps.length === 0) {
+        showNotification('This recipe has no steps to follow', 'error');
+        return;
+    }
+    
+    document.getElementById('cook-mode-title').textContent = currentRecipe.name;
+    cookMode.style.display = 'flex';
+    showCookStep(0);
+    
+    // Browsers only allow sound after a tap, so get audio ready now
+    if (!cookAudioContext && (window.AudioContext || window.webkitAudioContext)) {
+        cookAudioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    
+    if (cookMode.requestFullscreen) {
+        cookMode.requestFullscreen().catch(() => {});
+    }
+    requestCookWakeLock();
+}
+
+/**
+ * Leave cook mode. Running timers keep going and still sound.
+ */
+function exitCookMode() {
+    const cookMode = document.getElementById('cook-mode');
+    if (!cookMode) return;
+    
+    cookMode.style.display = 'none';
+    
+    if (document.fullscreenElement) {
+        document.exitFullscreen().catch(() => {});
+    }
+    
+    if (cookWakeLock) {
+        cookWakeLock.release().catch(() => {});
+        cookWakeLock = null;
+    }
+}
+
+/**
+ * Keep the screen on while cooking, where the browser supports it
+ */
+async function requestCookWakeLock() {
+    if (!('wakeLock' in navigator) || cookWakeLock) return;
+    
+    try {
+        cookWakeLock = await navigator.wakeLock.request('screen');
+        cookWakeLock.addEventListener('release', () => {
+            cookWakeLock = null;
+        });
+    } catch (error) {
+        console.error('Unable to keep the screen awake:', error);
+    }
+}
+
+// The wake lock is dropped when the tab is hidden, so take it again on return
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible' && isCookModeOpen()) {
+        requestCookWakeLock();
+    }
+});
+
+/**
+ * Show one step, with any cooking times in it as timer buttons
+ */
+function showCookStep(index) {
+    if (index < 0 || index >= cookSteps.length) return;
+    
+    cookStepIndex = index;
+    const step = cookSteps[index];
+    
+    document.getElementById('cook-mode-progress').textContent = `Step ${step.number} of ${cookSteps.length}`;
+    document.getElementById('cook-mode-section').textContent = step.section || '';
+    document.getElementById('cook-mode-step').innerHTML = renderCookStepText(step.text);
+    document.getElementById('cook-mode-prev').disabled = index === 0;
+    
+    document.getElementById('cook-mode-next').textContent = index === cookSteps.length - 1 ? 'Finish' : 'Next →';
+}
+
+/**
+ * Move to the next step, or leave cook mode after the last one
+ */
+function nextCookStep() {
+    if (cookStepIndex >= cookSteps.length - 1) {
+        exitCookMode();
+    } else {
+        showCookStep(cookStepIndex + 1);
+    }
+}
+
+/**
+ * Escape a step's text and turn each cooking time into a timer button
+ */
+function renderCookStepText(text) {
+    const durations = Cooking.findDurations(text);
+    let html = '';
+    let position = 0;
+    
+    durations.forEach(duration => {
+        html += escapeHtml(text.slice(position, duration.index));
+        html += `<button type="button" class="cook-timer-start" 
+            onclick="startCookTimer(${duration.seconds}, this.dataset.label)" 
+            data-label="${escapeHtml(duration.text)}" 
+            aria-label="Start a ${escapeHtml(duration.text)} timer">⏱ ${escapeHtml(duration.text)}</button>`;
+        position = duration.index + duration.text.length;
+    });
+    
+    return html + escapeHtml(text.slice(position));
+}
+
+/**
+ * Start a countdown timer
+ */
+function startCookTimer(seconds, label) {
+    const step = cookSteps[cookStepIndex];
+    
+    cookTimers.push({
+        id: Date.now(),
+        label: step ? `Step ${step.number}: ${label}` : label,
+        endsAt: Date.now() + seconds * 1000,
+        done: false
+    });
+    
+    if (!cookTimerTick) {
+        cookTimerTick = setInterval(updateCookTimers, 1000);
+    }
+    renderCookTimers();
+}
+
+/**
+ * Check the timers once a second and sound any that have finished
+ */
+function updateCookTimers() {
+    const now = Date.now();
+    
+    cookTimers.forEach(timer => {
+        if (!timer.done && timer.endsAt <= now) {
+            timer.done = true;
+            playTimerAlarm();
+            showNotification(`Time's up: ${timer.label}`, 'success');
+            if (navigator.vibrate) navigator.vibrate([400, 200, 400, 200, 400]);
+        }
+    });
+    
+    if (cookTimers.length === 0) {
+        clearInterval(cookTimerTick);
+        cookTimerTick = null;
+    }
+    renderCookTimers();
+}
+
+/**
+ * Show the running and finished timers
+ */
+function renderCookTimers() {
+    const timersEl = document.getElementById('cook-mode-timers');
+    if (!timersEl) return;
+    
+    const now = Date.now();
+    timersEl.innerHTML = cookTimers.map(timer => `
+        <div class="cook-timer${timer.done ? ' done' : ''}">
+            <span class="cook-timer-label">${escapeHtml(timer.label)}</span>
+            <span class="cook-timer-time">${timer.done ? 'Done!' : Cooking.formatCountdown((timer.endsAt - now) / 1000)}</span>
+            <button type="button" class="cook-timer-dismiss" onclick="dismissCookTimer(${timer.id})">
+                ${timer.done ? 'Dismiss' : 'Cancel'}
+            </button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Remove a timer, whether finished or still running
+ */
+function dismissCookTimer(timerId) {
+    cookTimers = cookTimers.filter(timer => timer.id !== timerId);
+    renderCookTimers();
+}
+
+/**
+ * Three rounds of beeps, loud enough to hear across the kitchen
+ */
+function playTimerAlarm() {
+    if (!cookAudioContext) return;
+    if (cookAudioContext.state === 'suspended') cookAudioContext.resume();
+    
+    const start = cookAudioContext.currentTime;
+    for (let beep = 0; beep < 9; beep++) {
+        const at = start + Math.floor(beep / 3) * 1.2 + (beep % 3) * 0.25;
+        const oscillator = cookAudioContext.createOscillator();
+        const gain = cookAudioContext.createGain();
+        
+        oscillator.type = 'square';
+        oscillator.frequency.value = 880;
+        gain.gain.setValueAtTime(0.2, at);
+        gain.gain.exponentialRampToValueAtTime(0.001, at + 0.2);
+        
+        oscillator.connect(gain);
+        gain.connect(cookAudioContext.destination);
+        oscillator.start(at);
+        oscillator.stop(at + 0.2);
+    }
+}
+
+/* ============================================
+   STAR RATINGS
+   ============================================ */
+
+/**
+ * Read-only stars for an average rating, rounded to the nearest star
+ */
+function renderStars(average, count) {
+    const filled = Math.round(average || 0);
+    const stars = '★'.repeat(filled) + '☆'.repeat(5 - filled);
+    const label = count 
+        ? `Rated ${average} out of 5 from ${count} ${count === 1 ? 'rating' : 'ratings'}` 
+        : `Rated ${average} out of 5`;
+    
+    return `
+        <span class="star-rating" title="${label}" aria-label="${label}">
+            <span class="stars">${stars}</span>
+            ${count ? `<span class="rating-count">(${count})</span>` : ''}
+        </span>
+    `;
+}
+
+/**
+ * The recipe's average rating and, for signed-in users, buttons to rate it
+ */
+function renderRecipeRating(recipe) {
+    const summary = recipe.ratingCount 
+        ? renderStars(recipe.ratingAverage, recipe.ratingCount) 
+        : '<span class="rating-empty">Not rated yet</span>';
+    
+    if (!currentUser) {
+        return `${summary}<span class="rating-prompt">Sign in to rate this recipe</span>`;
+    }
+    
+    const userRating = recipe.userRating || 0;
+    const buttons = [1, 2, 3, 4, 5].map(value => `
+        <button type="button" class="rating-star${value <= userRating ? ' active' : ''}" 
+            onclick="rateCurrentRecipe(${value})" 
+            aria-label="Rate ${value} out of 5" 
+            aria-pressed="${value === userRating}">★</button>
+    `).join('');
+    
+    return `
+        ${summary}
+        <span class="rating-input" role="group" aria-label="Your rating">
+            <span class="rating-prompt">${userRating ? 'Your rating' : 'Rate it'}</span>
+            ${buttons}
+        </span>
+    `;
+}
+
+/**
+ * Re-render the rating block in the open recipe
+ */
+function updateRecipeRating() {
+    const ratingEl = document.getElementById('recipe-rating');
+    if (ratingEl && currentRecipe) {
+        ratingEl.innerHTML = renderRecipeRating(currentRecipe);
+    }
+}
+
+/**
+ * Apply an updated aggregate score to the open recipe and its listing card
+ */
+function applyRatingSummary(summary) {
+    if (!summary || !currentRecipe) return;
+    
+    Object.assign(currentRecipe, {
+        ratingAverage: summary.ratingAverage,
+        ratingCount: summary.ratingCount,
+        userRating: summary.userRating
+    });
+    updateRecipeRating();
+    
+    // Keep the listing in step so the card shows the new stars on the next render
+    const listed = allRecipes.find(recipe => recipe.id === currentRecipe.id);
+    if (listed) {
+        listed.ratingAverage = summary.ratingAverage;
+        listed.ratingCount = summary.ratingCount;
+    }
+}
+
+/**
+ * Rate the open recipe from 1 to 5 stars
+ */
+async function rateCurrentRecipe(rating) {
+    if (!currentRecipeId) return;
+    
+    if (!currentUser) {
+        showNotification('Please sign in to rate recipes', 'error');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/recipes/${currentRecipeId}/rating`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                ...await getAuthHeaders()
+            },
+            body: JSON.stringify({ rating: rating })
+        });
+        
+        if (response.status === 401) {
+            showNotification('Please sign in to rate recipes', 'error');
+            return;
+        }
+        
+        if (!response.ok) {
+            throw new Error('Failed to save rating');
+        }
+        
+        applyRatingSummary(await response.json());
+        showNotification('Thanks for rating!', 'success');
+        
+    } catch (error) {
+        console.error('Error rating recipe:', error);
+        showNotification('Failed to save rating', 'error');
+    }
+}
+
+/* ============================================
+   COMMENTS FUNCTIONS
+   ============================================ */
+
+/**
+ * Fetch comments for a recipe
+ */
+async function fetchComments(recipeId) {
+    const commentsList = document.getElementById('comments-list');
+    const commentsLoading = document.getElementById('comments-loading');
+    const noComments = document.getElementById('no-comments');
+    
+    if (!commentsList) return;
+    
+    try {
+        commentsLoading.style.display = 'block';
+        commentsList.innerHTML = '';
+        noComments.style.display = 'none';
+        
+        const response = await fetch(`${API_BASE_URL}/comments?recipeId=${recipeId}`, {
+            headers: await getAuthHeaders()
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch comments');
+        }
+        
+        const data = await response.json();
+        const comments = data.comments || [];
+        
+        commentsLoading.style.display = 'none';
+        
+        if (comments.length === 0) {
+            currentComments = [];
+            noComments.style.display = 'block';
+            return;
+        }
+        
+        displayComments(comments);
+        
+    } catch (error) {
+        console.error('Error fetching comments:', error);
+        commentsLoading.style.display = 'none';
+        noComments.style.display = 'block';
+    }
+}
+
+/**
+ * Display comments list, with replies threaded under the comment they answer
+ */
+function displayComments(comments) {
+    const commentsList = document.getElementById('comments-list');
+    if (!commentsList) return;
+    
+    currentComments = comments;
+    commentsList.innerHTML = '';
+    
+    const commentIds = new Set(comments.map(comment => comment.id));
+    const repliesByParent = {};
+    const topLevel = [];
+    
+    comments.forEach(comment => {
+        if (comment.parentId && commentIds.has(comment.parentId)) {
+            (repliesByParent[comment.parentId] = repliesByParent[comment.parentId] || []).push(comment);
+        } else {
+            topLevel.push(comment);
+        }
+    });
+    
+    // Newest conversations first, replies in the order they were written
+    topLevel.sort((a, b) => toDate(b.createdAt) - toDate(a.createdAt));
+    
+    topLevel.forEach(comment => {
+        const threadEl = document.createElement('div');
+        threadEl.className = 'comment-thread';
+        
+        const replies = (repliesByParent[comment.id] || [])
+            .sort((a, b) => toDate(a.createdAt) - toDate(b.createdAt));
+        
+        threadEl.innerHTML = `
+            ${renderComment(comment, false)}
+            <div class="comment-replies">${replies.map(reply => renderComment(reply, true)).join('')}</div>
+        `;
+        commentsList.appendChild(threadEl);
+    });
+}
+
+/**
+ * HTML for a single comment or reply and the actions the user may take on it
+ */
+function renderComment(comment, isReply) {
+    const permissions = comment.permissions || {};
+    const edited = comment.editedAt 
+        ? `<span class="comment-edited" title="Edited ${formatDateTime(comment.editedAt)}">(edited)</span>` 
+        : '';
+    
+    const actions = [
+        !isReply && currentUser 
+            ? `<button type="button" onclick="showReplyForm('${comment.id}')">Reply</button>` : '',
+        permissions.canEdit 
+            ? `<button type="button" onclick="showEditCommentForm('${comment.id}')">Edit</button>` : '',
+        permissions.canDelete 
+            ? `<button type="button" class="comment-delete" onclick="deleteComment('${comment.id}')">Delete</button>` : ''
+    ].filter(action => action.length > 0);
+    
+    return `
+        <div class="comment${isReply ? ' comment-reply' : ''}${comment.status === 'pending' ? ' comment-pending' : ''}" data-comment-id="${comment.id}">
+            <div class="comment-header">
+                <span class="comment-author">${escapeHtml(comment.username)}</span>
+                <span class="comment-date">${formatRelativeTime(comment.createdAt)} ${edited}</span>
+            </div>
+            ${comment.status === 'pending' ? `<p class="comment-pending-note">Awaiting approval — only you can see this for now.</p>` : ''}
+            ${comment.rating ? renderStars(comment.rating) : ''}
+            <p class="comment-text">${escapeHtml(comment.comment)}</p>
+            ${actions.length > 0 ? `<div class="comment-actions">${actions.join('')}</div>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Find the element for a comment in the list
+ */
+function getCommentElement(commentId) {
+    return document.querySelector(`#comments-list .comment[data-comment-id="${commentId}"]`);
+}
+
+/**
+ * Show an inline form for replying to a comment
+ */
+function showReplyForm(commentId) {
+    const commentEl = getCommentElement(commentId);
+    if (!commentEl) return;
+    
+    const existingForm = commentEl.parentElement.querySelector('.comment-reply-form');
+    if (existingForm) {
+        existingForm.querySelector('textarea').focus();
+        return;
+    }
+    
+    const form = document.createElement('form');
+    form.className = 'comment-inline-form comment-reply-form';
+    form.innerHTML = `
+        <textarea name="comment" class="form-textarea" rows="2" maxlength="1000" placeholder="Write a reply..." aria-label="Reply" required></textarea>
+        <div class="comment-inline-buttons">
+            <button type="submit" class="vintage-button small">Reply</button>
+            <button type="button" class="vintage-button small" onclick="this.closest('form').remove()">Cancel</button>
+        </div>
+    `;
+    form.noValidate = true;
+    form.addEventListener('submit', event => submitReply(event, commentId));
+    
+    commentEl.parentElement.querySelector('.comment-replies').appendChild(form);
+    form.querySelector('textarea').focus();
+}
+
+/**
+ * Post a reply to a comment
+ */
+async function submitReply(event, parentId) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const submitBtn = form.querySelector('button[type="submit"]');
+    
+    const { value, errors } = Schema.validateComment({ comment: form.elements.comment.value }, ['comment']);
+    if (errors.length > 0) {
+        showFieldErrors(form, errors);
+        return;
+    }
+    const replyText = value.comment;
+    
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Replying...';
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/comments`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...await getAuthHeaders()
+            },
+            body: JSON.stringify({
+                recipeId: currentRecipeId,
+                parentId: parentId,
+                comment: replyText
+            })
+        });
+        
+        if (response.status === 400) {
+            showCommentFormErrors(form, await response.json());
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Reply';
+            return;
+        }
+        
+        if (response.status === 401) {
+            showNotification('Please sign in to reply', 'error');
+            return;
+        }
+        
+        if (response.status === 429) {
+            showNotification(tooManyRequestsMessage(response), 'error');
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Reply';
+            return;
+        }
+        
+        if (!response.ok) {
+            throw new Error('Failed to add reply');
+        }
+        
+        const data = await response.json();
+        await fetchComments(currentRecipeId);
+        showCommentSavedNotification(data.comment, 'Reply added');
+        
+    } catch (error) {
+        console.error('Error adding reply:', error);
+        showNotification('Failed to add reply', 'error');
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Reply';
+    }
+}
+
+/**
+ * Swap a comment's text for an inline editing form
+ */
+function showEditCommentForm(commentId) {
+    const commentEl = getCommentElement(commentId);
+    const comment = currentComments.find(c => c.id === commentId);
+    if (!commentEl || !comment || commentEl.querySelector('.comment-edit-form')) return;
+    
+    const form = document.createElement('form');
+    form.className = 'comment-inline-form comment-edit-form';
+    form.innerHTML = `
+        <textarea name="comment" class="form-textarea" rows="3" maxlength="1000" aria-label="Edit comment" required>${escapeHtml(comment.comment)}</textarea>
+        <div class="comment-inline-buttons">
+            <button type="submit" class="vintage-button small">Save</button>
+            <button type="button" class="vintage-button small" onclick="displayComments(currentComments)">Cancel</button>
+        </div>
+    `;
+    form.noValidate = true;
+    form.addEventListener('submit', event => saveCommentEdit(event, commentId));
+    
+    commentEl.querySelector('.comment-text').replaceWith(form);
+    const actions = commentEl.querySelector('.comment-actions');
+    if (actions) actions.style.display = 'none';
+    form.querySelector('textarea').focus();
+}
+
+/**
+ * Save an edited comment
+ */
+async function saveCommentEdit(event, commentId) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const submitBtn = form.querySelector('button[type="submit"]');
+    
+    const { value, errors } = Schema.validateComment({ comment: form.elements.comment.value }, ['comment']);
+    if (errors.length > 0) {
+        showFieldErrors(form, errors);
+        return;
+    }
+    const commentText = value.comment;
+    
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Saving...';
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/comments/${commentId}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                ...await getAuthHeaders()
+            },
+            body: JSON.stringify({ comment: commentText })
+        });
+        
+        if (response.status === 400) {
+            showCommentFormErrors(form, await response.json());
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Save';
+            return;
+        }
+        
+        if (response.status === 401 || response.status === 403) {
+            const data = await response.json();
+            showNotification(data.reason || 'Please sign in to edit comments', 'error');
+            return;
+        }
+        
+        if (!response.ok) {
+            throw new Error('Failed to update comment');
+        }
+        
+        const data = await response.json();
+        displayComments(currentComments.map(c => c.id === commentId ? data.comment : c));
+        showCommentSavedNotification(data.comment, 'Comment updated');
+        
+    } catch (error) {
+        console.error('Error updating comment:', error);
+        showNotification('Failed to update comment', 'error');
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Save';
+    }
+}
+
+/**
+ * Show a refused comment's errors on its form, or as a notification when
+ * they are not about a field on the form
+ */
+function showCommentFormErrors(form, data) {
+    const unplaced = showFieldErrors(form, data.errors || []);
+    if (!data.errors || unplaced.length > 0) {
+        showNotification(unplaced.length > 0 ? unplaced[0].message : data.message || data.error, 'error');
+    }
+}
+
+/**
+ * Confirm a saved comment, explaining when it is held for a moderator
+ */
+function showCommentSavedNotification(comment, message) {
+    if (comment && comment.status === 'pending') {
+        showNotification('Thanks! Your comment will appear once a moderator approves it.', 'info');
+    } else {
+        showNotification(message, 'success');
+    }
+}
+
+/**
+ * Delete a comment on the current recipe
+ */
+async function deleteComment(commentId) {
+    const replyCount = currentComments.filter(c => c.parentId === commentId).length;
+    const prompt = replyCount > 0 
+        ? `Delete this comment and its ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}?` 
+        : 'Delete this comment?';
+    if (!confirm(prompt)) return;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/comments/${commentId}`, {
+            method: 'DELETE',
+            headers: await getAuthHeaders()
+        });
+        
+        if (response.status === 401 || response.status === 403) {
+            const data = await response.json();
+            showNotification(data.reason || 'Please sign in to delete comments', 'error');
+            return;
+        }
+        
+        if (!response.ok) {
+            throw new Error('Failed to delete comment');
+        }
+        
+        await fetchComments(currentRecipeId);
+        showNotification('Comment deleted', 'success');
+        
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        showNotification('Failed to delete comment', 'error');
+    }
+}
+
+/**
+ * Initialize comment form
+ */
+function initializeCommentForm() {
+    const commentForm = document.getElementById('comment-form');
+    if (!commentForm) return;
+    
+    commentForm.addEventListener('submit', handleCommentSubmit);
+}
+
+// Initialize comment form when modal opens
+document.addEventListener('DOMContentLoaded', () => {
+    const commentForm = document.getElementById('comment-form');
+    if (commentForm) {
+        commentForm.addEventListener('submit', handleCommentSubmit);
+    }
+});
+
+/**
+ * Handle comment form submission
+ */
+async function handleCommentSubmit(event) {
+    event.preventDefault();
+    
+    if (!currentRecipeId) return;
+    
+    const form = event.target;
+    const commentInput = document.getElementById('comment-text');
+    const ratingInput = document.getElementById('comment-rating');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    
+    if (!currentUser) {
+        showNotification('Please sign in to comment', 'error');
+        return;
+    }
+    
+    const { value, errors } = Schema.validateComment({
+        comment: commentInput.value,
+        rating: ratingInput ? ratingInput.value : ''
+    }, ['comment', 'rating']);
+    if (errors.length > 0) {
+        showFieldErrors(form, errors);
+        return;
+    }
+    
+    // The server records the signed-in user as the author
+    const commentData = {
+        recipeId: currentRecipeId,
+        comment: value.comment,
+        website: form.elements.website ? form.elements.website.value : '',
+        createdAt: new Date().toISOString()
+    };
+    
+    if (value.rating) {
+        commentData.rating = value.rating;
+    }
+    
+    // Disable button
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Adding...';
+    
+    try {
+        const response = await fetchOrQueue(`${API_BASE_URL}/comments`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...await getAuthHeaders()
+            },
+            body: JSON.stringify(commentData)
+        }, 'your comment');
+        
+        // Offline: kept on this device and sent on reconnect
+        if (!response) {
+            commentInput.value = '';
+            if (ratingInput) ratingInput.value = '';
+            showNotification('You\'re offline. Your comment will be posted when you reconnect.', 'info');
+            return;
+        }
+        
+        if (response.status === 400) {
+            showCommentFormErrors(form, await response.json());
+            return;
+        }
+        
+        if (response.status === 429) {
+            showNotification(tooManyRequestsMessage(response), 'error');
+            return;
+        }
+        
+        if (!response.ok) {
+            throw new Error('Failed to add comment');
+        }
+        
+        const data = await response.json();
+        applyRatingSummary(data.rating);
+        
+        // Clear form
+        commentInput.value = '';
+        if (ratingInput) ratingInput.value = '';
+        
+        // Refresh comments
+        await fetchComments(currentRecipeId);
+        
+        showCommentSavedNotification(data.comment, 'Comment added successfully!');
+        
+    } catch (error) {
+        console.error('Error adding comment:', error);
+        showNotification('Failed to add comment', 'error');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Add Comment';
+    }
+}
+
+/* ============================================
+   MODERATION QUEUE
+   ============================================ */
+
+/**
+ * Initialize the moderation page
+ */
+function initializeModeration() {
+    fetchModerationQueue();
+}
+
+/**
+ * Load the comments waiting for a moderator
+ */
+async function fetchModerationQueue() {
+    const queue = document.getElementById('moderation-queue');
+    const status = document.getElementById('moderation-status');
+    if (!queue) return;
+    
+    try {
+        status.textContent = 'Loading pending comments...';
+        queue.innerHTML = '';
+        
+        const response = await fetch(`${API_BASE_URL}/moderation`, {
+            headers: await getAuthHeaders()
+        });
+        
+        if (response.status === 401 || response.status === 403) {
+            const data = await response.json();
+            status.textContent = data.reason || 'Please sign in as a moderator to review comments.';
+            return;
+        }
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch pending comments');
+        }
+        
+        const data = await response.json();
+        const comments = data.comments || [];
+        
+        status.textContent = comments.length === 0 
+            ? 'No comments are waiting for review.' 
+            : `${comments.length} ${comments.length === 1 ? 'comment is' : 'comments are'} waiting for review.`;
+        
+        queue.innerHTML = comments.map(renderModerationItem).join('');
+        
+    } catch (error) {
+        console.error('Error fetching moderation queue:', error);
+        status.textContent = 'Unable to load pending comments.';
+    }
+}
+
+/**
+ * HTML for a pending comment with the reasons it was held
+ */
+function renderModerationItem(comment) {
+    const reasons = comment.moderationReasons || [];
+    
+    return `
+        <div class="comment moderation-item" data-comment-id="${comment.id}">
+            <div class="comment-header">
+                <span class="comment-author">${escapeHtml(comment.username)}</span>
+                <span class="comment-date">${formatDateTime(comment.createdAt)}</span>
+            </div>
+            <p class="moderation-recipe">
+                On <a href="recipes.html?recipe=${encodeURIComponent(comment.recipeId)}">${escapeHtml(comment.recipeName || 'a deleted recipe')}</a>
+                ${comment.parentId ? '(reply)' : ''}
+            </p>
+            <p class="comment-text">${escapeHtml(comment.comment)}</p>
+            ${reasons.length > 0 ? `
+                <ul class="moderation-reasons">
+                    ${reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}
+                </ul>
+            ` : ''}
+            <div class="moderation-actions">
+                <button type="button" class="vintage-button small" onclick="reviewPendingComment('${comment.id}', 'approve')">Approve</button>
+                <button type="button" class="vintage-button small" onclick="reviewPendingComment('${comment.id}', 'reject')">Reject</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Approve or reject a pending comment
+ */
+async function reviewPendingComment(commentId, action) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/moderation/${commentId}/${action}`, {
+            method: 'POST',
+            headers: await getAuthHeaders()
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showNotification(data.reason || data.error || 'Failed to review comment', 'error');
+            return;
+        }
+        
+        showNotification(data.message, 'success');
+        await fetchModerationQueue();
+        
+    } catch (error) {
+        console.error('Error reviewing comment:', error);
+        showNotification('Failed to review comment', 'error');
+    }
+}
+
+/* ============================================
+   MEAL PLANNER
+   ============================================ */
+
+/**
+ * Initialize the meal planner page, opening the week in ?week= or this week
+ */
+function initializePlanner() {
+    const searchInput = document.getElementById('planner-search');
+    const grid = document.getElementById('planner-grid');
+    const recipeList = document.getElementById('planner-recipes');
+    if (!grid) return;
+    
+    const params = new URLSearchParams(window.location.search);
+    plannerWeek = getWeekStart(params.get('week') || toDateKey(new Date()));
+    
+    if (searchInput) {
+        searchInput.addEventListener('input', debounce(() => fetchPlannerRecipes(searchInput.value.trim()), 300));
+    }
+    
+    // Recipes and planned meals are dragged onto slots
+    [grid, recipeList].forEach(el => {
+        if (el) el.addEventListener('dragstart', handlePlannerDragStart);
+    });
+    grid.addEventListener('dragover', handlePlannerDragOver);
+    grid.addEventListener('dragleave', handlePlannerDragLeave);
+    grid.addEventListener('drop', handlePlannerDrop);
+    grid.addEventListener('click', handlePlannerSlotClick);
+    
+    fetchPlannerRecipes('');
+    fetchMealPlan();
+}
+
+/**
+ * Local date as YYYY-MM-DD
+ */
+function toDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Date from a YYYY-MM-DD key, at local midnight
+ */
+function fromDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * The Monday starting the week that contains a date (YYYY-MM-DD)
+ */
+function getWeekStart(key) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(key) ? fromDateKey(key) : new Date();
+    if (Number.isNaN(date.getTime())) return getWeekStart(toDateKey(new Date()));
+    
+    date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    return toDateKey(date);
+}
+
+/**
+ * A date some days after a YYYY-MM-DD key
+ */
+function addDays(key, days) {
+    const date = fromDateKey(key);
+    date.setDate(date.getDate() + days);
+    return date;
+}
+
+/**
+ * Move to the week before (-1) or after (1), or back to this week (0)
+ */
+function changePlannerWeek(offset) {
+    plannerWeek = offset === 0
+        ? getWeekStart(toDateKey(new Date()))
+        : toDateKey(addDays(plannerWeek, offset * 7));
+    
+    const url = new URL(window.location);
+    url.searchParams.set('week', plannerWeek);
+    window.history.replaceState({}, '', url);
+    
+    fetchMealPlan();
+}
+
+/**
+ * Load the plan for the current week
+ */
+async function fetchMealPlan() {
+    const grid = document.getElementById('planner-grid');
+    const status = document.getElementById('planner-status');
+    if (!grid || !plannerWeek) return;
+    
+    const week = plannerWeek;
+    renderPlannerWeekLabel();
+    
+    try {
+        status.textContent = 'Loading your meal plan...';
+        
+        const response = await fetch(`${API_BASE_URL}/meal-plans/${week}`, {
+            headers: await getAuthHeaders()
+        });
+        
+        // The week may have changed while loading
+        if (week !== plannerWeek) return;
+        
+        if (response.status === 401) {
+            plannerMeals = [];
+            status.textContent = 'Sign in to plan your meals.';
+            renderPlanner(false);
+            return;
+        }
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch meal plan');
+        }
+        
+        const data = await response.json();
+        plannerMeals = data.plan.meals || [];
+        status.textContent = '';
+        renderPlanner(true);
+        
+    } catch (error) {
+        console.error('Error fetching meal plan:', error);
+        status.textContent = 'Unable to load your meal plan.';
+    }
+}
+
+/**
+ * Show the dates of the current week
+ */
+function renderPlannerWeekLabel() {
+    const label = document.getElementById('planner-week-label');
+    if (!label) return;
+    
+    const options = { month: 'short', day: 'numeric' };
+    const start = fromDateKey(plannerWeek);
+    const end = addDays(plannerWeek, 6);
+    label.textContent = `${start.toLocaleDateString('en-US', options)} – ${end.toLocaleDateString('en-US', { ...options, year: 'numeric' })}`;
+}
+
+/**
+ * Draw the week: a column per day and a row per meal
+ */
+function renderPlanner(editable) {
+    const grid = document.getElementById('planner-grid');
+    if (!grid) return;
+    
+    document.querySelectorAll('.planner-edit').forEach(button => {
+        button.disabled = !editable;
+    });
+    
+    const today = toDateKey(new Date());
+    const days = PLANNER_DAYS.map((name, day) => {
+        const date = addDays(plannerWeek, day);
+        return { name, day, date, isToday: toDateKey(date) === today };
+    });
+    
+    grid.classList.toggle('readonly', !editable);
+    grid.innerHTML = `
+        <div class="planner-corner"></div>
+        ${days.map(day => `
+            <div class="planner-day${day.isToday ? ' today' : ''}">
+                <span class="planner-day-name">${day.name}</span>
+                <span class="planner-day-date">${day.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</span>
+            </div>
+        `).join('')}
+        ${PLANNER_MEALS.map(meal => `
+            <div class="planner-meal-label">${capitalize(meal)}</div>
+            ${days.map(day => `
+                <div class="planner-slot${day.isToday ? ' today' : ''}" data-day="${day.day}" data-meal="${meal}" aria-label="${day.name} ${meal}">
+                    ${plannerMeals
+                        .filter(entry => entry.day === day.day && entry.meal === meal)
+                        .map(entry => renderPlannedMeal(entry, editable))
+                        .join('')}
+                </div>
+            `).join('')}
+        `).join('')}
+    `;
+}
+
+/**
+ * HTML for a recipe planned in a slot, with its servings
+ */
+function renderPlannedMeal(entry, editable) {
+    if (!entry.recipe) {
+        return `
+            <div class="planner-entry missing" data-meal-id="${escapeHtml(entry.id)}">
+                <span class="planner-entry-name">Deleted recipe</span>
+                ${editable ? `<button type="button" class="planner-entry-remove" onclick="removePlannedMeal('${escapeHtml(entry.id)}')" aria-label="Remove">&times;</button>` : ''}
+            </div>
+        `;
+    }
+    
+    return `
+        <div class="planner-entry" data-meal-id="${escapeHtml(entry.id)}" draggable="${editable}">
+            <a href="recipes.html?recipe=${encodeURIComponent(entry.recipeId)}${entry.servings ? `&servings=${entry.servings}` : ''}" class="planner-entry-name">${escapeHtml(entry.recipe.name)}</a>
+            <label class="planner-entry-servings">
+                Serves
+                <input type="number" min="1" max="100" value="${entry.servings || entry.recipe.servings || ''}"
+                    placeholder="–" onchange="setPlannedServings('${escapeHtml(entry.id)}', this.value)" ${editable ? '' : 'disabled'}>
+            </label>
+            ${editable ? `<button type="button" class="planner-entry-remove" onclick="removePlannedMeal('${escapeHtml(entry.id)}')" aria-label="Remove ${escapeHtml(entry.recipe.name)}">&times;</button>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Load recipes for the sidebar, filtered by a search term
+ */
+async function fetchPlannerRecipes(searchTerm) {
+    const list = document.getElementById('planner-recipes');
+    if (!list) return;
+    
+    const params = new URLSearchParams({ sort: 'name', limit: 100 });
+    if (searchTerm) params.set('q', searchTerm);
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/recipes?${params}`);
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch recipes');
+        }
+        
+        const data = await response.json();
+        plannerRecipes = data.recipes || [];
+        
+        list.innerHTML = plannerRecipes.length === 0
+            ? '<li class="planner-recipes-empty">No recipes found.</li>'
+            : plannerRecipes.map(recipe => `
+                <li class="planner-recipe${plannerSelectedRecipe === recipe.id ? ' selected' : ''}" draggable="true" data-recipe-id="${recipe.id}"
+                    onclick="selectPlannerRecipe('${recipe.id}')">
+                    <span class="planner-recipe-name">${escapeHtml(recipe.name)}</span>
+                    ${recipe.category ? `<span class="planner-recipe-category">${capitalize(recipe.category)}</span>` : ''}
+                </li>
+            `).join('');
+        
+    } catch (error) {
+        console.error('Error fetching planner recipes:', error);
+        list.innerHTML = '<li class="planner-recipes-empty">Unable to load recipes.</li>';
+    }
+}
+
+/**
+ * Pick a recipe to place by tapping a slot (for touch screens, where dragging is not available)
+ */
+function selectPlannerRecipe(recipeId) {
+    plannerSelectedRecipe = plannerSelectedRecipe === recipeId ? null : recipeId;
+    
+    document.querySelectorAll('.planner-recipe').forEach(item => {
+        item.classList.toggle('selected', item.dataset.recipeId === plannerSelectedRecipe);
+    });
+    document.getElementById('planner-grid').classList.toggle('placing', plannerSelectedRecipe !== null);
+}
+
+/**
+ * Start dragging a recipe from the sidebar or a meal already planned
+ */
+function handlePlannerDragStart(event) {
+    const recipe = event.target.closest('.planner-recipe');
+    const entry = event.target.closest('.planner-entry');
+    
+    if (recipe) {
+        event.dataTransfer.setData('text/plain', JSON.stringify({ recipeId: recipe.dataset.recipeId }));
+        event.dataTransfer.effectAllowed = 'copy';
+    } else if (entry) {
+        event.dataTransfer.setData('text/plain', JSON.stringify({ mealId: entry.dataset.mealId }));
+        event.dataTransfer.effectAllowed = 'move';
+    }
+}
+
+/**
+ * Highlight the slot under a dragged recipe
+ */
+function handlePlannerDragOver(event) {
+    const slot = event.target.closest('.planner-slot');
+    if (!slot || !currentUser) return;
+    
+    event.preventDefault();
+    slot.classList.add('drag-over');
+}
+
+/**
+ * Remove the highlight when a drag leaves a slot
+ */
+function handlePlannerDragLeave(event) {
+    const slot = event.target.closest('.planner-slot');
+    if (slot && !slot.contains(event.relatedTarget)) {
+        slot.classList.remove('drag-over');
+    }
+}
+
+/**
+ * Add a dropped recipe to a slot, or move a dropped meal there
+ */
+function handlePlannerDrop(event) {
+    const slot = event.target.closest('.planner-slot');
+    if (!slot) return;
+    
+    event.preventDefault();
+    slot.classList.remove('drag-over');
+    
+    let dragged;
+    try {
+        dragged = JSON.parse(event.dataTransfer.getData('text/plain'));
+    } catch (error) {
+        return;
+    }
+    
+    const day = Number(slot.dataset.day);
+    const meal = slot.dataset.meal;
+    
+    if (dragged.mealId) {
+        movePlannedMeal(dragged.mealId, day, meal);
+    } else if (dragged.recipeId) {
+        addPlannedMeal(dragged.recipeId, day, meal);
+    }
+}
+
+/**
+ * Place the selected recipe in a tapped slot
+ */
+function handlePlannerSlotClick(event) {
+    const slot = event.target.closest('.planner-slot');
+    if (!slot || !plannerSelectedRecipe || event.target.closest('.planner-entry')) return;
+    
+    addPlannedMeal(plannerSelectedRecipe, Number(slot.dataset.day), slot.dataset.meal);
+    selectPlannerRecipe(plannerSelectedRecipe);
+}
+
+/**
+ * Plan a recipe for a meal
+ */
+function addPlannedMeal(recipeId, day, meal) {
+    if (!currentUser) {
+        showNotification('Please sign in to plan meals', 'error');
+        return;
+    }
+    
+    const recipe = plannerRecipes.find(item => item.id === recipeId);
+    if (!recipe) return;
+    
+    plannerMeals.push({
+        id: crypto.randomUUID(),
+        day: day,
+        meal: meal,
+        recipeId: recipeId,
+        servings: null,
+        recipe: {
+            id: recipe.id,
+            name: recipe.name,
+            category: recipe.category || '',
+            servings: recipe.servings || null
+        }
+    });
+    
+    renderPlanner(true);
+    saveMealPlan();
+}
+
+/**
+ * Move a planned meal to another slot
+ */
+function movePlannedMeal(mealId, day, meal) {
+    const entry = plannerMeals.find(item => item.id === mealId);
+    if (!entry || (entry.day === day && entry.meal === meal)) return;
+    
+    // Moved meals go to the end of their new slot
+    plannerMeals = plannerMeals.filter(item => item !== entry);
+    plannerMeals.push({ ...entry, day, meal });
+    
+    renderPlanner(true);
+    saveMealPlan();
+}
+
+/**
+ * Change how many servings a planned meal makes
+ */
+function setPlannedServings(mealId, value) {
+    const entry = plannerMeals.find(item => item.id === mealId);
+    if (!entry) return;
+    
+    const servings = parseInt(value, 10);
+    entry.servings = servings >= 1 && servings <= 100 ? servings : null;
+    
+    renderPlanner(true);
+    saveMealPlan();
+}
+
+/**
+ * Take a meal off the plan
+ */
+function removePlannedMeal(mealId) {
+    plannerMeals = plannerMeals.filter(item => item.id !== mealId);
+    
+    renderPlanner(true);
+    saveMealPlan();
+}
+
+/**
+ * Save the current week. Saves run one at a time so the last change wins.
+ */
+function saveMealPlan() {
+    const week = plannerWeek;
+    const meals = plannerMeals.map(({ id, day, meal, recipeId, servings }) => ({ id, day, meal, recipeId, servings }));
+    
+    plannerSaving = plannerSaving.then(async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/meal-plans/${week}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...await getAuthHeaders()
+                },
+                body: JSON.stringify({ meals })
+            });
+            
+            if (response.status === 429) {
+                throw new Error(tooManyRequestsMessage(response));
+            }
+            
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.message || data.error || 'Failed to save meal plan');
+            }
+            
+        } catch (error) {
+            console.error('Error saving meal plan:', error);
+            showNotification(error.message || 'Failed to save meal plan', 'error');
+            
+            // Show what was actually saved
+            if (week === plannerWeek) fetchMealPlan();
+        }
+    });
+}
+
+/**
+ * Replace this week's plan with a copy of last week's
+ */
+async function copyLastWeek() {
+    if (plannerMeals.length > 0 && !confirm('Replace this week\'s plan with a copy of last week\'s?')) {
+        return;
+    }
+    
+    const week = plannerWeek;
+    
+    try {
+        await plannerSaving;
+        
+        const response = await fetch(`${API_BASE_URL}/meal-plans/${week}/copy`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...await getAuthHeaders()
+            },
+            body: JSON.stringify({})
+        });
+        
+        if (response.status === 429) {
+            showNotification(tooManyRequestsMessage(response), 'error');
+            return;
+        }
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showNotification(data.message || 'Failed to copy last week', 'error');
+            return;
+        }
+        
+        if (week === plannerWeek) {
+            plannerMeals = data.plan.meals;
+            renderPlanner(true);
+        }
+        showNotification(data.message, 'success');
+        
+    } catch (error) {
+        console.error('Error copying meal plan:', error);
+        showNotification('Failed to copy last week', 'error');
+    }
+}
+
+/**
+ * Remove every meal from this week
+ */
+async function clearMealPlan() {
+    if (plannerMeals.length === 0 || !confirm('Clear every meal planned for this week?')) {
+        return;
+    }
+    
+    plannerMeals = [];
+    renderPlanner(true);
+    saveMealPlan();
+}
+
+/* ============================================
+   SHOPPING LISTS
+   ============================================ */
+
+/**
+ * Initialize the shopping list page
+ */
+function initializeShoppingList() {
+    const select = document.getElementById('shopping-list-select');
+    if (!select) return;
+    
+    select.addEventListener('change', () => fetchShoppingList(select.value));
+    fetchShoppingLists();
+}
+
+/**
+ * Load the user's lists into the picker and open one of them: the list in
+ * ?list=, or else the most recently changed
+ */
+async function fetchShoppingLists(listId = new URLSearchParams(window.location.search).get('list')) {
+    const select = document.getElementById('shopping-list-select');
+    const status = document.getElementById('shopping-list-status');
+    if (!select) return;
+    
+    try {
+        status.textContent = 'Loading your shopping lists...';
+        
+        const response = await fetch(`${API_BASE_URL}/shopping-lists`, {
+            headers: await getAuthHeaders()
+        });
+        
+        if (response.status === 401) {
+            shoppingLists = [];
+            currentShoppingList = null;
+            status.textContent = 'Sign in to see your shopping lists.';
+            renderShoppingListPicker();
+            renderShoppingList();
+            return;
+        }
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch shopping lists');
+        }
+        
+        const data = await response.json();
+        shoppingLists = data.lists || [];
+        
+        const selected = shoppingLists.find(list => list.id === listId) || shoppingLists[0];
+        status.textContent = selected 
+            ? '' 
+            : 'No shopping lists yet. Open a recipe and choose "Add to Shopping List", or make one from your meal planner.';
+        
+        renderShoppingListPicker(selected ? selected.id : null);
+        
+        if (selected) {
+            await fetchShoppingList(selected.id);
+        } else {
+            currentShoppingList = null;
+            renderShoppingList();
+        }
+        
+    } catch (error) {
+        console.error('Error fetching shopping lists:', error);
+        status.textContent = 'Unable to load your shopping lists.';
+    }
+}
+
+/**
+ * Open one list
+ */
+async function fetchShoppingList(listId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/shopping-lists/${encodeURIComponent(listId)}`, {
+            headers: await getAuthHeaders()
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch shopping list');
+        }
+        
+        const data = await response.json();
+        currentShoppingList = data.list;
+        
+        const url = new URL(window.location);
+        url.searchParams.set('list', listId);
+        window.history.replaceState({}, '', url);
+        
+        renderShoppingList();
+        
+    } catch (error) {
+        console.error('Error fetching shopping list:', error);
+        showNotification('Unable to load that shopping list', 'error');
+    }
+}
+
+/**
+ * Fill the list picker, marking the open list
+ */
+function renderShoppingListPicker(selectedId = null) {
+    const select = document.getElementById('shopping-list-select');
+    if (!select) return;
+    
+    select.innerHTML = shoppingLists.map(list => `
+        <option value="${escapeHtml(list.id)}" ${list.id === selectedId ? 'selected' : ''}>
+            ${escapeHtml(list.name)} (${list.checkedCount}/${list.itemCount})
+        </option>
+    `).join('');
+    select.disabled = shoppingLists.length === 0;
+    
+    document.querySelectorAll('.shopping-list-edit').forEach(button => {
+        button.disabled = !selectedId;
+    });
+}
+
+/**
+ * Draw the open list: its recipes, then its items aisle by aisle
+ */
+function renderShoppingList() {
+    const container = document.getElementById('shopping-list');
+    if (!container) return;
+    
+    const list = currentShoppingList;
+    if (!list) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const recipes = list.recipes.length > 0
+        ? list.recipes.map(recipe => `
+            <li class="shopping-list-recipe">
+                <a href="recipes.html?recipe=${encodeURIComponent(recipe.recipeId)}${recipe.servings ? `&servings=${recipe.servings}` : ''}">${escapeHtml(recipe.name)}</a>
+                ${recipe.servings ? `<span class="shopping-list-servings">serves ${recipe.servings}</span>` : ''}
+                <button type="button" class="shopping-list-remove" onclick="removeShoppingListRecipe('${escapeHtml(recipe.recipeId)}')" aria-label="Remove ${escapeHtml(recipe.name)}">×</button>
+            </li>
+        `).join('')
+        : '<li class="shopping-list-empty">No recipes on this list.</li>';
+    
+    const aisles = list.aisles.map(group => `
+        <section class="shopping-aisle">
+            <h3 class="shopping-aisle-title">${escapeHtml(group.aisle)}</h3>
+            <ul class="shopping-items">
+                ${group.items.map(item => `
+                    <li class="shopping-item${item.checked ? ' checked' : ''}">
+                        <label>
+                            <input type="checkbox" data-key="${escapeHtml(item.key)}" ${item.checked ? 'checked' : ''}>
+                            <span class="shopping-item-amount">${escapeHtml(item.amounts.map(amount => amount.text).join(' + '))}</span>
+                            <span class="shopping-item-name">${escapeHtml(item.name)}</span>
+                        </label>
+                        <span class="shopping-item-recipes">${escapeHtml(item.recipes.join(', '))}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        </section>
+    `).join('');
+    
+    container.innerHTML = `
+        <div class="shopping-list-header">
+            <h2 class="shopping-list-name">${escapeHtml(list.name)}</h2>
+            <span id="shopping-list-progress" class="shopping-list-progress"></span>
+        </div>
+        <div class="shopping-list-layout">
+            <aside class="shopping-list-sidebar">
+                <h3 class="filter-label">Recipes</h3>
+                <ul class="shopping-list-recipes">${recipes}</ul>
+            </aside>
+            <div class="shopping-list-items">
+                ${aisles || '<p class="shopping-list-empty">Nothing to buy.</p>'}
+            </div>
+        </div>
+    `;
+    
+    container.querySelectorAll('.shopping-items input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => checkShoppingItem(checkbox.dataset.key, checkbox.checked));
+    });
+    renderShoppingListProgress();
+}
+
+/**
+ * Show how much of the open list has been checked off
+ */
+function renderShoppingListProgress() {
+    const progress = document.getElementById('shopping-list-progress');
+    if (!progress || !currentShoppingList) return;
+    
+    progress.textContent = `${currentShoppingList.checkedCount} of ${currentShoppingList.itemCount} checked off`;
+    
+    const summary = shoppingLists.find(list => list.id === currentShoppingList.id);
+    if (summary) {
+        summary.checkedCount = currentShoppingList.checkedCount;
+        renderShoppingListPicker(currentShoppingList.id);
+    }
+}
+
+/**
+ * Check an item off, or back on. The box changes at once and is put back
+ * if the change cannot be saved.
+ */
+async function checkShoppingItem(key, checked) {
+    const list = currentShoppingList;
+    const item = list.aisles.flatMap(group => group.items).find(entry => entry.key === key);
+    if (!item) return;
+    
+    const setChecked = value => {
+        item.checked = value;
+        list.checkedCount += value ? 1 : -1;
+        
+        const checkbox = document.querySelector(`.shopping-items input[data-key="${CSS.escape(key)}"]`);
+        if (checkbox) {
+            checkbox.checked = value;
+            checkbox.closest('.shopping-item').classList.toggle('checked', value);
+        }
+        renderShoppingListProgress();
+    };
+    setChecked(checked);
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/shopping-lists/${encodeURIComponent(list.id)}/items/${encodeURIComponent(key)}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                ...await getAuthHeaders()
+            },
+            body: JSON.stringify({ checked })
+        });
+        
+        if (response.status === 429) {
+            throw new Error(tooManyRequestsMessage(response));
+        }
+        
+        if (!response.ok) {
+            throw new Error('Failed to update shopping list');
+        }
+        
+    } catch (error) {
+        console.error('Error checking shopping list item:', error);
+        showNotification(error.message || 'Failed to update shopping list', 'error');
+        if (list === currentShoppingList) setChecked(!checked);
+    }
+}
+
+/**
+ * Send a change to a shopping list and return the response data.
+ * Throws with a message for the user if the change is refused.
+ */
+async function sendShoppingListRequest(path, method, body = undefined) {
+    const response = await fetch(`${API_BASE_URL}/shopping-lists${path}`, {
+        method: method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...await getAuthHeaders()
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    
+    if (response.status === 429) {
+        throw new Error(tooManyRequestsMessage(response));
+    }
+    
+    const data = await response.json();
+    
+    if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to update shopping list');
+    }
+    
+    return data;
+}
+
+/**
+ * Take a recipe, and the items only it needed, off the open list
+ */
+async function removeShoppingListRecipe(recipeId) {
+    const list = currentShoppingList;
+    if (!list) return;
+    
+    try {
+        const data = await sendShoppingListRequest(
+            `/${encodeURIComponent(list.id)}/recipes/${encodeURIComponent(recipeId)}`, 'DELETE');
+        
+        currentShoppingList = data.list;
+        const summary = shoppingLists.find(entry => entry.id === list.id);
+        if (summary) summary.itemCount = data.list.itemCount;
+        renderShoppingList();
+        
+    } catch (error) {
+        console.error('Error removing recipe from shopping list:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Rename the open list
+ */
+async function renameShoppingList() {
+    const list = currentShoppingList;
+    if (!list) return;
+    
+    const name = prompt('Name this shopping list:', list.name);
+    if (name === null || !name.trim()) return;
+    
+    try {
+        const data = await sendShoppingListRequest(`/${encodeURIComponent(list.id)}`, 'PUT', { name: name.trim() });
+        
+        currentShoppingList = data.list;
+        const summary = shoppingLists.find(entry => entry.id === list.id);
+        if (summary) summary.name = data.list.name;
+        renderShoppingListPicker(list.id);
+        renderShoppingList();
+        
+    } catch (error) {
+        console.error('Error renaming shopping list:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Delete the open list and open the next one
+ */
+async function deleteShoppingList() {
+    const list = currentShoppingList;
+    if (!list || !confirm(`Delete "${list.name}"? This cannot be undone.`)) return;
+    
+    try {
+        await sendShoppingListRequest(`/${encodeURIComponent(list.id)}`, 'DELETE');
+        
+        const url = new URL(window.location);
+        url.searchParams.delete('list');
+        window.history.replaceState({}, '', url);
+        
+        showNotification('Shopping list deleted', 'success');
+        await fetchShoppingLists();
+        
+    } catch (error) {
+        console.error('Error deleting shopping list:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Show the form for adding the open recipe, at the chosen servings, to a list
+ */
+async function showAddToShoppingListForm() {
+    const container = document.getElementById('shopping-list-form');
+    if (!container || !currentRecipeId) return;
+    
+    if (!currentUser) {
+        showNotification('Please sign in to make shopping lists', 'error');
+        return;
+    }
+    
+    if (container.querySelector('form')) {
+        container.querySelector('select').focus();
+        return;
+    }
+    
+    let lists = [];
+    try {
+        const response = await fetch(`${API_BASE_URL}/shopping-lists`, {
+            headers: await getAuthHeaders()
+        });
+        if (response.ok) {
+            lists = (await response.json()).lists || [];
+        }
+    } catch (error) {
+        console.error('Error fetching shopping lists:', error);
+    }
+    
+    const form = document.createElement('form');
+    form.className = 'comment-inline-form shopping-list-add-form';
+    form.innerHTML = `
+        <label class="filter-label" for="shopping-list-choice">
+            Add ${currentServings ? `${currentServings} servings of ` : ''}this recipe to
+        </label>
+        <select id="shopping-list-choice" class="filter-select">
+            ${lists.map(list => `<option value="${escapeHtml(list.id)}">${escapeHtml(list.name)}</option>`).join('')}
+            <option value="">A new list...</option>
+        </select>
+        <input type="text" class="search-input" maxlength="100" placeholder="Name for the new list (optional)" aria-label="New list name" ${lists.length > 0 ? 'hidden' : ''}>
+        <div class="comment-inline-buttons">
+            <button type="submit" class="vintage-button small">Add to List</button>
+            <button type="button" class="vintage-button small" onclick="this.closest('form').remove()">Cancel</button>
+        </div>
+    `;
+    
+    const select = form.querySelector('select');
+    const nameInput = form.querySelector('input');
+    select.addEventListener('change', () => {
+        nameInput.hidden = select.value !== '';
+    });
+    form.addEventListener('submit', submitAddToShoppingList);
+    
+    container.appendChild(form);
+    select.focus();
+}
+
+/**
+ * Add the open recipe to the chosen list, or to a new one
+ */
+async function submitAddToShoppingList(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    const listId = form.querySelector('select').value;
+    const name = form.querySelector('input').value.trim();
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const entry = { recipeId: currentRecipeId, servings: currentServings };
+    
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Adding...';
+    
+    try {
+        const data = listId
+            ? await sendShoppingListRequest(`/${encodeURIComponent(listId)}/recipes`, 'POST', entry)
+            : await sendShoppingListRequest('', 'POST', { name, recipes: [entry] });
+        
+        form.remove();
+        showNotification(`Added to "${data.list.name}"`, 'success');
+        
+    } catch (error) {
+        console.error('Error adding recipe to shopping list:', error);
+        showNotification(error.message, 'error');
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Add to List';
+    }
+}
+
+/**
+ * Make a shopping list for everything planned this week and open it
+ */
+async function makePlannerShoppingList() {
+    if (plannerMeals.length === 0) {
+        showNotification('Plan some meals first', 'error');
+        return;
+    }
+    
+    // Meals at the recipe's own servings are counted at that size, so a
+    // recipe planned twice is bought for twice
+    const recipes = plannerMeals
+        .filter(meal => meal.recipe)
+        .map(meal => ({ recipeId: meal.recipeId, servings: meal.servings || meal.recipe.servings }));
+    const start = fromDateKey(plannerWeek).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    
+    try {
+        await plannerSaving;
+        
+        const data = await sendShoppingListRequest('', 'POST', { name: `Week of ${start}`, recipes });
+        window.location.href = `shopping-list.html?list=${encodeURIComponent(data.list.id)}`;
+        
+    } catch (error) {
+        console.error('Error making shopping list:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+/* ============================================
+   OFFLINE SUPPORT
+   ============================================ */
+
+/**
+ * Drop the service worker's cached recipe and comment answers when someone
+ * else signs in or the user signs out. They hold the signed-in user's pending
+ * comments, ratings and permissions, which the next person must not see offline.
+ */
+async function clearApiCacheForUser(user) {
+    const uid = user ? user.uid : '';
+    if (localStorage.getItem(CACHED_API_USER_KEY) === uid) return;
+    
+    try {
+        if (typeof caches !== 'undefined') {
+            const keys = await caches.keys();
+            await Promise.all(keys
+                .filter(key => key.startsWith('cookbook-api-'))
+                .map(key => caches.delete(key)));
+        }
+        localStorage.setItem(CACHED_API_USER_KEY, uid);
+    } catch (error) {
+        console.error('Error clearing offline recipe data:', error);
+    }
+}
+
+/**
+ * Register the service worker that keeps pages and viewed recipes offline
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+}
+
+/**
+ * Send a recipe or comment, or keep it on this device when there is no
+ * connection. Returns the response, or null if the request was queued.
+ */
+async function fetchOrQueue(url, options, label) {
+    if (navigator.onLine) {
+        try {
+            return await fetch(url, options);
+        } catch (error) {
+            // fetch only rejects when the request never reached the server
+            if (!(error instanceof TypeError)) throw error;
+        }
+    }
+    
+    // The sign-in token is added again when the request is replayed, and
+    // only while the same user is signed in
+    const { Authorization, ...headers } = options.headers || {};
+    const queue = getOfflineQueue();
+    queue.push({
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        uid: currentUser ? currentUser.uid : '',
+        url: url,
+        method: options.method,
+        headers: headers,
+        body: options.body,
+        label: label,
+        queuedAt: new Date().toISOString()
+    });
+    saveOfflineQueue(queue);
+    
+    return null;
+}
+
+/**
+ * Requests waiting for a connection, oldest first
+ */
+function getOfflineQueue() {
+    try {
+        return JSON.parse(localStorage.getItem(OFFLINE_QUEUE_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * The waiting requests made by the signed-in user. Requests made by someone
+ * else on this device stay queued until they sign in again.
+ */
+function getUserOfflineQueue() {
+    const uid = currentUser ? currentUser.uid : '';
+    return getOfflineQueue().filter(entry => entry.uid === uid);
+}
+
+/**
+ * Store the waiting requests and update the indicator
+ */
+function saveOfflineQueue(queue) {
+    if (queue.length > 0) {
+        localStorage.setItem(OFFLINE_QUEUE_KEY, JSON.stringify(queue));
+    } else {
+        localStorage.removeItem(OFFLINE_QUEUE_KEY);
+    }
+    updateOfflineIndicator();
+}
+
+/**
+ * Send the waiting requests in the order they were made. Stops at the first
+ * one that cannot get through yet, so later ones do not overtake it.
+ */
+async function replayOfflineQueue() {
+    if (offlineReplaying || !navigator.onLine || getOfflineQueue().length === 0) return;
+    offlineReplaying = true;
+    
+    let savedComment = false;
+    
+    try {
+        // Requests are sent as the user who made them, so wait to know who is signed in
+        await authReady;
+        
+        for (const request of getUserOfflineQueue()) {
+            let response;
+            try {
+                const authHeaders = await getAuthHeaders();
+                // Someone else signed in while earlier requests were sending
+                if ((currentUser ? currentUser.uid : '') !== request.uid) return;
+                
+                response = await fetch(request.url, {
+                    method: request.method,
+                    headers: {
+                        ...request.headers,
+                        ...authHeaders
+                    },
+                    body: request.body
+                });
+            } catch (error) {
+                // Still no connection
+                return;
+            }
+            
+            if (response.status === 401 || response.status === 403) {
+                showNotification('Sign in to send the changes you made offline', 'error');
+                return;
+            }
+            
+            // Rate limited or a server problem: try again on the next reconnect
+            if (response.status === 429 || response.status >= 500) return;
+            
+            saveOfflineQueue(getOfflineQueue().filter(entry => entry.id !== request.id));
+            
+            if (response.ok) {
+                showNotification(`Saved ${request.label}`, 'success');
+                savedComment = savedComment || request.url.endsWith('/comments');
+            } else {
+                // Refused for good (invalid, or the recipe is gone), so it is dropped
+                const data = await response.json().catch(() => ({}));
+                showNotification(`Could not save ${request.label}: ${(data.errors && data.errors[0].message) || data.message || data.error || 'it was refused'}`, 'error');
+            }
+        }
+    } finally {
+        offlineReplaying = false;
+    }
+    
+    if (savedComment && currentRecipeId) {
+        fetchComments(currentRecipeId);
+    }
+}
+
+/**
+ * Show whether the page is offline and how many changes are waiting
+ */
+function updateOfflineIndicator() {
+    const indicator = document.getElementById('offline-indicator');
+    if (!indicator) return;
+    
+    const waiting = getUserOfflineQueue().length;
+    const parts = [];
+    if (!navigator.onLine) parts.push('You\'re offline. Recipes you\'ve opened are still here.');
+    if (waiting > 0) parts.push(`${waiting} change${waiting !== 1 ? 's' : ''} waiting to send.`);
+    
+    indicator.textContent = parts.join(' ');
+    indicator.hidden = parts.length === 0;
+}
+
+/**
+ * Remember a recipe the user opened, for the listings shown offline
+ */
+function rememberRecentlyViewed(recipe) {
+    const summary = {
+        id: recipe.id,
+        name: recipe.name,
+        category: recipe.category,
+        prepTime: recipe.prepTime,
+        cookTime: recipe.cookTime,
+        servings: recipe.servings,
+        image: recipe.image || null,
+        ingredients: (recipe.ingredients || '').substring(0, 300),
+        instructions: (recipe.instructions || '').substring(0, 300),
+        ratingAverage: recipe.ratingAverage,
+        ratingCount: recipe.ratingCount,
+        createdAt: recipe.createdAt
+    };
+    
+    const recipes = getRecentlyViewed().filter(entry => entry.id !== recipe.id);
+    recipes.unshift(summary);
+    
+    try {
+        localStorage.setItem(RECENTLY_VIEWED_KEY, JSON.stringify(recipes.slice(0, MAX_RECENTLY_VIEWED)));
+    } catch (error) {
+        // Storage full or disabled; the list is only a convenience
+    }
+}
+
+/**
+ * Recipes the user opened recently, newest first
+ */
+function getRecentlyViewed() {
+    try {
+        return JSON.parse(localStorage.getItem(RECENTLY_VIEWED_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Fill a recipe grid with recently viewed recipes when the listing cannot
+ * be loaded. Returns false if there are none to show.
+ */
+function showRecentlyViewed(container) {
+    const recipes = getRecentlyViewed();
+    if (recipes.length === 0) return false;
+    
+    container.innerHTML = `
+        <p class="offline-note">Can't reach the cookbook right now. Here are the recipes you opened recently.</p>
+    `;
+    recipes.forEach(recipe => container.appendChild(createRecipeCard(recipe)));
+    return true;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    registerServiceWorker();
+    
+    const indicator = document.createElement('div');
+    indicator.id = 'offline-indicator';
+    indicator.className = 'offline-indicator';
+    indicator.setAttribute('role', 'status');
+    indicator.hidden = true;
+    document.body.appendChild(indicator);
+    updateOfflineIndicator();
+    
+    window.addEventListener('offline', updateOfflineIndicator);
+    window.addEventListener('online', () => {
+        updateOfflineIndicator();
+        replayOfflineQueue();
+    });
+    
+    replayOfflineQueue();
+});
+
+/* ============================================
+   KEYBOARD SHORTCUTS
+   ============================================ */
+
+document.addEventListener('keydown', (event) => {
+    // Cook mode takes the arrow keys and Escape while it is open
+    if (isCookModeOpen()) {
+        if (event.key === 'Escape') exitCookMode();
+        if (event.key === 'ArrowRight') showCookStep(cookStepIndex + 1);
+        if (event.key === 'ArrowLeft') showCookStep(cookStepIndex - 1);
+        return;
+    }
+    
     // Close modal with Escape key
     if (event.key === 'Escape') {
         const modal = document.getElementById('recipe-modal');
@@ -0,0 +1,22 @@
+/**
+ * VINTAGE COOKBOOK - RUN DATA MIGRATIONS
+ * Brings data saved by older versions up to date (see api/_lib/migrations.js)
+ *
+ * Run with `npm run migrate`, using the same settings as the API: the
+ * FIREBASE_* variables for Firestore, or DB_BACKEND=local and LOCAL_DB_FILE
+ * for the development database.
+ */
+
+const { getDatabase } = require('../api/_lib/db');
+const { runMigrations } = require('../api/_lib/migrations');
+
+// Firebase keeps connections open, so exit once done
+runMigrations(getDatabase().db)
+    .then(() => {
+        console.log('Migrations complete');
+        process.exit(0);
+    })
+    .catch(error => {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,282 @@
+/**
+ * VINTAGE COOKBOOK - LOCAL DEVELOPMENT SERVER
+ * Serves the pages and runs the API functions the way Vercel does
+ *
+ * Run with `npm run dev` and open http://localhost:3000.
+ *
+ * - /api/<name> runs api/<name>.js, after the rewrites in vercel.json, with
+ *   Vercel's req.query, req.body, res.status(), res.json() and res.send().
+ *   The raw body is also kept as req.rawBody.
+ * - Photos saved by the local storage backend are served from /uploads.
+ * - Everything else is a static file from this directory.
+ *
+ * Without Firebase settings the server picks the local database backend,
+ * kept in .data/db.json between runs (see api/_lib/db/local.js, including how
+ * to sign in with "Authorization: Bearer local:<uid>"), and local file
+ * storage. Set DB_BACKEND and STORAGE_BACKEND to choose otherwise.
+ *
+ * PORT sets the port (default 3000).
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Local backends for development when Firebase is not configured. Only this
+// server picks them; deployed functions use Firebase unless told otherwise.
+if (!process.env.DB_BACKEND && !process.env.FIREBASE_PROJECT_ID) {
+    process.env.DB_BACKEND = 'local';
+}
+if (!process.env.STORAGE_BACKEND && !process.env.FIREBASE_STORAGE_BUCKET) {
+    process.env.STORAGE_BACKEND = 'local';
+}
+
+const { getDatabaseName } = require('./api/_lib/db');
+
+const ROOT = __dirname;
+const API_DIR = path.join(ROOT, 'api');
+const PORT = Number(process.env.PORT) || 3000;
+
+// Vercel's limit on request bodies
+const MAX_BODY_BYTES = 4.5 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+// Keep local data between runs unless told otherwise
+if (getDatabaseName() === 'local' && process.env.LOCAL_DB_FILE === undefined) {
+    process.env.LOCAL_DB_FILE = path.join(ROOT, '.data', 'db.json');
+}
+
+const vercelConfig = JSON.parse(fs.readFileSync(path.join(ROOT, 'vercel.json'), 'utf8'));
+const rewrites = (vercelConfig.rewrites || []).map(rule => ({ ...rule, pattern: toPattern(rule.source) }));
+const headerRules = (vercelConfig.headers || []).map(rule => ({ ...rule, pattern: toPattern(rule.source) }));
+
+/**
+ * Regular expression for a vercel.json source such as /api/recipes/:id/:path*
+ */
+function toPattern(source) {
+    const pattern = source.split('/').map(segment => {
+        if (/^:\w+\*$/.test(segment)) return '(.*)';
+        if (/^:\w+$/.test(segment)) return '([^/]+)';
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+    return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Apply the first matching rewrite to a path
+ */
+function rewritePath(pathname) {
+    const rule = rewrites.find(entry => entry.pattern.test(pathname));
+    return rule ? rule.destination : pathname;
+}
+
+/**
+ * The file for an API route, or null. As on Vercel, files whose names start
+ * with an underscore are not routes.
+ */
+function findApiHandler(pathname) {
+    const name = rewritePath(pathname).replace(/^\/api\//, '').replace(/\/+$/, '');
+    if (!name || name.split('/').some(part => part.startsWith('_') || part.startsWith('.'))) return null;
+
+    const candidates = [path.join(API_DIR, `${name}.js`), path.join(API_DIR, name)];
+    return candidates.find(file => file.startsWith(API_DIR + path.sep)
+        && fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+}
+
+/**
+ * Read the whole request body, or null if it is larger than the limit
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+        });
+        req.on('end', () => resolve(size > MAX_BODY_BYTES ? null : Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * req.body as Vercel parses it: JSON, form fields and text by Content-Type,
+ * other bodies as a Buffer. Throws on malformed JSON.
+ */
+function parseBody(rawBody, contentType) {
+    if (rawBody.length === 0) return undefined;
+
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (type === 'application/json') return JSON.parse(rawBody.toString('utf8'));
+    if (type === 'application/x-www-form-urlencoded') return queryObject(new URLSearchParams(rawBody.toString('utf8')));
+    if (type.startsWith('text/')) return rawBody.toString('utf8');
+    return rawBody;
+}
+
+/**
+ * Query parameters as an object; repeated keys become arrays
+ */
+function queryObject(searchParams) {
+    const query = {};
+    searchParams.forEach((value, key) => {
+        if (key in query) {
+            query[key] = [].concat(query[key], value);
+        } else {
+            query[key] = value;
+        }
+    });
+    return query;
+}
+
+/**
+ * Add Vercel's response helpers to a Node response
+ */
+function addResponseHelpers(res) {
+    res.status = code => {
+        res.statusCode = code;
+        return res;
+    };
+
+    res.send = body => {
+        if (body === undefined || body === null) {
+            res.end();
+        } else if (Buffer.isBuffer(body)) {
+            if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/octet-stream');
+            res.end(body);
+        } else if (typeof body === 'object') {
+            return res.json(body);
+        } else {
+            if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'text/html; charset=utf-8');
+            res.end(String(body));
+        }
+        return res;
+    };
+
+    res.json = body => {
+        if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.end(JSON.stringify(body));
+        return res;
+    };
+
+    return res;
+}
+
+/**
+ * Run an API function for a request
+ */
+async function handleApi(req, res, url) {
+    const handlerFile = findApiHandler(url.pathname);
+    if (!handlerFile) {
+        return res.status(404).json({ error: 'Not found' });
+    }
+
+    const rawBody = await readBody(req);
+    if (rawBody === null) {
+        return res.status(413).json({
+            error: 'Request too large',
+            message: `Request bodies are limited to ${MAX_BODY_BYTES / 1024 / 1024} MB`
+        });
+    }
+
+    req.rawBody = rawBody;
+    req.query = queryObject(url.searchParams);
+    try {
+        req.body = parseBody(rawBody, req.headers['content-type']);
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid JSON', message: error.message });
+    }
+
+    try {
+        const handler = require(handlerFile);
+        await handler(req, res);
+    } catch (error) {
+        console.error(`Unhandled error in ${path.relative(ROOT, handlerFile)}:`, error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal server error', message: error.message });
+        }
+    }
+}
+
+/**
+ * Serve a file from a directory, refusing paths outside it and hidden files
+ */
+async function serveFile(req, res, directory, relativePath) {
+    const filePath = path.resolve(directory, '.' + path.posix.normalize(`/${relativePath}`));
+    const insideDirectory = filePath === directory || filePath.startsWith(directory + path.sep);
+    const hidden = path.relative(directory, filePath).split(path.sep).some(part => part.startsWith('.'));
+
+    let target = filePath;
+    try {
+        if (!insideDirectory || hidden) throw new Error('Not allowed');
+        if ((await fs.promises.stat(target)).isDirectory()) {
+            target = path.join(target, 'index.html');
+        }
+        await fs.promises.access(target);
+    } catch (error) {
+        res.statusCode = 404;
+        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+        return res.end('Not found');
+    }
+
+    res.setHeader('Content-Type', CONTENT_TYPES[path.extname(target).toLowerCase()] || 'application/octet-stream');
+    if (req.method === 'HEAD') return res.end();
+
+    fs.createReadStream(target).pipe(res);
+}
+
+const server = http.createServer(async (req, res) => {
+    const started = Date.now();
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const uploadUrl = (process.env.LOCAL_UPLOAD_URL || '/uploads').replace(/\/+$/, '');
+
+    addResponseHelpers(res);
+    res.on('finish', () => {
+        console.log(`${req.method} ${req.url} ${res.statusCode} ${Date.now() - started}ms`);
+    });
+
+    headerRules
+        .filter(rule => rule.pattern.test(url.pathname))
+        .forEach(rule => rule.headers.forEach(header => res.setHeader(header.key, header.value)));
+
+    try {
+        const pathname = decodeURIComponent(url.pathname);
+
+        if (pathname === '/api' || pathname.startsWith('/api/')) {
+            await handleApi(req, res, url);
+        } else if (!['GET', 'HEAD'].includes(req.method)) {
+            res.status(405).json({ error: 'Method not allowed', allowedMethods: ['GET', 'HEAD'] });
+        } else if (pathname.startsWith(`${uploadUrl}/`)) {
+            const uploadDir = path.resolve(process.env.LOCAL_UPLOAD_DIR || 'uploads');
+            await serveFile(req, res, uploadDir, pathname.slice(uploadUrl.length));
+        } else if (pathname.startsWith('/node_modules/')) {
+            res.status(404).send('Not found');
+        } else {
+            await serveFile(req, res, ROOT, pathname);
+        }
+    } catch (error) {
+        if (error instanceof URIError) {
+            return res.status(400).json({ error: 'Bad request', message: 'Malformed URL' });
+        }
+        console.error('Server error:', error);
+        if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Cookbook running at http://localhost:${PORT} (database: ${getDatabaseName()})`);
+});
@@ -0,0 +1,202 @@
+/**
+ * VINTAGE COOKBOOK - COOKING STEPS AND TIMES
+ * Shared by the API (require) and the browser (window.Cooking)
+ *
+ * Splits recipe instructions into steps for cook mode and finds the
+ * cooking times mentioned in them ("bake 25 minutes", "simmer 1 hour
+ * 15 minutes", "rest 5-10 mins") so they can be offered as timers.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Cooking = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    /**
+     * Number words that show up in cooking times
+     */
+    const NUMBER_WORDS = {
+        a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+        seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+        fifteen: 15, twenty: 20, thirty: 30, forty: 40, 'forty-five': 45,
+        fifty: 50, sixty: 60, ninety: 90
+    };
+
+    const UNICODE_FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3 };
+
+    /**
+     * Seconds in each time unit
+     */
+    const UNIT_SECONDS = {
+        second: 1, sec: 1, s: 1,
+        minute: 60, min: 60, m: 60,
+        hour: 3600, hr: 3600, h: 3600
+    };
+
+    const NUMBER = `(?:\\d+(?:\\.\\d+)?(?:\\s+\\d\\/\\d)?[½¼¾⅓⅔]?|\\d\\/\\d|[½¼¾⅓⅔]|${Object.keys(NUMBER_WORDS).join('|')})`;
+    const UNIT = '(?:hours?|hrs?|minutes?|mins?|seconds?|secs?)';
+
+    // "25 minutes", "20-25 mins", "20 to 25 minutes", "1 hour 15 minutes", "1 hour and 15 minutes"
+    const DURATION_PATTERN = new RegExp(
+        `\\bhalf an hour\\b|\\ban hour and a half\\b|` +
+        `\\b(${NUMBER})(?:\\s*(?:-|–|to)\\s*(${NUMBER}))?\\s*(${UNIT})\\b` +
+        `(?:,?\\s*(?:and\\s+)?(${NUMBER})\\s*(minutes?|mins?|seconds?|secs?)\\b)?`,
+        'gi'
+    );
+
+    // "1.", "2)", "Step 3:" at the start of a line
+    const STEP_NUMBER_PATTERN = /^(?:step\s*)?\d+\s*[.):-]\s*/i;
+
+    /**
+     * Value of a number in a duration: digits, fractions or a number word
+     */
+    function parseNumber(text) {
+        const value = text.toLowerCase().trim();
+        if (NUMBER_WORDS[value] !== undefined) return NUMBER_WORDS[value];
+
+        let total = 0;
+        value.split(/\s+/).forEach(part => {
+            const fraction = part.match(/^(\d+)\/(\d+)$/);
+            if (fraction) {
+                total += Number(fraction[1]) / Number(fraction[2]);
+                return;
+            }
+
+            const unicode = part.match(/^(\d*(?:\.\d+)?)([½¼¾⅓⅔])$/);
+            if (unicode) {
+                total += Number(unicode[1] || 0) + UNICODE_FRACTIONS[unicode[2]];
+                return;
+            }
+
+            total += Number(part) || 0;
+        });
+        return total;
+    }
+
+    /**
+     * Seconds in a unit such as "mins" or "hour"
+     */
+    function unitSeconds(unit) {
+        const key = unit.toLowerCase().replace(/s$/, '');
+        return UNIT_SECONDS[key] || UNIT_SECONDS[key.charAt(0)];
+    }
+
+    /**
+     * Cooking times mentioned in a piece of text, in order.
+     * Ranges ("20-25 minutes") time the shorter end so the dish can be
+     * checked before it is overdone.
+     * Returns [{ text, index, seconds, maxSeconds }].
+     */
+    function findDurations(text) {
+        const durations = [];
+        if (!text) return durations;
+
+        DURATION_PATTERN.lastIndex = 0;
+        let match;
+        while ((match = DURATION_PATTERN.exec(text)) !== null) {
+            const [whole, first, second, unit, extra, extraUnit] = match;
+            let seconds;
+            let maxSeconds;
+
+            if (!unit) {
+                // "half an hour" or "an hour and a half"
+                seconds = /half an hour/i.test(whole) ? 1800 : 5400;
+                maxSeconds = seconds;
+            } else {
+                const perUnit = unitSeconds(unit);
+                const extraSeconds = extra ? parseNumber(extra) * unitSeconds(extraUnit) : 0;
+                seconds = Math.round(parseNumber(first) * perUnit + extraSeconds);
+                maxSeconds = second ? Math.round(parseNumber(second) * perUnit + extraSeconds) : seconds;
+            }
+
+            if (seconds > 0) {
+                durations.push({
+                    text: whole,
+                    index: match.index,
+                    seconds: seconds,
+                    maxSeconds: Math.max(seconds, maxSeconds)
+                });
+            }
+        }
+        return durations;
+    }
+
+    /**
+     * Split instructions into steps.
+     * Numbered lines ("1.", "Step 2:") start new steps and unnumbered lines
+     * continue the step above; without numbering each line is a step, and a
+     * single paragraph is split into sentences. Lines ending in ":" ("For
+     * the sauce:") become the section of the steps that follow.
+     * Returns [{ number, text, section }].
+     */
+    function splitSteps(instructions) {
+        const lines = String(instructions || '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line.length > 0);
+
+        const numbered = lines.filter(line => STEP_NUMBER_PATTERN.test(line)).length >= 2;
+        const pieces = [];
+        let section = null;
+
+        lines.forEach(line => {
+            if (/:$/.test(line) && line.length <= 60 && !STEP_NUMBER_PATTERN.test(line)) {
+                section = line.replace(/:$/, '');
+                return;
+            }
+
+            const isNewStep = !numbered || STEP_NUMBER_PATTERN.test(line) || pieces.length === 0;
+            const text = line.replace(STEP_NUMBER_PATTERN, '');
+
+            if (isNewStep || pieces[pieces.length - 1].section !== section) {
+                pieces.push({ text: text, section: section });
+            } else {
+                pieces[pieces.length - 1].text += ` ${text}`;
+            }
+        });
+
+        // One long paragraph reads better a sentence at a time
+        const steps = pieces.length === 1 && !numbered
+            ? splitSentences(pieces[0].text).map(text => ({ text, section: pieces[0].section }))
+            : pieces;
+
+        return steps.map((step, index) => ({
+            number: index + 1,
+            text: step.text,
+            section: step.section
+        }));
+    }
+
+    /**
+     * Split a paragraph after each sentence, leaving abbreviations such as "approx." alone
+     */
+    function splitSentences(text) {
+        return text
+            .split(/(?<=[.!?])\s+(?=[A-Z])/)
+            .map(sentence => sentence.trim())
+            .filter(sentence => sentence.length > 0);
+    }
+
+    /**
+     * Format seconds as a countdown, e.g. 1:05:00 or 4:30
+     */
+    function formatCountdown(totalSeconds) {
+        const seconds = Math.max(0, Math.ceil(totalSeconds));
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const rest = String(seconds % 60).padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}`
+            : `${minutes}:${rest}`;
+    }
+
+    return {
+        parseNumber,
+        findDurations,
+        splitSteps,
+        formatCountdown
+    };
+});
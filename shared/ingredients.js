@@ -0,0 +1,288 @@
+/**
+ * VINTAGE COOKBOOK - INGREDIENT PARSING
+ * Shared by the API (require) and the browser (window.Ingredients)
+ *
+ * Turns free-text ingredient lines such as "2 1/2 cups all-purpose flour, sifted"
+ * into { quantity, unit, item, note } so quantities can be scaled and converted.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Ingredients = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    /**
+     * Unicode vulgar fractions and their values
+     */
+    const UNICODE_FRACTIONS = {
+        '½': 1 / 2,
+        '⅓': 1 / 3,
+        '⅔': 2 / 3,
+        '¼': 1 / 4,
+        '¾': 3 / 4,
+        '⅕': 1 / 5,
+        '⅖': 2 / 5,
+        '⅗': 3 / 5,
+        '⅘': 4 / 5,
+        '⅙': 1 / 6,
+        '⅚': 5 / 6,
+        '⅛': 1 / 8,
+        '⅜': 3 / 8,
+        '⅝': 5 / 8,
+        '⅞': 7 / 8
+    };
+
+    /**
+     * Canonical units with the spellings we recognize for each.
+     * `plural` is used when displaying quantities other than one.
+     */
+    const UNITS = {
+        tsp: { plural: 'tsp', aliases: ['tsp', 'tsps', 'teaspoon', 'teaspoons', 't'] },
+        tbsp: { plural: 'tbsp', aliases: ['tbsp', 'tbsps', 'tbs', 'tbl', 'tablespoon', 'tablespoons', 'T'] },
+        cup: { plural: 'cups', aliases: ['cup', 'cups', 'c'] },
+        'fl oz': { plural: 'fl oz', aliases: ['fl oz', 'fl. oz', 'fluid ounce', 'fluid ounces'] },
+        pint: { plural: 'pints', aliases: ['pint', 'pints', 'pt', 'pts'] },
+        quart: { plural: 'quarts', aliases: ['quart', 'quarts', 'qt', 'qts'] },
+        gallon: { plural: 'gallons', aliases: ['gallon', 'gallons', 'gal'] },
+        ml: { plural: 'ml', aliases: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+        l: { plural: 'l', aliases: ['l', 'liter', 'liters', 'litre', 'litres'] },
+        oz: { plural: 'oz', aliases: ['oz', 'ounce', 'ounces'] },
+        lb: { plural: 'lb', aliases: ['lb', 'lbs', 'pound', 'pounds'] },
+        g: { plural: 'g', aliases: ['g', 'gram', 'grams', 'gr'] },
+        kg: { plural: 'kg', aliases: ['kg', 'kilogram', 'kilograms'] },
+        pinch: { plural: 'pinches', aliases: ['pinch', 'pinches'] },
+        dash: { plural: 'dashes', aliases: ['dash', 'dashes'] },
+        clove: { plural: 'cloves', aliases: ['clove', 'cloves'] },
+        can: { plural: 'cans', aliases: ['can', 'cans'] },
+        package: { plural: 'packages', aliases: ['package', 'packages', 'pkg', 'pkgs'] },
+        stick: { plural: 'sticks', aliases: ['stick', 'sticks'] },
+        slice: { plural: 'slices', aliases: ['slice', 'slices'] },
+        sprig: { plural: 'sprigs', aliases: ['sprig', 'sprigs'] },
+        bunch: { plural: 'bunches', aliases: ['bunch', 'bunches'] },
+        head: { plural: 'heads', aliases: ['head', 'heads'] }
+    };
+
+    // Alias lookup; single-letter aliases are case-sensitive (t = tsp, T = tbsp)
+    const UNIT_ALIASES = {};
+    Object.keys(UNITS).forEach(unit => {
+        UNITS[unit].aliases.forEach(alias => {
+            UNIT_ALIASES[alias.length === 1 ? alias : alias.toLowerCase()] = unit;
+        });
+    });
+
+    const FRACTION_CHARS = Object.keys(UNICODE_FRACTIONS).join('');
+
+    // A single amount: "2 1/2", "1/2", "1.5", "2½", "½"
+    const AMOUNT = `(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\.\\d+|\\d+\\s*[${FRACTION_CHARS}]|\\d+|[${FRACTION_CHARS}])`;
+
+    // Leading amount with an optional range: "2-3", "1 to 2"
+    const QUANTITY_PATTERN = new RegExp(`^(${AMOUNT})(?:\\s*(?:-|–|to)\\s*(${AMOUNT}))?\\s*`);
+
+    // Lines that name an ingredient without measuring it
+    const UNMEASURED_PATTERN = /\b(to taste|as needed|for (?:serving|garnish|greasing|dusting)|optional)\b/i;
+
+    /**
+     * Convert an amount string ("2 1/2", "¾", "1.5") to a number
+     */
+    function parseQuantity(text) {
+        if (!text) return null;
+        const value = String(text).trim();
+
+        const mixed = value.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+        if (mixed) {
+            return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+        }
+
+        const fraction = value.match(/^(\d+)\/(\d+)$/);
+        if (fraction) {
+            return Number(fraction[2]) === 0 ? null : Number(fraction[1]) / Number(fraction[2]);
+        }
+
+        const unicode = value.match(new RegExp(`^(\\d*)\\s*([${FRACTION_CHARS}])$`));
+        if (unicode) {
+            return Number(unicode[1] || 0) + UNICODE_FRACTIONS[unicode[2]];
+        }
+
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * Match a unit at the start of text, returning the canonical unit and the remainder
+     */
+    function matchUnit(text) {
+        const match = text.match(/^(fl\.?\s*oz|fluid\s+ounces?|[A-Za-z]+)\.?(?=\s|$|,)/);
+        if (!match) return null;
+
+        const word = match[1].replace(/\s+/g, ' ');
+        const unit = UNIT_ALIASES[word] || UNIT_ALIASES[word.toLowerCase().replace('fl.', 'fl')];
+        if (!unit || (word.length === 1 && !UNIT_ALIASES[word])) return null;
+
+        // Drop a connecting "of" as in "2 cups of flour"
+        const rest = text.slice(match[0].length).replace(/^\s+of\s+/i, ' ').trim();
+        return { unit, rest };
+    }
+
+    /**
+     * Split "all-purpose flour (unbleached), sifted" into item and note
+     */
+    function splitItemAndNote(text) {
+        const notes = [];
+        let item = text;
+
+        // Parenthetical asides become part of the note
+        item = item.replace(/\s*\(([^)]*)\)/g, (match, aside) => {
+            notes.push(aside.trim());
+            return '';
+        });
+
+        const commaIndex = item.indexOf(',');
+        if (commaIndex !== -1) {
+            notes.push(item.slice(commaIndex + 1).trim());
+            item = item.slice(0, commaIndex);
+        }
+
+        return {
+            item: item.trim(),
+            note: notes.filter(note => note.length > 0).join(', ')
+        };
+    }
+
+    /**
+     * Parse one ingredient line into its structured form.
+     * Lines we cannot make sense of keep their raw text and have parsed = false.
+     */
+    function parseIngredientLine(line) {
+        const raw = String(line || '').trim();
+        const entry = {
+            raw: raw,
+            quantity: null,
+            quantityMax: null,
+            unit: null,
+            item: raw,
+            note: '',
+            heading: false,
+            parsed: false
+        };
+
+        if (!raw) return entry;
+
+        // Section headings such as "For the crust:"
+        if (/:$/.test(raw) && !/\d/.test(raw)) {
+            entry.item = raw.slice(0, -1).trim();
+            entry.heading = true;
+            entry.parsed = true;
+            return entry;
+        }
+
+        // Ignore list bullets
+        let rest = raw.replace(/^[-*•·]\s*/, '');
+
+        const quantityMatch = rest.match(QUANTITY_PATTERN);
+        if (quantityMatch) {
+            entry.quantity = parseQuantity(quantityMatch[1]);
+            entry.quantityMax = parseQuantity(quantityMatch[2]);
+            rest = rest.slice(quantityMatch[0].length);
+        }
+
+        // A package size right after the quantity, as in "1 (14 oz) can tomatoes"
+        let sizeNote = '';
+        const sizeMatch = rest.match(/^\(([^)]*)\)\s*/);
+        if (sizeMatch && entry.quantity !== null) {
+            sizeNote = sizeMatch[1].trim();
+            rest = rest.slice(sizeMatch[0].length);
+        }
+
+        const unitMatch = matchUnit(rest);
+        if (unitMatch && unitMatch.rest) {
+            entry.unit = unitMatch.unit;
+            rest = unitMatch.rest;
+        }
+
+        const { item, note } = splitItemAndNote(rest);
+        const measured = entry.quantity !== null || entry.unit !== null;
+
+        if (!item || (!measured && !UNMEASURED_PATTERN.test(raw))) {
+            // Keep the line verbatim
+            return {
+                ...entry,
+                quantity: null,
+                quantityMax: null,
+                unit: null
+            };
+        }
+
+        entry.item = item;
+        entry.note = [sizeNote, note].filter(part => part.length > 0).join(', ');
+
+        // "Salt and pepper to taste" -> item "Salt and pepper", note "to taste"
+        const unmeasured = !measured && item.match(UNMEASURED_PATTERN);
+        if (unmeasured && item.slice(0, unmeasured.index).trim()) {
+            entry.item = item.slice(0, unmeasured.index).trim();
+            entry.note = [item.slice(unmeasured.index).trim(), entry.note].filter(part => part.length > 0).join(', ');
+        }
+        entry.parsed = true;
+        return entry;
+    }
+
+    /**
+     * Parse a newline-separated ingredients blob
+     */
+    function parseIngredientList(text) {
+        if (!text) return [];
+        return String(text)
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .map(parseIngredientLine);
+    }
+
+    /**
+     * Display name for a unit given the quantity it measures
+     */
+    function formatUnit(unit, quantity) {
+        if (!unit) return '';
+        const definition = UNITS[unit];
+        if (!definition) return unit;
+        return quantity !== null && quantity !== undefined && quantity > 1 ? definition.plural : unit;
+    }
+
+    /**
+     * Format a number for cooks: 2.5 -> "2 ½", 0.333 -> "⅓", 1.37 -> "1.37"
+     */
+    function formatQuantity(value) {
+        if (value === null || value === undefined || !Number.isFinite(value)) return '';
+
+        const whole = Math.floor(value);
+        const remainder = value - whole;
+
+        if (remainder < 0.02) return String(whole);
+        if (remainder > 0.98) return String(whole + 1);
+
+        // Closest friendly fraction within 2%
+        let best = null;
+        Object.keys(UNICODE_FRACTIONS).forEach(symbol => {
+            const difference = Math.abs(UNICODE_FRACTIONS[symbol] - remainder);
+            if (difference < 0.02 && (!best || difference < best.difference)) {
+                best = { symbol, difference };
+            }
+        });
+
+        if (best) {
+            return whole > 0 ? `${whole} ${best.symbol}` : best.symbol;
+        }
+
+        return String(Math.round(value * 100) / 100);
+    }
+
+    return {
+        UNITS,
+        parseQuantity,
+        parseIngredientLine,
+        parseIngredientList,
+        formatUnit,
+        formatQuantity
+    };
+});
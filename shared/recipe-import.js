@@ -0,0 +1,324 @@
+/**
+ * VINTAGE COOKBOOK - RECIPE IMPORT
+ * Shared by the API (require) and the browser (window.RecipeImport)
+ *
+ * Turns a pasted recipe into the fields of the add-recipe form. Accepts either
+ * schema.org `Recipe` JSON-LD (raw JSON or the <script> tag from a page) or a
+ * plain-text recipe with headings such as "Ingredients" and "Directions".
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ingredients'));
+    } else {
+        root.RecipeImport = factory(root.Ingredients);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Ingredients) {
+
+    /**
+     * Keywords that suggest each form category, checked in order
+     */
+    const CATEGORY_KEYWORDS = [
+        { category: 'appetizers', pattern: /appeti[sz]er|starter|snack|hors d/ },
+        { category: 'soups', pattern: /soup|stew|chowder|chili|bisque/ },
+        { category: 'salads', pattern: /salad/ },
+        { category: 'breads', pattern: /bread|pastr|muffin|biscuit|scone|loaf|rolls/ },
+        { category: 'desserts', pattern: /dessert|(?<!pan)cake|cookie|\bpies?\b|pudding|brownie|\btarts?\b|sweet/ },
+        { category: 'sauces', pattern: /sauce|dressing|condiment|gravy|\bdips?\b|salsa/ },
+        { category: 'sides', pattern: /\bsides?\b/ },
+        { category: 'main-course', pattern: /\bmain\b|entr[eé]e|dinner|lunch|supper/ }
+    ];
+
+    // Section headings in plain-text recipes
+    const SECTION_PATTERNS = {
+        ingredients: /^ingredients?$/i,
+        instructions: /^(?:instructions|directions|method|preparation|steps)$/i,
+        notes: /^(?:notes?|tips|cook'?s notes|recipe notes)$/i
+    };
+
+    // "Prep time: 15 minutes", "Serves 4", "Yield: 2 loaves"
+    const METADATA_PATTERN = /^(prep(?:aration)? time|cook(?:ing)? time|total time|servings|serves|yield|makes|category|course)\s*:?\s*(.+)$/i;
+
+    const HTML_ENTITIES = {
+        amp: '&',
+        lt: '<',
+        gt: '>',
+        quot: '"',
+        apos: "'",
+        nbsp: ' ',
+        frac12: '½',
+        frac14: '¼',
+        frac34: '¾',
+        deg: '°'
+    };
+
+    /**
+     * Strip tags and decode entities from text scraped out of a web page
+     */
+    function cleanText(value) {
+        return String(value || '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+            .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+            .replace(/&([a-z0-9]+);/gi, (match, name) => HTML_ENTITIES[name.toLowerCase()] || match)
+            .replace(/[ \t]+/g, ' ')
+            .split('\n')
+            .map(line => line.trim())
+            .join('\n')
+            .trim();
+    }
+
+    /**
+     * Pick the form category that best fits free text such as "Dessert" or a recipe name
+     */
+    function guessCategory(text) {
+        const value = String(text || '').toLowerCase();
+        if (!value) return '';
+        const match = CATEGORY_KEYWORDS.find(entry => entry.pattern.test(value));
+        return match ? match.category : '';
+    }
+
+    /**
+     * Turn an ISO 8601 duration ("PT1H30M") into "1 hour 30 minutes".
+     * Anything else is returned cleaned but otherwise as written.
+     */
+    function formatDuration(value) {
+        const text = cleanText(value);
+        const match = text.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+        if (!match) return text;
+
+        const [, days, hours, minutes] = match.map(part => part ? Number(part) : 0);
+        const totalHours = days * 24 + hours;
+        const parts = [];
+        if (totalHours) parts.push(`${totalHours} hour${totalHours !== 1 ? 's' : ''}`);
+        if (minutes) parts.push(`${minutes} minute${minutes !== 1 ? 's' : ''}`);
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Servings from a yield such as 4, "4 servings", "Serves 4-6" or ["4", "4 servings"]
+     */
+    function parseYield(value) {
+        const first = Array.isArray(value) ? value[0] : value;
+        const match = String(first === undefined || first === null ? '' : first).match(/\d+/);
+        if (!match) return null;
+
+        const servings = Number(match[0]);
+        return servings >= 1 && servings <= 100 ? servings : null;
+    }
+
+    /**
+     * Whether a JSON-LD node has the given @type
+     */
+    function hasType(node, type) {
+        const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+        return types.some(value => typeof value === 'string' && value.replace(/^.*[/:]/, '') === type);
+    }
+
+    /**
+     * Find the first Recipe node in parsed JSON-LD, searching arrays and @graph
+     */
+    function findRecipeNode(data) {
+        if (Array.isArray(data)) {
+            for (const item of data) {
+                const found = findRecipeNode(item);
+                if (found) return found;
+            }
+            return null;
+        }
+
+        if (!data || typeof data !== 'object') return null;
+        if (hasType(data, 'Recipe')) return data;
+
+        return findRecipeNode(data['@graph']) || findRecipeNode(data.mainEntity);
+    }
+
+    /**
+     * Flatten recipeInstructions (text, HowToStep and HowToSection) into numbered lines
+     */
+    function formatInstructions(value) {
+        const lines = [];
+        let step = 0;
+
+        const addSteps = item => {
+            if (!item) return;
+
+            if (Array.isArray(item)) {
+                item.forEach(addSteps);
+            } else if (typeof item === 'string') {
+                cleanText(item).split('\n').filter(line => line.length > 0).forEach(line => {
+                    lines.push(`${++step}. ${stripStepNumber(line)}`);
+                });
+            } else if (hasType(item, 'HowToSection')) {
+                if (item.name) lines.push(`${cleanText(item.name)}:`);
+                addSteps(item.itemListElement);
+            } else {
+                addSteps(item.text || item.name);
+            }
+        };
+
+        addSteps(value);
+        return lines.join('\n');
+    }
+
+    /**
+     * Remove "1.", "2)" or "Step 3:" from the start of an instruction line
+     */
+    function stripStepNumber(line) {
+        return line.replace(/^(?:step\s*)?\d+\s*[.):-]?\s+/i, '').trim();
+    }
+
+    /**
+     * Remove bullets and checkboxes copied along with ingredient lines
+     */
+    function stripBullet(line) {
+        return line.replace(/^[-*•·▢□☐]\s*/, '').trim();
+    }
+
+    /**
+     * Parse the JSON-LD found in pasted text into form fields
+     */
+    function parseJsonLd(text) {
+        const scripts = [];
+        const scriptPattern = /<script[^>]*application\/ld\+json[^>]*>([\s\S]*?)<\/script>/gi;
+        let match;
+        while ((match = scriptPattern.exec(text)) !== null) {
+            scripts.push(match[1]);
+        }
+        if (scripts.length === 0) scripts.push(text);
+
+        let recipe = null;
+        scripts.forEach(source => {
+            if (recipe) return;
+            try {
+                recipe = findRecipeNode(JSON.parse(source));
+            } catch (error) {
+                // Not valid JSON; try the next block
+            }
+        });
+
+        if (!recipe) {
+            throw new Error('No schema.org Recipe was found in the pasted JSON-LD.');
+        }
+
+        const ingredients = [].concat(recipe.recipeIngredient || recipe.ingredients || [])
+            .map(cleanText)
+            .filter(line => line.length > 0);
+
+        const categoryText = [].concat(recipe.recipeCategory || []).join(' ');
+
+        return {
+            name: cleanText(recipe.name),
+            category: guessCategory(categoryText) || guessCategory(recipe.name),
+            prepTime: formatDuration(recipe.prepTime),
+            cookTime: formatDuration(recipe.cookTime),
+            servings: parseYield(recipe.recipeYield),
+            ingredients: ingredients.join('\n'),
+            instructions: formatInstructions(recipe.recipeInstructions),
+            notes: cleanText(recipe.description)
+        };
+    }
+
+    /**
+     * Parse a plain-text recipe into form fields.
+     * Without an "Ingredients" heading, measured lines are taken as ingredients.
+     */
+    function parsePlainText(text) {
+        const recipe = {
+            name: '',
+            category: '',
+            prepTime: '',
+            cookTime: '',
+            servings: null,
+            ingredients: '',
+            instructions: '',
+            notes: ''
+        };
+        const sections = { ingredients: [], instructions: [], notes: [] };
+        let section = null;
+        let hasHeadings = false;
+
+        cleanText(text).split('\n').forEach(line => {
+            if (!line) return;
+
+            const heading = line.replace(/:$/, '').trim();
+            const sectionName = Object.keys(SECTION_PATTERNS).find(key => SECTION_PATTERNS[key].test(heading));
+            if (sectionName) {
+                section = sectionName;
+                hasHeadings = true;
+                return;
+            }
+
+            // Times and servings are listed before the recipe itself starts
+            const metadata = !section && sections.instructions.length === 0 && line.match(METADATA_PATTERN);
+            if (metadata) {
+                const label = metadata[1].toLowerCase();
+                const value = metadata[2].trim();
+                if (label.startsWith('prep')) recipe.prepTime = value;
+                else if (label.startsWith('cook')) recipe.cookTime = value;
+                else if (label === 'category' || label === 'course') recipe.category = guessCategory(value);
+                else if (label !== 'total time') recipe.servings = parseYield(value);
+                return;
+            }
+
+            if (!recipe.name) {
+                recipe.name = line;
+                return;
+            }
+
+            if (section) {
+                sections[section].push(line);
+            } else if (!hasHeadings && Ingredients.parseIngredientLine(stripBullet(line)).quantity !== null &&
+                sections.instructions.length === 0 && line.length <= 100) {
+                // Measured lines before the first instruction read as ingredients
+                sections.ingredients.push(line);
+            } else if (!hasHeadings && sections.ingredients.length > 0) {
+                sections.instructions.push(line);
+            } else {
+                // Text between the title and the first section describes the recipe
+                sections.notes.push(line);
+            }
+        });
+
+        recipe.ingredients = sections.ingredients.map(stripBullet).join('\n');
+        // Lines ending in a colon ("For the glaze:") are subheadings rather than steps
+        recipe.instructions = formatInstructions(sections.instructions.map(line =>
+            /:$/.test(line) ? { '@type': 'HowToSection', name: line.slice(0, -1) } : line
+        ));
+        recipe.notes = sections.notes.join('\n');
+        recipe.category = recipe.category || guessCategory(recipe.name);
+
+        return recipe;
+    }
+
+    /**
+     * Parse pasted text, detecting JSON-LD or plain text.
+     * Returns { format: 'json-ld' | 'text', recipe } or throws if nothing usable was found.
+     */
+    function parseRecipeText(text) {
+        const source = String(text || '').trim();
+        if (!source) {
+            throw new Error('Please paste a recipe to import.');
+        }
+
+        const looksLikeJson = /^[[{]/.test(source) || /application\/ld\+json/i.test(source);
+        const format = looksLikeJson ? 'json-ld' : 'text';
+        const recipe = looksLikeJson ? parseJsonLd(source) : parsePlainText(source);
+
+        if (!recipe.name && !recipe.ingredients && !recipe.instructions) {
+            throw new Error('Could not find a recipe in the pasted text.');
+        }
+
+        return { format, recipe };
+    }
+
+    return {
+        guessCategory,
+        formatDuration,
+        parseYield,
+        parseJsonLd,
+        parsePlainText,
+        parseRecipeText
+    };
+});
@@ -0,0 +1,153 @@
+/**
+ * VINTAGE COOKBOOK - RECIPE AND COMMENT SCHEMA
+ * Shared by the API (require) and the browser (window.Schema)
+ *
+ * One set of rules for what a recipe or comment may contain, so the forms
+ * and the API agree. Validation reports every problem at once as
+ * { field, code, message } objects; the API sends them back as
+ * { error: 'Validation failed', errors: [...] } and the forms show each
+ * message next to its field.
+ *
+ * Codes: 'required', 'too_short', 'too_long', 'invalid_choice' and
+ * 'invalid_number'. Handlers add their own where a rule depends on more
+ * than the submitted data ('not_allowed' for a rating on a reply).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Schema = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    /**
+     * Recipe categories, in the order the forms list them
+     */
+    const CATEGORIES = [
+        { value: 'appetizers', label: 'Appetizers' },
+        { value: 'main-course', label: 'Main Course' },
+        { value: 'desserts', label: 'Desserts' },
+        { value: 'sides', label: 'Sides' },
+        { value: 'sauces', label: 'Sauces' },
+        { value: 'soups', label: 'Soups & Stews' },
+        { value: 'salads', label: 'Salads' },
+        { value: 'breads', label: 'Breads & Pastries' }
+    ];
+
+    /**
+     * Recipe fields. `label` names the field in messages; `prompt` is the
+     * message when a required field is left empty.
+     */
+    const RECIPE_FIELDS = {
+        name: {
+            type: 'text', required: true, minLength: 3, maxLength: 100,
+            label: 'Recipe name', prompt: 'Please enter a recipe name.'
+        },
+        category: {
+            type: 'choice', required: true, choices: CATEGORIES.map(category => category.value),
+            label: 'Category', prompt: 'Please select a category.'
+        },
+        prepTime: { type: 'text', maxLength: 50, label: 'Prep time' },
+        cookTime: { type: 'text', maxLength: 50, label: 'Cook time' },
+        servings: { type: 'integer', min: 1, max: 100, label: 'Servings' },
+        ingredients: {
+            type: 'text', required: true, maxLength: 10000,
+            label: 'Ingredients', prompt: 'Please enter the ingredients.'
+        },
+        instructions: {
+            type: 'text', required: true, minLength: 20, maxLength: 10000,
+            label: 'Instructions', prompt: 'Please enter the cooking instructions.'
+        },
+        notes: { type: 'text', maxLength: 10000, label: 'Notes' }
+    };
+
+    /**
+     * Comment fields. The API fills in username from the signed-in user.
+     */
+    const COMMENT_FIELDS = {
+        recipeId: { type: 'text', required: true, maxLength: 100, label: 'Recipe', prompt: 'Please choose a recipe.' },
+        username: { type: 'text', required: true, maxLength: 100, label: 'Name', prompt: 'Please enter your name.' },
+        comment: { type: 'text', required: true, maxLength: 1000, label: 'Comment', prompt: 'Please write a comment.' },
+        parentId: { type: 'text', maxLength: 100, label: 'Reply to' },
+        rating: { type: 'integer', min: 1, max: 5, label: 'Rating' }
+    };
+
+    /**
+     * Check one value against its rule.
+     * Returns { value, error } with the cleaned value (trimmed text, a
+     * lowercase choice, a whole number or null) and an error or null.
+     */
+    function checkField(field, rule, input) {
+        const fail = (code, message) => ({ value: null, error: { field, code, message } });
+        const text = input === undefined || input === null ? '' : String(input).trim();
+
+        if (!text) {
+            if (rule.required) return fail('required', rule.prompt || `${rule.label} is required.`);
+            return { value: rule.type === 'text' ? '' : null, error: null };
+        }
+
+        if (rule.type === 'integer') {
+            const number = Number(text);
+            if (!Number.isInteger(number) || number < rule.min || number > rule.max) {
+                return fail('invalid_number', `${rule.label} must be a whole number from ${rule.min} to ${rule.max}.`);
+            }
+            return { value: number, error: null };
+        }
+
+        if (rule.type === 'choice') {
+            const choice = text.toLowerCase();
+            if (!rule.choices.includes(choice)) {
+                return fail('invalid_choice', `${rule.label} must be one of the listed options.`);
+            }
+            return { value: choice, error: null };
+        }
+
+        if (rule.minLength && text.length < rule.minLength) {
+            return fail('too_short', `${rule.label} must be at least ${rule.minLength} characters long.`);
+        }
+        if (rule.maxLength && text.length > rule.maxLength) {
+            return fail('too_long', `${rule.label} must be at most ${rule.maxLength} characters long.`);
+        }
+        return { value: text, error: null };
+    }
+
+    /**
+     * Check data against a set of field rules, or only the named fields.
+     * Returns { value, errors }; value holds the cleaned fields.
+     */
+    function validate(fields, data, only) {
+        const source = data && typeof data === 'object' ? data : {};
+        const value = {};
+        const errors = [];
+
+        (only || Object.keys(fields)).forEach(field => {
+            const result = checkField(field, fields[field], source[field]);
+            value[field] = result.value;
+            if (result.error) errors.push(result.error);
+        });
+
+        return { value, errors };
+    }
+
+    /**
+     * Check a recipe. See validate for the result.
+     */
+    function validateRecipe(data, only) {
+        return validate(RECIPE_FIELDS, data, only);
+    }
+
+    /**
+     * Check a comment. See validate for the result.
+     */
+    function validateComment(data, only) {
+        return validate(COMMENT_FIELDS, data, only);
+    }
+
+    return {
+        CATEGORIES,
+        RECIPE_FIELDS,
+        COMMENT_FIELDS,
+        validateRecipe,
+        validateComment
+    };
+});
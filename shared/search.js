@@ -0,0 +1,140 @@
+/**
+ * VINTAGE COOKBOOK - SEARCH TEXT PROCESSING
+ * Shared by the API (require) and the browser (window.Search)
+ *
+ * Tokenizing and stemming used to build the search index on the server and
+ * to highlight matched words on the client, so both sides agree on what
+ * counts as the same word ("tomatoes", "tomatos" and "tomato" all stem alike).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Search = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    /**
+     * Words too common to be worth indexing
+     */
+    const STOP_WORDS = new Set([
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from',
+        'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'than',
+        'that', 'the', 'then', 'there', 'this', 'to', 'until', 'up', 'was',
+        'will', 'with', 'you', 'your'
+    ]);
+
+    /**
+     * Reduce a lowercase word to a rough stem: plurals, -ing, -ed and -ly
+     * endings and a trailing "e" are removed.
+     */
+    function stem(word) {
+        let result = word;
+        if (result.length <= 3) return result;
+
+        // Plurals
+        if (/ies$/.test(result)) {
+            result = result.slice(0, -3) + 'y';
+        } else if (/(ss|sh|ch|x|z|o)es$/.test(result)) {
+            result = result.slice(0, -2);
+        } else if (/[^s]s$/.test(result)) {
+            result = result.slice(0, -1);
+        }
+
+        // Verb and adverb endings
+        if (/ing$/.test(result) && result.length > 5) {
+            result = result.slice(0, -3);
+        } else if (/ed$/.test(result) && result.length > 4) {
+            result = result.slice(0, -2);
+        } else if (/ly$/.test(result) && result.length > 4) {
+            result = result.slice(0, -2);
+        }
+
+        // "chopp" -> "chop"
+        if (/([^aeiouls])\1$/.test(result)) {
+            result = result.slice(0, -1);
+        }
+
+        // "bake", "baked" and "baking" all become "bak"
+        if (/e$/.test(result) && result.length > 3) {
+            result = result.slice(0, -1);
+        }
+
+        return result;
+    }
+
+    /**
+     * Split text into lowercase words, without accents, numbers or stop words
+     */
+    function words(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/'/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(word => word.length > 1 && !/^\d+$/.test(word) && !STOP_WORDS.has(word));
+    }
+
+    /**
+     * Words of a text reduced to stems
+     */
+    function tokenize(text) {
+        return words(text).map(stem);
+    }
+
+    /**
+     * Edit distance between two words, giving up once it exceeds max
+     */
+    function editDistance(a, b, max = Infinity) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Typos allowed for a query term of a given length
+     */
+    function allowedTypos(term) {
+        if (term.length >= 7) return 2;
+        if (term.length >= 4) return 1;
+        return 0;
+    }
+
+    /**
+     * How closely an indexed term matches a query term, from 0 (no match) to 1 (exact)
+     */
+    function termSimilarity(queryTerm, indexedTerm) {
+        if (queryTerm === indexedTerm) return 1;
+
+        // Partially typed words: "tom" finds "tomato"
+        if (queryTerm.length >= 3 && indexedTerm.startsWith(queryTerm)) return 0.75;
+
+        const maxTypos = allowedTypos(queryTerm);
+        if (maxTypos === 0) return 0;
+
+        const distance = editDistance(queryTerm, indexedTerm, maxTypos);
+        return distance <= maxTypos ? 0.6 - 0.1 * (distance - 1) : 0;
+    }
+
+    return {
+        stem,
+        words,
+        tokenize,
+        editDistance,
+        termSimilarity
+    };
+});
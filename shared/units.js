@@ -0,0 +1,310 @@
+/**
+ * VINTAGE COOKBOOK - UNIT CONVERSION
+ * Shared by the API (require) and the browser (window.Units)
+ *
+ * Converts structured ingredients and free text between metric and imperial.
+ * Volumes of dry staples such as flour and sugar become weights using the
+ * density table below; liquids stay volumes.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ingredients'));
+    } else {
+        root.Units = factory(root.Ingredients);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Ingredients) {
+
+    /**
+     * Millilitres per volume unit
+     */
+    const VOLUME_ML = {
+        tsp: 4.929,
+        tbsp: 14.787,
+        'fl oz': 29.574,
+        cup: 236.588,
+        pint: 473.176,
+        quart: 946.353,
+        gallon: 3785.41,
+        ml: 1,
+        l: 1000
+    };
+
+    /**
+     * Grams per weight unit
+     */
+    const WEIGHT_G = {
+        oz: 28.3495,
+        lb: 453.592,
+        g: 1,
+        kg: 1000
+    };
+
+    const METRIC_UNITS = ['ml', 'l', 'g', 'kg'];
+
+    /**
+     * Grams per US cup for common staples, most specific first.
+     * Liquids are listed so they are kept as volumes rather than weighed.
+     */
+    const DENSITIES = [
+        { pattern: /powdered sugar|confectioners'? sugar|icing sugar/, gramsPerCup: 120 },
+        { pattern: /brown sugar/, gramsPerCup: 213 },
+        { pattern: /sugar/, gramsPerCup: 200 },
+        { pattern: /cake flour/, gramsPerCup: 114 },
+        { pattern: /bread flour/, gramsPerCup: 127 },
+        { pattern: /whole wheat flour/, gramsPerCup: 120 },
+        { pattern: /almond flour/, gramsPerCup: 96 },
+        { pattern: /flour/, gramsPerCup: 125 },
+        { pattern: /cornstarch|corn starch/, gramsPerCup: 128 },
+        { pattern: /cocoa/, gramsPerCup: 85 },
+        { pattern: /peanut butter/, gramsPerCup: 258 },
+        { pattern: /butter|margarine|shortening/, gramsPerCup: 227 },
+        { pattern: /oats/, gramsPerCup: 90 },
+        { pattern: /rice/, gramsPerCup: 185 },
+        { pattern: /chocolate chips/, gramsPerCup: 170 },
+        { pattern: /(?:cheddar|mozzarella|shredded) cheese/, gramsPerCup: 113 },
+        { pattern: /parmesan/, gramsPerCup: 100 },
+        { pattern: /walnuts|pecans|almonds/, gramsPerCup: 120 },
+        { pattern: /raisins/, gramsPerCup: 150 },
+        { pattern: /breadcrumbs|bread crumbs/, gramsPerCup: 108 },
+        { pattern: /baking soda|baking powder/, gramsPerCup: 220 },
+        { pattern: /salt/, gramsPerCup: 292 },
+        { pattern: /honey|molasses|syrup/, gramsPerCup: 340 },
+        { pattern: /sour cream|yogurt/, gramsPerCup: 240 },
+        { pattern: /milk|water|cream|broth|stock|juice|oil|vinegar|wine/, liquid: true }
+    ];
+
+    // Weight of one stick of butter
+    const STICK_GRAMS = 113;
+
+    /**
+     * Find the density entry for an ingredient name
+     */
+    function findDensity(item) {
+        const name = String(item || '').toLowerCase();
+        return DENSITIES.find(entry => entry.pattern.test(name)) || null;
+    }
+
+    /**
+     * Round to a sensible precision for the unit
+     */
+    function roundMetric(value) {
+        if (value >= 100) return Math.round(value / 5) * 5;
+        if (value >= 10) return Math.round(value);
+        return Math.round(value * 10) / 10;
+    }
+
+    /**
+     * Round to the nearest kitchen fraction (never down to zero)
+     */
+    function roundToFraction(value, step) {
+        return Math.max(step, Math.round(value / step) * step);
+    }
+
+    /**
+     * Express a volume in millilitres with the friendliest US unit
+     */
+    function toImperialVolume(ml) {
+        if (ml >= VOLUME_ML.cup / 4) {
+            return { quantity: roundToFraction(ml / VOLUME_ML.cup, 1 / 8), unit: 'cup' };
+        }
+        if (ml >= VOLUME_ML.tbsp) {
+            return { quantity: roundToFraction(ml / VOLUME_ML.tbsp, 1 / 4), unit: 'tbsp' };
+        }
+        return { quantity: roundToFraction(ml / VOLUME_ML.tsp, 1 / 8), unit: 'tsp' };
+    }
+
+    /**
+     * Express a weight in grams as ounces or pounds
+     */
+    function toImperialWeight(grams) {
+        const ounces = grams / WEIGHT_G.oz;
+        if (ounces >= 16) {
+            return { quantity: roundToFraction(grams / WEIGHT_G.lb, 1 / 4), unit: 'lb' };
+        }
+        return { quantity: roundToFraction(ounces, 1 / 4), unit: 'oz' };
+    }
+
+    /**
+     * Express millilitres or grams with metric units
+     */
+    function toMetric(value, baseUnit, largeUnit) {
+        if (value >= 1000) {
+            return { quantity: Math.round(value / 100) / 10, unit: largeUnit };
+        }
+        return { quantity: roundMetric(value), unit: baseUnit };
+    }
+
+    /**
+     * Display text for an amount of a unit: decimals for metric units
+     * ("1.2 l" reads better than "1 ⅕ l"), kitchen fractions otherwise
+     */
+    function formatAmount(quantity, unit) {
+        if (METRIC_UNITS.includes(unit) && Number.isFinite(quantity)) {
+            return String(Math.round(quantity * 100) / 100);
+        }
+        return Ingredients.formatQuantity(quantity);
+    }
+
+    /**
+     * Whether a unit measures 'volume' or 'weight', or null for counts and other units
+     */
+    function unitKind(unit) {
+        if (VOLUME_ML[unit]) return 'volume';
+        if (WEIGHT_G[unit]) return 'weight';
+        return null;
+    }
+
+    /**
+     * An amount in millilitres (volumes) or grams (weights), or null for other units
+     */
+    function toBaseAmount(quantity, unit) {
+        if (VOLUME_ML[unit]) return quantity * VOLUME_ML[unit];
+        if (WEIGHT_G[unit]) return quantity * WEIGHT_G[unit];
+        return null;
+    }
+
+    /**
+     * Express millilitres or grams (`kind` 'volume' or 'weight') with the
+     * friendliest unit of the 'metric' or 'imperial' system
+     */
+    function fromBaseAmount(value, kind, system) {
+        if (kind === 'volume') {
+            return system === 'metric' ? toMetric(value, 'ml', 'l') : toImperialVolume(value);
+        }
+        return system === 'metric' ? toMetric(value, 'g', 'kg') : toImperialWeight(value);
+    }
+
+    /**
+     * Convert an amount of one unit to the target system.
+     * Returns { quantity, unit } or null if the unit cannot be converted.
+     */
+    function convertAmount(quantity, unit, item, system) {
+        const density = findDensity(item);
+
+        if (system === 'metric') {
+            if (METRIC_UNITS.includes(unit)) return null;
+
+            if (unit === 'stick' && density && /butter|margarine/.test(String(item).toLowerCase())) {
+                return toMetric(quantity * STICK_GRAMS, 'g', 'kg');
+            }
+            if (WEIGHT_G[unit]) {
+                return toMetric(quantity * WEIGHT_G[unit], 'g', 'kg');
+            }
+            if (VOLUME_ML[unit]) {
+                const ml = quantity * VOLUME_ML[unit];
+                if (density && density.gramsPerCup) {
+                    return toMetric(ml / VOLUME_ML.cup * density.gramsPerCup, 'g', 'kg');
+                }
+                return toMetric(ml, 'ml', 'l');
+            }
+            return null;
+        }
+
+        if (system === 'imperial') {
+            if (!METRIC_UNITS.includes(unit)) return null;
+
+            if (WEIGHT_G[unit]) {
+                const grams = quantity * WEIGHT_G[unit];
+                if (density && density.gramsPerCup) {
+                    return toImperialVolume(grams / density.gramsPerCup * VOLUME_ML.cup);
+                }
+                return toImperialWeight(grams);
+            }
+            return toImperialVolume(quantity * VOLUME_ML[unit]);
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert a structured ingredient to 'metric' or 'imperial'.
+     * Ingredients without a convertible unit are returned unchanged.
+     */
+    function convertIngredient(ingredient, system) {
+        if (!ingredient || !ingredient.unit || ingredient.quantity === null || ingredient.quantity === undefined) {
+            return ingredient;
+        }
+
+        const converted = convertAmount(ingredient.quantity, ingredient.unit, ingredient.item, system);
+        if (!converted) return ingredient;
+
+        const convertedMax = ingredient.quantityMax
+            ? convertAmount(ingredient.quantityMax, ingredient.unit, ingredient.item, system)
+            : null;
+
+        return {
+            ...ingredient,
+            quantity: converted.quantity,
+            quantityMax: convertedMax && convertedMax.unit === converted.unit ? convertedMax.quantity : null,
+            unit: converted.unit,
+            converted: true
+        };
+    }
+
+    /**
+     * Convert oven temperatures such as "350°F" or "180 degrees C"
+     */
+    function convertTemperatures(text, system) {
+        const pattern = /(\d{2,3})\s*(?:°|degrees?\s*|deg\.?\s*)\s*(F|C|Fahrenheit|Celsius)\b/gi;
+
+        return text.replace(pattern, (match, degrees, scale) => {
+            const isFahrenheit = scale[0].toUpperCase() === 'F';
+            const value = Number(degrees);
+
+            if (system === 'metric' && isFahrenheit) {
+                return `${Math.round((value - 32) * 5 / 9 / 5) * 5}°C`;
+            }
+            if (system === 'imperial' && !isFahrenheit) {
+                // Oven dials step in 25°F
+                return `${Math.round((value * 9 / 5 + 32) / 25) * 25}°F`;
+            }
+            return match;
+        });
+    }
+
+    // Amount followed by a volume or weight unit, e.g. "1 1/2 cups" or "200 g"
+    const FRACTION_CHARS = '½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞';
+    const AMOUNT = `\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\.\\d+|\\d+\\s*[${FRACTION_CHARS}]|\\d+|[${FRACTION_CHARS}]`;
+    const MEASURE_UNITS = Object.keys(Ingredients.UNITS)
+        .filter(unit => VOLUME_ML[unit] || WEIGHT_G[unit])
+        .reduce((aliases, unit) => aliases.concat(Ingredients.UNITS[unit].aliases), [])
+        // Single letters other than grams are too ambiguous in running text
+        .filter(alias => alias.length > 1 || alias === 'g')
+        .sort((a, b) => b.length - a.length)
+        .map(alias => alias.replace('.', '\\.'));
+    const MEASUREMENT_PATTERN = new RegExp(`(${AMOUNT})\\s*(${MEASURE_UNITS.join('|')})\\b(\\s+(?:of\\s+)?[A-Za-z' -]{0,30})?`, 'gi');
+
+    /**
+     * Convert measurements and temperatures found in free text such as instructions
+     */
+    function convertText(text, system) {
+        if (!text || (system !== 'metric' && system !== 'imperial')) return text || '';
+
+        const converted = text.replace(MEASUREMENT_PATTERN, (match, amount, unitText, following) => {
+            const ingredient = Ingredients.parseIngredientLine(`${amount} ${unitText}${following || ''}`);
+            if (!ingredient.unit || ingredient.quantity === null) return match;
+
+            const result = convertAmount(ingredient.quantity, ingredient.unit, ingredient.item, system);
+            if (!result) return match;
+
+            const unitLabel = Ingredients.formatUnit(result.unit, result.quantity);
+            return `${formatAmount(result.quantity, result.unit)} ${unitLabel}${following || ''}`;
+        });
+
+        return convertTemperatures(converted, system);
+    }
+
+    return {
+        DENSITIES,
+        METRIC_UNITS,
+        findDensity,
+        formatAmount,
+        unitKind,
+        toBaseAmount,
+        fromBaseAmount,
+        convertAmount,
+        convertIngredient,
+        convertTemperatures,
+        convertText
+    };
+});
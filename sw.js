@@ -0,0 +1,203 @@
+/* ============================================
+   VINTAGE COOKBOOK - SERVICE WORKER
+   Keeps the cookbook usable on a patchy connection
+   ============================================ */
+
+/*
+ * - Pages, styles and scripts are cached when the worker installs, and
+ *   refreshed in the background whenever they are used.
+ * - Recipe and comment reads go to the network first; the last answer for
+ *   each address is kept so recipes already seen still open offline. The
+ *   answers are for whoever is signed in, so app.js clears them when the
+ *   user signs out or someone else signs in.
+ * - Photos are kept once loaded, up to a limit.
+ * - Writes always go to the network. Saving while offline is handled in
+ *   app.js, which queues recipes and comments and sends them on reconnect.
+ *
+ * Bump CACHE_VERSION when the list of shell files changes.
+ */
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `cookbook-shell-${CACHE_VERSION}`;
+const API_CACHE = `cookbook-api-${CACHE_VERSION}`;
+const IMAGE_CACHE = `cookbook-images-${CACHE_VERSION}`;
+
+const MAX_API_ENTRIES = 150;
+const MAX_IMAGE_ENTRIES = 80;
+
+/**
+ * Files every page needs, cached up front
+ */
+const SHELL_FILES = [
+    '/index.html',
+    '/recipes.html',
+    '/add-recipe.html',
+    '/planner.html',
+    '/shopping-list.html',
+    '/styles.css',
+    '/app.js',
+    '/shared/ingredients.js',
+    '/shared/units.js',
+    '/shared/search.js',
+    '/shared/cooking.js',
+    '/shared/recipe-import.js',
+    '/shared/schema.js',
+    '/manifest.webmanifest',
+    '/icons/icon.svg'
+];
+
+/**
+ * API reads that are kept for offline use
+ */
+const CACHED_API_PATHS = ['/api/recipes', '/api/comments'];
+
+/**
+ * Other hosts whose files are kept: fonts and the Firebase scripts
+ */
+const CACHED_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'www.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches left by older versions of this worker
+    const current = [SHELL_CACHE, API_CACHE, IMAGE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('cookbook-') && !current.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (sameOrigin && url.pathname.startsWith('/api/')) {
+        if (CACHED_API_PATHS.some(path => url.pathname.startsWith(path))) {
+            event.respondWith(networkFirst(request));
+        }
+        // Other API reads (plans, lists, moderation) are only useful live
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(navigation(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGE_ENTRIES));
+    } else if (sameOrigin || CACHED_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+/**
+ * Fresh API data when the network answers, the last copy when it does not
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(API_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            trimCache(API_CACHE, MAX_API_ENTRIES);
+        }
+        return response;
+    } catch (error) {
+        // The cache only ever holds the current user's answers (see
+        // clearApiCacheForUser in app.js), so the Authorization header can be ignored
+        const cached = await cache.match(request, { ignoreVary: true });
+        return cached || offlineResponse();
+    }
+}
+
+/**
+ * Pages from the network, or the cached page (ignoring ?recipe= and the like)
+ */
+async function navigation(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(new URL(request.url).pathname, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true }))
+            || (await cache.match('/index.html'))
+            || offlineResponse();
+    }
+}
+
+/**
+ * A cached file straight away, updated from the network for next time
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+
+    const update = fetch(request)
+        .then(response => {
+            // Opaque cross-origin answers have status 0 but are still usable
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || offlineResponse());
+
+    return cached || update;
+}
+
+/**
+ * A cached copy if there is one, otherwise the network
+ */
+async function cacheFirst(request, cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(request, response.clone());
+            trimCache(cacheName, maxEntries);
+        }
+        return response;
+    } catch (error) {
+        return offlineResponse();
+    }
+}
+
+/**
+ * Drop the oldest entries of a cache beyond a limit
+ */
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+/**
+ * The answer when neither the network nor the cache has anything
+ */
+function offlineResponse() {
+    return new Response(JSON.stringify({
+        error: 'Offline',
+        message: 'You are offline and this has not been saved for offline use'
+    }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
@@ -0,0 +1,40 @@
+/**
+ * VINTAGE COOKBOOK - BACKEND SELECTION TESTS
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDatabaseName } = require('../../api/_lib/db');
+
+const SETTINGS = ['DB_BACKEND', 'FIREBASE_PROJECT_ID', 'VERCEL', 'NODE_ENV'];
+const original = Object.fromEntries(SETTINGS.map(name => [name, process.env[name]]));
+
+/**
+ * Replace the environment settings that choose the backend
+ */
+function configure(settings) {
+    SETTINGS.forEach(name => {
+        if (settings[name] === undefined) delete process.env[name];
+        else process.env[name] = settings[name];
+    });
+}
+
+afterEach(() => configure(original));
+
+describe('getDatabaseName', () => {
+    it('uses Firestore unless the local backend is asked for', () => {
+        configure({});
+        assert.equal(getDatabaseName(), 'firestore');
+
+        configure({ DB_BACKEND: 'local' });
+        assert.equal(getDatabaseName(), 'local');
+    });
+
+    it('refuses the local backend in production', () => {
+        configure({ DB_BACKEND: 'local', VERCEL: '1' });
+        assert.throws(() => getDatabaseName(), /development only/);
+
+        configure({ DB_BACKEND: 'local', NODE_ENV: 'production' });
+        assert.throws(() => getDatabaseName(), /development only/);
+    });
+});
@@ -0,0 +1,420 @@
+/**
+ * VINTAGE COOKBOOK - COMMENTS API TESTS
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { callApi, resetDatabase, testUser, createRecipe } = require('../helpers/api');
+const { getDatabase } = require('../../api/_lib/db');
+const recipes = require('../../api/recipes');
+const comments = require('../../api/comments');
+const moderation = require('../../api/moderation');
+
+// Long enough to be read as a recipe ID, but never created
+const MISSING_ID = 'missingRecipe0000000';
+
+let alice;
+let bob;
+let recipe;
+
+beforeEach(async () => {
+    resetDatabase();
+    alice = testUser('Alice');
+    bob = testUser('Bob');
+    recipe = await createRecipe(recipes, alice);
+});
+
+/**
+ * The [field, code] pairs of a validation failure
+ */
+function fieldErrors(response) {
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Validation failed');
+    return response.body.errors.map(error => [error.field, error.code]);
+}
+
+/**
+ * A signed-in user with the moderator role
+ */
+async function moderatorUser() {
+    const moderator = testUser('Mona');
+    await getDatabase().db.collection('roles').doc(moderator.uid).set({ roles: ['moderator'] });
+    return moderator;
+}
+
+/**
+ * Approve or reject a pending comment as a moderator
+ */
+async function reviewComment(commentId, action) {
+    const response = await callApi(moderation, {
+        method: 'POST',
+        url: `/api/moderation/${commentId}/${action}`,
+        user: await moderatorUser()
+    });
+    assert.equal(response.status, 200);
+}
+
+/**
+ * Post a comment and return the response
+ */
+function postComment(user, body) {
+    return callApi(comments, { method: 'POST', url: '/api/comments', user: user, body: body });
+}
+
+/**
+ * Edit a comment's text and return the response
+ */
+function editComment(user, commentId, text) {
+    return callApi(comments, { method: 'PATCH', url: `/api/comments/${commentId}`, user: user, body: { comment: text } });
+}
+
+/**
+ * The recipe's rating count and average
+ */
+async function ratingSummary(recipeId) {
+    const { ratingCount, ratingAverage } = (await callApi(recipes, { url: `/api/recipes/${recipeId}` })).body.recipe;
+    return { ratingCount, ratingAverage };
+}
+
+/**
+ * The comments on a recipe as the given user (or an anonymous visitor) sees them
+ */
+async function listComments(recipeId, user) {
+    const response = await callApi(comments, { url: `/api/comments?recipeId=${recipeId}`, user: user });
+    assert.equal(response.status, 200);
+    return response.body.comments;
+}
+
+describe('POST /api/comments', () => {
+    it('adds a comment to a recipe under the signed-in user\'s name', async () => {
+        const response = await postComment(bob, {
+            recipeId: recipe.id,
+            username: 'Someone Else',
+            comment: 'Made this for Sunday dinner.'
+        });
+
+        assert.equal(response.status, 201);
+        assert.equal(response.body.message, 'Comment added successfully');
+
+        const comment = response.body.comment;
+        assert.equal(comment.recipeId, recipe.id);
+        assert.equal(comment.username, 'Bob');
+        assert.equal(comment.authorId, bob.uid);
+        assert.equal(comment.comment, 'Made this for Sunday dinner.');
+        assert.equal(comment.parentId, null);
+        assert.equal(comment.rating, null);
+        assert.equal(comment.status, 'published');
+        assert.deepEqual(comment.permissions, { canEdit: true, canDelete: true });
+        assert.equal(response.body.rating, null);
+    });
+
+    it('saves a rating given with the comment', async () => {
+        const response = await postComment(bob, { recipeId: recipe.id, comment: 'Perfect crust.', rating: 4 });
+
+        assert.equal(response.status, 201);
+        assert.equal(response.body.comment.rating, 4);
+        assert.equal(response.body.rating.ratingAverage, 4);
+        assert.equal(response.body.rating.ratingCount, 1);
+
+        const fetched = await callApi(recipes, { url: `/api/recipes/${recipe.id}`, user: bob });
+        assert.equal(fetched.body.recipe.ratingAverage, 4);
+        assert.equal(fetched.body.recipe.userRating, 4);
+    });
+
+    it('rejects an invalid rating', async () => {
+        const response = await postComment(bob, { recipeId: recipe.id, comment: 'Hmm.', rating: 9 });
+
+        assert.deepEqual(fieldErrors(response), [['rating', 'invalid_number']]);
+        assert.deepEqual(await listComments(recipe.id), []);
+    });
+
+    it('rejects a comment without text', async () => {
+        const response = await postComment(bob, { recipeId: recipe.id, comment: '' });
+
+        assert.deepEqual(fieldErrors(response), [['comment', 'required']]);
+        assert.equal(response.body.errors[0].message, 'Please write a comment.');
+    });
+
+    it('rejects a comment that is too long', async () => {
+        const response = await postComment(bob, { recipeId: recipe.id, comment: 'a'.repeat(1001) });
+
+        assert.deepEqual(fieldErrors(response), [['comment', 'too_long']]);
+    });
+
+    it('rejects a comment without a recipe', async () => {
+        const response = await postComment(bob, { comment: 'Lovely.' });
+
+        assert.deepEqual(fieldErrors(response), [['recipeId', 'required']]);
+    });
+
+    it('returns 404 for an unknown recipe', async () => {
+        const response = await postComment(bob, { recipeId: MISSING_ID, comment: 'Lovely.' });
+
+        assert.equal(response.status, 404);
+        assert.equal(response.body.error, 'Recipe not found');
+        assert.equal(response.body.recipeId, MISSING_ID);
+    });
+
+    it('requires a signed-in user', async () => {
+        const response = await postComment(null, { recipeId: recipe.id, username: 'Guest', comment: 'Lovely.' });
+
+        assert.equal(response.status, 401);
+    });
+
+    it('rejects submissions with the honeypot field filled in', async () => {
+        const response = await postComment(bob, { recipeId: recipe.id, comment: 'Lovely.', website: 'spam' });
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error, 'Invalid submission');
+    });
+
+    it('holds comments that look like spam for review', async () => {
+        const response = await postComment(bob, { recipeId: recipe.id, comment: 'Cheap pans at www.example.com' });
+
+        assert.equal(response.status, 201);
+        assert.equal(response.body.message, 'Comment is awaiting approval');
+        assert.equal(response.body.comment.status, 'pending');
+        assert.deepEqual(response.body.comment.moderationReasons, ['Contains a link']);
+
+        // Only the author sees a pending comment
+        assert.equal((await listComments(recipe.id, bob)).length, 1);
+        assert.equal((await listComments(recipe.id, alice)).length, 0);
+        assert.equal((await listComments(recipe.id)).length, 0);
+    });
+
+    it('counts the rating of a held comment only once it is approved', async () => {
+        const ratingCount = async () => (await callApi(recipes, { url: `/api/recipes/${recipe.id}` })).body.recipe.ratingCount;
+
+        const held = await postComment(bob, { recipeId: recipe.id, comment: 'Recipe at www.example.com', rating: 5 });
+        assert.equal(held.body.comment.status, 'pending');
+        assert.equal(held.body.rating, null);
+        assert.equal(await ratingCount(), 0);
+
+        const spam = await postComment(alice, { recipeId: recipe.id, comment: 'Pans at www.example.com', rating: 1 });
+        await reviewComment(spam.body.comment.id, 'reject');
+        assert.equal(await ratingCount(), 0);
+
+        await reviewComment(held.body.comment.id, 'approve');
+        const fetched = await callApi(recipes, { url: `/api/recipes/${recipe.id}`, user: bob });
+        assert.equal(fetched.body.recipe.ratingCount, 1);
+        assert.equal(fetched.body.recipe.ratingAverage, 5);
+        assert.equal(fetched.body.recipe.userRating, 5);
+    });
+});
+
+describe('replies', () => {
+    it('attaches a reply to the comment it answers', async () => {
+        const parent = (await postComment(bob, { recipeId: recipe.id, comment: 'How many apples?' })).body.comment;
+        const response = await postComment(alice, { recipeId: recipe.id, comment: 'Six medium ones.', parentId: parent.id });
+
+        assert.equal(response.status, 201);
+        assert.equal(response.body.comment.parentId, parent.id);
+    });
+
+    it('attaches a reply to a reply to the top-level comment', async () => {
+        const parent = (await postComment(bob, { recipeId: recipe.id, comment: 'How many apples?' })).body.comment;
+        const reply = (await postComment(alice, { recipeId: recipe.id, comment: 'Six medium ones.', parentId: parent.id })).body.comment;
+        const response = await postComment(bob, { recipeId: recipe.id, comment: 'Thank you!', parentId: reply.id });
+
+        assert.equal(response.status, 201);
+        assert.equal(response.body.comment.parentId, parent.id);
+    });
+
+    it('rejects a reply to a comment on another recipe', async () => {
+        const otherRecipe = await createRecipe(recipes, alice, { name: 'Peach Cobbler' });
+        const parent = (await postComment(bob, { recipeId: otherRecipe.id, comment: 'So juicy.' })).body.comment;
+        const response = await postComment(alice, { recipeId: recipe.id, comment: 'Agreed.', parentId: parent.id });
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error, 'Invalid reply');
+    });
+
+    it('does not allow a rating on a reply', async () => {
+        const parent = (await postComment(bob, { recipeId: recipe.id, comment: 'How many apples?' })).body.comment;
+        const response = await postComment(alice, { recipeId: recipe.id, comment: 'Six.', parentId: parent.id, rating: 5 });
+
+        assert.deepEqual(fieldErrors(response), [['rating', 'not_allowed']]);
+        assert.equal(response.body.errors[0].message, 'Replies cannot include a rating.');
+    });
+});
+
+describe('GET /api/comments', () => {
+    it('lists only the comments on the requested recipe, newest first', async () => {
+        const otherRecipe = await createRecipe(recipes, alice, { name: 'Peach Cobbler' });
+        await postComment(bob, { recipeId: recipe.id, comment: 'First try was great.' });
+        await postComment(alice, { recipeId: otherRecipe.id, comment: 'Use ripe peaches.' });
+        await postComment(alice, { recipeId: recipe.id, comment: 'Glad you liked it!' });
+
+        const listed = await listComments(recipe.id);
+        assert.deepEqual(listed.map(comment => comment.comment), ['Glad you liked it!', 'First try was great.']);
+        assert.ok(listed.every(comment => comment.recipeId === recipe.id));
+
+        const other = await listComments(otherRecipe.id);
+        assert.deepEqual(other.map(comment => comment.comment), ['Use ripe peaches.']);
+    });
+
+    it('returns each comment with the viewer\'s permissions', async () => {
+        await postComment(bob, { recipeId: recipe.id, comment: 'First try was great.' });
+
+        const [asAuthor] = await listComments(recipe.id, bob);
+        assert.deepEqual(asAuthor.permissions, { canEdit: true, canDelete: true });
+
+        const [asOtherUser] = await listComments(recipe.id, alice);
+        assert.deepEqual(asOtherUser.permissions, { canEdit: false, canDelete: false });
+    });
+
+    it('returns an empty list for a recipe without comments', async () => {
+        assert.deepEqual(await listComments(MISSING_ID), []);
+    });
+
+    it('requires a recipe ID', async () => {
+        const response = await callApi(comments, { url: '/api/comments' });
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error, 'Recipe ID is required');
+    });
+});
+
+describe('PATCH /api/comments/:id', () => {
+    it('lets the author edit a comment', async () => {
+        const posted = (await postComment(bob, { recipeId: recipe.id, comment: 'Needs more sugar.' })).body.comment;
+        const response = await callApi(comments, {
+            method: 'PATCH',
+            url: `/api/comments/${posted.id}`,
+            user: bob,
+            body: { comment: 'Perfect as written.' }
+        });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.comment.comment, 'Perfect as written.');
+        assert.ok(response.body.comment.editedAt);
+        assert.deepEqual((await listComments(recipe.id)).map(comment => comment.comment), ['Perfect as written.']);
+    });
+
+    it('does not let other users edit a comment', async () => {
+        const posted = (await postComment(bob, { recipeId: recipe.id, comment: 'Needs more sugar.' })).body.comment;
+        const response = await callApi(comments, {
+            method: 'PATCH',
+            url: `/api/comments/${posted.id}`,
+            user: alice,
+            body: { comment: 'Changed.' }
+        });
+
+        assert.equal(response.status, 403);
+    });
+
+    it('rejects empty text', async () => {
+        const posted = (await postComment(bob, { recipeId: recipe.id, comment: 'Needs more sugar.' })).body.comment;
+        const response = await callApi(comments, {
+            method: 'PATCH',
+            url: `/api/comments/${posted.id}`,
+            user: bob,
+            body: { comment: '   ' }
+        });
+
+        assert.deepEqual(fieldErrors(response), [['comment', 'required']]);
+    });
+
+    it('returns 404 for an unknown comment', async () => {
+        const response = await callApi(comments, {
+            method: 'PATCH',
+            url: '/api/comments/missing',
+            user: bob,
+            body: { comment: 'Hello' }
+        });
+
+        assert.equal(response.status, 404);
+        assert.equal(response.body.error, 'Comment not found');
+    });
+
+    it('does not let the author edit a rejected comment', async () => {
+        const posted = (await postComment(bob, { recipeId: recipe.id, comment: 'Cheap pans at www.example.com' })).body.comment;
+        await reviewComment(posted.id, 'reject');
+
+        const response = await callApi(comments, {
+            method: 'PATCH',
+            url: `/api/comments/${posted.id}`,
+            user: bob,
+            body: { comment: 'Lovely pie.' }
+        });
+
+        assert.equal(response.status, 409);
+        const stored = await getDatabase().db.collection('comments').doc(posted.id).get();
+        assert.equal(stored.data().status, 'rejected');
+        assert.equal(stored.data().comment, 'Cheap pans at www.example.com');
+    });
+
+    it('counts the rating of a held comment once an edit publishes it', async () => {
+        const held = (await postComment(bob, { recipeId: recipe.id, comment: 'Recipe at www.example.com', rating: 5 })).body.comment;
+
+        const response = await editComment(bob, held.id, 'Lovely pie.');
+
+        assert.equal(response.body.comment.status, 'published');
+        assert.deepEqual(await ratingSummary(recipe.id), { ratingCount: 1, ratingAverage: 5 });
+    });
+
+    it('stops counting the rating while an edited comment awaits review', async () => {
+        const posted = (await postComment(bob, { recipeId: recipe.id, comment: 'Too dry.', rating: 1 })).body.comment;
+        assert.deepEqual(await ratingSummary(recipe.id), { ratingCount: 1, ratingAverage: 1 });
+
+        const response = await editComment(bob, posted.id, 'Better pans at www.example.com');
+
+        assert.equal(response.body.comment.status, 'pending');
+        assert.deepEqual(await ratingSummary(recipe.id), { ratingCount: 0, ratingAverage: 0 });
+    });
+
+    it('does not count the rating of an edited comment a moderator rejects', async () => {
+        const posted = (await postComment(bob, { recipeId: recipe.id, comment: 'Too dry.', rating: 1 })).body.comment;
+        await editComment(bob, posted.id, 'Better pans at www.example.com');
+
+        await reviewComment(posted.id, 'reject');
+
+        assert.deepEqual(await ratingSummary(recipe.id), { ratingCount: 0, ratingAverage: 0 });
+        const fetched = await callApi(recipes, { url: `/api/recipes/${recipe.id}`, user: bob });
+        assert.equal(fetched.body.recipe.userRating, null);
+    });
+});
+
+describe('DELETE /api/comments/:id', () => {
+    it('deletes a comment together with its replies', async () => {
+        const parent = (await postComment(bob, { recipeId: recipe.id, comment: 'How many apples?' })).body.comment;
+        await postComment(alice, { recipeId: recipe.id, comment: 'Six medium ones.', parentId: parent.id });
+        await postComment(alice, { recipeId: recipe.id, comment: 'Any tart kind works.' });
+
+        const response = await callApi(comments, { method: 'DELETE', url: `/api/comments/${parent.id}`, user: bob });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.deletedReplies, 1);
+        assert.deepEqual((await listComments(recipe.id)).map(comment => comment.comment), ['Any tart kind works.']);
+    });
+
+    it('does not let other users delete a comment', async () => {
+        const posted = (await postComment(bob, { recipeId: recipe.id, comment: 'Lovely.' })).body.comment;
+        const response = await callApi(comments, { method: 'DELETE', url: `/api/comments/${posted.id}`, user: alice });
+
+        assert.equal(response.status, 403);
+        assert.equal((await listComments(recipe.id)).length, 1);
+    });
+
+    it('requires a signed-in user', async () => {
+        const posted = (await postComment(bob, { recipeId: recipe.id, comment: 'Lovely.' })).body.comment;
+        const response = await callApi(comments, { method: 'DELETE', url: `/api/comments/${posted.id}` });
+
+        assert.equal(response.status, 401);
+    });
+
+    it('returns 404 for an unknown comment', async () => {
+        const response = await callApi(comments, { method: 'DELETE', url: '/api/comments/missing', user: bob });
+
+        assert.equal(response.status, 404);
+    });
+});
+
+describe('other methods', () => {
+    it('rejects unsupported methods', async () => {
+        const response = await callApi(comments, { method: 'PUT', url: '/api/comments', user: bob, body: {} });
+
+        assert.equal(response.status, 405);
+        assert.deepEqual(response.body.allowedMethods, ['GET', 'POST', 'PATCH', 'DELETE']);
+    });
+});
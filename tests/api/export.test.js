@@ -0,0 +1,55 @@
+/**
+ * VINTAGE COOKBOOK - EXPORT API TESTS
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { callApi, resetDatabase, testUser, createRecipe } = require('../helpers/api');
+const recipes = require('../../api/recipes');
+const comments = require('../../api/comments');
+const exporter = require('../../api/export');
+
+let alice;
+
+beforeEach(() => {
+    resetDatabase();
+    alice = testUser('Alice');
+});
+
+describe('GET /api/export', () => {
+    it('keeps each comment\'s author and rating', async () => {
+        const recipe = await createRecipe(recipes, alice);
+        await callApi(comments, {
+            method: 'POST',
+            url: '/api/comments',
+            user: alice,
+            body: { recipeId: recipe.id, comment: 'A family favourite.', rating: 5 }
+        });
+
+        const response = await callApi(exporter, { url: '/api/export' });
+
+        const [comment] = response.body.recipes[0].comments;
+        assert.equal(comment.authorId, alice.uid);
+        assert.equal(comment.rating, 5);
+    });
+});
+
+describe('GET /api/export?format=pdf', () => {
+    it('prints the chosen recipes', async () => {
+        const recipe = await createRecipe(recipes, alice);
+
+        const response = await callApi(exporter, { url: `/api/export?format=pdf&ids=${recipe.id}` });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers['content-type'], 'application/pdf');
+    });
+
+    it('refuses recipe IDs that are not valid with 400', async () => {
+        const recipe = await createRecipe(recipes, alice);
+
+        const response = await callApi(exporter, { url: `/api/export?format=pdf&ids=${recipe.id},recipes%2Fabc,__name__` });
+
+        assert.equal(response.status, 400);
+        assert.deepEqual(response.body.ids, ['recipes/abc', '__name__']);
+    });
+});
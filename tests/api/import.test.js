@@ -0,0 +1,111 @@
+/**
+ * VINTAGE COOKBOOK - IMPORT API TESTS
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { callApi, resetDatabase, testUser, recipeBody } = require('../helpers/api');
+const { getDatabase } = require('../../api/_lib/db');
+const importer = require('../../api/import');
+const recipes = require('../../api/recipes');
+
+let editor;
+
+/**
+ * Import recipe records as an editor and return the response
+ */
+function importRecipes(records, dryRun = false) {
+    return callApi(importer, {
+        method: 'POST',
+        url: `/api/import${dryRun ? '?dryRun=true' : ''}`,
+        user: editor,
+        body: { format: 'vintage-cookbook', version: 1, recipes: records }
+    });
+}
+
+beforeEach(async () => {
+    resetDatabase();
+    editor = testUser('Edna');
+    await getDatabase().db.collection('roles').doc(editor.uid).set({ roles: ['editor'] });
+});
+
+describe('POST /api/import', () => {
+    it('creates the recipes with their comments', async () => {
+        const response = await importRecipes([{
+            ...recipeBody({ name: 'Peach Cobbler' }),
+            comments: [{ id: 'c1', username: 'Alice', comment: 'Lovely.' }]
+        }]);
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.summary, { total: 1, created: 1 });
+        assert.equal(response.body.results[0].comments.imported, 1);
+
+        const listed = await callApi(recipes, { url: '/api/recipes' });
+        assert.deepEqual(listed.body.recipes.map(recipe => recipe.name), ['Peach Cobbler']);
+    });
+
+    it('keeps comment authors and adds their ratings to the recipe', async () => {
+        const response = await importRecipes([{
+            ...recipeBody({ name: 'Peach Cobbler' }),
+            comments: [
+                { id: 'c1', authorId: 'alice-uid', username: 'Alice', comment: 'Lovely.', rating: 5 },
+                { id: 'c2', authorId: 'bob-uid', username: 'Bob', comment: 'Too sweet.', rating: 2 },
+                { id: 'c3', parentId: 'c1', authorId: 'bob-uid', username: 'Bob', comment: 'Fair enough.' },
+                { id: 'c4', authorId: 'bob-uid', username: 'Bob', comment: 'Better with less sugar.', rating: 3 },
+                { id: 'c5', authorId: 'bad/uid', username: 'Carol', comment: 'Nice.', rating: 4 }
+            ]
+        }]);
+        const recipeId = response.body.results[0].recipeId;
+        const { db } = getDatabase();
+
+        const comments = (await db.collection('comments').where('recipeId', '==', recipeId).get()).docs.map(doc => doc.data());
+        assert.deepEqual(comments.map(comment => comment.authorId).sort(), ['alice-uid', 'bob-uid', 'bob-uid', 'bob-uid', editor.uid].sort());
+
+        const recipe = (await db.collection('recipes').doc(recipeId).get()).data();
+        assert.equal(recipe.ratingCount, 3);
+        assert.equal(recipe.ratingAverage, 4);
+        const ratings = (await db.collection('ratings').where('recipeId', '==', recipeId).get()).docs.map(doc => doc.data());
+        assert.deepEqual(ratings.map(rating => `${rating.uid}:${rating.rating}`).sort(), ['alice-uid:5', 'bob-uid:3', `${editor.uid}:4`].sort());
+    });
+
+    it('matches categories that are no longer listed to a listed one', async () => {
+        const response = await importRecipes([
+            recipeBody({ name: 'Tomato Sauce', category: 'Sauces' }),
+            recipeBody({ name: 'Mystery Dish', category: 'uncategorized' }),
+            recipeBody({ name: 'Chicken Soup', category: 'uncategorized' }),
+            recipeBody({ name: 'Brownies', category: 'Baking' })
+        ]);
+
+        assert.deepEqual(response.body.summary, { total: 4, created: 4 });
+        assert.deepEqual(response.body.results.map(result => result.categoryChangedFrom), [
+            undefined, 'uncategorized', 'uncategorized', 'Baking'
+        ]);
+
+        const snapshot = await getDatabase().db.collection('recipes').get();
+        const categories = Object.fromEntries(snapshot.docs.map(doc => [doc.data().name, doc.data().category]));
+        assert.deepEqual(categories, {
+            'Tomato Sauce': 'sauces',
+            'Mystery Dish': 'main-course',
+            'Chicken Soup': 'soups',
+            'Brownies': 'desserts'
+        });
+    });
+
+    it('lists records that break the schema with their field errors', async () => {
+        const response = await importRecipes([recipeBody({ instructions: 'Bake.' })], true);
+
+        assert.equal(response.body.results[0].status, 'invalid');
+        assert.deepEqual(response.body.results[0].errors.map(error => error.field), ['instructions']);
+    });
+
+    it('is limited to editors', async () => {
+        const response = await callApi(importer, {
+            method: 'POST',
+            url: '/api/import',
+            user: testUser('Bob'),
+            body: { recipes: [] }
+        });
+
+        assert.equal(response.status, 403);
+    });
+});
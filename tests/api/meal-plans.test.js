@@ -0,0 +1,45 @@
+/**
+ * VINTAGE COOKBOOK - MEAL PLANS API TESTS
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { callApi, resetDatabase, testUser, createRecipe } = require('../helpers/api');
+const recipes = require('../../api/recipes');
+const mealPlans = require('../../api/meal-plans');
+
+const WEEK = '2026-01-05';
+
+let alice;
+
+/**
+ * Save Alice's meals for the test week
+ */
+function saveMeals(meals) {
+    return callApi(mealPlans, { method: 'PUT', url: `/api/meal-plans/${WEEK}`, user: alice, body: { meals } });
+}
+
+beforeEach(() => {
+    resetDatabase();
+    alice = testUser('Alice');
+});
+
+describe('PUT /api/meal-plans/:week', () => {
+    it('saves meals for existing recipes', async () => {
+        const recipe = await createRecipe(recipes, alice);
+
+        const response = await saveMeals([{ day: 0, meal: 'dinner', recipeId: recipe.id }]);
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.plan.meals[0].recipeId, recipe.id);
+    });
+
+    for (const recipeId of ['recipes/abc', '..', '__name__', 'x'.repeat(101), 42]) {
+        it(`refuses the recipe ID ${JSON.stringify(recipeId).substring(0, 20)}`, async () => {
+            const response = await saveMeals([{ day: 0, meal: 'dinner', recipeId }]);
+
+            assert.equal(response.status, 400);
+            assert.equal(response.body.error, 'Invalid meal plan');
+        });
+    }
+});
@@ -0,0 +1,99 @@
+/**
+ * VINTAGE COOKBOOK - DATA MIGRATION TESTS
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { callApi, resetDatabase, testUser, recipeBody, createRecipe } = require('../helpers/api');
+const { getDatabase } = require('../../api/_lib/db');
+const { MAX_BATCH_WRITES, commitInBatches, runMigrations } = require('../../api/_lib/migrations');
+const recipes = require('../../api/recipes');
+const search = require('../../api/search');
+const exporter = require('../../api/export');
+
+let alice;
+let log;
+
+/**
+ * Save a recipe the way an older version did, without the fields added since
+ */
+async function saveLegacyRecipe(fields = {}) {
+    const { db, FieldValue } = getDatabase();
+    const ref = db.collection('recipes').doc();
+    await ref.set({ ...recipeBody(), authorId: alice.uid, createdAt: FieldValue.serverTimestamp(), ...fields });
+    return ref.id;
+}
+
+beforeEach(() => {
+    resetDatabase();
+    alice = testUser('Alice');
+    log = [];
+});
+
+describe('runMigrations', () => {
+    it('adds rating summaries so older recipes are listed by rating', async () => {
+        const legacyId = await saveLegacyRecipe({ name: 'Legacy Loaf' });
+        await createRecipe(recipes, alice, { name: 'New Loaf' });
+
+        await runMigrations(getDatabase().db, line => log.push(line));
+
+        const response = await callApi(recipes, { url: '/api/recipes?sort=rating' });
+        assert.deepEqual(response.body.recipes.map(recipe => recipe.name).sort(), ['Legacy Loaf', 'New Loaf']);
+        const legacy = (await getDatabase().db.collection('recipes').doc(legacyId).get()).data();
+        assert.equal(legacy.ratingAverage, 0);
+        assert.equal(legacy.ratingCount, 0);
+        assert.ok(log.includes('rating-summaries: updated 1 document'));
+    });
+
+    it('indexes older recipes so search finds them', async () => {
+        await saveLegacyRecipe({ name: 'Legacy Lentil Soup' });
+
+        const before = await callApi(search, { url: '/api/search?q=lentil' });
+        assert.equal(before.body.recipes.length, 0);
+
+        await runMigrations(getDatabase().db, line => log.push(line));
+
+        const after = await callApi(search, { url: '/api/search?q=lentil' });
+        assert.deepEqual(after.body.recipes.map(recipe => recipe.name), ['Legacy Lentil Soup']);
+        assert.ok(log.includes('search-index: updated 1 document'));
+    });
+
+    it('lowercases older categories so a category can be printed', async () => {
+        const legacyId = await saveLegacyRecipe({ category: 'Desserts' });
+
+        const before = await callApi(exporter, { url: '/api/export?format=pdf&category=desserts' });
+        assert.equal(before.status, 404);
+
+        await runMigrations(getDatabase().db, line => log.push(line));
+
+        const after = await callApi(exporter, { url: '/api/export?format=pdf&category=desserts' });
+        assert.equal(after.status, 200);
+        const legacy = (await getDatabase().db.collection('recipes').doc(legacyId).get()).data();
+        assert.equal(legacy.category, 'desserts');
+        assert.ok(log.includes('category-case: updated 1 document'));
+    });
+
+    it('changes nothing the second time', async () => {
+        await saveLegacyRecipe();
+        await runMigrations(getDatabase().db, () => {});
+        await runMigrations(getDatabase().db, line => log.push(line));
+
+        assert.ok(log.every(line => / updated 0 documents$/.test(line)));
+    });
+});
+
+describe('commitInBatches', () => {
+    it('splits writes into batches Firestore accepts', async () => {
+        const batchSizes = [];
+        const db = {
+            batch: () => {
+                let size = 0;
+                return { add: () => size++, commit: async () => batchSizes.push(size) };
+            }
+        };
+        const writes = Array.from({ length: MAX_BATCH_WRITES * 2 + 1 }, () => batch => batch.add());
+
+        assert.equal(await commitInBatches(db, writes), writes.length);
+        assert.deepEqual(batchSizes, [MAX_BATCH_WRITES, MAX_BATCH_WRITES, 1]);
+    });
+});
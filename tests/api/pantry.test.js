@@ -0,0 +1,46 @@
+/**
+ * VINTAGE COOKBOOK - PANTRY API TESTS
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { callApi, resetDatabase, testUser, createRecipe } = require('../helpers/api');
+const recipes = require('../../api/recipes');
+const pantry = require('../../api/pantry');
+
+let alice;
+
+/**
+ * Ask which recipes the given pantry items can cook
+ */
+function findCookable(items) {
+    return callApi(pantry, { method: 'POST', url: '/api/pantry', body: { items } });
+}
+
+beforeEach(() => {
+    resetDatabase();
+    alice = testUser('Alice');
+});
+
+describe('POST /api/pantry', () => {
+    for (const [pantryItem, ingredient] of [['eggs', '3 large eggs'], ['flour', '2 cups all-purpose flour'], ['butter', '1/2 cup unsalted butter']]) {
+        it(`counts "${ingredient}" as covered by "${pantryItem}"`, async () => {
+            await createRecipe(recipes, alice, { ingredients: ingredient });
+
+            const response = await findCookable([pantryItem]);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.recipes[0].pantryMatch.coverage, 1);
+        });
+    }
+
+    for (const [pantryItem, ingredient] of [['chicken', '4 cups chicken stock'], ['chicken stock', '1 chicken'], ['chicken breast', '1 chicken'], ['butter', '1 cup peanut butter']]) {
+        it(`does not count "${ingredient}" as covered by "${pantryItem}"`, async () => {
+            await createRecipe(recipes, alice, { ingredients: `${ingredient}\n2 carrots` });
+
+            const response = await findCookable([pantryItem, 'carrots']);
+
+            assert.equal(response.body.recipes[0].pantryMatch.missing.length, 1);
+        });
+    }
+});
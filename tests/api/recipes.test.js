@@ -0,0 +1,620 @@
+/**
+ * VINTAGE COOKBOOK - RECIPES API TESTS
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { callApi, resetDatabase, testUser, recipeBody, createRecipe } = require('../helpers/api');
+const { getDatabase } = require('../../api/_lib/db');
+const { getStorage } = require('../../api/_lib/storage');
+const { uploadRef, variantPath } = require('../../api/_lib/images');
+const recipes = require('../../api/recipes');
+
+// Long enough to be read as a recipe ID, but never created
+const MISSING_ID = 'missingRecipe0000000';
+
+let alice;
+let bob;
+
+/**
+ * The [field, code] pairs of a validation failure
+ */
+function fieldErrors(response) {
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Validation failed');
+    return response.body.errors.map(error => [error.field, error.code]);
+}
+
+beforeEach(() => {
+    resetDatabase();
+    alice = testUser('Alice');
+    bob = testUser('Bob');
+});
+
+describe('POST /api/recipes', () => {
+    it('creates a recipe owned by the signed-in user', async () => {
+        const response = await callApi(recipes, {
+            method: 'POST',
+            url: '/api/recipes',
+            user: alice,
+            body: recipeBody({ servings: '4' })
+        });
+
+        assert.equal(response.status, 201);
+        assert.equal(response.body.success, true);
+
+        const recipe = response.body.recipe;
+        assert.equal(typeof recipe.id, 'string');
+        assert.equal(recipe.name, 'Grandma\'s Apple Pie');
+        assert.equal(recipe.servings, 4);
+        assert.equal(recipe.authorId, alice.uid);
+        assert.equal(recipe.authorName, 'Alice');
+        assert.equal(recipe.ratingCount, 0);
+        assert.ok(recipe.createdAt._seconds > 0);
+        assert.deepEqual(
+            recipe.ingredientList.map(ingredient => [ingredient.quantity, ingredient.unit, ingredient.item]),
+            [[6, null, 'apples'], [1, 'cup', 'sugar'], [2, 'cup', 'flour'], [1, 'tsp', 'cinnamon']]
+        );
+    });
+
+    it('sanitizes text and falls back to defaults for optional fields', async () => {
+        const recipe = await createRecipe(recipes, alice, {
+            name: '  <b>Toast</b>  ',
+            category: 'Desserts',
+            prepTime: undefined,
+            servings: ''
+        });
+
+        assert.equal(recipe.name, 'bToast/b');
+        assert.equal(recipe.category, 'desserts');
+        assert.equal(recipe.prepTime, '');
+        assert.equal(recipe.servings, null);
+    });
+
+    it('records the first revision', async () => {
+        const recipe = await createRecipe(recipes, alice);
+        const response = await callApi(recipes, { url: `/api/recipes/${recipe.id}/revisions` });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.count, 1);
+        assert.equal(response.body.revisions[0].action, 'created');
+        assert.equal(response.body.revisions[0].editedById, alice.uid);
+        assert.equal(response.body.revisions[0].snapshot.name, recipe.name);
+    });
+
+    for (const field of ['name', 'category', 'ingredients', 'instructions']) {
+        it(`rejects a recipe without ${field}`, async () => {
+            const response = await callApi(recipes, {
+                method: 'POST',
+                url: '/api/recipes',
+                user: alice,
+                body: recipeBody({ [field]: '' })
+            });
+
+            assert.deepEqual(fieldErrors(response), [[field, 'required']]);
+            assert.ok(response.body.errors[0].message);
+        });
+    }
+
+    it('reports every invalid field at once', async () => {
+        const response = await callApi(recipes, {
+            method: 'POST',
+            url: '/api/recipes',
+            user: alice,
+            body: recipeBody({
+                name: 'Pi',
+                category: 'snacks',
+                servings: 'lots',
+                instructions: 'Bake it.',
+                notes: 'x'.repeat(10001)
+            })
+        });
+
+        assert.deepEqual(fieldErrors(response), [
+            ['name', 'too_short'],
+            ['category', 'invalid_choice'],
+            ['servings', 'invalid_number'],
+            ['instructions', 'too_short'],
+            ['notes', 'too_long']
+        ]);
+        assert.equal(response.body.errors[0].message, 'Recipe name must be at least 3 characters long.');
+    });
+
+    it('rejects a request without a body', async () => {
+        const response = await callApi(recipes, { method: 'POST', url: '/api/recipes', user: alice });
+
+        assert.deepEqual(fieldErrors(response), [
+            ['name', 'required'],
+            ['category', 'required'],
+            ['ingredients', 'required'],
+            ['instructions', 'required']
+        ]);
+    });
+
+    it('requires a signed-in user', async () => {
+        const response = await callApi(recipes, { method: 'POST', url: '/api/recipes', body: recipeBody() });
+
+        assert.equal(response.status, 401);
+        assert.equal(response.body.error, 'Authentication required');
+    });
+
+    it('refuses an invalid sign-in token', async () => {
+        const response = await callApi(recipes, {
+            method: 'POST',
+            url: '/api/recipes',
+            token: 'not-a-token',
+            body: recipeBody()
+        });
+
+        assert.equal(response.status, 401);
+        assert.equal(response.body.message, 'Invalid or expired sign-in token');
+    });
+
+    it('rejects submissions with the honeypot field filled in', async () => {
+        const response = await callApi(recipes, {
+            method: 'POST',
+            url: '/api/recipes',
+            user: alice,
+            body: recipeBody({ website: 'http://spam.example' })
+        });
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error, 'Invalid submission');
+    });
+});
+
+describe('GET /api/recipes/:id', () => {
+    it('returns the recipe with the permissions of the requesting user', async () => {
+        const created = await createRecipe(recipes, alice);
+
+        const asAuthor = await callApi(recipes, { url: `/api/recipes/${created.id}`, user: alice });
+        assert.equal(asAuthor.status, 200);
+        assert.equal(asAuthor.body.recipe.id, created.id);
+        assert.equal(asAuthor.body.recipe.name, created.name);
+        assert.deepEqual(asAuthor.body.recipe.permissions, { canEdit: true, canDelete: true });
+        assert.equal(asAuthor.body.recipe.userRating, null);
+
+        const anonymous = await callApi(recipes, { url: `/api/recipes/${created.id}` });
+        assert.equal(anonymous.status, 200);
+        assert.deepEqual(anonymous.body.recipe.permissions, { canEdit: false, canDelete: false });
+
+        const asOtherUser = await callApi(recipes, { url: `/api/recipes/${created.id}`, user: bob });
+        assert.deepEqual(asOtherUser.body.recipe.permissions, { canEdit: false, canDelete: false });
+    });
+
+    it('includes a unit conversion when asked', async () => {
+        const created = await createRecipe(recipes, alice, { instructions: 'Bake at 350°F for 45 minutes until golden.' });
+        const response = await callApi(recipes, { url: `/api/recipes/${created.id}?units=metric` });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.recipe.converted.units, 'metric');
+        assert.equal(response.body.recipe.converted.ingredientList.length, 4);
+        assert.match(response.body.recipe.converted.instructions, /175°C/);
+        // The stored text is left alone
+        assert.match(response.body.recipe.instructions, /350°F/);
+    });
+
+    it('returns 404 for an unknown recipe', async () => {
+        const response = await callApi(recipes, { url: `/api/recipes/${MISSING_ID}` });
+
+        assert.equal(response.status, 404);
+        assert.equal(response.body.error, 'Recipe not found');
+        assert.equal(response.body.recipeId, MISSING_ID);
+    });
+});
+
+describe('GET /api/recipes', () => {
+    async function createNamed(names) {
+        const created = [];
+        for (const name of names) {
+            created.push(await createRecipe(recipes, alice, { name: name }));
+        }
+        return created;
+    }
+
+    it('lists the newest recipes first by default', async () => {
+        await createNamed(['Biscuits', 'Apple Cake', 'Cornbread']);
+        const response = await callApi(recipes, { url: '/api/recipes' });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.sort, 'newest');
+        assert.equal(response.body.count, 3);
+        assert.deepEqual(response.body.recipes.map(recipe => recipe.name), ['Cornbread', 'Apple Cake', 'Biscuits']);
+        assert.equal(response.body.hasMore, false);
+        assert.equal(response.body.nextCursor, null);
+    });
+
+    it('sorts by oldest and by name', async () => {
+        await createNamed(['Biscuits', 'Apple Cake', 'Cornbread']);
+
+        const oldest = await callApi(recipes, { url: '/api/recipes?sort=oldest' });
+        assert.deepEqual(oldest.body.recipes.map(recipe => recipe.name), ['Biscuits', 'Apple Cake', 'Cornbread']);
+
+        const byName = await callApi(recipes, { url: '/api/recipes?sort=name' });
+        assert.deepEqual(byName.body.recipes.map(recipe => recipe.name), ['Apple Cake', 'Biscuits', 'Cornbread']);
+
+        const unknown = await callApi(recipes, { url: '/api/recipes?sort=spiciest' });
+        assert.equal(unknown.body.sort, 'newest');
+    });
+
+    it('sorts by rating, with recipes nobody has rated last', async () => {
+        const [first, second] = await createNamed(['Biscuits', 'Apple Cake', 'Cornbread']);
+        await callApi(recipes, { method: 'PUT', url: `/api/recipes/${first.id}/rating`, user: bob, body: { rating: 3 } });
+        await callApi(recipes, { method: 'PUT', url: `/api/recipes/${second.id}/rating`, user: bob, body: { rating: 5 } });
+
+        const response = await callApi(recipes, { url: '/api/recipes?sort=rating' });
+        assert.deepEqual(response.body.recipes.map(recipe => recipe.name), ['Apple Cake', 'Biscuits', 'Cornbread']);
+    });
+
+    it('pages through recipes with a cursor', async () => {
+        await createNamed(['One', 'Two', 'Three', 'Four', 'Five']);
+
+        const firstPage = await callApi(recipes, { url: '/api/recipes?limit=2' });
+        assert.deepEqual(firstPage.body.recipes.map(recipe => recipe.name), ['Five', 'Four']);
+        assert.equal(firstPage.body.hasMore, true);
+
+        const secondPage = await callApi(recipes, { url: `/api/recipes?limit=2&cursor=${firstPage.body.nextCursor}` });
+        assert.deepEqual(secondPage.body.recipes.map(recipe => recipe.name), ['Three', 'Two']);
+
+        const lastPage = await callApi(recipes, { url: `/api/recipes?limit=2&cursor=${secondPage.body.nextCursor}` });
+        assert.deepEqual(lastPage.body.recipes.map(recipe => recipe.name), ['One']);
+        assert.equal(lastPage.body.hasMore, false);
+    });
+
+    it('rejects an unknown cursor', async () => {
+        const response = await callApi(recipes, { url: `/api/recipes?cursor=${MISSING_ID}` });
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error, 'Invalid cursor');
+    });
+
+    it('filters by search term and category', async () => {
+        await createRecipe(recipes, alice, { name: 'Chicken Soup', category: 'soups', ingredients: '1 chicken\n2 carrots' });
+        await createRecipe(recipes, alice, { name: 'Carrot Cake', category: 'desserts', ingredients: '3 carrots\n2 cups flour' });
+        await createRecipe(recipes, alice, { name: 'Pound Cake', category: 'desserts', ingredients: '1 lb butter\n1 lb sugar' });
+
+        const searched = await callApi(recipes, { url: '/api/recipes?q=CARROT' });
+        assert.deepEqual(searched.body.recipes.map(recipe => recipe.name).sort(), ['Carrot Cake', 'Chicken Soup']);
+
+        const filtered = await callApi(recipes, { url: '/api/recipes?category=desserts' });
+        assert.deepEqual(filtered.body.recipes.map(recipe => recipe.name).sort(), ['Carrot Cake', 'Pound Cake']);
+
+        const both = await callApi(recipes, { url: '/api/recipes?q=carrot&category=desserts' });
+        assert.deepEqual(both.body.recipes.map(recipe => recipe.name), ['Carrot Cake']);
+    });
+
+    it('returns the most recent recipes', async () => {
+        await createNamed(['Biscuits', 'Apple Cake', 'Cornbread']);
+        const response = await callApi(recipes, { url: '/api/recipes?recent=2' });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.count, 2);
+        assert.deepEqual(response.body.recipes.map(recipe => recipe.name), ['Cornbread', 'Apple Cake']);
+    });
+
+    it('returns an empty list when there are no recipes', async () => {
+        const response = await callApi(recipes, { url: '/api/recipes?recent=5' });
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.recipes, []);
+    });
+});
+
+describe('PUT /api/recipes/:id', () => {
+    it('lets the author update a recipe and records a revision', async () => {
+        const created = await createRecipe(recipes, alice);
+        const response = await callApi(recipes, {
+            method: 'PUT',
+            url: `/api/recipes/${created.id}`,
+            user: alice,
+            body: recipeBody({ name: 'Dutch Apple Pie' })
+        });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.recipe.name, 'Dutch Apple Pie');
+        assert.equal(response.body.recipe.authorId, alice.uid);
+
+        const revisions = await callApi(recipes, { url: `/api/recipes/${created.id}/revisions` });
+        assert.deepEqual(revisions.body.revisions.map(revision => revision.action), ['updated', 'created']);
+    });
+
+    it('does not let other users update a recipe', async () => {
+        const created = await createRecipe(recipes, alice);
+        const response = await callApi(recipes, {
+            method: 'PUT',
+            url: `/api/recipes/${created.id}`,
+            user: bob,
+            body: recipeBody({ name: 'Bob\'s Pie' })
+        });
+
+        assert.equal(response.status, 403);
+        assert.equal(response.body.error, 'Forbidden');
+
+        const unchanged = await callApi(recipes, { url: `/api/recipes/${created.id}` });
+        assert.equal(unchanged.body.recipe.name, created.name);
+    });
+
+    it('validates the updated fields', async () => {
+        const created = await createRecipe(recipes, alice);
+        const response = await callApi(recipes, {
+            method: 'PUT',
+            url: `/api/recipes/${created.id}`,
+            user: alice,
+            body: recipeBody({ instructions: '' })
+        });
+
+        assert.deepEqual(fieldErrors(response), [['instructions', 'required']]);
+    });
+
+    it('returns 404 for an unknown recipe', async () => {
+        const response = await callApi(recipes, {
+            method: 'PUT',
+            url: `/api/recipes/${MISSING_ID}`,
+            user: alice,
+            body: recipeBody()
+        });
+
+        assert.equal(response.status, 404);
+    });
+});
+
+describe('POST /api/recipes/:id/revisions/:revisionId/restore', () => {
+    it('rolls a recipe back to an earlier revision', async () => {
+        const created = await createRecipe(recipes, alice);
+        await callApi(recipes, {
+            method: 'PUT',
+            url: `/api/recipes/${created.id}`,
+            user: alice,
+            body: recipeBody({ name: 'Renamed Pie' })
+        });
+
+        const history = await callApi(recipes, { url: `/api/recipes/${created.id}/revisions` });
+        const original = history.body.revisions.find(revision => revision.action === 'created');
+
+        const response = await callApi(recipes, {
+            method: 'POST',
+            url: `/api/recipes/${created.id}/revisions/${original.id}/restore`,
+            user: alice
+        });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.restoredFrom, original.id);
+        assert.equal(response.body.recipe.name, created.name);
+
+        const after = await callApi(recipes, { url: `/api/recipes/${created.id}/revisions` });
+        assert.equal(after.body.revisions[0].action, 'restored');
+        assert.equal(after.body.revisions[0].restoredFrom, original.id);
+    });
+
+    it('returns 404 for an unknown revision', async () => {
+        const created = await createRecipe(recipes, alice);
+        const response = await callApi(recipes, {
+            method: 'POST',
+            url: `/api/recipes/${created.id}/revisions/missing/restore`,
+            user: alice
+        });
+
+        assert.equal(response.status, 404);
+        assert.equal(response.body.error, 'Revision not found');
+    });
+
+    it('returns 404 for the revisions of an unknown recipe', async () => {
+        const response = await callApi(recipes, { url: `/api/recipes/${MISSING_ID}/revisions` });
+
+        assert.equal(response.status, 404);
+    });
+});
+
+describe('PUT /api/recipes/:id/rating', () => {
+    it('averages ratings and replaces a user\'s earlier rating', async () => {
+        const created = await createRecipe(recipes, alice);
+        const rate = (user, rating) => callApi(recipes, {
+            method: 'PUT',
+            url: `/api/recipes/${created.id}/rating`,
+            user: user,
+            body: { rating: rating }
+        });
+
+        await rate(alice, 5);
+        await rate(bob, 2);
+        const response = await rate(bob, 4);
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.ratingCount, 2);
+        assert.equal(response.body.ratingAverage, 4.5);
+        assert.equal(response.body.userRating, 4);
+    });
+
+    it('rejects ratings outside 1 to 5', async () => {
+        const created = await createRecipe(recipes, alice);
+        for (const rating of [0, 6, 2.5, 'great']) {
+            const response = await callApi(recipes, {
+                method: 'PUT',
+                url: `/api/recipes/${created.id}/rating`,
+                user: bob,
+                body: { rating: rating }
+            });
+            assert.deepEqual(fieldErrors(response), [['rating', 'invalid_number']], `rating ${rating}`);
+        }
+    });
+
+    it('returns 404 for an unknown recipe', async () => {
+        const response = await callApi(recipes, {
+            method: 'PUT',
+            url: `/api/recipes/${MISSING_ID}/rating`,
+            user: bob,
+            body: { rating: 5 }
+        });
+
+        assert.equal(response.status, 404);
+    });
+});
+
+describe('DELETE /api/recipes/:id', () => {
+    it('lets the author delete a recipe along with its history', async () => {
+        const created = await createRecipe(recipes, alice);
+        const response = await callApi(recipes, { method: 'DELETE', url: `/api/recipes/${created.id}`, user: alice });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.recipeId, created.id);
+
+        const fetched = await callApi(recipes, { url: `/api/recipes/${created.id}` });
+        assert.equal(fetched.status, 404);
+
+        const listed = await callApi(recipes, { url: '/api/recipes' });
+        assert.equal(listed.body.count, 0);
+    });
+
+    it('does not let other users delete a recipe', async () => {
+        const created = await createRecipe(recipes, alice);
+        const response = await callApi(recipes, { method: 'DELETE', url: `/api/recipes/${created.id}`, user: bob });
+
+        assert.equal(response.status, 403);
+
+        const fetched = await callApi(recipes, { url: `/api/recipes/${created.id}` });
+        assert.equal(fetched.status, 200);
+    });
+
+    it('requires a signed-in user', async () => {
+        const created = await createRecipe(recipes, alice);
+        const response = await callApi(recipes, { method: 'DELETE', url: `/api/recipes/${created.id}` });
+
+        assert.equal(response.status, 401);
+    });
+
+    it('returns 404 for an unknown recipe', async () => {
+        const response = await callApi(recipes, { method: 'DELETE', url: `/api/recipes/${MISSING_ID}`, user: alice });
+
+        assert.equal(response.status, 404);
+    });
+});
+
+describe('recipe photos', () => {
+    /**
+     * Store a photo as /api/uploads does and return its image reference
+     */
+    async function storePhoto(user) {
+        const id = crypto.randomUUID();
+        await getStorage().save(variantPath(id, 'card'), Buffer.from('card'), 'image/webp');
+        await uploadRef(getDatabase().db, id).set({ uploaderId: user.uid });
+        return { id: id, width: 1600, height: 1200 };
+    }
+
+    /**
+     * Whether a photo's files are still stored
+     */
+    function photoStored(image) {
+        return fs.existsSync(path.join(process.env.LOCAL_UPLOAD_DIR, variantPath(image.id, 'card')));
+    }
+
+    it('accepts a photo the user uploaded', async () => {
+        const image = await storePhoto(alice);
+        const recipe = await createRecipe(recipes, alice, { image: image });
+
+        assert.equal(recipe.image.id, image.id);
+        assert.match(recipe.image.cardUrl, new RegExp(`${image.id}/card\\.webp$`));
+    });
+
+    it('ignores a photo someone else uploaded', async () => {
+        const image = await storePhoto(alice);
+        const recipe = await createRecipe(recipes, bob, { image: image });
+        assert.equal(recipe.image, null);
+
+        const response = await callApi(recipes, {
+            method: 'PUT',
+            url: `/api/recipes/${recipe.id}`,
+            user: bob,
+            body: recipeBody({ image: image })
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.recipe.image, null);
+        assert.ok(photoStored(image));
+    });
+
+    it('lets an editor keep the recipe\'s current photo', async () => {
+        const image = await storePhoto(alice);
+        const recipe = await createRecipe(recipes, alice, { image: image });
+        const editor = testUser('Edna');
+        await getDatabase().db.collection('roles').doc(editor.uid).set({ roles: ['editor'] });
+
+        const response = await callApi(recipes, {
+            method: 'PUT',
+            url: `/api/recipes/${recipe.id}`,
+            user: editor,
+            body: recipeBody({ name: 'Apple Pie', image: recipe.image })
+        });
+        assert.equal(response.status, 200);
+        assert.equal(response.body.recipe.image.id, image.id);
+    });
+
+    it('keeps an older photo that is sent back unchanged', async () => {
+        const recipe = await createRecipe(recipes, alice);
+        const legacyImage = { cardUrl: 'https://example.com/pie-card.jpg', fullUrl: 'https://example.com/pie.jpg' };
+        await getDatabase().db.collection('recipes').doc(recipe.id).update({ image: legacyImage });
+
+        const response = await callApi(recipes, {
+            method: 'PUT',
+            url: `/api/recipes/${recipe.id}`,
+            user: alice,
+            body: recipeBody({ name: 'Apple Pie', image: legacyImage })
+        });
+        assert.equal(response.status, 200);
+        assert.deepEqual(response.body.recipe.image, legacyImage);
+    });
+
+    it('removes a photo once no recipe uses it', async () => {
+        const image = await storePhoto(alice);
+        const recipe = await createRecipe(recipes, alice, { image: image });
+
+        const response = await callApi(recipes, {
+            method: 'PUT',
+            url: `/api/recipes/${recipe.id}`,
+            user: alice,
+            body: recipeBody({ image: null })
+        });
+        assert.equal(response.status, 200);
+        assert.equal(photoStored(image), false);
+        assert.equal((await uploadRef(getDatabase().db, image.id).get()).exists, false);
+    });
+
+    it('keeps a photo another recipe still uses', async () => {
+        const image = await storePhoto(alice);
+        const original = await createRecipe(recipes, alice, { image: image });
+        // Saved before uploads were tracked, when any stored photo was accepted
+        const copy = await createRecipe(recipes, bob, { name: 'Copied Pie' });
+        await getDatabase().db.collection('recipes').doc(copy.id).update({ image: original.image });
+
+        const response = await callApi(recipes, { method: 'DELETE', url: `/api/recipes/${copy.id}`, user: bob });
+        assert.equal(response.status, 200);
+        assert.ok(photoStored(image));
+
+        await callApi(recipes, { method: 'DELETE', url: `/api/recipes/${original.id}`, user: alice });
+        assert.equal(photoStored(image), false);
+    });
+});
+
+describe('other methods', () => {
+    it('answers CORS preflight requests', async () => {
+        const response = await callApi(recipes, { method: 'OPTIONS', url: '/api/recipes' });
+
+        assert.equal(response.status, 200);
+    });
+
+    it('sets CORS headers on responses', async () => {
+        const response = await callApi(recipes, { url: '/api/recipes' });
+
+        assert.equal(response.headers['access-control-allow-origin'], '*');
+    });
+
+    it('rejects unsupported methods', async () => {
+        const patch = await callApi(recipes, { method: 'PATCH', url: '/api/recipes', user: alice, body: {} });
+        assert.equal(patch.status, 405);
+        assert.deepEqual(patch.body.allowedMethods, ['GET', 'POST', 'PUT', 'DELETE']);
+
+        const deleteAll = await callApi(recipes, { method: 'DELETE', url: '/api/recipes', user: alice });
+        assert.equal(deleteAll.status, 405);
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * VINTAGE COOKBOOK - SHOPPING LISTS API TESTS
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { callApi, resetDatabase, testUser, createRecipe } = require('../helpers/api');
+const recipes = require('../../api/recipes');
+const shoppingLists = require('../../api/shopping-lists');
+
+let alice;
+
+beforeEach(() => {
+    resetDatabase();
+    alice = testUser('Alice');
+});
+
+describe('/api/shopping-lists paths', () => {
+    it('decodes escaped list IDs', async () => {
+        const response = await callApi(shoppingLists, { url: '/api/shopping-lists/no%20such%20list', user: alice });
+
+        assert.equal(response.status, 404);
+    });
+
+    it('refuses a malformed escape with 400', async () => {
+        const response = await callApi(shoppingLists, { url: '/api/shopping-lists/%E0%A4', user: alice });
+
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error, 'Invalid path');
+    });
+
+    for (const path of ['a%2Fb', '__name__', 'list/recipes/a%2Fb']) {
+        it(`refuses the ID in /api/shopping-lists/${path} with 400`, async () => {
+            const response = await callApi(shoppingLists, { method: 'DELETE', url: `/api/shopping-lists/${path}`, user: alice });
+
+            assert.equal(response.status, 400);
+            assert.equal(response.body.error, 'Invalid path');
+        });
+    }
+});
+
+describe('POST /api/shopping-lists', () => {
+    for (const recipeId of ['recipes/abc', '..', '__name__', 'x'.repeat(101), 42]) {
+        it(`refuses the recipe ID ${JSON.stringify(recipeId).substring(0, 20)}`, async () => {
+            const response = await callApi(shoppingLists, {
+                method: 'POST',
+                url: '/api/shopping-lists',
+                user: alice,
+                body: { recipes: [{ recipeId }] }
+            });
+
+            assert.equal(response.status, 400);
+            assert.equal(response.body.error, 'Invalid shopping list');
+        });
+    }
+});
+
+describe('list responses', () => {
+    it('carry the stored times, not placeholders', async () => {
+        const recipe = await createRecipe(recipes, alice);
+        const created = await callApi(shoppingLists, {
+            method: 'POST',
+            url: '/api/shopping-lists',
+            user: alice,
+            body: { name: 'Weekend', recipes: [{ recipeId: recipe.id }] }
+        });
+        const renamed = await callApi(shoppingLists, {
+            method: 'PUT',
+            url: `/api/shopping-lists/${created.body.list.id}`,
+            user: alice,
+            body: { name: 'Sunday' }
+        });
+
+        for (const list of [created.body.list, renamed.body.list]) {
+            assert.equal(typeof list.createdAt._seconds, 'number');
+            assert.equal(typeof list.updatedAt._seconds, 'number');
+        }
+        assert.equal(renamed.body.list.name, 'Sunday');
+    });
+});
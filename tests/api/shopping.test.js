@@ -0,0 +1,35 @@
+/**
+ * VINTAGE COOKBOOK - SHOPPING LIST TESTS (api/_lib/shopping.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildShoppingItems } = require('../../api/_lib/shopping');
+
+/**
+ * The amount texts of one item on the list
+ */
+function amountsOf(items, name) {
+    return items.find(item => item.name === name).amounts.map(amount => amount.text);
+}
+
+describe('buildShoppingItems', () => {
+    it('adds up amounts of the same item across recipes', () => {
+        const items = buildShoppingItems([
+            { name: 'Bread', ingredients: '1 cup milk\n2 eggs' },
+            { name: 'Pancakes', ingredients: '1/2 cup milk\n1 egg' }
+        ]);
+
+        assert.deepEqual(amountsOf(items, 'milk'), ['1 ½ cups']);
+        assert.deepEqual(amountsOf(items, 'eggs'), ['3']);
+    });
+
+    it('shows metric totals as decimals', () => {
+        const items = buildShoppingItems([
+            { name: 'Bread', ingredients: '700 g flour' },
+            { name: 'Rolls', ingredients: '700 g flour' }
+        ]);
+
+        assert.deepEqual(amountsOf(items, 'flour'), ['1.4 kg']);
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * VINTAGE COOKBOOK - COMMENT DISPLAY TESTS (app.js)
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('../helpers/dom');
+
+let window;
+let document;
+
+/**
+ * A comment as the API returns it, posted the given number of minutes ago
+ */
+function comment(id, minutesAgo, fields = {}) {
+    return {
+        id: id,
+        recipeId: 'recipe000000000000001',
+        username: 'Alice',
+        comment: `Comment ${id}`,
+        parentId: null,
+        status: 'published',
+        permissions: { canEdit: false, canDelete: false },
+        createdAt: { _seconds: Math.floor(Date.now() / 1000) - minutesAgo * 60, _nanoseconds: 0 },
+        ...fields
+    };
+}
+
+/**
+ * The comment IDs shown, top-level comments with their replies
+ */
+function threads() {
+    return [...document.querySelectorAll('#comments-list .comment-thread')].map(thread => ({
+        id: thread.querySelector(':scope > .comment').dataset.commentId,
+        replies: [...thread.querySelectorAll('.comment-replies .comment')].map(reply => reply.dataset.commentId)
+    }));
+}
+
+/**
+ * The labels of the action buttons on a comment
+ */
+function actions(commentId) {
+    const commentEl = document.querySelector(`.comment[data-comment-id="${commentId}"]`);
+    return [...commentEl.querySelectorAll('.comment-actions button')].map(button => button.textContent);
+}
+
+beforeEach(async () => {
+    ({ window, document } = await loadPage('recipes.html'));
+});
+
+describe('displayComments', () => {
+    it('shows the newest conversations first with replies in the order written', () => {
+        window.displayComments([
+            comment('old', 60),
+            comment('new', 5),
+            comment('second-reply', 2, { parentId: 'old' }),
+            comment('first-reply', 30, { parentId: 'old' })
+        ]);
+
+        assert.deepEqual(threads(), [
+            { id: 'new', replies: [] },
+            { id: 'old', replies: ['first-reply', 'second-reply'] }
+        ]);
+    });
+
+    it('shows a reply whose parent is missing as a conversation of its own', () => {
+        window.displayComments([comment('orphan', 10, { parentId: 'deleted' })]);
+
+        assert.deepEqual(threads(), [{ id: 'orphan', replies: [] }]);
+    });
+
+    it('escapes comment text and names', () => {
+        window.displayComments([comment('a', 1, {
+            username: '<b>Mallory</b>',
+            comment: '<img src=x onerror="alert(1)">'
+        })]);
+
+        const commentEl = document.querySelector('.comment');
+        assert.equal(commentEl.querySelector('img'), null);
+        assert.equal(commentEl.querySelector('.comment-author').textContent, '<b>Mallory</b>');
+        assert.equal(commentEl.querySelector('.comment-text').textContent, '<img src=x onerror="alert(1)">');
+    });
+
+    it('offers only the actions the viewer may take', () => {
+        window.displayComments([
+            comment('mine', 5, { permissions: { canEdit: true, canDelete: true } }),
+            comment('moderated', 10, { permissions: { canEdit: false, canDelete: true } }),
+            comment('theirs', 15)
+        ]);
+
+        // Signed out: nobody can reply
+        assert.deepEqual(actions('mine'), ['Edit', 'Delete']);
+        assert.deepEqual(actions('moderated'), ['Delete']);
+        assert.equal(document.querySelector('.comment[data-comment-id="theirs"] .comment-actions'), null);
+    });
+
+    it('lets signed-in users reply to top-level comments only', () => {
+        window.eval('currentUser = { uid: "bob", displayName: "Bob" }');
+        window.displayComments([
+            comment('top', 10),
+            comment('reply', 5, { parentId: 'top' })
+        ]);
+
+        assert.deepEqual(actions('top'), ['Reply']);
+        assert.equal(document.querySelector('.comment[data-comment-id="reply"] .comment-actions'), null);
+    });
+
+    it('marks pending comments and shows ratings', () => {
+        window.displayComments([
+            comment('pending', 1, { status: 'pending' }),
+            comment('rated', 5, { rating: 4 })
+        ]);
+
+        const pending = document.querySelector('.comment[data-comment-id="pending"]');
+        assert.ok(pending.classList.contains('comment-pending'));
+        assert.match(pending.querySelector('.comment-pending-note').textContent, /Awaiting approval/);
+
+        const rated = document.querySelector('.comment[data-comment-id="rated"]');
+        assert.equal(rated.querySelector('.comment-pending-note'), null);
+        assert.ok(rated.querySelector('.star-rating'));
+    });
+
+    it('replaces comments shown earlier', () => {
+        window.displayComments([comment('a', 5), comment('b', 10)]);
+        window.displayComments([comment('c', 1)]);
+
+        assert.deepEqual(threads(), [{ id: 'c', replies: [] }]);
+    });
+});
+
+describe('comment form', () => {
+    it('shows a missing comment next to the text box without posting it', async () => {
+        window.eval('currentUser = { uid: "bob", displayName: "Bob" }; currentRecipeId = "recipe000000000000001"');
+        const form = document.getElementById('comment-form');
+
+        form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+
+        const textBox = document.getElementById('comment-text');
+        assert.equal(textBox.getAttribute('aria-invalid'), 'true');
+        assert.equal(document.getElementById(textBox.getAttribute('aria-describedby')).textContent, 'Please write a comment.');
+    });
+});
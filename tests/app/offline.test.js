@@ -0,0 +1,77 @@
+/**
+ * VINTAGE COOKBOOK - OFFLINE CACHE TESTS (app.js)
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('../helpers/dom');
+
+let window;
+let requests;
+let cacheNames;
+let online;
+
+/**
+ * Sign in as a test user whose token names them
+ */
+function signInAs(uid) {
+    window.eval(`currentUser = { uid: '${uid}', getIdToken: async () => '${uid}-token' }`);
+}
+
+beforeEach(async () => {
+    ({ window, requests } = await loadPage('recipes.html'));
+    online = true;
+    Object.defineProperty(window.navigator, 'onLine', { configurable: true, get: () => online });
+    cacheNames = ['cookbook-shell-v2', 'cookbook-api-v2', 'cookbook-images-v2'];
+    window.caches = {
+        keys: async () => [...cacheNames],
+        delete: async name => {
+            cacheNames = cacheNames.filter(other => other !== name);
+            return true;
+        }
+    };
+});
+
+describe('clearApiCacheForUser', () => {
+    it('drops cached recipe and comment answers when the user changes', async () => {
+        await window.clearApiCacheForUser({ uid: 'alice' });
+        assert.deepEqual(cacheNames, ['cookbook-shell-v2', 'cookbook-images-v2']);
+
+        cacheNames.push('cookbook-api-v2');
+        await window.clearApiCacheForUser(null);
+        assert.deepEqual(cacheNames, ['cookbook-shell-v2', 'cookbook-images-v2']);
+    });
+
+    it('keeps them while the same user stays signed in', async () => {
+        await window.clearApiCacheForUser({ uid: 'alice' });
+        cacheNames.push('cookbook-api-v2');
+
+        await window.clearApiCacheForUser({ uid: 'alice' });
+        assert.ok(cacheNames.includes('cookbook-api-v2'));
+    });
+});
+
+describe('offline queue', () => {
+    it('sends queued changes only as the user who made them', async () => {
+        signInAs('alice');
+        online = false;
+        await window.fetchOrQueue('/api/comments', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer alice-token' },
+            body: JSON.stringify({ comment: 'Lovely pie.' })
+        }, 'your comment');
+        assert.equal(window.getOfflineQueue().length, 1);
+
+        signInAs('bob');
+        online = true;
+        await window.replayOfflineQueue();
+        assert.equal(requests.length, 0);
+        assert.equal(window.getOfflineQueue().length, 1);
+
+        signInAs('alice');
+        await window.replayOfflineQueue();
+        assert.equal(requests.length, 1);
+        assert.equal(requests[0].options.headers.Authorization, 'Bearer alice-token');
+        assert.equal(window.getOfflineQueue().length, 0);
+    });
+});
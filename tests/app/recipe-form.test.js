@@ -0,0 +1,167 @@
+/**
+ * VINTAGE COOKBOOK - RECIPE FORM TESTS (app.js)
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle } = require('../helpers/dom');
+
+let window;
+let document;
+let form;
+
+/**
+ * Fill in the add-recipe form, with any fields overridden
+ */
+function fillForm(overrides = {}) {
+    const values = {
+        name: 'Buttermilk Biscuits',
+        category: 'breads',
+        ingredients: '2 cups flour\n1 cup buttermilk',
+        instructions: 'Cut the butter into the flour, stir in the buttermilk and bake.',
+        ...overrides
+    };
+    Object.entries(values).forEach(([field, value]) => {
+        form.elements[field].value = value;
+    });
+}
+
+/**
+ * The [field, code] pairs reported for the form, as an array of this realm
+ * so deepEqual can compare it
+ */
+function validate() {
+    return Array.from(window.validateRecipeForm(form), error => [error.field, error.code]);
+}
+
+/**
+ * The error message shown under each field, by field name
+ */
+function shownErrors() {
+    const shown = {};
+    form.querySelectorAll('[aria-invalid="true"]').forEach(input => {
+        shown[input.name] = document.getElementById(input.getAttribute('aria-describedby')).textContent;
+    });
+    return shown;
+}
+
+/**
+ * Submit the form the way the browser does
+ */
+async function submit() {
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await settle();
+}
+
+describe('category list', () => {
+    it('lists the schema categories after the placeholder', async () => {
+        ({ window, document } = await loadPage('add-recipe.html'));
+        const options = [...document.getElementById('category').options].map(option => option.value);
+
+        assert.deepEqual(options, ['', ...window.Schema.CATEGORIES.map(category => category.value)]);
+    });
+
+    it('uses the same categories for the recipe filter', async () => {
+        ({ window, document } = await loadPage('recipes.html'));
+        const options = [...document.getElementById('category-filter').options].map(option => option.value);
+
+        assert.deepEqual(options, ['', ...window.Schema.CATEGORIES.map(category => category.value)]);
+    });
+});
+
+describe('validateRecipeForm', () => {
+    beforeEach(async () => {
+        ({ window, document } = await loadPage('add-recipe.html'));
+        form = document.getElementById('recipe-form');
+    });
+
+    it('accepts a complete recipe', () => {
+        fillForm();
+        assert.deepEqual(validate(), []);
+    });
+
+    it('requires a name of at least 3 characters', () => {
+        fillForm({ name: '   ' });
+        assert.deepEqual(validate(), [['name', 'required']]);
+
+        fillForm({ name: 'Pi' });
+        assert.deepEqual(validate(), [['name', 'too_short']]);
+    });
+
+    it('requires a category', () => {
+        fillForm({ category: '' });
+        assert.deepEqual(validate(), [['category', 'required']]);
+    });
+
+    it('requires ingredients', () => {
+        fillForm({ ingredients: '\n  \n' });
+        assert.deepEqual(validate(), [['ingredients', 'required']]);
+    });
+
+    it('requires instructions of at least 20 characters', () => {
+        fillForm({ instructions: '' });
+        assert.deepEqual(validate(), [['instructions', 'required']]);
+
+        fillForm({ instructions: 'Bake it.' });
+        assert.deepEqual(validate(), [['instructions', 'too_short']]);
+    });
+
+    it('checks servings are a sensible whole number', () => {
+        fillForm({ servings: '0' });
+        assert.deepEqual(validate(), [['servings', 'invalid_number']]);
+    });
+
+    it('reports every problem in form order', () => {
+        fillForm({ name: '', category: '', instructions: '' });
+        assert.deepEqual(validate(), [['name', 'required'], ['category', 'required'], ['instructions', 'required']]);
+    });
+});
+
+describe('recipe form errors', () => {
+    let response;
+
+    beforeEach(async () => {
+        response = { status: 201, body: {} };
+        ({ window, document } = await loadPage('add-recipe.html', () => response));
+        form = document.getElementById('recipe-form');
+        window.initializeRecipeForm();
+    });
+
+    it('shows each error next to its field without sending the recipe', async () => {
+        fillForm({ name: 'Pi', category: '' });
+        await submit();
+
+        assert.deepEqual(shownErrors(), {
+            name: 'Recipe name must be at least 3 characters long.',
+            category: 'Please select a category.'
+        });
+        assert.equal(document.activeElement, form.elements.name);
+        assert.equal(document.getElementById('form-error').textContent, 'Please fix the highlighted fields.');
+    });
+
+    it('clears a field\'s error once it is changed', async () => {
+        fillForm({ name: 'Pi', category: '' });
+        await submit();
+
+        form.elements.name.value = 'Pie';
+        form.elements.name.dispatchEvent(new window.Event('input', { bubbles: true }));
+
+        assert.deepEqual(Object.keys(shownErrors()), ['category']);
+        assert.equal(form.querySelectorAll('.field-error').length, 1);
+    });
+
+    it('shows the errors the server sends back', async () => {
+        response = {
+            status: 400,
+            body: {
+                error: 'Validation failed',
+                errors: [{ field: 'notes', code: 'too_long', message: 'Notes must be at most 10000 characters long.' }]
+            }
+        };
+        fillForm();
+        await submit();
+
+        assert.deepEqual(shownErrors(), { notes: 'Notes must be at most 10000 characters long.' });
+        assert.equal(document.getElementById('form-error').style.display, 'block');
+    });
+});
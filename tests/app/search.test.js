@@ -0,0 +1,128 @@
+/**
+ * VINTAGE COOKBOOK - RECIPE SEARCH TESTS (app.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle } = require('../helpers/dom');
+
+const soup = {
+    id: 'soup00000000000000001',
+    name: 'Chicken Noodle Soup',
+    category: 'soups',
+    instructions: 'Simmer the chicken with the noodles until tender.',
+    matchedTerms: ['chicken']
+};
+
+const stew = {
+    id: 'stew00000000000000001',
+    name: 'Beef Stew',
+    category: 'soups',
+    instructions: 'Brown the beef, then stew for two hours.'
+};
+
+/**
+ * The names on the recipe cards currently shown
+ */
+function cardTitles(document) {
+    return [...document.querySelectorAll('#recipes-container .recipe-card-title')].map(title => title.textContent);
+}
+
+describe('performSearch', () => {
+    it('sends a search term to the ranked search and highlights matches', async () => {
+        const { window, document, requests } = await loadPage('recipes.html', () => ({
+            body: { recipes: [soup] }
+        }));
+
+        document.getElementById('search-input').value = '  chicken ';
+        document.getElementById('category-filter').value = 'soups';
+        window.performSearch();
+        await settle();
+
+        assert.equal(requests.length, 1);
+        const url = new URL(requests[0].url, 'http://localhost');
+        assert.equal(url.pathname, '/api/search');
+        assert.equal(url.searchParams.get('q'), 'chicken');
+        assert.equal(url.searchParams.get('category'), 'soups');
+
+        assert.deepEqual(cardTitles(document), ['Chicken Noodle Soup']);
+        assert.equal(document.querySelector('.recipe-card-title mark').textContent, 'Chicken');
+        assert.equal(document.getElementById('results-count').textContent, 'Showing 1 recipe');
+        // Results are ordered by relevance, so sorting is switched off
+        assert.equal(document.getElementById('sort-select').disabled, true);
+    });
+
+    it('pages through the listing when there is no search term', async () => {
+        const { window, document, requests } = await loadPage('recipes.html', () => ({
+            body: { recipes: [stew, soup], nextCursor: soup.id }
+        }));
+
+        document.getElementById('sort-select').value = 'name';
+        document.getElementById('sort-select').disabled = true;
+        window.performSearch();
+        await settle();
+
+        assert.equal(requests.length, 1);
+        const url = new URL(requests[0].url, 'http://localhost');
+        assert.equal(url.pathname, '/api/recipes');
+        assert.equal(url.searchParams.get('sort'), 'name');
+        assert.equal(url.searchParams.get('limit'), '24');
+        assert.equal(url.searchParams.has('q'), false);
+
+        assert.deepEqual(cardTitles(document), ['Beef Stew', 'Chicken Noodle Soup']);
+        assert.equal(document.getElementById('results-count').textContent, 'Showing 2 recipes — more available');
+        assert.equal(document.getElementById('sort-select').disabled, false);
+    });
+
+    it('shows only the results of the latest search', async () => {
+        let releaseFirst;
+        const firstAnswered = new Promise(resolve => {
+            releaseFirst = resolve;
+        });
+        const { window, document } = await loadPage('recipes.html', async url => {
+            if (url.includes('q=beef')) {
+                await firstAnswered;
+                return { body: { recipes: [stew] } };
+            }
+            return { body: { recipes: [soup] } };
+        });
+
+        const searchInput = document.getElementById('search-input');
+        searchInput.value = 'beef';
+        window.performSearch();
+        searchInput.value = 'chicken';
+        window.performSearch();
+        await settle();
+
+        releaseFirst();
+        await settle();
+
+        assert.deepEqual(cardTitles(document), ['Chicken Noodle Soup']);
+    });
+
+    it('says so when nothing matches', async () => {
+        const { window, document } = await loadPage('recipes.html', () => ({ body: { recipes: [] } }));
+
+        document.getElementById('search-input').value = 'durian';
+        window.performSearch();
+        await settle();
+
+        assert.deepEqual(cardTitles(document), []);
+        assert.equal(document.getElementById('recipes-empty').style.display, 'block');
+        assert.equal(document.getElementById('results-count').textContent, 'Showing 0 recipes');
+    });
+
+    it('shows an error when the search fails', async () => {
+        const { window, document } = await loadPage('recipes.html', () => ({
+            status: 500,
+            body: { error: 'Search failed' }
+        }));
+
+        document.getElementById('search-input').value = 'chicken';
+        window.performSearch();
+        await settle();
+
+        assert.match(document.getElementById('recipes-container').textContent, /Unable to search recipes/);
+        assert.equal(document.getElementById('recipes-loading').style.display, 'none');
+    });
+});
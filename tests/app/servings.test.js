@@ -0,0 +1,39 @@
+/**
+ * VINTAGE COOKBOOK - RECIPE SCALING TESTS (app.js)
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('../helpers/dom');
+
+let window;
+let document;
+
+const pie = {
+    id: 'pie00000000000000001',
+    name: 'Apple Pie',
+    category: 'desserts',
+    servings: 8,
+    ingredients: '6 apples\n1 cup sugar',
+    instructions: 'Slice the apples, add the sugar and bake for an hour.',
+    permissions: {}
+};
+
+beforeEach(async () => {
+    ({ window, document } = await loadPage('recipes.html'));
+});
+
+describe('displayRecipeDetail', () => {
+    it('scales to the servings asked for', () => {
+        window.displayRecipeDetail(pie, 16);
+        assert.equal(document.getElementById('servings-count').textContent, '16');
+    });
+
+    it('keeps servings from the address between 1 and 100', () => {
+        window.displayRecipeDetail(pie, -4);
+        assert.equal(document.getElementById('servings-count').textContent, '1');
+
+        window.displayRecipeDetail(pie, 5000);
+        assert.equal(document.getElementById('servings-count').textContent, '100');
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * VINTAGE COOKBOOK - API TEST HELPERS
+ * Runs the serverless handlers in-process against the local database backend
+ *
+ * Require this before any handler: it selects the in-memory local backend
+ * and local file storage, so nothing talks to Firebase. Requests are signed in with the local
+ * backend's "local:<uid>:<name>" tokens.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DB_BACKEND = 'local';
+delete process.env.LOCAL_DB_FILE;
+// Photos go to a scratch directory rather than the project's uploads/
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cookbook-uploads-'));
+
+const { getDatabase } = require('../../api/_lib/db');
+
+// Each request comes from its own address, and each test signs in as new
+// users, so rate limits reached in one test never affect the next
+let requestCount = 0;
+let userCount = 0;
+
+/**
+ * A response object with the parts of Vercel's API the handlers use.
+ * Resolves `finished` with { status, headers, body } once a body is sent.
+ */
+function createResponse() {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        headersSent: false
+    };
+
+    res.finished = new Promise(resolve => {
+        res.status = code => {
+            res.statusCode = code;
+            return res;
+        };
+        res.setHeader = (key, value) => {
+            res.headers[key.toLowerCase()] = value;
+            return res;
+        };
+        res.getHeader = key => res.headers[key.toLowerCase()];
+        res.end = body => {
+            res.headersSent = true;
+            resolve({ status: res.statusCode, headers: res.headers, body: body });
+            return res;
+        };
+        // JSON goes through a round trip, as it would over HTTP
+        res.json = body => res.end(JSON.parse(JSON.stringify(body)));
+        res.send = body => res.end(body);
+    });
+
+    return res;
+}
+
+/**
+ * Call a handler and return its { status, headers, body }.
+ * `user` is a uid, or { uid, name }, to sign the request in as.
+ */
+async function callApi(handler, { method = 'GET', url, body, user, token, headers = {} } = {}) {
+    const parsed = new URL(url, 'http://localhost');
+    const query = {};
+    parsed.searchParams.forEach((value, key) => {
+        query[key] = value;
+    });
+
+    const requestHeaders = {
+        'x-forwarded-for': `10.0.${Math.floor(requestCount / 250)}.${requestCount % 250}`,
+        ...headers
+    };
+    requestCount++;
+
+    if (user) {
+        const { uid, name } = typeof user === 'string' ? { uid: user, name: user } : user;
+        requestHeaders.authorization = `Bearer local:${uid}:${name || uid}`;
+    } else if (token) {
+        requestHeaders.authorization = `Bearer ${token}`;
+    }
+
+    const req = {
+        method: method,
+        url: parsed.pathname + parsed.search,
+        query: query,
+        headers: requestHeaders,
+        body: body
+    };
+    const res = createResponse();
+
+    // The handlers log every request; keep test output readable
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await handler(req, res);
+    } finally {
+        console.log = log;
+    }
+
+    if (!res.headersSent) {
+        throw new Error(`${method} ${url} finished without sending a response`);
+    }
+    return res.finished;
+}
+
+/**
+ * Empty the local database between tests
+ */
+function resetDatabase() {
+    getDatabase().clear();
+}
+
+/**
+ * A signed-in user nobody else has used, for the given display name
+ */
+function testUser(name) {
+    userCount++;
+    return { uid: `${name.toLowerCase()}-${userCount}`, name: name };
+}
+
+/**
+ * A recipe body that passes validation, with any fields overridden
+ */
+function recipeBody(overrides = {}) {
+    return {
+        name: 'Grandma\'s Apple Pie',
+        category: 'desserts',
+        prepTime: '30 min',
+        cookTime: '45 min',
+        servings: 8,
+        ingredients: '6 apples\n1 cup sugar\n2 cups flour\n1 tsp cinnamon',
+        instructions: 'Peel and slice the apples. Mix with sugar and cinnamon. Bake in the crust for 45 minutes.',
+        notes: 'Best with tart apples',
+        ...overrides
+    };
+}
+
+/**
+ * Create a recipe through the API and return it
+ */
+async function createRecipe(handler, user, overrides = {}) {
+    const response = await callApi(handler, {
+        method: 'POST',
+        url: '/api/recipes',
+        user: user,
+        body: recipeBody(overrides)
+    });
+    if (response.status !== 201) {
+        throw new Error(`Creating a recipe failed with ${response.status}: ${JSON.stringify(response.body)}`);
+    }
+    return response.body.recipe;
+}
+
+module.exports = {
+    callApi,
+    resetDatabase,
+    testUser,
+    recipeBody,
+    createRecipe
+};
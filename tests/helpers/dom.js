@@ -0,0 +1,81 @@
+/**
+ * VINTAGE COOKBOOK - DOM TEST HELPERS
+ * Loads a page and app.js into jsdom with fetch answered by the test
+ *
+ * Only the page's own scripts run (shared/*.js and app.js); the Firebase SDK
+ * is left out, so the page stays signed out unless a test sets currentUser.
+ * The page's inline start-up code does not run either: tests call the
+ * functions they exercise directly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Load one of the HTML pages with its local scripts.
+ * `respond(url, options)` answers each fetch with { status, body }, or throws
+ * to simulate a network error. Every request is recorded in `requests`.
+ */
+async function loadPage(page, respond = () => ({ status: 200, body: {} })) {
+    const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+    const scriptSources = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)]
+        .map(match => match[1])
+        .filter(src => !/^https?:/.test(src));
+
+    const dom = new JSDOM(html.replace(/<script[\s\S]*?<\/script>/g, ''), {
+        url: `http://localhost/${page}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+    const requests = [];
+
+    window.fetch = async (url, options = {}) => {
+        requests.push({ url: String(url), options: options });
+        const { status = 200, body = {} } = await respond(String(url), options);
+        return new Response(JSON.stringify(body), {
+            status: status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    };
+    // jsdom has no layout, so nothing ever scrolls into view
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    window.scrollTo = () => {};
+    window.console.error = () => {};
+
+    // Run as classic scripts, as the browser does, so their top-level
+    // variables (currentUser and the like) stay reachable from window.eval
+    const context = dom.getInternalVMContext();
+    scriptSources.forEach(src => {
+        new vm.Script(fs.readFileSync(path.join(ROOT, src), 'utf8'), { filename: src }).runInContext(context);
+    });
+
+    // Let app.js finish its own DOMContentLoaded set-up
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+    await settle();
+    requests.length = 0;
+
+    return { window, document: window.document, requests };
+}
+
+/**
+ * Wait for pending fetches and the work that follows them
+ */
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+module.exports = {
+    loadPage,
+    settle
+};
@@ -0,0 +1,27 @@
+/**
+ * VINTAGE COOKBOOK - UNIT CONVERSION TESTS (shared/units.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Units = require('../../shared/units');
+
+describe('formatAmount', () => {
+    it('shows metric amounts as decimals', () => {
+        assert.equal(Units.formatAmount(1.2, 'l'), '1.2');
+        assert.equal(Units.formatAmount(0.5, 'kg'), '0.5');
+        assert.equal(Units.formatAmount(250, 'g'), '250');
+    });
+
+    it('shows other amounts as kitchen fractions', () => {
+        assert.equal(Units.formatAmount(1.5, 'cup'), '1 ½');
+        assert.equal(Units.formatAmount(0.25, 'tsp'), '¼');
+        assert.equal(Units.formatAmount(2, null), '2');
+    });
+});
+
+describe('convertText', () => {
+    it('writes converted metric amounts as decimals', () => {
+        assert.equal(Units.convertText('Add 5 cups of water', 'metric'), 'Add 1.2 l of water');
+    });
+});